@@ -1,9 +1,29 @@
 /**
  * Background Service Worker
  * Handles Notion API requests to keep the Integration Secret secure
- * Acts as a proxy between the popup and Notion/OpenAI APIs
+ * Acts as a proxy between the popup and the Notion and LLM provider APIs
  */
 
+import { NotionAPI, LLMHelper, parseNotionPage, formatProperties, getPageTitle, getTitlePropertyName, loadCachedSchema, cacheSchema } from '../lib/notion-api.js';
+import { findUrlField, findSnapshotField, isCompanyRelation, buildDefaultValues, coerceExtractedValue } from '../lib/field-defaults.js';
+import { loadProfiles, resolveProfile } from '../lib/profiles.js';
+import { getExtractor, normalizePosting, normalizeCard } from '../lib/extractors.js';
+import { readJobPosting } from '../lib/job-posting.js';
+import { mergeCompensation } from '../lib/compensation.js';
+import { readLocations, loadLocationAliases } from '../lib/locations.js';
+import { buildChatRequest, readChatResponse, getProviderErrorMessage } from '../lib/llm-providers.js';
+import { describeRejections } from '../lib/extraction-schema.js';
+import { getPageBodyMode, buildPageBody, writePageBody } from '../lib/notion-blocks.js';
+import { getArchiveMode, buildSnapshotFileName, archiveSnapshot, hasLocalSnapshot } from '../lib/snapshot-archive.js';
+import { findDuplicateCandidates } from '../lib/dedupe.js';
+import { getJobKey } from '../lib/job-urls.js';
+import { createBulkCapture, summarizeBulkCapture, isJobPosting, hasBulkCaptureAccess, loadBulkCapture, storeBulkCapture } from '../lib/bulk-capture.js';
+import { INDEX_REFRESH_INTERVAL, loadSavedIndex, syncSavedIndex, recordSavedPage, lookupSavedUrl, getStatusBadge, getStatusBadgeColor } from '../lib/saved-index.js';
+import { isRetryableError, getRetryDelay, createQueuedSave, loadSaveQueue, storeSaveQueue, onSaveQueueChanged } from '../lib/save-queue.js';
+import { REMINDER_CHECK_INTERVAL, getReminderRuleProblem, describeReminderRule, getReminderDueAt, buildReminderFilter, getReminderKey, loadReminderLog, logReminders } from '../lib/reminders.js';
+import { isHistoryEnabled, getPayloadStatus, getStatusTransition, addStageDate, recordStatusTransition } from '../lib/status-history.js';
+import { STALE_CHECK_INTERVAL, getStaleSettingsProblem, buildStaleFilter, toStaleEntry, summarizeStaleApplications, loadStaleApplications, storeStaleApplications, dropStaleApplications, onStaleApplicationsChanged } from '../lib/stale.js';
+
 // Message handler for API requests from popup/options
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   console.log('Service worker received:', request.type);
@@ -15,7 +35,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     })
     .catch(error => {
       console.error('Service worker error:', request.type, error);
-      sendResponse({ error: error.message || 'Unknown error' });
+      // Status and Retry-After let callers decide whether to queue a retry
+      sendResponse({
+        error: error.message || 'Unknown error',
+        status: error.status,
+        retryAfter: error.retryAfter
+      });
     });
   
   // Return true to indicate we will send response asynchronously
@@ -35,12 +60,57 @@ async function handleMessage(request) {
     case 'GET_TAB_INFO':
       return await getActiveTabInfo();
     
-    case 'OPENAI_API_REQUEST':
-      return await handleOpenAIRequest(request.payload);
+    case 'LLM_REQUEST':
+      return await handleLLMRequest(request.payload);
     
     case 'GET_PAGE_CONTENT':
       return await getPageContent();
     
+    case 'GET_POSTING_MARKDOWN':
+      return { markdown: await capturePostingMarkdown() };
+    
+    case 'ARCHIVE_SNAPSHOT':
+      return { success: true, result: await archiveFromPopup(request.payload) };
+    
+    case 'QUEUE_SAVE':
+      return { success: true, item: await queueSave(request.payload.save, request.payload.error) };
+    
+    case 'RETRY_QUEUED_SAVE':
+      await retryQueuedSave(request.payload?.id);
+      return { success: true };
+    
+    case 'DISCARD_QUEUED_SAVE':
+      await discardQueuedSave(request.payload.id);
+      return { success: true };
+    
+    case 'RECORD_SAVED_PAGE':
+      await noteSavedPage(request.payload.page);
+      return { success: true };
+    
+    case 'GET_CARD_SELECTORS':
+      return { cards: getExtractor(request.payload.url).cards || null };
+    
+    case 'CHECK_JOB_CARDS':
+      return { cards: await checkJobCards(request.payload.pageUrl, request.payload.cards) };
+    
+    case 'SAVE_JOB_CARD':
+      return { success: true, card: await saveJobCard(request.payload.pageUrl, request.payload.card, { force: request.payload.force }) };
+    
+    case 'START_BULK_CAPTURE':
+      return { success: true, run: await startBulkCapture(request.payload.windowId) };
+    
+    case 'RETRY_BULK_CAPTURE':
+      await retryBulkCapture(request.payload?.tabId ?? null);
+      return { success: true };
+    
+    case 'CLEAR_BULK_CAPTURE':
+      await clearBulkCapture();
+      return { success: true };
+    
+    case 'CHECK_STALE_APPLICATIONS':
+      await checkStaleApplications();
+      return { success: true };
+    
     default:
       throw new Error('Unknown request type: ' + request.type);
   }
@@ -72,35 +142,62 @@ async function handleNotionRequest(payload) {
     headers
   };
 
-  if (body && (method === 'POST' || method === 'PATCH')) {
+  if (body instanceof FormData) {
+    // File uploads - fetch sets the multipart boundary itself
+    delete headers['Content-Type'];
+    config.body = body;
+  } else if (body && (method === 'POST' || method === 'PATCH')) {
     config.body = JSON.stringify(body);
   }
 
-  const response = await fetch(url, config);
-  const data = await response.json();
+  let response;
+  try {
+    response = await fetch(url, config);
+  } catch (error) {
+    console.error('Notion request failed:', error);
+    throw createApiError('Could not reach Notion. Check your connection and try again.', 0);
+  }
+  
+  // Gateway errors may not return JSON
+  const data = await response.json().catch(() => ({}));
 
   if (!response.ok) {
     const errorMessage = data.message || `API Error: ${response.status}`;
     
     if (response.status === 401) {
-      throw new Error('Invalid Integration Secret. Please check your credentials.');
+      throw createApiError('Invalid Integration Secret. Please check your credentials.', 401);
     }
     if (response.status === 403) {
-      throw new Error('Access denied. Ensure the database is shared with your integration.');
+      throw createApiError('Access denied. Ensure the database is shared with your integration.', 403);
     }
     if (response.status === 404) {
-      throw new Error('Database not found. Please verify the Database ID.');
+      throw createApiError('Database not found. Please verify the Database ID.', 404);
     }
     if (response.status === 429) {
-      throw new Error('Rate limited. Please wait a moment and try again.');
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      throw createApiError('Rate limited. Please wait a moment and try again.', 429, isNaN(retryAfter) ? null : retryAfter);
     }
     
-    throw new Error(errorMessage);
+    throw createApiError(errorMessage, response.status);
   }
 
   return { success: true, data };
 }
 
+/**
+ * Create an error that carries the HTTP status of a failed API request
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status (0 when the request never completed)
+ * @param {number|null} retryAfter - Seconds to wait before retrying, if the API said so
+ * @returns {Error} Error with `status` and `retryAfter`
+ */
+function createApiError(message, status, retryAfter = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
 /**
  * Get active tab URL, title, location, and selected text
  * @returns {Promise<Object>} Tab information
@@ -112,28 +209,55 @@ async function getActiveTabInfo() {
     throw new Error('No active tab found');
   }
 
+  return readTabInfo(tab);
+}
+
+/**
+ * Read a tab's URL, title, posting details, location, and selected text
+ * @param {Object} tab - Tab to read (need not be active)
+ * @returns {Promise<Object>} Tab information
+ */
+async function readTabInfo(tab) {
+  const aliases = await loadLocationAliases();
   let location = '';
   let selectedText = '';
+  let workplaceHints = [];
+  let posting = normalizePosting({}, getExtractor(tab.url || ''), tab);
   
   // Try to extract location and selected text from the page
   try {
-    const url = tab.url || '';
-    // Skip chrome:// and other restricted pages
-    if (!url.startsWith('chrome://') && 
-        !url.startsWith('chrome-extension://') && 
-        !url.startsWith('about:') &&
-        !url.startsWith('edge://') &&
-        url !== '') {
+    if (canAccessPage(tab.url)) {
+      const [results, extractedPosting, compensationResults] = await Promise.all([
+        chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: extractLocationAndSelection,
+          args: [aliases.flatMap(entry => [entry.name, ...(entry.aliases || [])])]
+        }),
+        extractPosting(tab).catch(error => {
+          console.log('Could not run site extractor:', error.message);
+          return posting;
+        }),
+        chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          func: extractContent,
+          args: [{ compensationOnly: true }]
+        }).catch(error => {
+          console.log('Could not scan the page for pay:', error.message);
+          return null;
+        })
+      ]);
+      posting = extractedPosting;
+      posting.salary = mergeCompensation(posting.salary, compensationResults?.[0]?.result?.compensationLines);
       
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: extractLocationAndSelection
-      });
+      if (posting.salary) {
+        console.log(`💰 Compensation: ${posting.salary.text} → ${posting.salary.annualMin}–${posting.salary.annualMax} ${posting.salary.currency || ''} a year${posting.salary.equity ? ' + equity' : ''}`);
+      }
       
       if (results && results[0] && results[0].result) {
         const extracted = results[0].result;
         location = extracted.location || '';
         selectedText = extracted.selectedText || '';
+        workplaceHints = extracted.workplaceHints || [];
         
         if (location) {
           console.log('📍 Location extracted from page:', location);
@@ -151,71 +275,139 @@ async function getActiveTabInfo() {
     // Silently fail - these are optional
   }
 
-  // Parse LinkedIn-style titles: "Role Name | Company | LinkedIn"
-  let roleName = tab.title || '';
-  let companyName = '';
+  console.log(`📋 ${posting.source} posting${posting.structured ? ' (+ JSON-LD)' : ''}: role "${posting.role}", company "${posting.company}"`);
   
-  if (tab.title && tab.title.includes(' | ')) {
-    const parts = tab.title.split(' | ');
-    if (parts.length >= 2) {
-      roleName = parts[0].trim();
-      companyName = parts[1].trim();
-      console.log(`📋 Parsed title: "${tab.title}"`);
-      console.log(`   → Role: "${roleName}"`);
-      console.log(`   → Company: "${companyName}"`);
-      // If there's a third part that's just "LinkedIn" or similar, ignore it
-      if (parts.length === 3 && parts[2].toLowerCase().match(/^(linkedin|indeed|glassdoor)$/)) {
-        // Keep role and company as extracted
-      } else if (parts.length > 2) {
-        // If there are more parts, it might be structured differently
-        // Keep the first part as role, second as company
-      }
-    }
+  // Site extractors know exactly where the location is; the generic scan is a fallback
+  const { places, workModel } = readLocations(
+    [posting.location || location, ...(posting.locations || [])],
+    { aliases, remote: posting.remote, hints: workplaceHints }
+  );
+  if (places.length > 0 || workModel) {
+    console.log(`📍 Places: ${places.map(place => place.name).join(' | ') || 'none'}${workModel ? ` (${workModel})` : ''}`);
   }
   
   return {
     url: tab.url || '',
     title: tab.title || '',
-    roleName: roleName,
-    companyName: companyName,
-    location: location || '',
-    selectedText: selectedText || ''
+    roleName: posting.role,
+    companyName: posting.company,
+    location: posting.location || location || '',
+    selectedText: selectedText || '',
+    locations: posting.locations,
+    places,
+    workModel,
+    remote: workModel === 'remote',
+    salary: posting.salary,
+    employmentType: posting.employmentType,
+    postedDate: posting.postedDate,
+    validThrough: posting.validThrough,
+    description: posting.description,
+    source: posting.source,
+    structured: posting.structured
   };
 }
 
 /**
- * Extract location and selected text from page
+ * Check whether scripts can run on a page
+ * @param {string} url - Page URL
+ * @returns {boolean} Whether the page is scriptable
  */
-function extractLocationAndSelection() {
-  try {
-    let location = '';
-    let possibleLocations = [];
+function canAccessPage(url) {
+  return Boolean(url) &&
+    !url.startsWith('chrome://') &&
+    !url.startsWith('chrome-extension://') &&
+    !url.startsWith('about:') &&
+    !url.startsWith('edge://');
+}
+
+/**
+ * Run the site's extractor on a tab and merge in its JSON-LD JobPosting
+ * @param {Object} tab - Tab to read
+ * @returns {Promise<Object>} Normalized posting details
+ */
+async function extractPosting(tab) {
+  const extractor = getExtractor(tab.url || '');
+  
+  // Runs even without site selectors - every page may carry JSON-LD
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: collectPostingFields,
+    args: [extractor.selectors]
+  });
+  const { jsonLd, ...raw } = results?.[0]?.result || {};
+  const { posting: structured } = readJobPosting(jsonLd);
+  
+  return normalizePosting(raw, extractor, tab, structured);
+}
+
+/**
+ * Collect raw text for each posting field - runs in page context
+ * Must be a standalone function for chrome.scripting.executeScript
+ * @param {Object} selectors - Selector lists per field (see lib/extractors.js)
+ * @returns {Object} Raw text per field, plus `jsonLd` with the text of every ld+json script
+ */
+function collectPostingFields(selectors) {
+  const readSelector = (selector) => {
+    if (selector.startsWith('label:')) {
+      const label = selector.slice(6).toLowerCase();
+      const candidates = document.querySelectorAll('h2, h3, h4, dt, label, span, div, p');
+      for (const element of candidates) {
+        if (element.children.length === 0 && element.textContent.trim().toLowerCase() === label) {
+          const next = element.nextElementSibling || element.parentElement?.nextElementSibling;
+          if (next) return next.innerText || next.textContent || '';
+        }
+      }
+      return '';
+    }
+    
+    if (selector.startsWith('all:')) {
+      return Array.from(document.querySelectorAll(selector.slice(4)))
+        .map(element => (element.innerText || element.textContent || '').trim())
+        .filter(Boolean)
+        .join(' · ');
+    }
     
-    // 1. Try structured data
-    const ldJson = document.querySelector('script[type="application/ld+json"]');
-    if (ldJson && ldJson.textContent) {
+    const [query, attribute] = selector.split('@');
+    const element = document.querySelector(query);
+    if (!element) return '';
+    return attribute
+      ? element.getAttribute(attribute) || ''
+      : element.innerText || element.textContent || '';
+  };
+  
+  const fields = {};
+  for (const [field, fieldSelectors] of Object.entries(selectors)) {
+    for (const selector of fieldSelectors) {
       try {
-        const data = JSON.parse(ldJson.textContent);
-        if (data['@type'] === 'JobPosting' && data.jobLocation) {
-          const jobLoc = data.jobLocation;
-          if (typeof jobLoc === 'string') {
-            possibleLocations.push(jobLoc);
-          } else if (jobLoc.address) {
-            if (typeof jobLoc.address === 'string') {
-              possibleLocations.push(jobLoc.address);
-            } else if (jobLoc.address.addressLocality || jobLoc.address.addressRegion) {
-              possibleLocations.push([jobLoc.address.addressLocality, jobLoc.address.addressRegion]
-                .filter(Boolean)
-                .join(', '));
-            }
-          }
+        const text = readSelector(selector).trim();
+        if (text) {
+          fields[field] = text;
+          break;
         }
       } catch (e) {
-        // Ignore
+        // Invalid selector for this page - try the next one
       }
     }
+  }
+  
+  fields.jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+    .map(script => script.textContent || '');
+  return fields;
+}
+
+/**
+ * Extract location and selected text from page
+ * @param {Array<string>} knownPlaces - Place names and aliases from the location alias table
+ * @returns {Object} { location, selectedText, workplaceHints }
+ */
+function extractLocationAndSelection(knownPlaces = []) {
+  try {
+    let location = '';
+    let possibleLocations = [];
+    
+    // Structured data (JSON-LD) is handled by extractPosting in the service worker
     
-    // 2. Try meta tags
+    // 1. Try meta tags
     const getMeta = (name) => {
       const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
       return el ? (el.content || '') : '';
@@ -223,7 +415,7 @@ function extractLocationAndSelection() {
     const metaLocation = getMeta('location') || getMeta('job:location') || getMeta('og:location');
     if (metaLocation) possibleLocations.push(metaLocation);
     
-    // 3. LinkedIn-specific extraction
+    // 2. LinkedIn-specific extraction
     // LinkedIn shows location in specific places - be more targeted
     const linkedinLocationElement = document.querySelector('.jobs-unified-top-card__bullet, .job-details-jobs-unified-top-card__primary-description-without-tagline');
     if (linkedinLocationElement) {
@@ -244,7 +436,7 @@ function extractLocationAndSelection() {
       }
     }
     
-    // 4. Try common selectors
+    // 3. Try common selectors
     const locationSelectors = [
       '.job-location',
       '.location',
@@ -264,7 +456,7 @@ function extractLocationAndSelection() {
       }
     }
     
-    // 5. Pattern matching in visible text for city, state patterns
+    // 4. Pattern matching in visible text for city, state patterns
     const bodyText = document.body ? document.body.innerText.substring(0, 5000) : '';
     const cityStatePattern = /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*),\s*([A-Z]{2})\b/g;
     let match;
@@ -272,7 +464,7 @@ function extractLocationAndSelection() {
       possibleLocations.push(match[0]);
     }
     
-    // 6. Filter and prioritize locations
+    // 5. Filter and prioritize locations
     console.log('All possible locations found:', possibleLocations);
     
     // Extract selected text first
@@ -286,13 +478,21 @@ function extractLocationAndSelection() {
       console.log('Could not get selection:', e);
     }
     
+    // Short workplace labels ("Hybrid", "Remote (US)") - lib/locations.js reads the work model from them
+    const workplaceHints = Array.from(document.querySelectorAll('span, li, dd, div, p'))
+      .filter(element => element.children.length === 0 && !element.closest('nav, header, footer, aside'))
+      .map(element => (element.textContent || '').trim())
+      .filter(text => text.length > 0 && text.length < 40 && /\b(remote|hybrid|on-?site|in[- ]office|in[- ]person)\b/i.test(text))
+      .slice(0, 10);
+    
     // First pass: Look for explicit city, state format
     for (const loc of possibleLocations) {
       if (/[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*,\s*[A-Z]{2}\b/.test(loc)) {
         console.log('Found city, state format:', loc);
         return {
           location: loc,
-          selectedText: selectedText
+          selectedText: selectedText,
+          workplaceHints
         };
       }
     }
@@ -305,26 +505,26 @@ function extractLocationAndSelection() {
         console.log('Extracted from sentence:', extracted, 'from:', loc);
         return {
           location: extracted,
-          selectedText: selectedText
+          selectedText: selectedText,
+          workplaceHints
         };
       }
     }
     
-    // Third pass: Look for well-known city names
-    const majorCities = [
-      'New York', 'San Francisco', 'Los Angeles', 'Chicago', 'Boston', 
-      'Seattle', 'Austin', 'Denver', 'Portland', 'Miami', 'Atlanta',
-      'Dallas', 'Houston', 'Philadelphia', 'Phoenix', 'San Diego',
-      'Washington', 'London', 'Paris', 'Berlin', 'Tokyo', 'Singapore'
-    ];
+    // Third pass: Look for places from the location alias table (whole words, so "LA" isn't found in "LAX")
+    const knownPlacePatterns = knownPlaces.map(place => ({
+      place,
+      pattern: new RegExp(`(^|[^A-Za-z])${place.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^A-Za-z])`)
+    }));
     
     for (const loc of possibleLocations) {
-      for (const city of majorCities) {
-        if (loc.includes(city)) {
-          console.log('Found major city:', city, 'in:', loc);
+      for (const { place, pattern } of knownPlacePatterns) {
+        if (pattern.test(loc)) {
+          console.log('Found known place:', place, 'in:', loc);
           return {
             location: loc,
-            selectedText: selectedText
+            selectedText: selectedText,
+            workplaceHints
           };
         }
       }
@@ -341,7 +541,8 @@ function extractLocationAndSelection() {
       console.log('Using first non-workplace type location:', nonWorkplaceTypes[0]);
       return {
         location: nonWorkplaceTypes[0],
-        selectedText: selectedText
+        selectedText: selectedText,
+        workplaceHints
       };
     }
     
@@ -350,7 +551,8 @@ function extractLocationAndSelection() {
       console.log('Fallback to first location:', possibleLocations[0]);
       return {
         location: possibleLocations[0],
-        selectedText: selectedText
+        selectedText: selectedText,
+        workplaceHints
       };
     }
     
@@ -358,74 +560,85 @@ function extractLocationAndSelection() {
     
     return {
       location: '',
-      selectedText: selectedText
+      selectedText: selectedText,
+      workplaceHints
     };
   } catch (e) {
     return {
       location: '',
-      selectedText: ''
+      selectedText: '',
+      workplaceHints: []
     };
   }
 }
 
 /**
- * Proxy OpenAI API requests
- * @param {Object} payload - Request configuration
- * @returns {Promise<Object>} API response
+ * Proxy chat requests to the configured LLM provider
+ * @param {Object} payload - { messages, settings, responseSchema } (settings resolved by lib/llm-providers.js)
+ * @returns {Promise<Object>} { success, data: { content } }
  */
-async function handleOpenAIRequest(payload) {
-  const { messages, apiKey } = payload;
+async function handleLLMRequest(payload) {
+  const { messages, settings, responseSchema = null } = payload;
   
-  if (!apiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  console.log('Making OpenAI request...');
-
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages,
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    })
-  });
+  if (!settings || (settings.requiresKey && !settings.apiKey)) {
+    throw new Error(`${settings?.name || 'AI provider'} API key not configured`);
+  }
+
+  console.log(`Making ${settings.name} request (${settings.model} at ${settings.baseUrl})...`);
 
-  const data = await response.json();
-  console.log('OpenAI response status:', response.status);
+  let { response, data } = await sendLLMRequest(settings, messages, responseSchema);
+
+  // Some OpenAI-compatible servers don't support json_schema - fall back to JSON mode
+  // (the answer is still validated against the schema)
+  if (response.status === 400 && responseSchema && settings.format === 'openai') {
+    console.log('Structured output rejected, retrying in JSON mode:', data.error?.message || data.error);
+    ({ response, data } = await sendLLMRequest(settings, messages, null));
+  }
 
   if (!response.ok) {
-    const errorMessage = data.error?.message || `API Error: ${response.status}`;
-    
-    if (response.status === 401) {
-      throw new Error('Invalid OpenAI API key. Please check your credentials.');
-    }
-    if (response.status === 429) {
-      throw new Error('Rate limited. Please wait a moment and try again.');
-    }
-    if (response.status === 402) {
-      throw new Error('OpenAI billing issue. Please check your account.');
-    }
-    
-    throw new Error(errorMessage);
+    throw new Error(getProviderErrorMessage(settings, response.status, data));
   }
 
-  return { success: true, data };
+  return { success: true, data: { content: readChatResponse(settings.format, data) } };
+}
+
+/**
+ * Send one chat request to the provider
+ * @param {Object} settings - Resolved settings
+ * @param {Array} messages - Chat messages
+ * @param {Object|null} responseSchema - JSON Schema to constrain the answer to
+ * @returns {Promise<{response: Response, data: Object}>} Response and its parsed body
+ */
+async function sendLLMRequest(settings, messages, responseSchema) {
+  const { url, options } = buildChatRequest(settings, messages, responseSchema);
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (e) {
+    // Missing host permission or nothing listening at the base URL
+    throw new Error(`Could not reach ${settings.baseUrl}. Check the URL and that the server is running.`);
+  }
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Non-JSON body (e.g. a proxy error page)
+  }
+  console.log(`${settings.name} response status:`, response.status);
+
+  return { response, data };
 }
 
 /**
  * Extract page content from active tab
+ * @param {Object|null} targetTab - Tab to read (defaults to the active tab)
  * @returns {Promise<Object>} Page content
  */
-async function getPageContent() {
+async function getPageContent(targetTab = null) {
   console.log('Getting page content...');
   
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const [tab] = targetTab ? [targetTab] : await chrome.tabs.query({ active: true, currentWindow: true });
   
   if (!tab || !tab.id) {
     throw new Error('No active tab found');
@@ -434,24 +647,61 @@ async function getPageContent() {
   console.log('Tab URL:', tab.url);
 
   // Check if we can access this tab
-  const url = tab.url || '';
-  if (url.startsWith('chrome://') || 
-      url.startsWith('chrome-extension://') || 
-      url.startsWith('about:') ||
-      url.startsWith('edge://') ||
-      url === '') {
+  if (!canAccessPage(tab.url || '')) {
     throw new Error('Cannot access content on this page');
   }
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    func: extractContent
-  });
+  const [results, posting] = await Promise.all([
+    chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: extractContent
+    }),
+    extractPosting(tab).catch(error => {
+      console.log('Could not run site extractor:', error.message);
+      return null;
+    })
+  ]);
 
     console.log('Script executed, results:', results ? 'received' : 'null');
 
     if (results && results[0] && results[0].result) {
       const content = results[0].result;
+      
+      // Only JobPosting nodes go to the AI - other blocks (breadcrumbs, Organization) are noise
+      const { nodes } = readJobPosting(content.jsonLd);
+      delete content.jsonLd;
+      delete content.markdown;
+      content.structuredData = nodes.length === 0 ? null : nodes.length === 1 ? nodes[0] : nodes;
+      
+      // Pay found in the page text fills in for (or adds equity to) the extractor's salary
+      const compensation = mergeCompensation(posting?.salary || null, content.compensationLines);
+      delete content.compensationLines;
+      if (posting) {
+        posting.salary = compensation;
+      } else if (compensation) {
+        content.compensation = compensation;
+      }
+      
+      if (posting) {
+        const { description, ...details } = posting;
+        const { places, workModel } = readLocations(
+          [posting.location || content.location, ...(posting.locations || [])],
+          { aliases: await loadLocationAliases(), remote: posting.remote }
+        );
+        content.posting = { ...details, places: places.map(place => place.name), workModel };
+        if (posting.location && !content.location) {
+          content.location = posting.location;
+        }
+        
+        // The extractor's description is the posting itself, without page chrome
+        if (description && description.length > 200) {
+          const maxLength = 12000;
+          content.content = description.length > maxLength
+            ? description.substring(0, maxLength) + '... [truncated]'
+            : description;
+        }
+      }
+      
       console.log('=== EXTRACTED CONTENT DEBUG ===');
       console.log('Title:', content.title);
       console.log('URL:', content.url);
@@ -473,11 +723,180 @@ async function getPageContent() {
   throw new Error('Failed to extract page content');
 }
 
+/**
+ * Capture a tab's main content as Markdown (for page body snapshots)
+ * @param {Object|null} targetTab - Tab to capture (defaults to the active tab)
+ * @returns {Promise<string>} Markdown, or '' if the page can't be read
+ */
+async function capturePostingMarkdown(targetTab = null) {
+  const [tab] = targetTab ? [targetTab] : await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || !canAccessPage(tab.url || '')) {
+    return '';
+  }
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: extractContent,
+    args: [{ markdown: true }]
+  });
+
+  const markdown = results?.[0]?.result?.markdown || '';
+  console.log(`📝 Captured ${markdown.length} characters of Markdown`);
+  return markdown;
+}
+
+/**
+ * Archive the active tab for a saved entry, as the profile asks
+ * An entry's first snapshot is kept, like page body snapshots
+ * @param {Object} options
+ * @param {NotionAPI} options.notionApi - API with the profile's credentials
+ * @param {Object} options.profile - Profile
+ * @param {Object} options.schema - Database schema
+ * @param {string|null} options.pageId - Saved page (null keeps the snapshot locally)
+ * @param {boolean} options.created - Whether the page was just created
+ * @param {string} options.title - Entry title, used in file names
+ * @param {Object|null} options.targetTab - Tab to archive (defaults to the active tab)
+ * @returns {Promise<Object|null>} { uploaded, local, reason }, or null if nothing was archived
+ */
+async function archivePage({ notionApi, profile, schema, pageId, created, title, targetTab = null }) {
+  const mode = getArchiveMode(profile);
+  if (mode === 'none') {
+    return null;
+  }
+
+  const [tab] = targetTab ? [targetTab] : await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || !canAccessPage(tab.url || '')) {
+    return null;
+  }
+
+  const hiddenFields = new Set(Array.isArray(profile.hiddenFields) ? profile.hiddenFields : []);
+  const field = pageId ? findSnapshotField(schema, profile.fieldBindings, hiddenFields) : null;
+
+  if (pageId && !created) {
+    const page = field ? await notionApi.getPage(pageId) : null;
+    if (page?.properties?.[field]?.files?.length > 0 || await hasLocalSnapshot(pageId)) {
+      console.log('Entry already has a snapshot - keeping it');
+      return null;
+    }
+  }
+
+  const files = await captureSnapshotFiles(tab, mode === 'page-screenshot', title);
+  if (files.length === 0) {
+    throw new Error('Could not capture the page');
+  }
+
+  return archiveSnapshot(notionApi, {
+    pageId,
+    field,
+    files,
+    entry: { url: tab.url, title }
+  });
+}
+
+/**
+ * Archive the active tab after a save made in the popup
+ * @param {Object} payload - { profileId, pageId, created, title }
+ * @returns {Promise<Object|null>} Archive result (see archivePage)
+ */
+async function archiveFromPopup({ profileId, pageId, created, title }) {
+  const { profiles } = await loadProfiles();
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile || getArchiveMode(profile) === 'none') {
+    return null;
+  }
+
+  const notionApi = new NotionAPI({ transport: handleNotionRequest });
+  await notionApi.loadCredentials(profile);
+  const schema = await getSchemaForHeadlessSave(notionApi);
+
+  return archivePage({ notionApi, profile, schema, pageId, created, title });
+}
+
+/**
+ * Capture a tab as snapshot files
+ * MHTML keeps images and styles; pages Chrome can't save that way fall back to HTML
+ * @param {Object} tab - Tab to capture
+ * @param {boolean} withScreenshot - Also capture the visible area as a PNG
+ * @param {string} title - Entry title, used in file names
+ * @returns {Promise<Array<{name: string, type: string, blob: Blob}>>} Captured files
+ */
+async function captureSnapshotFiles(tab, withScreenshot, title) {
+  const files = [];
+
+  try {
+    const mhtml = await chrome.pageCapture.saveAsMHTML({ tabId: tab.id });
+    files.push({ name: buildSnapshotFileName(title, 'mhtml'), type: 'multipart/related', blob: mhtml });
+  } catch (error) {
+    console.log('MHTML capture failed, saving HTML instead:', error.message);
+    const results = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: serializePage
+    });
+    const html = results?.[0]?.result;
+    if (html) {
+      files.push({ name: buildSnapshotFileName(title, 'html'), type: 'text/html', blob: new Blob([html], { type: 'text/html' }) });
+    }
+  }
+
+  // A screenshot shows whatever is visible, so it's skipped once the user has moved to another tab
+  const current = withScreenshot ? await chrome.tabs.get(tab.id).catch(() => null) : null;
+  if (current?.active) {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      const screenshot = await (await fetch(dataUrl)).blob();
+      files.push({ name: buildSnapshotFileName(title, 'png'), type: 'image/png', blob: screenshot });
+    } catch (error) {
+      console.log('Could not capture a screenshot:', error.message);
+    }
+  }
+
+  console.log(`📦 Captured ${files.map(file => `${file.name} (${Math.round(file.blob.size / 1024)} KB)`).join(', ')}`);
+  return files;
+}
+
+/**
+ * Serialize the page as self-contained HTML - runs in page context
+ * Scripts are dropped, same-origin stylesheets are inlined and a <base> keeps
+ * images and links pointing at the original site
+ * @returns {string} HTML document
+ */
+function serializePage() {
+  const root = document.documentElement.cloneNode(true);
+  root.querySelectorAll('script, noscript, iframe').forEach(element => element.remove());
+
+  let css = '';
+  for (const sheet of Array.from(document.styleSheets)) {
+    if (!sheet.href) continue; // <style> elements are already in the copy
+    try {
+      css += Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n') + '\n';
+    } catch (e) {
+      // Cross-origin stylesheets can't be read - their <link> stays
+    }
+  }
+
+  let head = root.querySelector('head');
+  if (!head) {
+    head = document.createElement('head');
+    root.prepend(head);
+  }
+  const base = document.createElement('base');
+  base.href = window.location.href;
+  head.prepend(base);
+  const style = document.createElement('style');
+  style.textContent = css;
+  head.appendChild(style);
+
+  return '<!DOCTYPE html>\n' + root.outerHTML;
+}
+
 /**
  * Content extraction function - runs in page context
  * Must be a standalone function for chrome.scripting.executeScript
+ * @param {Object} options
+ * @param {boolean} options.markdown - Also convert the main content to Markdown
+ * @param {boolean} options.compensationOnly - Only return the pay lines (for tab info)
  */
-function extractContent() {
+function extractContent(options = {}) {
   try {
     // Get main text content, prioritizing article/main content
     const selectors = [
@@ -500,6 +919,7 @@ function extractContent() {
     ];
 
     let mainContent = '';
+    let mainElement = null;
     let usedSelector = '';
     
     for (const selector of selectors) {
@@ -508,6 +928,7 @@ function extractContent() {
         const text = element.innerText.trim();
         if (text.length > mainContent.length) {
           mainContent = text;
+          mainElement = element;
           usedSelector = selector;
         }
       }
@@ -516,53 +937,110 @@ function extractContent() {
     // Fallback to body if no main content found or if content is very short
     if ((!mainContent || mainContent.length < 100) && document.body) {
       mainContent = document.body.innerText || '';
+      mainElement = document.body;
       usedSelector = 'body (fallback)';
     }
 
+    // Lines that state pay or equity - lib/compensation.js parses them outside the page
+    const payPattern = /(?:[$€£¥₹₩₪]|\b(?:USD|EUR|GBP|CAD|AUD|NZD|CHF|JPY|INR|SGD|SEK|NOK|DKK|PLN)\b)\s*\d|\d\s*(?:[kK]\s*)?(?:[$€£]|\b(?:USD|EUR|GBP|CAD|AUD|NZD|CHF|JPY|INR|SGD|SEK|NOK|DKK|PLN)\b)|\b(?:salary|compensation|pay range|base pay|hourly rate|wage)\b.*\d/i;
+    const equityPattern = /\b(?:equity|stock options?|share options?|RSUs?|ESOP)\b/i;
+    const compensationLines = mainContent.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && line.length < 300 && (payPattern.test(line) || equityPattern.test(line)))
+      .slice(0, 20);
+    
+    if (options.compensationOnly) {
+      return { compensationLines };
+    }
+
+    // Markdown of the main content: headings, paragraphs, lists, emphasis and links
+    let markdown = '';
+    if (options.markdown && mainElement) {
+      const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'NAV', 'FOOTER', 'ASIDE', 'FORM', 'BUTTON', 'IFRAME', 'INPUT', 'SELECT', 'TEXTAREA']);
+      const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'BLOCKQUOTE', 'TABLE', 'DL', 'FIGURE']);
+      
+      const wrap = (text, marker) => {
+        const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return core && !core.includes('\n') ? `${lead}${marker}${core}${marker}${trail}` : text;
+      };
+      
+      const walk = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          return '';
+        }
+        
+        // SVG tag names are lowercase
+        const tag = node.tagName.toUpperCase();
+        if (SKIP_TAGS.has(tag) || (tag === 'HEADER' && node.querySelector('nav'))) {
+          return '';
+        }
+        if (node.hidden || node.getAttribute('aria-hidden') === 'true' || getComputedStyle(node).display === 'none') {
+          return '';
+        }
+        
+        const inner = () => Array.from(node.childNodes).map(walk).join('');
+        
+        if (/^H[1-6]$/.test(tag)) {
+          const text = (node.innerText || '').replace(/\s+/g, ' ').trim();
+          return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+        if (tag === 'LI') {
+          const list = node.parentElement;
+          const marker = list?.tagName === 'OL' ? `${Array.from(list.children).indexOf(node) + 1}.` : '-';
+          return `\n${marker} ${inner().trim()}\n`;
+        }
+        if (tag === 'UL' || tag === 'OL') return `\n\n${inner()}\n\n`;
+        if (tag === 'BR') return '\n';
+        if (tag === 'TR') return `\n${inner()}\n`;
+        if (tag === 'PRE') return `\n\n${node.textContent}\n\n`;
+        if (tag === 'STRONG' || tag === 'B') return wrap(inner(), '**');
+        if (tag === 'EM' || tag === 'I') return wrap(inner(), '*');
+        if (tag === 'CODE') return wrap(inner(), '`');
+        if (tag === 'A') {
+          const text = inner();
+          const label = text.trim().replace(/[[\]]/g, '');
+          return /^https?:/.test(node.href) && label ? `[${label}](${node.href})` : text;
+        }
+        if (BLOCK_TAGS.has(tag)) return `\n\n${inner()}\n\n`;
+        return inner();
+      };
+      
+      markdown = walk(mainElement)
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+      
+      // Plenty for a posting; keeps runaway pages (feeds, forums) out of Notion
+      const maxMarkdown = 100000;
+      if (markdown.length > maxMarkdown) {
+        markdown = markdown.substring(0, maxMarkdown) + '\n\n... [truncated]';
+      }
+    }
+
     // Get meta information
     const getMeta = (name) => {
       const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
       return el ? (el.content || '') : '';
     };
 
-    // Extract structured data if available
-    let structuredData = null;
-    const ldJson = document.querySelector('script[type="application/ld+json"]');
-    if (ldJson && ldJson.textContent) {
-      try {
-        structuredData = JSON.parse(ldJson.textContent);
-      } catch (e) {
-        // Ignore parsing errors
-      }
-    }
+    // Raw JSON-LD - the service worker finds JobPosting data in every block
+    const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+      .map(script => script.textContent || '');
 
     // Extract job location
     let location = '';
     
-    // 1. Try structured data (schema.org JobPosting)
-    if (structuredData) {
-      if (structuredData['@type'] === 'JobPosting' && structuredData.jobLocation) {
-        const jobLoc = structuredData.jobLocation;
-        if (typeof jobLoc === 'string') {
-          location = jobLoc;
-        } else if (jobLoc.address) {
-          if (typeof jobLoc.address === 'string') {
-            location = jobLoc.address;
-          } else if (jobLoc.address.addressLocality || jobLoc.address.addressRegion) {
-            location = [jobLoc.address.addressLocality, jobLoc.address.addressRegion]
-              .filter(Boolean)
-              .join(', ');
-          }
-        }
-      }
-    }
-    
-    // 2. Try common meta tags
+    // 1. Try common meta tags
     if (!location) {
       location = getMeta('location') || getMeta('job:location') || getMeta('og:location');
     }
     
-    // 3. Try common selectors for job location
+    // 2. Try common selectors for job location
     if (!location) {
       const locationSelectors = [
         '.job-location',
@@ -590,7 +1068,7 @@ function extractContent() {
       }
     }
     
-    // 4. Try pattern matching in the page for common location patterns
+    // 3. Try pattern matching in the page for common location patterns
     if (!location) {
       const locationPatterns = [
         /Location[:\s]+([^•\n]{3,50})/i,
@@ -623,7 +1101,9 @@ function extractContent() {
       url: window.location.href || '',
       description: getMeta('description') || getMeta('og:description'),
       content: mainContent,
-      structuredData,
+      markdown,
+      jsonLd,
+      compensationLines,
       location: location || ''
     };
   } catch (e) {
@@ -632,7 +1112,9 @@ function extractContent() {
       url: window.location.href || '',
       description: '',
       content: document.body ? document.body.innerText.substring(0, 12000) : '',
-      structuredData: null,
+      markdown: '',
+      jsonLd: [],
+      compensationLines: [],
       location: ''
     };
   }
@@ -663,6 +1145,10 @@ chrome.commands.onCommand.addListener(async (command) => {
     case 'quick-save':
       await handleQuickSave();
       break;
+    
+    case 'save-all-tabs':
+      await handleSaveAllTabs();
+      break;
   }
 });
 
@@ -722,69 +1208,1513 @@ async function handleOpenPopup() {
   chrome.action.setBadgeText({ text: '!' });
   chrome.action.setBadgeBackgroundColor({ color: '#4285f4' });
   setTimeout(() => {
-    chrome.action.setBadgeText({ text: '' });
+    // Fall back to the pending save count
+    updateQueueBadge();
   }, 3000);
   console.log('Popup could not be opened - showing badge notification');
 }
 
+/**
+ * Send a message to the popup if it is open
+ * @param {Object} message - Message to send
+ * @returns {Promise<boolean>} Whether a popup received the message
+ */
+function sendToPopup(message) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(message, () => {
+        // lastError means no popup (or other listener) is open
+        resolve(!chrome.runtime.lastError);
+      });
+    } catch (error) {
+      resolve(false);
+    }
+  });
+}
+
 /**
  * Handle add details command
- * Sends message to popup if open, otherwise shows notification
+ * Sends message to popup if open, otherwise extracts and saves headlessly
  */
 async function handleAddDetails() {
-  // Try to send message to popup
-  // Note: This will only work if popup is already open
-  try {
-    chrome.runtime.sendMessage({ type: 'TRIGGER_ADD_DETAILS' }, (response) => {
-      if (chrome.runtime.lastError) {
-        // Popup not open or no listener
-        console.log('Popup not open for Add Details command');
-        showNotification('Please open the extension popup first, then use Ctrl+Shift+E');
-      } else {
-        console.log('Add Details triggered successfully');
-      }
-    });
-  } catch (error) {
-    console.error('Error handling Add Details command:', error);
-    showNotification('Please open the extension popup first, then use Ctrl+Shift+U');
+  const delivered = await sendToPopup({ type: 'TRIGGER_ADD_DETAILS' });
+  if (delivered) {
+    console.log('Add Details triggered successfully');
+    return;
   }
+
+  console.log('Popup not open for Add Details command - saving in background');
+  await runHeadlessSave({ withAI: true });
 }
 
 /**
  * Handle quick save command
- * Sends message to popup if open, otherwise shows notification
+ * Sends message to popup if open, otherwise saves headlessly
  */
 async function handleQuickSave() {
-  // Try to send message to popup
-  // Note: This will only work if popup is already open
-  try {
-    chrome.runtime.sendMessage({ type: 'TRIGGER_QUICK_SAVE' }, (response) => {
-      if (chrome.runtime.lastError) {
-        // Popup not open or no listener
-        console.log('Popup not open for Quick Save command');
-        showNotification('Please open the extension popup first, then use Ctrl+Shift+Y');
-      } else {
-        console.log('Quick Save triggered successfully');
-      }
-    });
-  } catch (error) {
-    console.error('Error handling Quick Save command:', error);
-        showNotification('Please open the extension popup first, then use Ctrl+Shift+Y');
+  const delivered = await sendToPopup({ type: 'TRIGGER_QUICK_SAVE' });
+  if (delivered) {
+    console.log('Quick Save triggered successfully');
+    return;
   }
+
+  console.log('Popup not open for Quick Save command - saving in background');
+  await runHeadlessSave({ withAI: false });
 }
 
+let headlessSaveInProgress = false;
+
 /**
- * Show a notification to the user
- * @param {string} message - Message to display
+ * Save the active tab to Notion without the popup
+ * Mirrors what the popup does: pre-fill from tab info, detect duplicates by URL,
+ * then create or update the page
+ * @param {Object} options
+ * @param {boolean} options.withAI - Also fill fields from page content using AI
  */
-function showNotification(message) {
-  // Try to show a badge as visual feedback
-  chrome.action.setBadgeText({ text: '!' });
+async function runHeadlessSave({ withAI = false } = {}) {
+  if (headlessSaveInProgress) {
+    console.log('Headless save already running - ignoring command');
+    return;
+  }
+  headlessSaveInProgress = true;
+
+  chrome.action.setBadgeText({ text: '…' });
   chrome.action.setBadgeBackgroundColor({ color: '#4285f4' });
-  setTimeout(() => {
-    chrome.action.setBadgeText({ text: '' });
-  }, 3000);
-  
-  // Also log to console for debugging
-  console.log('Notification:', message);
-}
+
+  try {
+    // Read once - the user may switch tabs during the slow AI and Notion calls
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      throw new Error('No active tab found');
+    }
+    const tabInfo = await readTabInfo(tab);
+    const profile = await resolveProfile(tabInfo.url);
+
+    const notionApi = new NotionAPI({ transport: handleNotionRequest });
+    await notionApi.loadCredentials(profile);
+    console.log(`Headless save using profile "${profile.name}"`);
+
+    const schema = await getSchemaForHeadlessSave(notionApi);
+    const hiddenFields = new Set(Array.isArray(profile.hiddenFields) ? profile.hiddenFields : []);
+
+    // Only a page saved under the same job URL is updated without asking;
+    // company and role matches are mentioned in the notification instead
+    const urlField = findUrlField(schema);
+    const candidates = await findDuplicateCandidates(notionApi, schema, tabInfo);
+    const existingPage = candidates.find(candidate => candidate.reason === 'url')?.page || null;
+    const similarPage = existingPage ? null : candidates[0]?.page;
+    const existingValues = existingPage ? parseNotionPage(existingPage, schema) : {};
+
+    // Defaults only fill fields that are empty, like the popup form does
+    const values = {};
+    const bindings = profile.fieldBindings || {};
+    const defaults = buildDefaultValues(schema, tabInfo, hiddenFields, bindings);
+    for (const [name, value] of Object.entries(defaults)) {
+      if (isEmptyValue(existingValues[name])) {
+        values[name] = value;
+      }
+    }
+
+    const companyLinks = await findCompanyRelationLinks(notionApi, schema, tabInfo, hiddenFields, bindings);
+    for (const [name, value] of Object.entries(companyLinks)) {
+      if (isEmptyValue(existingValues[name])) {
+        values[name] = value;
+      }
+    }
+
+    let rejectedSummary = '';
+    if (withAI) {
+      const llmHelper = new LLMHelper({ transport: handleLLMRequest });
+      const pageContent = await getPageContent(tab);
+      const { values: extracted, rejected } = await llmHelper.extractFields(schema, pageContent, hiddenFields);
+      if (rejected.length > 0) {
+        const [first] = describeRejections(rejected);
+        rejectedSummary = rejected.length === 1
+          ? `AI value rejected - ${first}`
+          : `${rejected.length} AI values rejected - ${first}, ...`;
+      }
+
+      for (const [name, value] of Object.entries(extracted)) {
+        const property = schema.properties[name];
+        if (!property || hiddenFields.has(name)) continue;
+        // Without the popup's review step, values already saved in Notion are left alone
+        if (!isEmptyValue(existingValues[name])) continue;
+
+        const coerced = coerceExtractedValue(property, value);
+        if (coerced !== undefined) {
+          values[name] = coerced;
+        }
+      }
+    }
+
+    const entryTitle = tabInfo.roleName || tabInfo.title || 'Untitled';
+    const { properties, transition } = addSaveHistory(profile, schema, formatProperties(schema, values, hiddenFields), existingValues);
+
+    if (existingPage && Object.keys(properties).length === 0) {
+      showNotification('This page is already saved in Notion', {
+        title: 'Already saved',
+        pageUrl: getNotionPageUrl(existingPage.id)
+      });
+      return;
+    }
+
+    const markdown = getPageBodyMode(profile) === 'posting'
+      ? await capturePostingMarkdown(tab).catch(error => {
+        console.log('Could not capture the posting:', error.message);
+        return '';
+      })
+      : '';
+    const blocks = buildPageBody(profile, tabInfo, markdown);
+
+    let savedPage;
+    try {
+      if (existingPage) {
+        console.log('Headless update of existing page:', existingPage.id);
+        savedPage = await notionApi.updatePage(existingPage.id, properties);
+      } else {
+        console.log('Headless create of new page');
+        savedPage = await notionApi.createPage(properties);
+      }
+      await noteSavedPage(savedPage);
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+
+      await queueSave({
+        profileId: profile.id,
+        pageId: existingPage?.id || null,
+        properties,
+        blocks,
+        title: entryTitle,
+        url: tabInfo.url,
+        urlField,
+        transition
+      }, error);
+      // A new entry's snapshot can't wait in the queue, so it's kept locally
+      if (!existingPage) {
+        await archivePage({ notionApi, profile, schema, pageId: null, created: true, title: entryTitle, targetTab: tab }).catch(archiveError => {
+          console.error('Could not archive the page:', archiveError);
+        });
+      }
+      showNotification(`${entryTitle} will be saved once Notion is reachable`, { title: 'Save queued' });
+      return;
+    }
+
+    const savedPageId = savedPage.id;
+    const problems = [rejectedSummary];
+    if (similarPage) {
+      problems.push(`Possible duplicate of "${getPageTitle(similarPage)}"`);
+    }
+    try {
+      await recordSaveHistory(notionApi, profile, savedPage, transition);
+    } catch (error) {
+      console.error('Could not record the status change:', error);
+      problems.push('The status change could not be recorded');
+    }
+    try {
+      await writePageBody(notionApi, savedPageId, blocks, !existingPage);
+    } catch (error) {
+      console.error('Could not write the page body:', error);
+      problems.push('The page body could not be written');
+    }
+
+    try {
+      const archived = await archivePage({ notionApi, profile, schema, pageId: savedPageId, created: !existingPage, title: entryTitle, targetTab: tab });
+      if (archived?.local > 0) {
+        problems.push(`Snapshot kept locally (${archived.reason})`);
+      }
+    } catch (error) {
+      console.error('Could not archive the page:', error);
+      problems.push('The snapshot could not be captured');
+    }
+    const detail = problems.filter(Boolean).join('. ');
+
+    showNotification(entryTitle, {
+      title: existingPage ? 'Updated in Notion' : 'Saved to Notion',
+      pageUrl: getNotionPageUrl(savedPageId),
+      detail
+    });
+  } catch (error) {
+    console.error('Headless save error:', error);
+
+    let message = error.message || 'Unknown error';
+    if (message === 'CREDENTIALS_NOT_CONFIGURED') {
+      message = 'Please configure your Notion credentials in settings';
+    } else if (message === 'AI_NOT_CONFIGURED') {
+      message = 'Please configure an AI provider in settings';
+    }
+    showNotification(message, { title: 'Save failed', isError: true });
+  } finally {
+    headlessSaveInProgress = false;
+  }
+}
+
+/**
+ * Get the database schema for a headless save
+ * Uses the cached schema regardless of age, fetching only if there is none
+ * @param {NotionAPI} notionApi - Notion API client with loaded credentials
+ * @returns {Promise<Object>} Database schema
+ */
+async function getSchemaForHeadlessSave(notionApi) {
+  const cachedSchema = await loadCachedSchema(notionApi.credentials.databaseId, Infinity);
+  if (cachedSchema) {
+    return cachedSchema;
+  }
+
+  const schema = await notionApi.getDatabase();
+  await cacheSchema(schema, notionApi.credentials.databaseId);
+  return schema;
+}
+
+/**
+ * Link company relations to the related page whose title matches the tab's company
+ * Only exact (case-insensitive) matches are linked - creating companies is left to the popup
+ * @param {NotionAPI} notionApi - Notion API client with loaded credentials
+ * @param {Object} schema - Database schema
+ * @param {Object} tabInfo - Tab info
+ * @param {Set} hiddenFields - Hidden field names to skip
+ * @param {Object} bindings - Field bindings from the profile
+ * @returns {Promise<Object>} Relation values keyed by property name
+ */
+async function findCompanyRelationLinks(notionApi, schema, tabInfo, hiddenFields, bindings = {}) {
+  const links = {};
+  if (!tabInfo.companyName) {
+    return links;
+  }
+
+  const relations = Object.entries(schema.properties)
+    .filter(([name, property]) => property.type === 'relation' && !hiddenFields.has(name));
+
+  for (const [name, property] of relations) {
+    try {
+      const relatedDatabaseId = property.relation.database_id;
+      const relatedSchema = await notionApi.getDatabase(relatedDatabaseId);
+      if (!isCompanyRelation(name, relatedSchema, bindings)) continue;
+
+      const pages = await notionApi.searchDatabaseByTitle(
+        relatedDatabaseId,
+        getTitlePropertyName(relatedSchema),
+        tabInfo.companyName
+      );
+      const match = pages.find(page =>
+        getPageTitle(page).toLowerCase() === tabInfo.companyName.toLowerCase()
+      );
+      if (match) {
+        console.log(`Linked company "${tabInfo.companyName}" in relation "${name}"`);
+        links[name] = [{ id: match.id }];
+      }
+    } catch (error) {
+      // A related database the integration can't see shouldn't block the save
+      console.warn(`Could not look up company relation "${name}":`, error.message);
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Check whether a parsed property value is empty
+ * @param {*} value - Parsed value
+ * @returns {boolean} Whether the value is empty
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Add the profile's status history to a save that isn't reviewed in the popup
+ * @param {Object} profile - Profile the save uses
+ * @param {Object} schema - Database schema
+ * @param {Object} properties - Properties payload about to be saved
+ * @param {Object} existingValues - Parsed values of the page being updated ({} for a new entry)
+ * @returns {Object} { properties, transition } - properties with the stage date added, and the
+ *   transition to record once the save goes through (null if nothing is recorded)
+ */
+function addSaveHistory(profile, schema, properties, existingValues = {}) {
+  const settings = profile.history;
+  if (!isHistoryEnabled(settings)) {
+    return { properties, transition: null };
+  }
+
+  const transition = getStatusTransition(settings, existingValues[settings.statusField] || '', getPayloadStatus(settings, properties));
+  return {
+    properties: transition ? addStageDate(settings, schema, properties, transition, existingValues) : properties,
+    transition
+  };
+}
+
+/**
+ * Write a saved status change to the page body log and Events database
+ * @param {Object} notionApi - NotionAPI with the profile's credentials
+ * @param {Object} profile - Profile the save used
+ * @param {Object} page - Page returned by the save
+ * @param {Object|null} transition - Transition from addSaveHistory
+ * @returns {Promise<void>}
+ */
+async function recordSaveHistory(notionApi, profile, page, transition) {
+  if (transition) {
+    await recordStatusTransition(notionApi, profile.history, page, transition);
+  }
+}
+
+/**
+ * Build the Notion URL for a page
+ * @param {string} pageId - Page ID
+ * @returns {string} Page URL
+ */
+function getNotionPageUrl(pageId) {
+  return `https://notion.so/${pageId.replace(/-/g, '')}`;
+}
+
+// ============================================
+// Save queue
+// ============================================
+
+const SAVE_QUEUE_ALARM = 'save-queue';
+const MIN_ALARM_DELAY = 30 * 1000; // Chrome won't fire alarms sooner
+
+let saveQueueLock = Promise.resolve();
+let saveQueueProcessing = false;
+
+/**
+ * Run a read-modify-write of the queue after any in-flight one finishes
+ * @param {Function} task - Async function that updates the queue
+ * @returns {Promise<*>} Task result
+ */
+function withSaveQueueLock(task) {
+  const run = saveQueueLock.then(task);
+  saveQueueLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queue a failed save for retry
+ * @param {Object} save - Save details (see createQueuedSave)
+ * @param {Object} error - Error that caused the failure ({ message, status, retryAfter })
+ * @returns {Promise<Object>} Queue item
+ */
+async function queueSave(save, error) {
+  const item = createQueuedSave(save, error);
+  await withSaveQueueLock(async () => {
+    const queue = await loadSaveQueue();
+    queue.push(item);
+    await storeSaveQueue(queue);
+  });
+
+  console.log('Queued save for retry:', item.title);
+  await scheduleSaveQueue();
+  return item;
+}
+
+/**
+ * Retry queued saves now
+ * @param {string} id - Queue item to retry, or all items when omitted
+ */
+async function retryQueuedSave(id = null) {
+  await withSaveQueueLock(async () => {
+    const queue = await loadSaveQueue();
+    queue.forEach(item => {
+      if (!id || item.id === id) {
+        item.nextAttemptAt = 0;
+        item.failed = false;
+      }
+    });
+    await storeSaveQueue(queue);
+  });
+
+  await processSaveQueue();
+}
+
+/**
+ * Remove a save from the queue without retrying it
+ * @param {string} id - Queue item ID
+ */
+async function discardQueuedSave(id) {
+  await withSaveQueueLock(async () => {
+    const queue = await loadSaveQueue();
+    await storeSaveQueue(queue.filter(item => item.id !== id));
+  });
+  await scheduleSaveQueue();
+}
+
+/**
+ * Retry every queued save that is due
+ * Stops at the first retryable failure so an unreachable or rate-limiting
+ * Notion isn't hit once per queued item
+ */
+async function processSaveQueue() {
+  if (saveQueueProcessing) {
+    return;
+  }
+  saveQueueProcessing = true;
+
+  try {
+    const due = (await loadSaveQueue())
+      .filter(item => !item.failed && item.nextAttemptAt <= Date.now());
+
+    for (const item of due) {
+      const outcome = await attemptQueuedSave(item);
+
+      await withSaveQueueLock(async () => {
+        const queue = await loadSaveQueue();
+        const index = queue.findIndex(queued => queued.id === item.id);
+        if (index === -1) return; // Discarded while we were saving
+
+        if (outcome.pageId) {
+          queue.splice(index, 1);
+        } else {
+          queue[index] = { ...queue[index], ...outcome.changes };
+        }
+        await storeSaveQueue(queue);
+      });
+
+      if (outcome.pageId) {
+        showNotification(item.title, {
+          title: 'Queued save completed',
+          pageUrl: getNotionPageUrl(outcome.pageId)
+        });
+      } else if (outcome.changes.failed) {
+        showNotification(`${item.title}: ${outcome.changes.lastError}`, {
+          title: 'Queued save failed',
+          isError: true
+        });
+      } else {
+        break;
+      }
+    }
+  } finally {
+    saveQueueProcessing = false;
+    await scheduleSaveQueue();
+  }
+}
+
+/**
+ * Try a queued save once
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} { pageId } on success, otherwise { changes } for the queue item
+ */
+async function attemptQueuedSave(item) {
+  try {
+    const { profiles } = await loadProfiles();
+    const profile = profiles.find(p => p.id === item.profileId);
+    if (!profile) {
+      throw new Error('The profile for this save no longer exists');
+    }
+
+    const notionApi = new NotionAPI({ transport: handleNotionRequest });
+    await notionApi.loadCredentials(profile);
+
+    // A create that timed out may have gone through - update it instead of saving twice
+    let pageId = item.pageId;
+    if (!pageId && item.url && item.urlField) {
+      const existingPage = await notionApi.findPageByUrl(item.url, item.urlField);
+      pageId = existingPage?.id || null;
+    }
+
+    const created = !pageId;
+    const savedPage = pageId
+      ? await notionApi.updatePage(pageId, item.properties)
+      : await notionApi.createPage(item.properties);
+    pageId = savedPage.id;
+    await noteSavedPage(savedPage);
+
+    // The save went through, so a failed body write isn't retried (a retry would save twice)
+    await writePageBody(notionApi, pageId, item.blocks, created).catch(error => {
+      console.error('Could not write the page body:', error);
+    });
+    await recordSaveHistory(notionApi, profile, savedPage, item.transition).catch(error => {
+      console.error('Could not record the status change:', error);
+    });
+
+    console.log('Queued save completed:', item.title);
+    return { pageId };
+  } catch (error) {
+    console.error('Queued save failed:', item.title, error);
+
+    const attempts = item.attempts + 1;
+    const retryable = isRetryableError(error);
+    return {
+      changes: {
+        attempts,
+        lastError: error.message,
+        failed: !retryable,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts, error.retryAfter)
+      }
+    };
+  }
+}
+
+/**
+ * Schedule the alarm for the next due queued save
+ */
+async function scheduleSaveQueue() {
+  const pending = (await loadSaveQueue()).filter(item => !item.failed);
+
+  if (pending.length === 0) {
+    await chrome.alarms.clear(SAVE_QUEUE_ALARM);
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...pending.map(item => item.nextAttemptAt));
+  chrome.alarms.create(SAVE_QUEUE_ALARM, {
+    when: Math.max(nextAttemptAt, Date.now() + MIN_ALARM_DELAY)
+  });
+}
+
+/**
+ * Show the number of queued saves on the action badge
+ * With nothing queued, the number of stale applications is shown instead
+ * @param {Array} queue - Current queue (loaded when omitted)
+ */
+async function updateQueueBadge(queue = null) {
+  const items = queue || await loadSaveQueue();
+  if (items.length > 0) {
+    const hasFailures = items.some(item => item.failed);
+    chrome.action.setBadgeText({ text: String(items.length) });
+    chrome.action.setBadgeBackgroundColor({ color: hasFailures ? '#e74c3c' : '#f39c12' });
+    return;
+  }
+  
+  const { count, hasMore } = summarizeStaleApplications(await loadStaleApplications());
+  chrome.action.setBadgeText({ text: count > 0 ? `${count}${hasMore ? '+' : ''}` : '' });
+  if (count > 0) {
+    chrome.action.setBadgeBackgroundColor({ color: '#8e44ad' });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SAVE_QUEUE_ALARM) {
+    processSaveQueue();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateQueueBadge();
+  scheduleSaveQueue();
+});
+
+onSaveQueueChanged(updateQueueBadge);
+onStaleApplicationsChanged(() => updateQueueBadge());
+
+// ============================================
+// Already-saved badge
+// ============================================
+
+// Saved index refreshes in flight, keyed by database ID
+const savedIndexSyncs = new Map();
+
+/**
+ * Get the saved index of a profile's database, refreshing it when it's stale
+ * A failed refresh falls back to the stale index
+ * @param {NotionAPI} notionApi - Notion API client with loaded credentials
+ * @returns {Promise<Object|null>} Saved index, or null if there is none
+ */
+async function getFreshSavedIndex(notionApi) {
+  const databaseId = notionApi.credentials.databaseId;
+  const index = await loadSavedIndex(databaseId);
+  if (index && Date.now() - index.syncedAt < INDEX_REFRESH_INTERVAL) {
+    return index;
+  }
+
+  // Tabs loading together share one refresh
+  if (!savedIndexSyncs.has(databaseId)) {
+    const sync = getSchemaForHeadlessSave(notionApi)
+      .then(schema => syncSavedIndex(notionApi, schema))
+      .finally(() => savedIndexSyncs.delete(databaseId));
+    savedIndexSyncs.set(databaseId, sync);
+  }
+
+  try {
+    return await savedIndexSyncs.get(databaseId);
+  } catch (error) {
+    console.log('Could not refresh the saved index:', error.message);
+    return index;
+  }
+}
+
+/**
+ * Show whether a tab's posting is already saved, with its status, on the action badge
+ * Tabs that aren't saved fall back to the global badge (pending save count)
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Tab URL
+ */
+async function updateSavedBadge(tabId, url) {
+  let entry = null;
+  if (/^https?:/.test(url || '')) {
+    try {
+      const profile = await resolveProfile(url);
+      const notionApi = new NotionAPI({ transport: handleNotionRequest });
+      await notionApi.loadCredentials(profile);
+      entry = lookupSavedUrl(await getFreshSavedIndex(notionApi), url);
+    } catch (error) {
+      // Not configured yet, or Notion is unreachable - leave the tab unbadged
+      console.log('Could not check whether the tab is saved:', error.message);
+    }
+  }
+
+  // The tab may have moved on while the index was refreshed
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || tab.url !== url) {
+    return;
+  }
+
+  if (!entry) {
+    // A null text falls back to the global badge; the color has no such reset, so copy the global one
+    const globalColor = await chrome.action.getBadgeBackgroundColor({});
+    chrome.action.setBadgeText({ tabId, text: null });
+    chrome.action.setBadgeBackgroundColor({ tabId, color: globalColor });
+    chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().name });
+    return;
+  }
+
+  chrome.action.setBadgeText({ tabId, text: getStatusBadge(entry.status) });
+  chrome.action.setBadgeBackgroundColor({ tabId, color: getStatusBadgeColor(entry.color) });
+  chrome.action.setTitle({ tabId, title: `Already saved: ${entry.title}${entry.status ? ` (${entry.status})` : ''}` });
+}
+
+/**
+ * Update the saved badge of the focused tab
+ */
+async function updateActiveTabBadge() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (tab?.id !== undefined) {
+    await updateSavedBadge(tab.id, tab.url);
+  }
+}
+
+/**
+ * Put a page that was just saved in the saved index and refresh the focused tab's badge
+ * Never throws - the badge is a convenience and must not fail a save
+ * @param {Object} page - Page returned by a create or update
+ */
+async function noteSavedPage(page) {
+  try {
+    await recordSavedPage(page);
+    await dropStaleApplications([page.id]);
+    await updateActiveTabBadge();
+  } catch (error) {
+    console.error('Could not record the saved page:', error);
+  }
+}
+
+// Check each page as it loads, including in-page navigation on job boards
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    updateSavedBadge(tabId, tab.url);
+  }
+});
+
+// ============================================
+// Job board overlay
+// ============================================
+
+/**
+ * Describe a saved index entry for the job board overlay
+ * @param {Object|null} entry - Entry from lookupSavedUrl
+ * @returns {Object|null} { title, status, color, pageUrl }
+ */
+function describeSavedEntry(entry) {
+  if (!entry) {
+    return null;
+  }
+  return {
+    title: entry.title,
+    status: entry.status,
+    color: getStatusBadgeColor(entry.color),
+    pageUrl: getNotionPageUrl(entry.pageId)
+  };
+}
+
+/**
+ * Look up the job cards of a search results page in the saved index
+ * Cards route to profiles by their job URL, like the tab badge
+ * @param {string} pageUrl - URL of the results page
+ * @param {Array} rawCards - Raw text per card (see the job board overlay)
+ * @returns {Promise<Array>} { url, saved } per card, in the same order (url '' if unreadable)
+ */
+async function checkJobCards(pageUrl, rawCards) {
+  const extractor = getExtractor(pageUrl);
+  const indexes = new Map(); // Saved index per database
+
+  const results = [];
+  for (const raw of rawCards || []) {
+    const card = normalizeCard(raw, extractor, pageUrl);
+    if (!card) {
+      results.push({ url: '', saved: null });
+      continue;
+    }
+
+    let saved = null;
+    try {
+      const profile = await resolveProfile(card.url);
+      const notionApi = new NotionAPI({ transport: handleNotionRequest });
+      await notionApi.loadCredentials(profile);
+
+      const databaseId = notionApi.credentials.databaseId;
+      if (!indexes.has(databaseId)) {
+        indexes.set(databaseId, await getFreshSavedIndex(notionApi));
+      }
+      saved = describeSavedEntry(lookupSavedUrl(indexes.get(databaseId), card.url));
+    } catch (error) {
+      console.log('Could not check a job card:', error.message);
+    }
+    results.push({ url: card.url, saved });
+  }
+  return results;
+}
+
+/**
+ * Save a job straight from its card on a search results page
+ * Fills what the card shows (role, company, location, pay) the way a headless
+ * save fills defaults; the page body and snapshot wait until the posting is
+ * opened and saved again
+ * @param {string} pageUrl - URL of the results page
+ * @param {Object} rawCard - Raw text of the card (see the job board overlay)
+ * @param {Object} options
+ * @param {boolean} options.force - Save even if an entry has the same company and role
+ * @returns {Promise<Object>} { url, saved } for the card, or { url, saved: null, similar }
+ *   when it wasn't saved because of a company and role match
+ */
+async function saveJobCard(pageUrl, rawCard, { force = false } = {}) {
+  const card = normalizeCard(rawCard, getExtractor(pageUrl), pageUrl);
+  if (!card) {
+    throw new Error('This card has no job link');
+  }
+
+  const profile = await resolveProfile(card.url);
+  const notionApi = new NotionAPI({ transport: handleNotionRequest });
+  await notionApi.loadCredentials(profile);
+  const schema = await getSchemaForHeadlessSave(notionApi);
+
+  const { places, workModel } = readLocations([card.location, ...card.locations], {
+    aliases: await loadLocationAliases(),
+    remote: card.remote
+  });
+  const tabInfo = {
+    url: card.url,
+    title: [card.role, card.company].filter(Boolean).join(' | '),
+    roleName: card.role,
+    companyName: card.company,
+    location: card.location,
+    selectedText: '',
+    locations: card.locations,
+    places,
+    workModel,
+    remote: workModel === 'remote',
+    salary: card.salary,
+    employmentType: card.employmentType,
+    postedDate: card.postedDate,
+    validThrough: '',
+    description: '',
+    source: card.source
+  };
+
+  // The card may be stale, or the job saved from the company's own site - don't save it twice
+  const candidates = await findDuplicateCandidates(notionApi, schema, tabInfo);
+  const existingPage = candidates.find(candidate => candidate.reason === 'url')?.page;
+  if (existingPage) {
+    await noteSavedPage(existingPage);
+  } else if (candidates.length > 0 && !force) {
+    const similarPage = candidates[0].page;
+    console.log(`Job card looks like "${getPageTitle(similarPage)}" - not saved`);
+    return {
+      url: card.url,
+      saved: null,
+      similar: { title: getPageTitle(similarPage), pageUrl: getNotionPageUrl(similarPage.id) }
+    };
+  } else {
+    const hiddenFields = new Set(Array.isArray(profile.hiddenFields) ? profile.hiddenFields : []);
+    const bindings = profile.fieldBindings || {};
+    const values = {
+      ...buildDefaultValues(schema, tabInfo, hiddenFields, bindings),
+      ...await findCompanyRelationLinks(notionApi, schema, tabInfo, hiddenFields, bindings)
+    };
+
+    console.log(`Saving job card: ${tabInfo.title || card.url}`);
+    const { properties, transition } = addSaveHistory(profile, schema, formatProperties(schema, values, hiddenFields));
+    const page = await notionApi.createPage(properties);
+    await noteSavedPage(page);
+    await recordSaveHistory(notionApi, profile, page, transition).catch(error => {
+      console.error('Could not record the status change:', error);
+    });
+  }
+
+  const entry = lookupSavedUrl(await getFreshSavedIndex(notionApi), card.url);
+  return { url: card.url, saved: describeSavedEntry(entry) };
+}
+
+// ============================================
+// Bulk capture
+// ============================================
+
+// Pause between tabs so a batch stays near Notion's average of three requests a second
+const BULK_TAB_DELAY = 1500;
+
+// Attempts per tab when Notion rate limits the batch
+const BULK_MAX_ATTEMPTS = 3;
+
+// How long to wait for a sleeping or loading tab
+const TAB_LOAD_TIMEOUT = 20 * 1000;
+
+let bulkCaptureRunning = false;
+
+/**
+ * Mark the tabs of a run cut short by a service worker restart as failed
+ * @returns {Promise<void>}
+ */
+async function recoverBulkCapture() {
+  const run = await loadBulkCapture();
+  if (!run?.running) {
+    return;
+  }
+  run.items = run.items.map(item => ['pending', 'saving'].includes(item.state)
+    ? { ...item, state: 'failed', message: 'Interrupted - retry to save it' }
+    : item);
+  run.running = false;
+  run.finishedAt = Date.now();
+  await storeBulkCapture(run);
+}
+
+// Runs once per worker start, before anything else touches the run
+const bulkCaptureRecovered = recoverBulkCapture().catch(error => {
+  console.error('Could not recover the bulk save:', error);
+});
+
+/**
+ * Wait for a pause
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Save every web page tab of a window that shows a job posting
+ * Runs in the background; progress is written to the bulk capture state
+ * @param {number} windowId - Window ID
+ * @returns {Promise<Object>} The new run
+ */
+async function startBulkCapture(windowId) {
+  await bulkCaptureRecovered;
+  if (bulkCaptureRunning) {
+    throw new Error('Job tabs are already being saved');
+  }
+  // Claimed before the next await, so a second trigger can't start an overlapping run
+  bulkCaptureRunning = true;
+
+  try {
+    if (!await hasBulkCaptureAccess()) {
+      // Only a click in an extension page can grant it
+      throw new Error('Click "Save all job tabs" in the popup once to allow reading your tabs, then try again');
+    }
+
+    const tabs = (await chrome.tabs.query({ windowId }))
+      .filter(tab => /^https?:/.test(tab.url || '') && !/^https:\/\/(www\.)?notion\.(so|site)\//.test(tab.url));
+    if (tabs.length === 0) {
+      throw new Error('No web pages are open in this window');
+    }
+
+    const run = createBulkCapture(windowId, tabs);
+    await storeBulkCapture(run);
+    console.log(`📚 Bulk save of ${tabs.length} tabs started`);
+    runBulkCapture();
+    return run;
+  } catch (error) {
+    bulkCaptureRunning = false;
+    throw error;
+  }
+}
+
+/**
+ * Save failed tabs of the last run again
+ * @param {number|null} tabId - Tab to retry, or null for every failed tab
+ */
+async function retryBulkCapture(tabId = null) {
+  await bulkCaptureRecovered;
+  if (bulkCaptureRunning) {
+    throw new Error('Job tabs are already being saved');
+  }
+  bulkCaptureRunning = true;
+
+  try {
+    const run = await loadBulkCapture();
+    if (!run) {
+      throw new Error('There is no bulk save to retry');
+    }
+    if (!await hasBulkCaptureAccess()) {
+      throw new Error('Reading your tabs is no longer allowed - click "Save all job tabs" in the popup to allow it again');
+    }
+    run.items = run.items.map(item => item.state === 'failed' && (tabId === null || item.tabId === tabId)
+      ? { ...item, state: 'pending', message: '' }
+      : item);
+    run.running = true;
+    run.finishedAt = null;
+    await storeBulkCapture(run);
+    runBulkCapture();
+  } catch (error) {
+    bulkCaptureRunning = false;
+    throw error;
+  }
+}
+
+/**
+ * Forget the last run
+ */
+async function clearBulkCapture() {
+  await bulkCaptureRecovered;
+  if (bulkCaptureRunning) {
+    throw new Error('Wait for the bulk save to finish');
+  }
+  await storeBulkCapture(null);
+}
+
+/**
+ * Apply changes to one item of the run
+ * @param {number} index - Item index
+ * @param {Object} changes - Item fields to change
+ */
+async function updateBulkItem(index, changes) {
+  const run = await loadBulkCapture();
+  if (!run?.items[index]) return;
+  run.items[index] = { ...run.items[index], ...changes };
+  await storeBulkCapture(run);
+}
+
+/**
+ * Save the pending tabs of the run one at a time, then report the result
+ */
+async function runBulkCapture() {
+  bulkCaptureRunning = true;
+  const context = {
+    schemas: new Map(), // Schema per database
+    savedKeys: new Set() // Jobs saved in this run, so duplicate tabs are skipped
+  };
+
+  try {
+    const run = await loadBulkCapture();
+    for (const item of run.items) {
+      if (item.state === 'saved') context.savedKeys.add(getJobKey(item.url));
+    }
+
+    for (const [index, item] of run.items.entries()) {
+      if (item.state !== 'pending') continue;
+
+      await updateBulkItem(index, { state: 'saving' });
+      const result = await captureBulkTab(item, context);
+      console.log(`📚 ${item.title}: ${result.state}${result.message ? ` (${result.message})` : ''}`);
+      await updateBulkItem(index, result);
+      await sleep(BULK_TAB_DELAY);
+    }
+  } catch (error) {
+    console.error('Bulk save error:', error);
+  } finally {
+    bulkCaptureRunning = false;
+  }
+
+  const run = await loadBulkCapture();
+  if (!run) return;
+  run.items = run.items.map(item => ['pending', 'saving'].includes(item.state)
+    ? { ...item, state: 'failed', message: item.message || 'Not saved' }
+    : item);
+  run.running = false;
+  run.finishedAt = Date.now();
+  await storeBulkCapture(run);
+
+  const summary = summarizeBulkCapture(run);
+  showNotification(`Saved ${summary.saved} of ${summary.total} tab${summary.total === 1 ? '' : 's'}`, {
+    title: 'Job tabs saved',
+    isError: summary.failed > 0 && summary.saved === 0,
+    detail: [
+      summary.skipped > 0 ? `${summary.skipped} skipped` : '',
+      summary.failed > 0 ? `${summary.failed} failed - retry from the popup` : ''
+    ].filter(Boolean).join(', ')
+  });
+}
+
+/**
+ * Save one tab of a run, retrying when Notion rate limits the batch
+ * @param {Object} item - Run item
+ * @param {Object} context - { schemas, savedKeys } shared by the run
+ * @returns {Promise<Object>} Item changes ({ state, message, pageId, url })
+ */
+async function captureBulkTab(item, context) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await saveBulkTab(item, context);
+    } catch (error) {
+      if (error.status === 429 && attempt < BULK_MAX_ATTEMPTS) {
+        const delay = (error.retryAfter || 2 ** attempt) * 1000;
+        console.log(`Rate limited, waiting ${delay / 1000}s before retrying ${item.title}`);
+        await sleep(delay);
+        continue;
+      }
+      return { state: 'failed', message: error.message || 'Unknown error' };
+    }
+  }
+}
+
+/**
+ * Get a tab once it has loaded, waking it first if the browser put it to sleep
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Loaded tab, or null if it was closed
+ */
+async function getLoadedTab(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || (!tab.discarded && tab.status === 'complete')) {
+    return tab;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('The tab did not finish loading'));
+    }, TAB_LOAD_TIMEOUT);
+    const listener = (updatedTabId, changeInfo, updatedTab) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve(updatedTab);
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+    if (tab.discarded) {
+      chrome.tabs.reload(tabId);
+    }
+  });
+}
+
+/**
+ * Save one tab as a new entry
+ * Fills properties like the keyboard shortcut save; tabs whose job is already
+ * in the database, or was saved from another tab of the run, are skipped
+ * @param {Object} item - Run item
+ * @param {Object} context - { schemas, savedKeys } shared by the run
+ * @returns {Promise<Object>} Item changes ({ state, message, pageId, url })
+ */
+async function saveBulkTab(item, { schemas, savedKeys }) {
+  const tab = await getLoadedTab(item.tabId);
+  if (!tab) {
+    return { state: 'failed', message: 'The tab was closed' };
+  }
+
+  const tabInfo = await readTabInfo(tab);
+  if (!isJobPosting(tabInfo)) {
+    return { state: 'skipped', message: 'Not a job posting', url: tab.url };
+  }
+
+  const jobKey = getJobKey(tab.url);
+  if (savedKeys.has(jobKey)) {
+    return { state: 'skipped', message: 'Same job as another tab', url: tab.url };
+  }
+
+  const profile = await resolveProfile(tab.url);
+  const notionApi = new NotionAPI({ transport: handleNotionRequest });
+  await notionApi.loadCredentials(profile);
+
+  const databaseId = notionApi.credentials.databaseId;
+  if (!schemas.has(databaseId)) {
+    schemas.set(databaseId, await getSchemaForHeadlessSave(notionApi));
+  }
+  const schema = schemas.get(databaseId);
+
+  const candidates = await findDuplicateCandidates(notionApi, schema, tabInfo);
+  const urlMatch = candidates.find(candidate => candidate.reason === 'url');
+  if (urlMatch) {
+    savedKeys.add(jobKey);
+    return {
+      state: 'skipped',
+      message: `Already saved as "${getPageTitle(urlMatch.page)}"`,
+      pageId: urlMatch.page.id,
+      url: tab.url
+    };
+  }
+
+  const hiddenFields = new Set(Array.isArray(profile.hiddenFields) ? profile.hiddenFields : []);
+  const bindings = profile.fieldBindings || {};
+  const values = {
+    ...buildDefaultValues(schema, tabInfo, hiddenFields, bindings),
+    ...await findCompanyRelationLinks(notionApi, schema, tabInfo, hiddenFields, bindings)
+  };
+
+  const { properties, transition } = addSaveHistory(profile, schema, formatProperties(schema, values, hiddenFields));
+  const page = await notionApi.createPage(properties);
+  savedKeys.add(jobKey);
+  await noteSavedPage(page);
+
+  const notes = [];
+  if (candidates.length > 0) {
+    notes.push(`Possible duplicate of "${getPageTitle(candidates[0].page)}"`);
+  }
+  try {
+    await recordSaveHistory(notionApi, profile, page, transition);
+  } catch (error) {
+    console.error('Could not record the status change:', error);
+    notes.push('The status change could not be recorded');
+  }
+
+  // The entry exists now, so body problems are noted rather than failing the tab
+  try {
+    const markdown = getPageBodyMode(profile) === 'posting' ? await capturePostingMarkdown(tab) : '';
+    await writePageBody(notionApi, page.id, buildPageBody(profile, tabInfo, markdown), true);
+  } catch (error) {
+    console.error('Could not write the page body:', error);
+    notes.push('The page body could not be written');
+  }
+
+  return { state: 'saved', message: notes.join('. '), pageId: page.id, url: tab.url };
+}
+
+/**
+ * Handle the save-all-tabs shortcut: save every job tab of the focused window
+ */
+async function handleSaveAllTabs() {
+  try {
+    const focusedWindow = await chrome.windows.getLastFocused();
+    const run = await startBulkCapture(focusedWindow.id);
+    showNotification(`Saving ${run.items.length} tab${run.items.length === 1 ? '' : 's'}…`, {
+      title: 'Saving job tabs',
+      detail: 'Open the popup to follow progress'
+    });
+  } catch (error) {
+    showNotification(error.message, { title: 'Could not save job tabs', isError: true });
+  }
+}
+
+// ============================================
+// Follow-up reminders
+// ============================================
+
+const REMINDER_CHECK_ALARM = 'reminder-check';
+const REMINDER_DUE_ALARM = 'reminder-due';
+
+// Entries fetched per query page (the most Notion returns)
+const REMINDER_PAGE_SIZE = 100;
+
+// More reminders due at once than this are shown as one notification
+const REMINDER_NOTIFICATION_LIMIT = 3;
+
+// Notification ID that opens the dashboard on click
+const DASHBOARD_NOTIFICATION_ID = 'dashboard';
+
+let reminderCheck = null;
+
+/**
+ * Check every profile's reminder rules, sharing a check that is already running
+ * @returns {Promise<void>}
+ */
+function checkReminders() {
+  if (!reminderCheck) {
+    reminderCheck = runReminderCheck()
+      .catch(error => console.error('Reminder check error:', error))
+      .finally(() => {
+        reminderCheck = null;
+      });
+  }
+  return reminderCheck;
+}
+
+/**
+ * Show the reminders that are due and schedule an alarm for the next one
+ */
+async function runReminderCheck() {
+  const { profiles } = await loadProfiles();
+  const log = await loadReminderLog();
+  const now = Date.now();
+  const due = [];
+  let nextDueAt = Infinity;
+
+  for (const profile of profiles) {
+    const rules = Array.isArray(profile.reminders) ? profile.reminders : [];
+    if (rules.length === 0) continue;
+
+    try {
+      const notionApi = new NotionAPI({ transport: handleNotionRequest });
+      await notionApi.loadCredentials(profile);
+      const schema = await getSchemaForHeadlessSave(notionApi);
+
+      for (const rule of rules) {
+        const problem = getReminderRuleProblem(rule, schema);
+        if (problem) {
+          console.warn(`⏰ Skipping reminder "${describeReminderRule(rule)}" of ${profile.name}: ${problem}`);
+          continue;
+        }
+
+        // Entries reminded about before keep matching, so every page is read
+        const filter = buildReminderFilter(rule, schema, now + REMINDER_CHECK_INTERVAL);
+        let startCursor = null;
+        do {
+          const result = await notionApi.queryDatabase(filter, {
+            pageSize: REMINDER_PAGE_SIZE,
+            sorts: [{ property: rule.dateField, direction: 'ascending' }],
+            startCursor
+          });
+          startCursor = result.has_more ? result.next_cursor : null;
+
+          for (const page of result.results || []) {
+            const date = page.properties[rule.dateField]?.date?.start;
+            const dueAt = date ? getReminderDueAt(date, rule.days) : NaN;
+            const key = date ? getReminderKey(rule, page.id, date) : '';
+            if (Number.isNaN(dueAt) || log[key]) continue;
+
+            if (dueAt <= now) {
+              due.push({ key, page, rule, profile, date });
+            } else {
+              nextDueAt = Math.min(nextDueAt, dueAt);
+            }
+          }
+        } while (startCursor);
+      }
+    } catch (error) {
+      console.error(`Could not check reminders of ${profile.name}:`, error);
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`⏰ ${due.length} follow-up reminder${due.length === 1 ? '' : 's'} due`);
+    showReminders(due, profiles.length > 1);
+    await logReminders(due.map(reminder => reminder.key));
+  }
+
+  if (Number.isFinite(nextDueAt)) {
+    chrome.alarms.create(REMINDER_DUE_ALARM, { when: Math.max(nextDueAt, Date.now() + MIN_ALARM_DELAY) });
+  } else {
+    await chrome.alarms.clear(REMINDER_DUE_ALARM);
+  }
+}
+
+/**
+ * Show notifications for due reminders
+ * A few are shown one by one (click opens the entry); more are summed up in one
+ * notification that opens the dashboard
+ * @param {Array} due - Due reminders ({ page, rule, profile, date })
+ * @param {boolean} nameProfiles - Mention each reminder's profile
+ */
+function showReminders(due, nameProfiles) {
+  if (due.length > REMINDER_NOTIFICATION_LIMIT) {
+    const titles = due.slice(0, REMINDER_NOTIFICATION_LIMIT).map(({ page }) => getPageTitle(page));
+    chrome.notifications.create(DASHBOARD_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+      title: `${due.length} follow-ups due`,
+      message: `${titles.join(', ')} and ${due.length - titles.length} more`,
+      contextMessage: 'Click to open the dashboard'
+    });
+    return;
+  }
+
+  for (const { page, rule, profile, date } of due) {
+    const status = rule.status ? ` and still ${rule.status}` : '';
+    // One notification per rule, so two rules due for the same entry don't replace each other
+    chrome.notifications.create(`${REMINDER_NOTIFICATION_PREFIX}${rule.id}:${page.url || getNotionPageUrl(page.id)}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+      title: `Follow up: ${getPageTitle(page)}`,
+      message: `${rule.days} day${rule.days === 1 ? '' : 's'} since ${rule.dateField} (${date.split('T')[0]})${status}`,
+      ...(nameProfiles ? { contextMessage: profile.name } : {})
+    });
+  }
+}
+
+/**
+ * Make sure the periodic reminder check is scheduled
+ * Alarms don't always survive a browser restart
+ */
+async function scheduleReminderChecks() {
+  const alarm = await chrome.alarms.get(REMINDER_CHECK_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(REMINDER_CHECK_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: REMINDER_CHECK_INTERVAL / 60000
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REMINDER_CHECK_ALARM || alarm.name === REMINDER_DUE_ALARM) {
+    checkReminders();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  checkReminders();
+});
+
+// Rules changed in the settings - apply them right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.profiles) return;
+  // The popup also writes profiles (hidden fields, field order), which doesn't affect reminders
+  const readRules = (profiles) => JSON.stringify((profiles || []).map(profile => [profile.id, profile.databaseId, profile.reminders]));
+  if (readRules(changes.profiles.oldValue) !== readRules(changes.profiles.newValue)) {
+    checkReminders();
+  }
+});
+
+scheduleReminderChecks();
+
+// ============================================
+// Stale applications
+// ============================================
+
+const STALE_CHECK_ALARM = 'stale-check';
+
+// Stale applications kept per profile (the oldest ones)
+const STALE_PAGE_LIMIT = 100;
+
+let staleCheck = null;
+
+/**
+ * Look for stale applications in every profile, sharing a check that is already running
+ * @returns {Promise<void>}
+ */
+function checkStaleApplications() {
+  if (!staleCheck) {
+    staleCheck = runStaleCheck()
+      .catch(error => console.error('Stale application check error:', error))
+      .finally(() => {
+        staleCheck = null;
+      });
+  }
+  return staleCheck;
+}
+
+/**
+ * Store the stale applications of every profile that flags them
+ * A profile that can't be checked keeps its previous results
+ */
+async function runStaleCheck() {
+  const { profiles } = await loadProfiles();
+  const previous = await loadStaleApplications();
+  const now = Date.now();
+  const stale = {};
+  
+  for (const profile of profiles) {
+    const settings = profile.stale;
+    if (!settings) continue;
+    
+    try {
+      const notionApi = new NotionAPI({ transport: handleNotionRequest });
+      await notionApi.loadCredentials(profile);
+      const schema = await getSchemaForHeadlessSave(notionApi);
+      
+      const problem = getStaleSettingsProblem(settings, schema);
+      if (problem) {
+        console.warn(`🕸️ Skipping stale applications of ${profile.name}: ${problem}`);
+        continue;
+      }
+      
+      const result = await notionApi.queryDatabase(buildStaleFilter(settings, schema, now), {
+        pageSize: STALE_PAGE_LIMIT,
+        sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }]
+      });
+      stale[profile.id] = {
+        checkedAt: now,
+        days: settings.days,
+        statusField: settings.statusField,
+        ghostedStatus: settings.ghostedStatus,
+        entries: (result.results || []).map(page => toStaleEntry(page, settings)),
+        hasMore: Boolean(result.has_more)
+      };
+    } catch (error) {
+      console.error(`Could not check stale applications of ${profile.name}:`, error);
+      if (previous[profile.id]) {
+        stale[profile.id] = previous[profile.id];
+      }
+    }
+  }
+  
+  await storeStaleApplications(stale);
+  const { count } = summarizeStaleApplications(stale);
+  console.log(`🕸️ ${count} stale application${count === 1 ? '' : 's'}`);
+}
+
+/**
+ * Make sure the periodic stale application check is scheduled
+ * Alarms don't always survive a browser restart
+ */
+async function scheduleStaleChecks() {
+  const alarm = await chrome.alarms.get(STALE_CHECK_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(STALE_CHECK_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: STALE_CHECK_INTERVAL / 60000
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === STALE_CHECK_ALARM) {
+    checkStaleApplications();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  checkStaleApplications();
+});
+
+// Settings changed - apply them right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.profiles) return;
+  const readSettings = (profiles) => JSON.stringify((profiles || []).map(profile => [profile.id, profile.databaseId, profile.stale]));
+  if (readSettings(changes.profiles.oldValue) !== readSettings(changes.profiles.newValue)) {
+    checkStaleApplications();
+  }
+});
+
+scheduleStaleChecks();
+
+// ============================================
+// Notifications
+// ============================================
+
+// Notification IDs that carry the Notion page URL to open on click
+const NOTIFICATION_PAGE_PREFIX = 'notion-page:';
+
+// Reminder notification IDs: the prefix, the rule ID and ':', then the page URL
+const REMINDER_NOTIFICATION_PREFIX = 'reminder:';
+
+/**
+ * Show a notification to the user
+ * Flashes the action badge and shows a system notification
+ * @param {string} message - Message to display
+ * @param {Object} options
+ * @param {string} options.title - Notification title
+ * @param {string} options.pageUrl - Notion page to open when the notification is clicked
+ * @param {boolean} options.isError - Whether this reports a failure
+ * @param {string} options.detail - Extra line shown under the message
+ */
+function showNotification(message, { title = 'Save to Tracker', pageUrl = '', isError = false, detail = '' } = {}) {
+  chrome.action.setBadgeText({ text: isError ? '!' : '✓' });
+  chrome.action.setBadgeBackgroundColor({ color: isError ? '#e74c3c' : '#2ecc71' });
+  setTimeout(() => {
+    // Fall back to the pending save count
+    updateQueueBadge();
+  }, 3000);
+
+  // The page URL rides along in the notification ID so clicks work after a worker restart
+  const notificationId = pageUrl ? `${NOTIFICATION_PAGE_PREFIX}${pageUrl}` : '';
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icon128.png'),
+    title,
+    message,
+    ...(detail ? { contextMessage: detail } : {})
+  });
+
+  console.log('Notification:', title, '-', message, detail ? `(${detail})` : '');
+}
+
+// Open the Notion page (or the dashboard) when a notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(NOTIFICATION_PAGE_PREFIX)) {
+    chrome.tabs.create({ url: notificationId.slice(NOTIFICATION_PAGE_PREFIX.length) });
+    chrome.notifications.clear(notificationId);
+  } else if (notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    const ruleAndUrl = notificationId.slice(REMINDER_NOTIFICATION_PREFIX.length);
+    chrome.tabs.create({ url: ruleAndUrl.slice(ruleAndUrl.indexOf(':') + 1) });
+    chrome.notifications.clear(notificationId);
+  } else if (notificationId === DASHBOARD_NOTIFICATION_ID) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    chrome.notifications.clear(notificationId);
+  }
+});
@@ -0,0 +1,256 @@
+/**
+ * Job Board Overlay
+ * Content script for LinkedIn and Indeed search results. Marks each job card
+ * that is already in the database with its status, and adds a Save button to
+ * the others. Card selectors come from lib/extractors.js via the service
+ * worker, which also does all Notion work.
+ */
+
+// Wait after the page changes before rescanning (infinite scroll, filters)
+const SCAN_DELAY = 500;
+
+// Marks cards the overlay has annotated, with the job link it was read from
+const CARD_LINK_ATTRIBUTE = 'data-tracker-link';
+
+let cardSelectors = null;
+let scanTimer = null;
+
+/**
+ * Send a message to the service worker
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @returns {Promise<Object>} Response
+ */
+function sendMessage(type, payload) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type, payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response?.error) {
+        reject(new Error(response.error));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Read one selector inside a card (syntax as in lib/extractors.js, without "label:")
+ * @param {Element} card - Card element
+ * @param {string} selector - Selector
+ * @returns {string} Text or attribute value
+ */
+function readCardSelector(card, selector) {
+  if (selector.startsWith('all:')) {
+    return Array.from(card.querySelectorAll(selector.slice(4)))
+      .map(element => (element.innerText || element.textContent || '').trim())
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  const [query, attribute] = selector.split('@');
+  const element = card.querySelector(query);
+  if (!element) return '';
+  return attribute
+    ? element.getAttribute(attribute) || ''
+    : element.innerText || element.textContent || '';
+}
+
+/**
+ * Read the raw text of every card field
+ * @param {Element} card - Card element
+ * @returns {Object} Raw text per field, including the job `link`
+ */
+function readCard(card) {
+  const fields = {};
+  for (const [field, selectors] of Object.entries(cardSelectors.selectors)) {
+    for (const selector of selectors) {
+      try {
+        const text = readCardSelector(card, selector).trim();
+        if (text) {
+          fields[field] = text;
+          break;
+        }
+      } catch (e) {
+        // Invalid selector for this page - try the next one
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Find the job cards on the page
+ * The first item selector that matches anything wins, so nested matches aren't doubled
+ * @returns {Array<Element>} Card elements
+ */
+function findCards() {
+  for (const selector of cardSelectors.item) {
+    const cards = Array.from(document.querySelectorAll(selector));
+    if (cards.length > 0) return cards;
+  }
+  return [];
+}
+
+/**
+ * Get the overlay element of a card, creating it if needed
+ * @param {Element} card - Card element
+ * @returns {Element} Overlay element
+ */
+function getOverlay(card) {
+  let overlay = card.querySelector(':scope > .tracker-overlay');
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'tracker-overlay';
+    // Keep clicks from opening the job behind the card
+    overlay.addEventListener('click', (event) => event.stopPropagation());
+    card.classList.add('tracker-card');
+    card.appendChild(overlay);
+  }
+  return overlay;
+}
+
+/**
+ * Show a card's saved status, or a Save button if it isn't saved
+ * @param {Element} card - Card element
+ * @param {Object} raw - Raw card text, sent back when saving
+ * @param {Object|null} saved - { title, status, color, pageUrl } from the service worker
+ * @param {Object|null} similar - { title, pageUrl } of an entry with the same company and role
+ */
+function renderCard(card, raw, saved, similar = null) {
+  const overlay = getOverlay(card);
+  overlay.innerHTML = '';
+
+  if (saved) {
+    const status = document.createElement('a');
+    status.className = 'tracker-status';
+    if (saved.pageUrl) {
+      status.href = saved.pageUrl;
+      status.target = '_blank';
+      status.rel = 'noopener';
+    }
+    status.style.backgroundColor = saved.color;
+    status.textContent = saved.status || 'Saved';
+    status.title = `Already saved: ${saved.title} - open in Notion`;
+    overlay.appendChild(status);
+    return;
+  }
+
+  // The job may already be saved from another site
+  if (similar) {
+    const link = document.createElement('a');
+    link.className = 'tracker-status tracker-similar';
+    link.href = similar.pageUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Similar';
+    link.title = `Possibly saved as "${similar.title}" - open in Notion`;
+    overlay.appendChild(link);
+  }
+
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'tracker-save';
+  saveBtn.textContent = similar ? '+ Save anyway' : '+ Save';
+  saveBtn.title = 'Save this job to Notion';
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving…';
+    try {
+      const { card: result } = await sendMessage('SAVE_JOB_CARD', { pageUrl: location.href, card: raw, force: Boolean(similar) });
+      if (result.similar) {
+        renderCard(card, raw, null, result.similar);
+        return;
+      }
+      renderCard(card, raw, result.saved || { title: raw.role || 'Untitled', status: '', color: '', pageUrl: '' });
+    } catch (error) {
+      console.error('Save to Tracker: could not save the job', error);
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Retry';
+      saveBtn.title = error.message;
+    }
+  });
+  overlay.appendChild(saveBtn);
+}
+
+/**
+ * Annotate the cards that are new or now show another job
+ * @param {boolean} recheck - Look up every card again (after the saved index changed)
+ */
+async function scanCards(recheck = false) {
+  const pending = [];
+  for (const card of findCards()) {
+    const raw = readCard(card);
+    if (!raw.link) continue;
+    // Virtualized lists reuse card elements for other jobs
+    if (!recheck && card.getAttribute(CARD_LINK_ATTRIBUTE) === raw.link) continue;
+    card.setAttribute(CARD_LINK_ATTRIBUTE, raw.link);
+    pending.push({ card, raw });
+  }
+  if (pending.length === 0) {
+    return;
+  }
+
+  try {
+    const { cards } = await sendMessage('CHECK_JOB_CARDS', {
+      pageUrl: location.href,
+      cards: pending.map(({ raw }) => raw)
+    });
+    pending.forEach(({ card, raw }, index) => {
+      if (cards[index]?.url && card.getAttribute(CARD_LINK_ATTRIBUTE) === raw.link) {
+        renderCard(card, raw, cards[index].saved);
+      }
+    });
+  } catch (error) {
+    // Not configured, or the extension was reloaded - leave the cards alone
+    console.log('Save to Tracker: could not check job cards -', error.message);
+    pending.forEach(({ card }) => card.removeAttribute(CARD_LINK_ATTRIBUTE));
+  }
+}
+
+/**
+ * Rescan shortly after the page stops changing
+ * @param {boolean} recheck - Look up every card again
+ */
+function scheduleScan(recheck = false) {
+  clearTimeout(scanTimer);
+  scanTimer = setTimeout(() => scanCards(recheck), SCAN_DELAY);
+}
+
+/**
+ * Start the overlay if the site has card selectors
+ */
+async function initOverlay() {
+  try {
+    ({ cards: cardSelectors } = await sendMessage('GET_CARD_SELECTORS', { url: location.href }));
+  } catch (error) {
+    console.log('Save to Tracker: overlay unavailable -', error.message);
+    return;
+  }
+  if (!cardSelectors) {
+    return;
+  }
+
+  scanCards();
+
+  // Our own overlay changes don't need a rescan
+  const isOverlay = (node) => node.nodeType === Node.ELEMENT_NODE && Boolean(node.closest('.tracker-overlay'));
+  new MutationObserver((mutations) => {
+    const external = mutations.some(mutation =>
+      !isOverlay(mutation.target) && !Array.from(mutation.addedNodes).every(isOverlay)
+    );
+    if (external) scheduleScan();
+  }).observe(document.body, { childList: true, subtree: true });
+
+  // Statuses changed in the popup or by an index refresh
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.savedIndex) {
+      scheduleScan(true);
+    }
+  });
+}
+
+initOverlay();
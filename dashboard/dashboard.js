@@ -0,0 +1,1112 @@
+/**
+ * Dashboard Script
+ * Full-tab view of a profile's database: every entry grouped by its status
+ * property as a list or a board, with search, filters, sorting and status
+ * changes from a picker or by dragging cards between columns. Stale
+ * applications found by the service worker can be moved to a "Ghosted" status.
+ * Status changes are written to the profile's status history.
+ */
+
+import { NotionAPI, formatDisplayValue, loadCachedSchema, cacheSchema } from '../lib/notion-api.js';
+import { loadProfiles } from '../lib/profiles.js';
+import { findStatusField, findUrlField } from '../lib/field-defaults.js';
+import { recordSavedPage, getStatusBadgeColor } from '../lib/saved-index.js';
+import {
+  getFilterOperators,
+  getGroupableFields,
+  getGroupOptions,
+  buildPipelineQuery,
+  loadPipelinePage,
+  groupPipelineEntries,
+  buildGroupUpdate,
+  toPipelineEntry
+} from '../lib/pipeline.js';
+import { loadStaleApplications, dropStaleApplications, onStaleApplicationsChanged, toStaleEntry } from '../lib/stale.js';
+import { getStatusTransition, addStageDate, recordStatusTransition } from '../lib/status-history.js';
+
+// DOM Elements
+const databaseName = document.getElementById('databaseName');
+const profileSelect = document.getElementById('profileSelect');
+const refreshBtn = document.getElementById('refreshBtn');
+const settingsBtn = document.getElementById('settingsBtn');
+const toolbar = document.getElementById('toolbar');
+const searchInput = document.getElementById('searchInput');
+const groupSelect = document.getElementById('groupSelect');
+const sortSelect = document.getElementById('sortSelect');
+const sortDirectionBtn = document.getElementById('sortDirectionBtn');
+const addFilterBtn = document.getElementById('addFilterBtn');
+const filterList = document.getElementById('filterList');
+const staleBanner = document.getElementById('staleBanner');
+const staleText = document.getElementById('staleText');
+const staleReviewBtn = document.getElementById('staleReviewBtn');
+const stalePanel = document.getElementById('stalePanel');
+const staleList = document.getElementById('staleList');
+const staleHint = document.getElementById('staleHint');
+const ghostBtn = document.getElementById('ghostBtn');
+const summary = document.getElementById('summary');
+const loadingState = document.getElementById('loadingState');
+const errorState = document.getElementById('errorState');
+const errorMessage = document.getElementById('errorMessage');
+const openSettingsBtn = document.getElementById('openSettingsBtn');
+const groupsContainer = document.getElementById('groups');
+const board = document.getElementById('board');
+const layoutButtons = document.querySelectorAll('.layout-btn');
+const loadMore = document.getElementById('loadMore');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const toast = document.getElementById('toast');
+
+// Storage key for the last profile and layout, and each database's grouping and sort
+const VIEW_KEY = 'dashboardView';
+
+// Wait after typing before querying again
+const SEARCH_DELAY = 300;
+
+// Property values shown under each entry's title
+const META_VALUE_LIMIT = 4;
+const META_TEXT_LENGTH = 60;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Property types Notion can sort by
+const SORTABLE_TYPES = new Set(['title', 'rich_text', 'number', 'select', 'status', 'multi_select', 'date', 'checkbox', 'url', 'email', 'phone_number', 'unique_id']);
+
+// State
+let profiles = []; // All database profiles
+let activeProfile = null; // Profile whose database is shown
+let notionApi = null;
+let databaseSchema = null;
+let entries = []; // Loaded entries, in query order
+let nextCursor = null; // Cursor for the next page of entries, null when all are loaded
+let groupField = null; // Status or select property entries are grouped by
+let sort = { key: 'last_edited_time', direction: 'descending' };
+let filters = []; // Filter rows ({ id, property, operator, value })
+let loadToken = 0; // Identifies the latest query, so slower earlier ones are ignored
+let searchTimer = null;
+let layout = 'list'; // 'list' or 'board'
+let loading = false; // Whether a new query is replacing the entries
+const pendingMoves = new Set(); // Entries whose move is being written to Notion
+let draggedEntryId = null; // Board card being dragged
+let staleResult = null; // Latest stale application check of the shown profile
+const staleSelection = new Set(); // Stale entries picked to be marked as ghosted
+let ghosting = false; // Whether picked entries are being moved
+
+/**
+ * Initialize the dashboard
+ */
+async function init() {
+  setupEventListeners();
+  
+  const [profileData, view] = await Promise.all([loadProfiles(), loadDashboardView()]);
+  profiles = profileData.profiles;
+  layout = view.layout === 'board' ? 'board' : 'list';
+  if (profiles.length === 0) {
+    showError('Please configure your Notion credentials to get started.');
+    return;
+  }
+  
+  const profile = profiles.find(p => p.id === view.profileId) ||
+    profiles.find(p => p.id === profileData.activeProfileId) ||
+    profiles[0];
+  renderProfileSelect(profile.id);
+  await openProfile(profile);
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  profileSelect.addEventListener('change', () => {
+    const profile = profiles.find(p => p.id === profileSelect.value);
+    if (profile) openProfile(profile);
+  });
+  refreshBtn.addEventListener('click', () => {
+    if (!activeProfile) return;
+    openProfile(activeProfile, true);
+    requestStaleCheck();
+  });
+  settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  openSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadEntries(), SEARCH_DELAY);
+  });
+  
+  groupSelect.addEventListener('change', () => {
+    groupField = groupSelect.value || null;
+    saveDashboardView();
+    renderEntries();
+  });
+  
+  sortSelect.addEventListener('change', () => {
+    sort = { ...sort, key: sortSelect.value };
+    saveDashboardView();
+    loadEntries();
+  });
+  
+  sortDirectionBtn.addEventListener('click', () => {
+    sort = { ...sort, direction: sort.direction === 'ascending' ? 'descending' : 'ascending' };
+    renderSortDirection();
+    saveDashboardView();
+    loadEntries();
+  });
+  
+  layoutButtons.forEach(button => {
+    button.addEventListener('click', () => setLayout(button.dataset.layout));
+  });
+  
+  addFilterBtn.addEventListener('click', addFilter);
+  loadMoreBtn.addEventListener('click', () => loadEntries(true));
+  
+  staleReviewBtn.addEventListener('click', toggleStalePanel);
+  ghostBtn.addEventListener('click', ghostStaleEntries);
+  onStaleApplicationsChanged((stale) => {
+    staleResult = activeProfile ? stale[activeProfile.id] || null : null;
+    renderStale();
+  });
+}
+
+/**
+ * Load the dashboard view settings
+ * @returns {Promise<Object>} { profileId, layout, databases } where databases maps a database ID to { groupField, sort }
+ */
+async function loadDashboardView() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([VIEW_KEY], (result) => {
+      resolve({ profileId: null, databases: {}, ...result[VIEW_KEY] });
+    });
+  });
+}
+
+/**
+ * Remember the shown profile and this database's grouping and sort
+ */
+async function saveDashboardView() {
+  if (!activeProfile) return;
+  
+  const view = await loadDashboardView();
+  view.profileId = activeProfile.id;
+  view.layout = layout;
+  if (notionApi?.credentials) {
+    view.databases[notionApi.credentials.databaseId] = { groupField, sort };
+  }
+  chrome.storage.local.set({ [VIEW_KEY]: view });
+}
+
+/**
+ * Fill the profile picker
+ * @param {string} selectedId - Profile to select
+ */
+function renderProfileSelect(selectedId) {
+  profileSelect.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name || 'Untitled';
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = selectedId;
+  profileSelect.classList.toggle('hidden', profiles.length < 2);
+}
+
+/**
+ * Show a profile's database
+ * @param {Object} profile - Profile to show
+ * @param {boolean} refreshSchema - Fetch the schema even if a cached copy is fresh
+ */
+async function openProfile(profile, refreshSchema = false) {
+  const profileChanged = activeProfile?.id !== profile.id;
+  activeProfile = profile;
+  databaseSchema = null;
+  showLoading();
+  if (profileChanged) {
+    staleSelection.clear();
+    stalePanel.classList.add('hidden');
+  }
+  loadStale();
+  
+  try {
+    notionApi = new NotionAPI();
+    await notionApi.loadCredentials(profile);
+  
+    const databaseId = notionApi.credentials.databaseId;
+    databaseSchema = refreshSchema ? null : await loadCachedSchema(databaseId);
+    if (!databaseSchema) {
+      databaseSchema = await notionApi.getDatabase();
+      await cacheSchema(databaseSchema, databaseId);
+    }
+  } catch (error) {
+    console.error('Error loading database:', error);
+    showError(error.message === 'CREDENTIALS_NOT_CONFIGURED'
+      ? `The "${profile.name || 'Untitled'}" profile has no Notion credentials yet.`
+      : `Could not load the database: ${error.message}`);
+    return;
+  }
+  
+  databaseName.textContent = (databaseSchema.title || []).map(part => part.plain_text).join('') || 'Untitled database';
+  
+  // Restore this database's view, dropping properties that no longer exist
+  const view = (await loadDashboardView()).databases[notionApi.credentials.databaseId] || {};
+  const groupable = getGroupableFields(databaseSchema);
+  groupField = groupable.includes(view.groupField) || (view.groupField === null && layout === 'list')
+    ? view.groupField
+    : findStatusField(databaseSchema) || groupable[0] || null;
+  sort = view.sort && isSortKey(view.sort.key) ? view.sort : { key: 'last_edited_time', direction: 'descending' };
+  filters = [];
+  
+  renderToolbar();
+  renderFilters();
+  saveDashboardView();
+  await loadEntries();
+}
+
+/**
+ * Check whether entries can be sorted by a key
+ * @param {string} key - Property name or timestamp type
+ * @returns {boolean} Whether the key is sortable
+ */
+function isSortKey(key) {
+  return ['last_edited_time', 'created_time'].includes(key) ||
+    SORTABLE_TYPES.has(databaseSchema?.properties?.[key]?.type);
+}
+
+/**
+ * Fill the group and sort pickers from the schema
+ */
+function renderToolbar() {
+  groupSelect.innerHTML = '';
+  for (const name of getGroupableFields(databaseSchema)) {
+    groupSelect.appendChild(new Option(name, name));
+  }
+  groupSelect.appendChild(new Option('No grouping', ''));
+  groupSelect.value = groupField || '';
+  
+  sortSelect.innerHTML = '';
+  sortSelect.appendChild(new Option('Last edited', 'last_edited_time'));
+  sortSelect.appendChild(new Option('Created', 'created_time'));
+  for (const [name, property] of Object.entries(databaseSchema.properties)) {
+    if (SORTABLE_TYPES.has(property.type)) {
+      sortSelect.appendChild(new Option(name, name));
+    }
+  }
+  sortSelect.value = sort.key;
+  renderSortDirection();
+  renderLayoutButtons();
+}
+
+/**
+ * Switch between the grouped list and the board
+ * @param {string} value - 'list' or 'board'
+ */
+function setLayout(value) {
+  layout = value;
+  if (layout === 'board' && !groupField) {
+    // The board needs columns
+    groupField = findStatusField(databaseSchema) || getGroupableFields(databaseSchema)[0] || null;
+    groupSelect.value = groupField || '';
+  }
+  renderLayoutButtons();
+  saveDashboardView();
+  if (!loading && databaseSchema) {
+    renderEntries();
+  }
+}
+
+/**
+ * Show the current layout on its buttons
+ * The board needs a group property, so "No grouping" is only offered in the list
+ */
+function renderLayoutButtons() {
+  const canBoard = getGroupableFields(databaseSchema).length > 0;
+  layoutButtons.forEach(button => {
+    button.classList.toggle('active', button.dataset.layout === (canBoard ? layout : 'list'));
+    button.disabled = button.dataset.layout === 'board' && !canBoard;
+  });
+  const noGrouping = groupSelect.querySelector('option[value=""]');
+  if (noGrouping) {
+    noGrouping.disabled = layout === 'board' && canBoard;
+  }
+}
+
+/**
+ * Show the sort direction on its button
+ */
+function renderSortDirection() {
+  const ascending = sort.direction === 'ascending';
+  sortDirectionBtn.textContent = ascending ? '↑' : '↓';
+  sortDirectionBtn.title = ascending ? 'Ascending - click for descending' : 'Descending - click for ascending';
+}
+
+/**
+ * Add an empty filter row for the first filterable property
+ */
+function addFilter() {
+  const property = Object.entries(databaseSchema?.properties || {})
+    .find(([, schemaProperty]) => getFilterOperators(schemaProperty.type).length > 0);
+  if (!property) return;
+  
+  filters.push({
+    id: crypto.randomUUID(),
+    property: property[0],
+    operator: getFilterOperators(property[1].type)[0].id,
+    value: ''
+  });
+  renderFilters();
+}
+
+/**
+ * Render the filter rows
+ */
+function renderFilters() {
+  filterList.innerHTML = '';
+  filters.forEach(filter => filterList.appendChild(createFilterRow(filter)));
+}
+
+/**
+ * Build the editor for one filter row
+ * @param {Object} filter - Filter row ({ id, property, operator, value })
+ * @returns {HTMLElement} Row element
+ */
+function createFilterRow(filter) {
+  const row = document.createElement('div');
+  row.className = 'filter-row';
+  
+  const property = databaseSchema.properties[filter.property];
+  const operators = getFilterOperators(property.type);
+  const operator = operators.find(candidate => candidate.id === filter.operator) || operators[0];
+  
+  const propertySelect = document.createElement('select');
+  propertySelect.className = 'form-input';
+  for (const [name, schemaProperty] of Object.entries(databaseSchema.properties)) {
+    if (getFilterOperators(schemaProperty.type).length > 0) {
+      propertySelect.appendChild(new Option(name, name));
+    }
+  }
+  propertySelect.value = filter.property;
+  propertySelect.addEventListener('change', () => {
+    const type = databaseSchema.properties[propertySelect.value].type;
+    updateFilter(filter.id, { property: propertySelect.value, operator: getFilterOperators(type)[0].id, value: '' }, true);
+  });
+  
+  const operatorSelect = document.createElement('select');
+  operatorSelect.className = 'form-input';
+  operators.forEach(candidate => operatorSelect.appendChild(new Option(candidate.label, candidate.id)));
+  operatorSelect.value = operator.id;
+  operatorSelect.addEventListener('change', () => {
+    updateFilter(filter.id, { operator: operatorSelect.value }, true);
+  });
+  
+  const valueInput = createFilterValueInput(filter, property, operator);
+  
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'filter-remove';
+  removeBtn.textContent = '×';
+  removeBtn.title = 'Remove filter';
+  removeBtn.addEventListener('click', () => {
+    filters = filters.filter(candidate => candidate.id !== filter.id);
+    renderFilters();
+    loadEntries();
+  });
+  
+  row.appendChild(propertySelect);
+  row.appendChild(operatorSelect);
+  row.appendChild(valueInput);
+  row.appendChild(removeBtn);
+  return row;
+}
+
+/**
+ * Build the value input a filter operator needs
+ * @param {Object} filter - Filter row
+ * @param {Object} property - Property schema
+ * @param {Object} operator - Operator ({ id, label, input })
+ * @returns {HTMLElement} Input element (an empty placeholder when the operator takes no value)
+ */
+function createFilterValueInput(filter, property, operator) {
+  if (operator.input === 'option') {
+    const select = document.createElement('select');
+    select.className = 'form-input';
+    select.appendChild(new Option('Choose…', ''));
+    getGroupOptions(property).forEach(option => select.appendChild(new Option(option.name, option.name)));
+    select.value = filter.value;
+    select.addEventListener('change', () => updateFilter(filter.id, { value: select.value }));
+    return select;
+  }
+  
+  if (!operator.input) {
+    return document.createElement('span');
+  }
+  
+  const input = document.createElement('input');
+  input.className = 'form-input';
+  input.type = operator.input;
+  input.value = filter.value;
+  input.placeholder = 'Value';
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateFilter(filter.id, { value: input.value }), SEARCH_DELAY);
+  });
+  return input;
+}
+
+/**
+ * Change a filter row and query again
+ * @param {string} id - Filter row ID
+ * @param {Object} changes - Fields to change
+ * @param {boolean} rerender - Rebuild the rows (when the inputs depend on the change)
+ */
+function updateFilter(id, changes, rerender = false) {
+  filters = filters.map(filter => filter.id === id ? { ...filter, ...changes } : filter);
+  if (rerender) {
+    renderFilters();
+  }
+  loadEntries();
+}
+
+/**
+ * Query entries for the current search, filters and sort
+ * @param {boolean} append - Load the next page instead of starting over
+ */
+async function loadEntries(append = false) {
+  if (!databaseSchema || (append && !nextCursor)) return;
+  
+  const token = ++loadToken;
+  loading = !append;
+  const query = buildPipelineQuery(databaseSchema, { search: searchInput.value, filters, sort });
+  if (append) {
+    loadMoreBtn.disabled = true;
+  } else {
+    showLoading();
+  }
+  
+  try {
+    const page = await loadPipelinePage(notionApi, databaseSchema, query, append ? nextCursor : null);
+    if (token !== loadToken) return;
+  
+    entries = append ? [...entries, ...page.entries] : page.entries;
+    nextCursor = page.nextCursor;
+    console.log(`📋 Dashboard loaded ${page.entries.length} entries${nextCursor ? ' (more available)' : ''}`);
+    renderEntries();
+  } catch (error) {
+    if (token !== loadToken) return;
+    console.error('Error loading entries:', error);
+    if (append) {
+      showToast(`Could not load more entries: ${error.message}`, 'error');
+    } else {
+      showError(`Could not load entries: ${error.message}`);
+    }
+  } finally {
+    if (token === loadToken) {
+      loading = false;
+    }
+    loadMoreBtn.disabled = false;
+  }
+}
+
+/**
+ * Render the loaded entries as a grouped list or a board
+ */
+function renderEntries() {
+  loadingState.classList.add('hidden');
+  errorState.classList.add('hidden');
+  toolbar.classList.remove('hidden');
+  
+  const count = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+  summary.textContent = nextCursor ? `${count} loaded - more match` : count;
+  loadMore.classList.toggle('hidden', !nextCursor);
+  
+  const showBoard = layout === 'board' && Boolean(groupField);
+  groupsContainer.classList.toggle('hidden', showBoard);
+  board.classList.toggle('hidden', !showBoard);
+  if (showBoard) {
+    groupsContainer.innerHTML = '';
+    renderBoard();
+  } else {
+    board.innerHTML = '';
+    renderList();
+  }
+}
+
+/**
+ * Render the entries as a list of groups
+ */
+function renderList() {
+  groupsContainer.innerHTML = '';
+  const groups = groupField
+    ? groupPipelineEntries(entries, databaseSchema, groupField)
+    : [{ name: 'All entries', color: 'default', entries }];
+  
+  groups.forEach(group => {
+    const section = document.createElement('section');
+    section.className = 'group';
+    section.appendChild(createGroupHeader(group, 'group-header'));
+  
+    if (group.entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'group-empty';
+      empty.textContent = 'No entries';
+      section.appendChild(empty);
+    }
+    group.entries.forEach(entry => section.appendChild(createEntryRow(entry)));
+  
+    groupsContainer.appendChild(section);
+  });
+}
+
+/**
+ * Render the entries as a board with a column per option
+ * Cards are dragged between columns to change their status
+ */
+function renderBoard() {
+  board.innerHTML = '';
+  const property = databaseSchema.properties[groupField];
+  
+  groupPipelineEntries(entries, databaseSchema, groupField).forEach(group => {
+    const column = document.createElement('section');
+    column.className = 'board-column';
+    column.appendChild(createGroupHeader(group, 'board-column-header'));
+  
+    const cards = document.createElement('div');
+    cards.className = 'board-cards';
+    group.entries.forEach(entry => cards.appendChild(createBoardCard(entry)));
+    column.appendChild(cards);
+  
+    // A status property can't be cleared, so its "No status" column takes no drops
+    if (group.name || property.type === 'select') {
+      column.addEventListener('dragover', (event) => {
+        if (!draggedEntryId) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        column.classList.add('drag-over');
+      });
+      column.addEventListener('dragleave', (event) => {
+        if (!column.contains(event.relatedTarget)) {
+          column.classList.remove('drag-over');
+        }
+      });
+      column.addEventListener('drop', (event) => {
+        event.preventDefault();
+        column.classList.remove('drag-over');
+        const entry = entries.find(candidate => candidate.id === draggedEntryId);
+        draggedEntryId = null;
+        if (entry) {
+          moveEntry(entry, group.name);
+        }
+      });
+    }
+  
+    board.appendChild(column);
+  });
+}
+
+/**
+ * Build the header of a group or board column
+ * @param {Object} group - Group ({ name, color, entries })
+ * @param {string} className - Header class
+ * @returns {HTMLElement} Header element with the group's entry count
+ */
+function createGroupHeader(group, className) {
+  const header = document.createElement('div');
+  header.className = className;
+  
+  const dot = document.createElement('span');
+  dot.className = 'group-dot';
+  dot.style.backgroundColor = getStatusBadgeColor(group.color);
+  
+  const name = document.createElement('span');
+  name.className = 'group-name';
+  name.textContent = group.name || `No ${groupField}`;
+  
+  const groupCount = document.createElement('span');
+  groupCount.className = 'group-count';
+  groupCount.textContent = group.entries.length;
+  groupCount.title = `${group.entries.length} loaded entr${group.entries.length === 1 ? 'y' : 'ies'} in this stage`;
+  
+  header.appendChild(dot);
+  header.appendChild(name);
+  header.appendChild(groupCount);
+  return header;
+}
+
+/**
+ * Build the title and property summary of an entry
+ * @param {Object} entry - Dashboard entry (see lib/pipeline.js)
+ * @returns {HTMLElement} Info element
+ */
+function createEntryInfo(entry) {
+  const info = document.createElement('div');
+  info.className = 'entry-info';
+  
+  const title = document.createElement('a');
+  title.className = 'entry-title';
+  title.href = entry.url;
+  title.target = '_blank';
+  title.rel = 'noopener';
+  title.draggable = false;
+  title.textContent = entry.title;
+  title.title = 'Open in Notion';
+  info.appendChild(title);
+  
+  const meta = getEntryMeta(entry);
+  if (meta) {
+    const metaLine = document.createElement('div');
+    metaLine.className = 'entry-meta';
+    metaLine.textContent = meta;
+    metaLine.title = meta;
+    info.appendChild(metaLine);
+  }
+  return info;
+}
+
+/**
+ * Build the link to an entry's job posting
+ * @param {Object} entry - Dashboard entry
+ * @returns {HTMLElement|null} Link, or null if the entry has no URL
+ */
+function createPostingLink(entry) {
+  const urlField = findUrlField(databaseSchema);
+  const postingUrl = urlField ? entry.values[urlField] : '';
+  if (!postingUrl) {
+    return null;
+  }
+  
+  const link = document.createElement('a');
+  link.className = 'entry-link';
+  link.href = postingUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.draggable = false;
+  link.textContent = 'Posting ↗';
+  return link;
+}
+
+/**
+ * Build the row for one entry
+ * @param {Object} entry - Dashboard entry
+ * @returns {HTMLElement} Row element
+ */
+function createEntryRow(entry) {
+  const row = document.createElement('div');
+  row.className = `entry-row${pendingMoves.has(entry.id) ? ' updating' : ''}`;
+  row.appendChild(createEntryInfo(entry));
+  
+  const link = createPostingLink(entry);
+  if (link) {
+    row.appendChild(link);
+  }
+  if (groupField) {
+    row.appendChild(createGroupSelect(entry));
+  }
+  return row;
+}
+
+/**
+ * Build the board card for one entry
+ * @param {Object} entry - Dashboard entry
+ * @returns {HTMLElement} Card element
+ */
+function createBoardCard(entry) {
+  const pending = pendingMoves.has(entry.id);
+  const card = document.createElement('div');
+  card.className = `board-card${pending ? ' updating' : ''}`;
+  card.draggable = !pending;
+  card.appendChild(createEntryInfo(entry));
+  
+  const link = createPostingLink(entry);
+  if (link) {
+    card.appendChild(link);
+  }
+  
+  card.addEventListener('dragstart', (event) => {
+    draggedEntryId = entry.id;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', entry.title);
+    card.classList.add('dragging');
+  });
+  card.addEventListener('dragend', () => {
+    draggedEntryId = null;
+    card.classList.remove('dragging');
+    board.querySelectorAll('.drag-over').forEach(column => column.classList.remove('drag-over'));
+  });
+  return card;
+}
+
+/**
+ * Summarize an entry's other property values in one line
+ * Follows the profile's field order and skips its hidden fields
+ * @param {Object} entry - Dashboard entry
+ * @returns {string} Values joined with " · "
+ */
+function getEntryMeta(entry) {
+  const hiddenFields = new Set(activeProfile.hiddenFields || []);
+  const order = activeProfile.fieldOrder || [];
+  const names = Object.keys(databaseSchema.properties).sort((a, b) => {
+    const indexA = order.includes(a) ? order.indexOf(a) : Infinity;
+    const indexB = order.includes(b) ? order.indexOf(b) : Infinity;
+    return indexA - indexB;
+  });
+  
+  const skipTypes = new Set(['title', 'url', 'checkbox', 'files', 'relation', 'people']);
+  const values = [];
+  for (const name of names) {
+    if (values.length >= META_VALUE_LIMIT) break;
+    if (name === groupField || hiddenFields.has(name) || skipTypes.has(databaseSchema.properties[name].type)) continue;
+  
+    const text = formatDisplayValue(entry.values[name]).replace(/\s+/g, ' ').trim();
+    if (text) {
+      values.push(text.length > META_TEXT_LENGTH ? `${text.substring(0, META_TEXT_LENGTH)}…` : text);
+    }
+  }
+  return values.join(' · ');
+}
+
+/**
+ * Build the inline picker that changes an entry's group
+ * @param {Object} entry - Dashboard entry
+ * @returns {HTMLSelectElement} Picker
+ */
+function createGroupSelect(entry) {
+  const property = databaseSchema.properties[groupField];
+  const current = entry.values[groupField] || '';
+  
+  const select = document.createElement('select');
+  select.className = 'form-input compact';
+  select.title = `Change ${groupField}`;
+  select.disabled = pendingMoves.has(entry.id);
+  if (property.type === 'select' || !current) {
+    select.appendChild(new Option(property.type === 'select' ? 'None' : 'Choose…', ''));
+  }
+  getGroupOptions(property).forEach(option => select.appendChild(new Option(option.name, option.name)));
+  if (current && !Array.from(select.options).some(option => option.value === current)) {
+    select.appendChild(new Option(current, current));
+  }
+  select.value = current;
+  
+  select.addEventListener('change', () => moveEntry(entry, select.value));
+  return select;
+}
+
+/**
+ * Move an entry to another group and write the change to Notion
+ * The entry moves right away and moves back if Notion rejects the change
+ * @param {Object} entry - Dashboard entry
+ * @param {string} value - New option name ('' clears a select)
+ */
+async function moveEntry(entry, value) {
+  const field = groupField;
+  if ((entry.values[field] || '') === value || pendingMoves.has(entry.id)) {
+    renderEntries();
+    return;
+  }
+  
+  let properties;
+  try {
+    properties = buildGroupUpdate(databaseSchema, field, value);
+  } catch (error) {
+    showToast(error.message, 'error');
+    renderEntries();
+    return;
+  }
+  const transition = getEntryTransition(field, entry.values[field] || '', value);
+  if (transition) {
+    properties = addStageDate(activeProfile.history, databaseSchema, properties, transition, entry.values);
+  }
+  
+  replaceEntry({ ...entry, values: { ...entry.values, [field]: value } });
+  pendingMoves.add(entry.id);
+  renderEntries();
+  
+  try {
+    const page = await notionApi.updatePage(entry.id, properties);
+    replaceEntry(toPipelineEntry(page, databaseSchema));
+    recordSavedPage(page).catch(error => console.error('Could not update the saved index:', error));
+    dropStaleApplications([entry.id]).catch(error => console.error('Could not update stale applications:', error));
+    if (transition) recordTransition(page, transition);
+    console.log(`📋 Moved "${entry.title}" to ${value || 'no group'}`);
+    showToast(`Moved "${entry.title}" to ${value || `no ${field}`}`, 'success');
+  } catch (error) {
+    console.error('Error updating entry:', error);
+    replaceEntry(entry);
+    showToast(`Could not move "${entry.title}", so it was moved back: ${error.message}`, 'error');
+  } finally {
+    pendingMoves.delete(entry.id);
+  }
+  
+  // A reload started meanwhile renders the new results itself
+  if (!loading) {
+    renderEntries();
+  }
+}
+
+/**
+ * Describe a status change for the profile's status history
+ * @param {string} field - Property being changed
+ * @param {string} from - Current value
+ * @param {string} to - New value
+ * @returns {Object|null} Transition ({ from, to, at }), or null if nothing is recorded
+ */
+function getEntryTransition(field, from, to) {
+  const history = activeProfile.history;
+  return field === history?.statusField ? getStatusTransition(history, from, to) : null;
+}
+
+/**
+ * Write a status change to the page body log and Events database
+ * A failure is shown but doesn't undo the move
+ * @param {Object} page - Page returned by the update
+ * @param {Object} transition - Transition from getEntryTransition
+ */
+async function recordTransition(page, transition) {
+  try {
+    await recordStatusTransition(notionApi, activeProfile.history, page, transition);
+  } catch (error) {
+    console.error('Could not record the status change:', error);
+    showToast(`Moved, but the status change wasn't recorded: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Replace a loaded entry with a newer copy
+ * @param {Object} entry - Entry with the ID to replace
+ */
+function replaceEntry(entry) {
+  entries = entries.map(candidate => candidate.id === entry.id ? entry : candidate);
+}
+
+/**
+ * Load the latest stale application check of the shown profile
+ */
+async function loadStale() {
+  const profileId = activeProfile.id;
+  const stale = await loadStaleApplications();
+  if (activeProfile?.id !== profileId) return;
+  
+  staleResult = stale[profileId] || null;
+  renderStale();
+}
+
+/**
+ * Ask the service worker to look for stale applications again
+ */
+function requestStaleCheck() {
+  chrome.runtime.sendMessage({ type: 'CHECK_STALE_APPLICATIONS' }, (response) => {
+    if (chrome.runtime.lastError || response?.error) {
+      console.log('Could not check stale applications:', chrome.runtime.lastError?.message || response.error);
+    }
+  });
+}
+
+/**
+ * Render the stale application banner and, when open, the list to review
+ */
+function renderStale() {
+  const staleEntries = staleResult?.entries || [];
+  staleBanner.classList.toggle('hidden', staleEntries.length === 0);
+  if (staleEntries.length === 0) {
+    stalePanel.classList.add('hidden');
+    staleSelection.clear();
+    return;
+  }
+  
+  // Forget picks that are no longer stale
+  const ids = new Set(staleEntries.map(entry => entry.id));
+  [...staleSelection].filter(id => !ids.has(id)).forEach(id => staleSelection.delete(id));
+  
+  const count = `${staleEntries.length}${staleResult.hasMore ? '+' : ''}`;
+  const plural = staleEntries.length === 1 && !staleResult.hasMore ? ' hasn\'t' : 's haven\'t';
+  staleText.textContent = `${count} application${plural} changed in ${staleResult.days}+ days`;
+  staleReviewBtn.textContent = stalePanel.classList.contains('hidden') ? 'Review' : 'Hide';
+  
+  staleList.innerHTML = '';
+  const now = Date.now();
+  staleEntries.forEach(entry => {
+    const row = document.createElement('label');
+    row.className = 'stale-row';
+  
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = staleSelection.has(entry.id);
+    checkbox.disabled = ghosting;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        staleSelection.add(entry.id);
+      } else {
+        staleSelection.delete(entry.id);
+      }
+      renderStale();
+    });
+    row.appendChild(checkbox);
+  
+    const info = document.createElement('div');
+    info.className = 'entry-info';
+    const title = document.createElement('a');
+    title.className = 'entry-title';
+    title.href = entry.url;
+    title.target = '_blank';
+    title.rel = 'noopener';
+    title.textContent = entry.title;
+    title.title = 'Open in Notion';
+    info.appendChild(title);
+  
+    const days = Math.floor((now - Date.parse(entry.lastEdited)) / DAY);
+    const meta = document.createElement('div');
+    meta.className = 'entry-meta';
+    meta.textContent = `${entry.status} · last edited ${days} day${days === 1 ? '' : 's'} ago`;
+    info.appendChild(meta);
+    row.appendChild(info);
+  
+    staleList.appendChild(row);
+  });
+  
+  const ghostedStatus = staleResult.ghostedStatus;
+  ghostBtn.classList.toggle('hidden', !ghostedStatus);
+  ghostBtn.disabled = ghosting || staleSelection.size === 0;
+  ghostBtn.textContent = ghosting ? 'Moving…' : `Move ${staleSelection.size} to ${ghostedStatus}`;
+  staleHint.textContent = ghostedStatus
+    ? 'Any edit resets an application\'s clock.'
+    : 'Choose a ghosted status in Settings to move these in one go.';
+}
+
+/**
+ * Open or close the stale application list
+ * Opening it picks every stale application
+ */
+function toggleStalePanel() {
+  const opening = stalePanel.classList.contains('hidden');
+  stalePanel.classList.toggle('hidden', !opening);
+  if (opening) {
+    staleSelection.clear();
+    (staleResult?.entries || []).forEach(entry => staleSelection.add(entry.id));
+  }
+  renderStale();
+}
+
+/**
+ * Move the picked stale applications to the ghosted status, after confirmation
+ */
+async function ghostStaleEntries() {
+  if (!staleResult || !databaseSchema || ghosting) return;
+  
+  const { statusField, ghostedStatus } = staleResult;
+  const picked = staleResult.entries.filter(entry => staleSelection.has(entry.id));
+  if (picked.length === 0 || !ghostedStatus) return;
+  
+  let properties;
+  try {
+    properties = buildGroupUpdate(databaseSchema, statusField, ghostedStatus);
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+  
+  const count = `${picked.length} application${picked.length === 1 ? '' : 's'}`;
+  if (!confirm(`Move ${count} to "${ghostedStatus}"? This changes their ${statusField} in Notion.`)) {
+    return;
+  }
+  
+  ghosting = true;
+  renderStale();
+  
+  const moved = [];
+  const changed = [];
+  for (const entry of picked) {
+    try {
+      // An application edited since the check is no longer stale - leave it as it is
+      const current = toStaleEntry(await notionApi.getPage(entry.id), { statusField });
+      if (current.lastEdited !== entry.lastEdited || current.status !== entry.status) {
+        changed.push(entry.id);
+        continue;
+      }
+      
+      // Loaded entries tell whether the stage date is already set
+      const saved = entries.find(candidate => candidate.id === entry.id)?.values || {};
+      const transition = getEntryTransition(statusField, entry.status, ghostedStatus);
+      const page = await notionApi.updatePage(entry.id, transition
+        ? addStageDate(activeProfile.history, databaseSchema, properties, transition, saved)
+        : properties);
+      replaceEntry(toPipelineEntry(page, databaseSchema));
+      recordSavedPage(page).catch(error => console.error('Could not update the saved index:', error));
+      if (transition) await recordTransition(page, transition);
+      moved.push(entry.id);
+    } catch (error) {
+      console.error(`Error moving "${entry.title}" to ${ghostedStatus}:`, error);
+    }
+  }
+  
+  ghosting = false;
+  moved.concat(changed).forEach(id => staleSelection.delete(id));
+  try {
+    await dropStaleApplications(moved.concat(changed));
+  } catch (error) {
+    console.error('Could not update stale applications:', error);
+  }
+  console.log(`📋 Moved ${moved.length} stale application${moved.length === 1 ? '' : 's'} to ${ghostedStatus}`);
+  
+  const skipped = changed.length ? ` - skipped ${changed.length} edited since the check` : '';
+  if (moved.length === picked.length) {
+    showToast(`Moved ${count} to ${ghostedStatus}`, 'success');
+  } else if (moved.length + changed.length === picked.length) {
+    showToast(`Moved ${moved.length} of ${count} to ${ghostedStatus}${skipped}`, 'success');
+  } else {
+    showToast(`Moved ${moved.length} of ${count} to ${ghostedStatus}${skipped} - see the console for errors`, 'error');
+  }
+  renderStale();
+  if (!loading) {
+    renderEntries();
+  }
+}
+
+/**
+ * Show the loading state
+ */
+function showLoading() {
+  loadingState.classList.remove('hidden');
+  errorState.classList.add('hidden');
+  groupsContainer.innerHTML = '';
+  board.innerHTML = '';
+  summary.textContent = '';
+  loadMore.classList.add('hidden');
+}
+
+/**
+ * Show an error instead of the entries
+ * @param {string} message - Error message
+ */
+function showError(message) {
+  loadingState.classList.add('hidden');
+  errorState.classList.remove('hidden');
+  errorMessage.textContent = message;
+  groupsContainer.innerHTML = '';
+  board.innerHTML = '';
+  summary.textContent = '';
+  loadMore.classList.add('hidden');
+  toolbar.classList.toggle('hidden', !databaseSchema);
+}
+
+/**
+ * Show toast notification
+ * @param {string} message - Message to display
+ * @param {string} type - 'success' or 'error'
+ */
+function showToast(message, type) {
+  const toastMessage = toast.querySelector('.toast-message');
+  
+  toast.classList.remove('success', 'error', 'hidden');
+  toast.classList.add(type);
+  toastMessage.textContent = message;
+  
+  requestAnimationFrame(() => {
+    toast.classList.add('visible');
+  });
+  
+  setTimeout(() => {
+    toast.classList.remove('visible');
+    setTimeout(() => {
+      toast.classList.add('hidden');
+    }, 300);
+  }, 3000);
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,145 @@
+/**
+ * Bulk Capture
+ * State of a "Save all job tabs" run. The service worker owns the run and
+ * writes its progress here after every tab; the popup reads it and sends
+ * messages to start, retry or clear it.
+ */
+
+import { getJobId } from './job-urls.js';
+
+const BULK_KEY = 'bulkCapture';
+
+// Reading tabs other than the active one needs access to every site (optional host permissions)
+export const BULK_CAPTURE_ORIGINS = ['https://*/*', 'http://*/*'];
+
+/**
+ * Item states, in the order a tab goes through them
+ * `saved`, `skipped` and `failed` are final
+ */
+export const BULK_STATES = ['pending', 'saving', 'saved', 'skipped', 'failed'];
+
+// Labels shown in the progress list
+const STATE_LABELS = {
+  pending: 'Waiting',
+  saving: 'Saving…',
+  saved: 'Saved',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+/**
+ * Build the state of a new run
+ * @param {number} windowId - Window whose tabs are saved
+ * @param {Array} tabs - Tabs to save ({ id, url, title })
+ * @returns {Object} Run state
+ */
+export function createBulkCapture(windowId, tabs) {
+  return {
+    id: crypto.randomUUID(),
+    windowId,
+    running: true,
+    startedAt: Date.now(),
+    finishedAt: null,
+    items: tabs.map(tab => ({
+      tabId: tab.id,
+      url: tab.url || '',
+      title: tab.title || tab.url || 'Untitled',
+      state: 'pending',
+      message: '',
+      pageId: null
+    }))
+  };
+}
+
+/**
+ * Count a run's items per state
+ * @param {Object|null} run - Run state
+ * @returns {Object} Count per state, plus `total` and `done` (items in a final state)
+ */
+export function summarizeBulkCapture(run) {
+  const counts = Object.fromEntries(BULK_STATES.map(state => [state, 0]));
+  for (const item of run?.items || []) {
+    counts[item.state] = (counts[item.state] || 0) + 1;
+  }
+  return {
+    ...counts,
+    total: run?.items?.length || 0,
+    done: counts.saved + counts.skipped + counts.failed
+  };
+}
+
+/**
+ * Get the label for an item state
+ * @param {string} state - One of BULK_STATES
+ * @returns {string} Label
+ */
+export function getBulkStateLabel(state) {
+  return STATE_LABELS[state] || state;
+}
+
+/**
+ * Check whether a tab shows a job posting worth saving
+ * A job board link with a job ID or a JSON-LD JobPosting is enough; otherwise a
+ * site extractor must have found a role that isn't just the page title
+ * @param {Object} tabInfo - Tab info from the service worker
+ * @returns {boolean} Whether the tab is a job posting
+ */
+export function isJobPosting(tabInfo) {
+  if (getJobId(tabInfo?.url) || tabInfo?.structured) {
+    return true;
+  }
+  return tabInfo?.source !== 'generic' && Boolean(tabInfo?.roleName) && tabInfo.roleName !== tabInfo.title;
+}
+
+/**
+ * Check whether the extension may read every tab of a run
+ * @returns {Promise<boolean>} Whether BULK_CAPTURE_ORIGINS are granted
+ */
+export async function hasBulkCaptureAccess() {
+  return chrome.permissions.contains({ origins: BULK_CAPTURE_ORIGINS });
+}
+
+/**
+ * Load the current run
+ * @returns {Promise<Object|null>} Run state, or null if there is none
+ */
+export async function loadBulkCapture() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([BULK_KEY], (result) => {
+      resolve(result[BULK_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Replace the current run (service worker only)
+ * @param {Object|null} run - Run state, or null to clear it
+ */
+export async function storeBulkCapture(run) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    };
+    if (run) {
+      chrome.storage.local.set({ [BULK_KEY]: run }, done);
+    } else {
+      chrome.storage.local.remove(BULK_KEY, done);
+    }
+  });
+}
+
+/**
+ * Subscribe to run changes
+ * @param {Function} callback - Called with the new run state (null when cleared)
+ */
+export function onBulkCaptureChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[BULK_KEY]) {
+      callback(changes[BULK_KEY].newValue || null);
+    }
+  });
+}
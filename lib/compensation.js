@@ -0,0 +1,289 @@
+/**
+ * Compensation
+ * Parses pay wording ("$120k–150k + equity", "€45/hour", "GBP 60,000 per annum")
+ * into a range with its currency and pay period, plus annual figures so number
+ * properties hold comparable values whatever period the posting quotes.
+ */
+
+// Pay periods, shortest first
+export const PAY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+// Full-time working time used to annualize hourly, daily, weekly and monthly pay
+const PERIODS_PER_YEAR = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+// Labels for pay periods written to text properties
+const PERIOD_LABELS = {
+  hour: 'Hourly',
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+  year: 'Yearly'
+};
+
+// Prefixed dollars go before the bare symbols so "CA$" isn't read as USD
+const CURRENCY_SYMBOLS = {
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'AU$': 'AUD',
+  'A$': 'AUD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  'S$': 'SGD',
+  'US$': 'USD',
+  'R$': 'BRL',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₪': 'ILS'
+};
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'SGD', 'HKD', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR', 'ILS', 'KRW'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CURRENCY_PATTERN = `(?:${Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp).join('|')}|\\b(?:${CURRENCY_CODES.join('|')})\\b)`;
+
+// "120,000", "120.000", "120 000", "45.50", "2.5" - separators only count before exactly three digits,
+// and a comma after dot or space groups is a decimal comma ("1.234,56")
+const NUMBER_PATTERN = '\\d{1,3}(?:[.\\u00a0\\u202f ]\\d{3})+,\\d{1,2}(?!\\d)|\\d{1,3}(?:[,.\\u00a0\\u202f ]\\d{3})+(?:\\.\\d+)?(?!\\d)|\\d+(?:\\.\\d+)?';
+
+// currency? number k/m? currency?
+const AMOUNT_PATTERN = `(${CURRENCY_PATTERN})?\\s*(${NUMBER_PATTERN})\\s*([kKmM](?![a-zA-Z]))?\\s*(${CURRENCY_PATTERN})?`;
+
+// "/yr", "per hour", "an hour" after the first amount of a range ("$150K/yr - $180K/yr")
+const PERIOD_SUFFIX_PATTERN = '(?:\\s*(?:\\/|per|an?)\\s*(?:hour|hr|h|day|week|wk|month|mo|year|yr|annum)\\b)?';
+
+const RANGE_PATTERN = new RegExp(`${AMOUNT_PATTERN}(?:${PERIOD_SUFFIX_PATTERN}\\s*(?:-|–|—|to|and)\\s*${AMOUNT_PATTERN})?`, 'g');
+
+const PAY_KEYWORDS = /\b(salary|compensation|pay|base|wage|rate|OTE|remuneration|per\s+(hour|day|week|month|year|annum))\b/i;
+
+// Amounts next to these are extras paid on top of the salary ("$5,000 signing bonus", "relocation of up to $10k")
+const EXTRA_PAY_WORDS = '(?:bonus(?:es)?|relocation|stipends?|sign-?on|signing)';
+const EXTRA_PAY_BEFORE_PATTERN = new RegExp(`\\b${EXTRA_PAY_WORDS}\\b[\\w\\s:-]{0,25}$`, 'i');
+const EXTRA_PAY_AFTER_PATTERN = new RegExp(`^\\s*(?:[\\w-]+\\s+)?${EXTRA_PAY_WORDS}\\b`, 'i');
+
+const EQUITY_PATTERN = /\b(equity|stock options?|share options?|RSUs?|ESOP|stock grants?|ownership stake)\b/i;
+
+/**
+ * Read a currency symbol or code
+ * @param {string} text - Symbol or code (e.g. "CA$", "eur")
+ * @returns {string} ISO code, or '' if it isn't a currency
+ */
+export function normalizeCurrency(text) {
+  const value = (text || '').trim();
+  if (CURRENCY_SYMBOLS[value]) return CURRENCY_SYMBOLS[value];
+  const code = value.toUpperCase();
+  return CURRENCY_CODES.includes(code) ? code : '';
+}
+
+/**
+ * Read pay period wording
+ * @param {string} text - Text such as "an hour", "/yr", "per annum" or "Monthly"
+ * @returns {string} One of PAY_PERIODS, or '' if no period is mentioned
+ */
+export function normalizePayPeriod(text) {
+  const value = (text || '').toLowerCase();
+  if (/\b(hours?|hrs?|hourly)\b|\/\s*h\b/.test(value)) return 'hour';
+  if (/\b(days?|daily|per diem)\b|\/\s*d\b/.test(value)) return 'day';
+  if (/\b(weeks?|wk|weekly)\b/.test(value)) return 'week';
+  if (/\b(months?|mo|monthly)\b|\/\s*m\b/.test(value)) return 'month';
+  if (/\b(years?|yr|yearly|annual|annually|annum|p\.?a\.?)\b|\/\s*y\b/.test(value)) return 'year';
+  return '';
+}
+
+/**
+ * Get the label written to text properties for a pay period
+ * @param {string} period - One of PAY_PERIODS
+ * @returns {string} Label such as "Hourly", or ''
+ */
+export function getPayPeriodLabel(period) {
+  return PERIOD_LABELS[period] || '';
+}
+
+/**
+ * Read a single amount such as "$120k", "120,000" or "1.5M"
+ * @param {*} value - Number or text
+ * @returns {number|null} Amount, or null if the value isn't a number
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const match = String(value ?? '').match(new RegExp(AMOUNT_PATTERN));
+  return match ? readNumber(match[2], match[3]) : null;
+}
+
+/**
+ * Turn a matched number and its suffix into an amount
+ * @param {string} number - Digits with separators
+ * @param {string} suffix - "k", "m" or ''
+ * @returns {number} Amount
+ */
+function readNumber(number, suffix) {
+  // Separators are thousands unless they're the last, non-three-digit group ("1.234,56")
+  const decimal = number.match(/[.,](\d{1,2}|\d{4,})$/);
+  const whole = decimal ? number.slice(0, -decimal[0].length) : number;
+  let amount = parseFloat(whole.replace(/[^\d]/g, '') + (decimal ? `.${decimal[1]}` : ''));
+
+  if (/k/i.test(suffix || '')) amount *= 1000;
+  if (/m/i.test(suffix || '')) amount *= 1000000;
+  return amount;
+}
+
+/**
+ * Annualize an amount
+ * @param {number|null} amount - Amount per period
+ * @param {string} period - One of PAY_PERIODS ('' is taken as yearly)
+ * @returns {number|null} Amount per year, rounded
+ */
+function toAnnual(amount, period) {
+  if (amount === null || amount === undefined) return null;
+  return Math.round(amount * (PERIODS_PER_YEAR[period] || 1));
+}
+
+/**
+ * Add annual figures to a compensation range
+ * @param {Object|null} compensation - { min, max, currency, period, ... }
+ * @returns {Object|null} Same range with annualMin and annualMax
+ */
+export function withAnnualFigures(compensation) {
+  if (!compensation) {
+    return null;
+  }
+  return {
+    ...compensation,
+    annualMin: toAnnual(compensation.min, compensation.period),
+    annualMax: toAnnual(compensation.max, compensation.period)
+  };
+}
+
+/**
+ * Check whether a matched amount is a bonus, relocation package or stipend rather than the pay
+ * @param {string} text - Text the amount was found in
+ * @param {Object} match - RANGE_PATTERN match
+ * @returns {boolean} Whether an extra-pay word is right before or after the amount
+ */
+function isExtraPay(text, match) {
+  // "bonus and a base salary of $150k" is still the pay
+  const lead = text.slice(0, match.index).match(EXTRA_PAY_BEFORE_PATTERN);
+  const after = text.slice(match.index + match[0].length);
+  return Boolean(lead && !PAY_KEYWORDS.test(lead[0])) || EXTRA_PAY_AFTER_PATTERN.test(after);
+}
+
+/**
+ * Parse pay wording
+ * @param {string} text - Text such as "$120,000 - $150,000 a year + equity" or "€45–55/hour"
+ * @returns {Object|null} { min, max, currency, period, annualMin, annualMax, equity, text },
+ *   or null if the text doesn't state an amount of money
+ */
+export function parseCompensation(text) {
+  const value = (text || '').replace(/\s+/g, ' ').trim().substring(0, 300);
+  if (!value) {
+    return null;
+  }
+
+  const mentionsPay = PAY_KEYWORDS.test(value);
+  let best = null;
+
+  for (const match of value.matchAll(RANGE_PATTERN)) {
+    const [, minPrefix, minNumber, minSuffix, minCode, maxPrefix, maxNumber, maxSuffix, maxCode] = match;
+    const currency = normalizeCurrency(minPrefix || minCode || maxPrefix || maxCode || '');
+    const isRange = Boolean(maxNumber);
+
+    let min = readNumber(minNumber, minSuffix);
+    let max = isRange ? readNumber(maxNumber, maxSuffix) : min;
+
+    // "80-100k" applies the k to both ends
+    if (isRange && !minSuffix && maxSuffix && min < 1000 && min * 1000 <= max) {
+      min *= 1000;
+    }
+
+    // Without a currency, only a pay word makes a number a salary - and years, ages and 401(k)s aren't
+    const looksLikeYear = !currency && !minSuffix && min >= 1900 && min <= 2100 && Number.isInteger(min);
+    if (!currency && (!mentionsPay || looksLikeYear || min < 10 || /\(k\)/i.test(value.slice(match.index, match.index + match[0].length + 3)))) {
+      continue;
+    }
+    if (isExtraPay(value, match)) {
+      continue;
+    }
+    // "5 to $100k" is two unrelated numbers, not a range
+    if (max < min || (isRange && max > min * 10)) {
+      continue;
+    }
+
+    // The first amount with a currency wins; a bare amount only if none has one
+    if (!best || (!best.currency && currency)) {
+      best = { min, max, currency };
+    }
+    if (best.currency) {
+      break;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  // Unstated periods are guessed from the size of the amount
+  let period = normalizePayPeriod(value);
+  if (!period) {
+    if (best.max < 300) period = 'hour';
+    else if (best.min >= 10000) period = 'year';
+  }
+
+  return withAnnualFigures({
+    min: best.min,
+    max: best.max,
+    currency: best.currency,
+    period,
+    equity: EQUITY_PATTERN.test(value),
+    text: value
+  });
+}
+
+/**
+ * Find the pay in lines taken from a page
+ * The first line stating an amount wins; equity mentioned on any line is noted
+ * @param {Array<string>} lines - Candidate lines (see extractContent in the service worker)
+ * @returns {Object|null} Compensation (see parseCompensation), or null if none states an amount
+ */
+export function findCompensation(lines) {
+  const candidates = (lines || []).map(line => parseCompensation(line)).filter(Boolean);
+  const equity = (lines || []).some(line => EQUITY_PATTERN.test(line));
+
+  // Prefer a line with a currency over one that only says "salary"
+  const compensation = candidates.find(candidate => candidate.currency) || candidates[0];
+  if (!compensation) {
+    return null;
+  }
+  return { ...compensation, equity: compensation.equity || equity };
+}
+
+/**
+ * Complete a salary read from the posting's layout or JSON-LD with what the page text says
+ * (the equity flag, and the currency when the posting's data leaves it out)
+ * @param {Object|null} salary - Salary from the site extractor or JSON-LD
+ * @param {Array<string>} lines - Pay lines from the page text
+ * @returns {Object|null} Compensation with annual figures and the equity flag, or null if none was found
+ */
+export function mergeCompensation(salary, lines) {
+  if (!salary) {
+    return findCompensation(lines);
+  }
+  const currency = salary.currency || findCompensation(lines)?.currency || '';
+  return withAnnualFigures({
+    ...salary,
+    currency,
+    text: salary.currency || !currency ? salary.text : `${currency} ${salary.text}`,
+    equity: Boolean(salary.equity || EQUITY_PATTERN.test(salary.text || '') || (lines || []).some(line => EQUITY_PATTERN.test(line)))
+  });
+}
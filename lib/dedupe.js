@@ -0,0 +1,238 @@
+/**
+ * Duplicate Detection
+ * Finds entries already saved for a posting: first by job URL (see findPagesByUrl),
+ * then by a fuzzy match on company and role title, which catches reposts that
+ * come back under a new link.
+ */
+
+import { parseNotionPage, getTitlePropertyName } from './notion-api.js';
+import { findUrlField, isCompanyNameField, isRoleField } from './field-defaults.js';
+
+// Candidates must clear both to count as the same job
+const COMPANY_THRESHOLD = 0.85;
+const ROLE_THRESHOLD = 0.8;
+
+// How many pages the similarity query looks at
+const SIMILAR_PAGE_LIMIT = 25;
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc|pty|bv|oy|ab)\b/g;
+
+const ROLE_ABBREVIATIONS = {
+  sr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  dev: 'developer',
+  mgr: 'manager',
+  swe: 'software engineer',
+  sde: 'software engineer',
+  pm: 'product manager',
+  ml: 'machine learning',
+  ai: 'artificial intelligence',
+  ii: '2',
+  iii: '3',
+  iv: '4'
+};
+
+/**
+ * Normalize a company name for comparison
+ * @param {string} name - Company name (e.g. "Acme, Inc.")
+ * @returns {string} Lowercase words without legal suffixes (e.g. "acme")
+ */
+export function normalizeCompany(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a role title for comparison
+ * @param {string} role - Role title (e.g. "Sr. Software Eng (Remote)")
+ * @returns {string} Lowercase words with abbreviations spelled out (e.g. "senior software engineer")
+ */
+export function normalizeRole(role) {
+  return (role || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ROLE_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Get the letter pairs of a string
+ * @param {string} text - Normalized text
+ * @returns {Map<string, number>} Bigram counts
+ */
+function getBigrams(text) {
+  const bigrams = new Map();
+  const value = text.replace(/\s+/g, ' ');
+  for (let i = 0; i < value.length - 1; i++) {
+    const bigram = value.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Compare two normalized strings
+ * Uses the Dice coefficient over letter pairs; the same words in another order count as equal
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @returns {number} Similarity from 0 to 1
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const sortWords = (text) => text.split(' ').sort().join(' ');
+  if (sortWords(a) === sortWords(b)) return 1;
+
+  const first = getBigrams(a);
+  const second = getBigrams(b);
+  let overlap = 0;
+  for (const [bigram, count] of first) {
+    overlap += Math.min(count, second.get(bigram) || 0);
+  }
+  const total = [...first.values(), ...second.values()].reduce((sum, count) => sum + count, 0);
+  return total ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Find the text or select property holding a kind of value
+ * @param {Object} schema - Database schema
+ * @param {Function} matches - Name check (e.g. isRoleField)
+ * @returns {string|null} Property name
+ */
+function findTextField(schema, matches) {
+  for (const [name, property] of Object.entries(schema?.properties || {})) {
+    if (['rich_text', 'select'].includes(property.type) && matches(name)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a Notion filter condition for a text or select property
+ * @param {string} name - Property name
+ * @param {Object} property - Property schema
+ * @param {string} value - Text to look for
+ * @returns {Object} Filter condition
+ */
+function buildTextCondition(name, property, value) {
+  if (property.type === 'select') {
+    return { property: name, select: { equals: value } };
+  }
+  return { property: name, [property.type]: { contains: value } };
+}
+
+/**
+ * Score how closely a saved page matches a posting
+ * Pages without a company property are matched on a title that names the company
+ * (e.g. "Software Engineer at Acme")
+ * @param {Object} values - Parsed page values (see parseNotionPage)
+ * @param {Object} fields - { title, role, company } property names
+ * @param {string} company - Normalized company of the posting
+ * @param {string} role - Normalized role of the posting
+ * @returns {Object} { company, role } similarities
+ */
+function scorePage(values, fields, company, role) {
+  const title = String(values[fields.title] || '');
+  const savedCompany = fields.company ? normalizeCompany(values[fields.company]) : '';
+  let savedRole = normalizeRole(fields.role ? values[fields.role] : title);
+
+  let companyScore = similarity(company, savedCompany);
+  if (!savedCompany && company) {
+    const titleWords = ` ${normalizeCompany(title)} `;
+    companyScore = titleWords.includes(` ${company} `) ? 1 : 0;
+  }
+  if (!fields.role && company) {
+    // Leave the role out of "Role at Company" / "Company - Role" titles
+    savedRole = savedRole.replace(new RegExp(`\\b(at\\s+)?${company.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`), ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  return { company: companyScore, role: similarity(role, savedRole) };
+}
+
+/**
+ * Find saved pages for the same company and a similar role
+ * @param {Object} notionApi - Initialized NotionAPI
+ * @param {Object} schema - Database schema
+ * @param {Object} tab - Tab info with companyName and roleName
+ * @returns {Promise<Array>} [{ page, score }] with score from 0 to 1, best first
+ */
+export async function findSimilarPages(notionApi, schema, tab) {
+  const company = normalizeCompany(tab?.companyName);
+  const role = normalizeRole(tab?.roleName);
+  if (!company || !role) {
+    return [];
+  }
+
+  const fields = {
+    title: getTitlePropertyName(schema),
+    company: findTextField(schema, isCompanyNameField),
+    role: findTextField(schema, isRoleField)
+  };
+
+  const conditions = [];
+  if (fields.company) {
+    conditions.push(buildTextCondition(fields.company, schema.properties[fields.company], tab.companyName.trim()));
+  }
+  if (fields.role) {
+    conditions.push(buildTextCondition(fields.role, schema.properties[fields.role], tab.roleName.trim()));
+  }
+  if (fields.title) {
+    conditions.push({ property: fields.title, title: { contains: tab.companyName.trim() } });
+    conditions.push({ property: fields.title, title: { contains: tab.roleName.trim() } });
+  }
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  try {
+    const result = await notionApi.queryDatabase(conditions.length === 1 ? conditions[0] : { or: conditions }, {
+      pageSize: SIMILAR_PAGE_LIMIT,
+      sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }]
+    });
+
+    return (result.results || [])
+      .map(page => {
+        const scores = scorePage(parseNotionPage(page, schema), fields, company, role);
+        return { page, scores };
+      })
+      .filter(({ scores }) => scores.company >= COMPANY_THRESHOLD && scores.role >= ROLE_THRESHOLD)
+      .map(({ page, scores }) => ({ page, score: (scores.company + scores.role) / 2 }))
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    console.error('Error querying for similar pages:', error);
+    return [];
+  }
+}
+
+/**
+ * Find saved pages that may be the posting in a tab
+ * @param {Object} notionApi - Initialized NotionAPI
+ * @param {Object} schema - Database schema
+ * @param {Object} tab - Tab info (url, companyName, roleName)
+ * @returns {Promise<Array>} [{ page, reason, score }] - reason is 'url' for the same job link
+ *   (listed first, score 1) or 'similar' for a company and role match
+ */
+export async function findDuplicateCandidates(notionApi, schema, tab) {
+  const urlField = findUrlField(schema);
+  const byUrl = urlField ? await notionApi.findPagesByUrl(tab?.url, urlField) : [];
+  const similar = await findSimilarPages(notionApi, schema, tab);
+
+  const seen = new Set(byUrl.map(page => page.id));
+  return [
+    ...byUrl.map(page => ({ page, reason: 'url', score: 1 })),
+    ...similar.filter(({ page }) => !seen.has(page.id)).map(({ page, score }) => ({ page, reason: 'similar', score }))
+  ];
+}
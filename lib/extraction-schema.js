@@ -0,0 +1,209 @@
+/**
+ * Extraction Schema
+ * Turns a Notion database schema into the JSON Schema the AI must answer with,
+ * and validates answers against it so rejected values are reported per field
+ * instead of being dropped silently.
+ */
+
+/**
+ * Property types the AI can fill, with the JSON Schema for each
+ * (people, relation, files and computed types can't be filled from page text)
+ */
+const FIELD_SCHEMAS = {
+  title: () => ({ type: ['string', 'null'], minLength: 1 }),
+  rich_text: () => ({ type: ['string', 'null'] }),
+  url: () => ({ type: ['string', 'null'], format: 'uri' }),
+  email: () => ({ type: ['string', 'null'], format: 'email' }),
+  phone_number: () => ({ type: ['string', 'null'] }),
+  number: () => ({ type: ['number', 'null'] }),
+  checkbox: () => ({ type: ['boolean', 'null'] }),
+  date: () => ({ type: ['string', 'null'], format: 'date' }),
+  select: (options) => ({ type: ['string', 'null'], enum: [...options, null] }),
+  status: (options) => ({ type: ['string', 'null'], enum: [...options, null] }),
+  multi_select: (options) => ({
+    type: ['array', 'null'],
+    items: { type: 'string', enum: options },
+    uniqueItems: true
+  })
+};
+
+// Loose checks for the string formats used above
+const FORMAT_PATTERNS = {
+  uri: /^https?:\/\/[^\s/$.?#][^\s]*$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/
+};
+
+/**
+ * Build the JSON Schema for an extraction answer
+ * @param {Object} schema - Notion database schema
+ * @param {Set} hiddenFields - Hidden field names to leave out
+ * @returns {Object} JSON Schema (an object with one nullable property per fillable field)
+ */
+export function buildExtractionSchema(schema, hiddenFields = new Set()) {
+  const properties = {};
+
+  for (const [name, property] of Object.entries(schema.properties)) {
+    const build = FIELD_SCHEMAS[property.type];
+    if (!build || hiddenFields.has(name)) {
+      continue;
+    }
+
+    const options = (property[property.type]?.options || []).map(option => option.name);
+    // A select without options can't be filled - any value would be rejected
+    if (['select', 'status', 'multi_select'].includes(property.type) && options.length === 0) {
+      continue;
+    }
+
+    properties[name] = {
+      ...build(options),
+      description: `Notion ${property.type.replace(/_/g, ' ')} property`
+    };
+  }
+
+  return {
+    type: 'object',
+    properties,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Match a value to an enum, ignoring case (the prompt allows case-insensitive matches)
+ * @param {*} value - Value from the AI
+ * @param {Array} allowed - Allowed values
+ * @returns {string|undefined} Canonical option name, or undefined if none matches
+ */
+function matchEnum(value, allowed) {
+  if (typeof value !== 'string') return undefined;
+  const lowered = value.trim().toLowerCase();
+  return allowed.find(option => typeof option === 'string' && option.toLowerCase() === lowered);
+}
+
+/**
+ * Validate a single value against its field schema
+ * Lossless conversions (numeric strings, "true"/"false", date-times) are applied
+ * @param {*} value - Value from the AI
+ * @param {Object} fieldSchema - JSON Schema for the field
+ * @returns {{value: *, reason: string|null, rejectedItems: Array}} Accepted value, or the reason it was rejected
+ */
+function validateValue(value, fieldSchema) {
+  const [type] = fieldSchema.type;
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+      return Number.isFinite(number) && String(value).trim() !== ''
+        ? { value: number, reason: null }
+        : { value: undefined, reason: 'expected a number' };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value, reason: null };
+      if (/^(true|false)$/i.test(String(value).trim())) {
+        return { value: String(value).trim().toLowerCase() === 'true', reason: null };
+      }
+      return { value: undefined, reason: 'expected true or false' };
+    }
+
+    case 'array': {
+      const items = Array.isArray(value) ? value : [value];
+      const accepted = [];
+      const rejectedItems = [];
+      for (const item of items) {
+        const match = matchEnum(item, fieldSchema.items.enum);
+        if (match) {
+          if (!accepted.includes(match)) accepted.push(match);
+        } else {
+          rejectedItems.push(item);
+        }
+      }
+      return {
+        value: accepted.length > 0 ? accepted : undefined,
+        reason: rejectedItems.length > 0 ? 'not an existing option' : null,
+        rejectedItems
+      };
+    }
+
+    default: {
+      if (typeof value !== 'string') {
+        return { value: undefined, reason: `expected text, got ${Array.isArray(value) ? 'a list' : typeof value}` };
+      }
+
+      const text = value.trim();
+      if (fieldSchema.minLength && text.length < fieldSchema.minLength) {
+        return { value: undefined, reason: 'empty text' };
+      }
+
+      if (fieldSchema.enum) {
+        const match = matchEnum(text, fieldSchema.enum);
+        return match ? { value: match, reason: null } : { value: undefined, reason: 'not an existing option' };
+      }
+
+      if (fieldSchema.format === 'date') {
+        // Accept a full date-time but keep only the date
+        const date = text.match(/^(\d{4}-\d{2}-\d{2})(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/);
+        return date ? { value: date[1], reason: null } : { value: undefined, reason: 'expected a YYYY-MM-DD date' };
+      }
+
+      const pattern = FORMAT_PATTERNS[fieldSchema.format];
+      if (pattern && !pattern.test(text)) {
+        return { value: undefined, reason: `expected ${fieldSchema.format === 'uri' ? 'a URL' : `an ${fieldSchema.format} address`}` };
+      }
+
+      return { value: text, reason: null };
+    }
+  }
+}
+
+/**
+ * Validate an AI answer against the extraction schema
+ * @param {Object} extracted - Parsed answer
+ * @param {Object} extractionSchema - Schema from buildExtractionSchema()
+ * @returns {{values: Object, rejected: Array<{field: string, value: *, reason: string}>}}
+ *   Accepted values keyed by field, and every value that was rejected
+ */
+export function validateExtraction(extracted, extractionSchema) {
+  const values = {};
+  const rejected = [];
+
+  for (const [field, value] of Object.entries(extracted || {})) {
+    // null / empty means the AI had nothing for this field
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      continue;
+    }
+
+    const fieldSchema = extractionSchema.properties[field];
+    if (!fieldSchema) {
+      rejected.push({ field, value, reason: 'not a fillable field in this database' });
+      continue;
+    }
+
+    const result = validateValue(value, fieldSchema);
+    if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+    if (result.reason) {
+      rejected.push({ field, value: result.rejectedItems?.length ? result.rejectedItems : value, reason: result.reason });
+    }
+  }
+
+  if (rejected.length > 0) {
+    console.warn('Rejected AI values:', rejected);
+  }
+
+  return { values, rejected };
+}
+
+/**
+ * Describe rejected values in one line each (for toasts, notifications and logs)
+ * @param {Array} rejected - Rejections from validateExtraction()
+ * @returns {Array<string>} Lines like 'Location: "Mars" (not an existing option)'
+ */
+export function describeRejections(rejected) {
+  return rejected.map(({ field, value, reason }) => {
+    const shown = Array.isArray(value) ? value.map(v => JSON.stringify(v)).join(', ') : JSON.stringify(value);
+    const clipped = shown && shown.length > 60 ? shown.substring(0, 57) + '...' : shown;
+    return `${field}: ${clipped} (${reason})`;
+  });
+}
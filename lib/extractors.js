@@ -0,0 +1,416 @@
+/**
+ * Job Posting Extractors
+ * Site-specific selectors for the major ATS platforms and job boards.
+ *
+ * Each extractor lists CSS selectors per field. The service worker hands them to
+ * a page-context function that returns raw text, and normalizePosting() turns
+ * that text into structured values here, outside the page.
+ *
+ * Selector syntax (tried in order, first non-empty wins):
+ *   "h1.title"           - text of the first matching element
+ *   "meta[...]@content"  - an attribute of the first matching element
+ *   "all:.pill"          - text of every matching element, joined with " · "
+ *   "label:Location"     - text following an element whose text is exactly "Location"
+ *
+ * Job boards with search results also describe their job cards (`cards`): the
+ * selectors matching a card, and per-field selectors read inside each card by
+ * the job board overlay (content/job-board-overlay.js).
+ */
+
+import { parseCompensation } from './compensation.js';
+import { canonicalizeUrl } from './job-urls.js';
+
+/**
+ * Turn a URL slug into a display name ("acme-corp" -> "Acme Corp")
+ * @param {string} slug - URL slug
+ * @returns {string} Display name
+ */
+function titleCaseSlug(slug) {
+  return decodeURIComponent(slug || '')
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\w/g, char => char.toUpperCase())
+    .trim();
+}
+
+/**
+ * Get a path segment from a URL
+ * @param {string} url - Page URL
+ * @param {number} index - Segment index
+ * @returns {string} Segment or ''
+ */
+function pathSegment(url, index) {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean)[index] || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Split a LinkedIn-style page title: "Role Name | Company | LinkedIn"
+ * @param {string} title - Page title
+ * @returns {{role: string, company: string}} Title parts
+ */
+export function parseTitleParts(title) {
+  if (title && title.includes(' | ')) {
+    const parts = title.split(' | ');
+    return {
+      role: parts[0].trim(),
+      company: parts[1].trim()
+    };
+  }
+  return { role: '', company: '' };
+}
+
+/**
+ * Extractor registry, checked in order
+ */
+export const EXTRACTORS = [
+  {
+    id: 'greenhouse',
+    name: 'Greenhouse',
+    matches: /(^|\.)greenhouse\.io$/,
+    selectors: {
+      role: ['.app-title', '.job__title h1', 'h1.section-header', 'h1'],
+      company: ['.company-name', 'meta[property="og:site_name"]@content'],
+      location: ['.job__location', '#header .location', '.location'],
+      salary: ['.pay-range', '[class*="pay-range"]', '.job__pay-ranges'],
+      description: ['.job__description', '#content', '#app_body']
+    },
+    // "Job Application for Senior Engineer at Acme"
+    parseTitle(title) {
+      const match = (title || '').match(/^Job Application for (.+) at (.+)$/i);
+      return match ? { role: match[1].trim(), company: match[2].trim() } : { role: '', company: '' };
+    },
+    companyFromUrl: (url) => titleCaseSlug(pathSegment(url, 0))
+  },
+  {
+    id: 'lever',
+    name: 'Lever',
+    matches: /(^|\.)lever\.co$/,
+    selectors: {
+      role: ['.posting-headline h2'],
+      company: ['.main-header-logo img@alt'],
+      location: ['.posting-categories .location', '.posting-category.location'],
+      salary: ['[data-qa="salary-range"]', '.posting-salary'],
+      employmentType: ['.posting-categories .commitment', '.posting-category.commitment'],
+      description: ['[data-qa="job-description"]', '.posting-page .content']
+    },
+    // "Acme - Senior Engineer"
+    parseTitle(title) {
+      const index = (title || '').indexOf(' - ');
+      return index > 0
+        ? { role: title.slice(index + 3).trim(), company: title.slice(0, index).trim() }
+        : { role: '', company: '' };
+    },
+    companyFromUrl: (url) => titleCaseSlug(pathSegment(url, 0))
+  },
+  {
+    id: 'workday',
+    name: 'Workday',
+    matches: /(^|\.)myworkdayjobs\.com$/,
+    selectors: {
+      role: ['[data-automation-id="jobPostingHeader"]'],
+      location: ['[data-automation-id="locations"] dd', '[data-automation-id="locations"]'],
+      employmentType: ['[data-automation-id="time"] dd', '[data-automation-id="time"]'],
+      postedDate: ['[data-automation-id="postedOn"] dd', '[data-automation-id="postedOn"]'],
+      description: ['[data-automation-id="jobPostingDescription"]']
+    },
+    // Tenant is the first subdomain: acme.wd5.myworkdayjobs.com
+    companyFromUrl(url) {
+      try {
+        return titleCaseSlug(new URL(url).hostname.split('.')[0]);
+      } catch {
+        return '';
+      }
+    }
+  },
+  {
+    id: 'ashby',
+    name: 'Ashby',
+    matches: /(^|\.)ashbyhq\.com$/,
+    selectors: {
+      role: ['h1[class*="title"]', 'h1'],
+      location: ['label:Location'],
+      salary: ['label:Compensation'],
+      employmentType: ['label:Employment Type'],
+      description: ['[class*="descriptionText"]', '#overview']
+    },
+    // "Senior Engineer @ Acme"
+    parseTitle(title) {
+      const index = (title || '').lastIndexOf(' @ ');
+      return index > 0
+        ? { role: title.slice(0, index).trim(), company: title.slice(index + 3).trim() }
+        : { role: '', company: '' };
+    },
+    companyFromUrl: (url) => titleCaseSlug(pathSegment(url, 0))
+  },
+  {
+    id: 'smartrecruiters',
+    name: 'SmartRecruiters',
+    matches: /(^|\.)smartrecruiters\.com$/,
+    selectors: {
+      role: ['h1.job-title', '[itemprop="title"]'],
+      company: ['[itemprop="hiringOrganization"] [itemprop="name"]@content', '[itemprop="hiringOrganization"] [itemprop="name"]'],
+      location: ['spl-job-location@formattedaddress', '[itemprop="jobLocation"]', '.job-location'],
+      employmentType: ['[itemprop="employmentType"]'],
+      postedDate: ['[itemprop="datePosted"]@content', '[itemprop="datePosted"]'],
+      description: ['[itemprop="description"]', '.job-sections']
+    },
+    companyFromUrl: (url) => titleCaseSlug(pathSegment(url, 0))
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    matches: /(^|\.)linkedin\.com$/,
+    selectors: {
+      role: [
+        '.job-details-jobs-unified-top-card__job-title h1',
+        '.job-details-jobs-unified-top-card__job-title',
+        '.jobs-unified-top-card__job-title',
+        '.top-card-layout__title'
+      ],
+      company: [
+        '.job-details-jobs-unified-top-card__company-name a',
+        '.job-details-jobs-unified-top-card__company-name',
+        '.jobs-unified-top-card__company-name',
+        '.topcard__org-name-link'
+      ],
+      location: [
+        '.job-details-jobs-unified-top-card__tertiary-description-container',
+        '.job-details-jobs-unified-top-card__primary-description-container',
+        '.jobs-unified-top-card__bullet',
+        '.topcard__flavor--bullet'
+      ],
+      salary: ['.compensation__salary', 'all:.job-details-preferences-and-skills__pill'],
+      employmentType: ['all:.job-details-preferences-and-skills__pill', 'all:.job-details-jobs-unified-top-card__job-insight', 'all:.description__job-criteria-text'],
+      postedDate: ['.jobs-unified-top-card__posted-date', '.posted-time-ago__text'],
+      description: ['.jobs-description__content', '.jobs-description-content__text', '#job-details', '.show-more-less-html__markup']
+    },
+    parseTitle: parseTitleParts,
+    cards: {
+      item: ['.job-card-container[data-job-id]', '.base-card[data-entity-urn*="jobPosting"]', '.job-search-card'],
+      selectors: {
+        link: ['a.job-card-container__link@href', 'a.job-card-list__title@href', 'a.base-card__full-link@href', 'a[href*="/jobs/view/"]@href'],
+        role: ['.job-card-list__title--link strong', '.job-card-list__title', '.artdeco-entity-lockup__title', '.base-search-card__title'],
+        company: ['.artdeco-entity-lockup__subtitle', '.job-card-container__primary-description', '.base-search-card__subtitle'],
+        location: ['.artdeco-entity-lockup__caption', '.job-card-container__metadata-item', '.job-search-card__location'],
+        salary: ['all:.job-card-container__metadata-item', '.job-search-card__salary-info']
+      }
+    },
+    // The top card packs "Seattle, WA · 2 weeks ago · Over 100 applicants" into one line
+    postProcess(posting) {
+      const segments = posting.location.split('·').map(part => part.trim()).filter(Boolean);
+      if (segments.length < 2) {
+        return posting;
+      }
+
+      const posted = segments.find(part => /\bago\b/i.test(part));
+      const location = segments.find(part =>
+        part !== posting.company &&
+        !/\bago\b|applicant|clicked|promoted|reposted|responses/i.test(part)
+      );
+      return {
+        ...posting,
+        location: location || '',
+        postedDate: posting.postedDate || parsePostedDate(posted || '')
+      };
+    }
+  },
+  {
+    id: 'indeed',
+    name: 'Indeed',
+    matches: /(^|\.)indeed\.com$/,
+    selectors: {
+      role: ['[data-testid="jobsearch-JobInfoHeader-title"]', 'h1.jobsearch-JobInfoHeader-title'],
+      company: ['[data-testid="inlineHeader-companyName"]', '[data-company-name="true"]', '.jobsearch-CompanyInfoContainer a'],
+      location: ['[data-testid="inlineHeader-companyLocation"]', '[data-testid="job-location"]', '[data-testid="jobsearch-JobInfoHeader-companyLocation"]'],
+      salary: ['#salaryInfoAndJobType', '[data-testid*="salary"]'],
+      employmentType: ['#salaryInfoAndJobType', 'all:[data-testid="jobsearch-OtherJobDetailsContainer"] li'],
+      postedDate: ['[data-testid="myJobsStateDate"]', '.jobsearch-JobMetadataFooter'],
+      description: ['#jobDescriptionText']
+    },
+    // "Senior Engineer - Seattle, WA - Indeed.com"
+    parseTitle(title) {
+      const index = (title || '').indexOf(' - ');
+      return { role: index > 0 ? title.slice(0, index).trim() : '', company: '' };
+    },
+    cards: {
+      item: ['.job_seen_beacon', '.result[data-jk]'],
+      selectors: {
+        link: ['a.jcs-JobTitle@href', 'h2.jobTitle a@href', 'a[data-jk]@href'],
+        role: ['h2.jobTitle span[title]@title', 'h2.jobTitle', 'a.jcs-JobTitle'],
+        company: ['[data-testid="company-name"]', '.companyName'],
+        location: ['[data-testid="text-location"]', '.companyLocation'],
+        salary: ['.salary-snippet-container', 'all:[data-testid="attribute_snippet_testid"]']
+      }
+    }
+  }
+];
+
+/**
+ * Fallback used on every other site: title parsing only
+ */
+export const GENERIC_EXTRACTOR = {
+  id: 'generic',
+  name: 'Generic',
+  selectors: {},
+  parseTitle: parseTitleParts
+};
+
+/**
+ * Find the extractor for a URL
+ * @param {string} url - Page URL
+ * @returns {Object} Matching extractor, or the generic one
+ */
+export function getExtractor(url) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return GENERIC_EXTRACTOR;
+  }
+  return EXTRACTORS.find(extractor => extractor.matches.test(hostname)) || GENERIC_EXTRACTOR;
+}
+
+/**
+ * Collapse whitespace in extracted text
+ * @param {string} text - Raw text
+ * @param {number} maxLength - Longest value to keep
+ * @returns {string} Cleaned text, or '' if too long to be a field value
+ */
+function cleanText(text, maxLength = 200) {
+  const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+  return cleaned.length <= maxLength ? cleaned : '';
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function formatLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a posted date such as "2024-03-01", "Posted 3 days ago" or "30+ Days Ago"
+ * @param {string} text - Raw posted date text
+ * @param {Date} now - Reference time
+ * @returns {string} YYYY-MM-DD, or '' if it can't be read
+ */
+export function parsePostedDate(text, now = new Date()) {
+  const value = (text || '').toLowerCase();
+  if (!value) {
+    return '';
+  }
+
+  const iso = value.match(/\b(\d{4}-\d{2}-\d{2})/);
+  if (iso) {
+    return iso[1];
+  }
+
+  if (/\b(today|just now|just posted|\d+\+?\s*(minute|hour)s?\s+ago)\b/.test(value)) {
+    return formatLocalDate(now);
+  }
+
+  const date = new Date(now);
+  if (/\byesterday\b/.test(value)) {
+    date.setDate(date.getDate() - 1);
+    return formatLocalDate(date);
+  }
+
+  const relative = value.match(/(\d+)\+?\s*(day|week|month)s?\s+ago/);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    if (relative[2] === 'day') date.setDate(date.getDate() - amount);
+    if (relative[2] === 'week') date.setDate(date.getDate() - amount * 7);
+    if (relative[2] === 'month') date.setMonth(date.getMonth() - amount);
+    return formatLocalDate(date);
+  }
+
+  const parsed = new Date(text.replace(/^\s*posted( on)?:?\s*/i, ''));
+  return isNaN(parsed.getTime()) ? '' : formatLocalDate(parsed);
+}
+
+/**
+ * Normalize employment type wording to a single label
+ * @param {string} text - Raw text (may contain other details, e.g. Indeed's "$90k a year - Full-time")
+ * @returns {string} "Full-time", "Part-time", "Contract", "Internship", "Temporary" or ''
+ */
+export function normalizeEmploymentType(text) {
+  const value = (text || '').toLowerCase();
+  if (/\bintern(ship)?\b/.test(value)) return 'Internship';
+  if (/\bpart[\s_-]?time\b/.test(value)) return 'Part-time';
+  if (/\bfull[\s_-]?time\b|\bpermanent\b/.test(value)) return 'Full-time';
+  if (/\bcontract(or)?\b|\bfreelance\b/.test(value)) return 'Contract';
+  if (/\btemporary\b|\btemp\b|\bseasonal\b/.test(value)) return 'Temporary';
+  return '';
+}
+
+/**
+ * Turn raw extractor output into structured posting details
+ * Rendered text from the site's selectors wins for role, company and location;
+ * the page's JSON-LD JobPosting (see lib/job-posting.js) wins for typed fields
+ * like salary and dates, which pages rarely render in a parseable form.
+ * @param {Object} raw - Raw text per field from the page
+ * @param {Object} extractor - Extractor that produced it
+ * @param {Object} tab - Tab ({ url, title })
+ * @param {Object|null} structured - Normalized JSON-LD JobPosting, if the page has one
+ * @returns {Object} { source, structured, role, company, location, locations, remote, salary, employmentType, postedDate, validThrough, description }
+ */
+export function normalizePosting(raw, extractor, tab, structured = null) {
+  const fields = raw || {};
+  const data = structured || {};
+  const fromTitle = (extractor.parseTitle || parseTitleParts)(tab.title || '');
+  const description = (fields.description || '').trim();
+
+  let posting = {
+    source: extractor.id,
+    structured: Boolean(structured),
+    role: cleanText(fields.role) || data.role || fromTitle.role || tab.title || '',
+    company: cleanText(fields.company).replace(/^at\s+/i, '').replace(/\s+logo$/i, '') ||
+      data.company ||
+      fromTitle.company ||
+      (extractor.companyFromUrl ? extractor.companyFromUrl(tab.url || '') : ''),
+    location: cleanText(fields.location) || data.location || '',
+    locations: data.locations || [],
+    remote: data.remote || false,
+    salary: data.salary || parseCompensation(fields.salary),
+    employmentType: data.employmentType || normalizeEmploymentType(fields.employmentType),
+    postedDate: data.postedDate || parsePostedDate(fields.postedDate),
+    validThrough: data.validThrough || '',
+    // Keep whichever copy of the description is more complete
+    description: (data.description || '').length > description.length ? data.description : description
+  };
+
+  if (extractor.postProcess) {
+    posting = extractor.postProcess(posting);
+  }
+
+  return posting;
+}
+
+/**
+ * Normalize the raw text read from a job card on a search results page
+ * @param {Object} raw - Raw text per card field, with the card's `link` href
+ * @param {Object} extractor - Extractor of the job board
+ * @param {string} pageUrl - URL of the results page (relative links resolve against it)
+ * @returns {Object|null} Posting fields (see normalizePosting) with the canonical job `url`,
+ *   or null if the card has no job link
+ */
+export function normalizeCard(raw, extractor, pageUrl) {
+  let url = '';
+  try {
+    url = canonicalizeUrl(new URL(raw?.link || '', pageUrl).href);
+  } catch {
+    return null;
+  }
+  if (!raw?.link || !url) {
+    return null;
+  }
+
+  const posting = normalizePosting({ ...raw, link: undefined }, extractor, { url, title: '' });
+  return { ...posting, url };
+}
@@ -0,0 +1,812 @@
+/**
+ * Field Defaults
+ * Heuristics for pre-filling property values from the current tab.
+ * Shared by the popup form and the headless save in the service worker.
+ */
+
+import { normalizeEmploymentType } from './extractors.js';
+import { normalizeCurrency, normalizePayPeriod, getPayPeriodLabel, parseAmount } from './compensation.js';
+import { matchPlaceOption, matchWorkModelOption, getWorkModelLabel } from './locations.js';
+import { canonicalizeUrl } from './job-urls.js';
+
+const TEXT_TYPES = ['title', 'rich_text'];
+const OPTION_TYPES = ['select', 'status', 'multi_select'];
+
+/**
+ * Extracted values a property can be bound to in a profile's field bindings
+ * `types` lists the property types each source can fill
+ */
+export const BINDING_SOURCES = [
+  { id: 'role', label: 'Role', types: [...TEXT_TYPES, ...OPTION_TYPES] },
+  { id: 'company', label: 'Company', types: [...TEXT_TYPES, ...OPTION_TYPES, 'relation'] },
+  { id: 'location', label: 'Location', types: [...TEXT_TYPES, ...OPTION_TYPES] },
+  { id: 'workModel', label: 'Work model (remote/hybrid/on-site)', types: [...TEXT_TYPES, ...OPTION_TYPES] },
+  { id: 'url', label: 'Page URL', types: [...TEXT_TYPES, 'url'] },
+  { id: 'pageTitle', label: 'Page title', types: TEXT_TYPES },
+  { id: 'selectedText', label: 'Selected text', types: TEXT_TYPES },
+  { id: 'salary', label: 'Salary range', types: TEXT_TYPES },
+  { id: 'salaryMin', label: 'Salary (annual minimum)', types: ['number'] },
+  { id: 'salaryMax', label: 'Salary (annual maximum)', types: ['number'] },
+  { id: 'salaryCurrency', label: 'Salary currency', types: [...TEXT_TYPES, 'select', 'status'] },
+  { id: 'salaryPeriod', label: 'Pay period (as posted)', types: [...TEXT_TYPES, 'select', 'status'] },
+  { id: 'equity', label: 'Equity offered', types: ['checkbox'] },
+  { id: 'employmentType', label: 'Employment type', types: [...TEXT_TYPES, ...OPTION_TYPES] },
+  { id: 'postedDate', label: 'Posted date', types: ['date', ...TEXT_TYPES] },
+  { id: 'deadline', label: 'Application deadline', types: ['date', ...TEXT_TYPES] },
+  { id: 'remote', label: 'Remote', types: ['checkbox'] },
+  { id: 'snapshot', label: 'Page snapshot', types: ['files'] }, // Attached after saving by the snapshot archive
+  { id: 'constant', label: 'Constant value', types: [...TEXT_TYPES, ...OPTION_TYPES, 'url', 'email', 'phone_number', 'number', 'checkbox', 'date'] },
+  { id: 'none', label: 'Leave empty', types: null }
+];
+
+/**
+ * Get the binding sources that can fill a property type
+ * @param {string} type - Notion property type
+ * @returns {Array} Binding sources ({ id, label })
+ */
+export function getBindingSources(type) {
+  return BINDING_SOURCES.filter(source => !source.types || source.types.includes(type));
+}
+
+/**
+ * Find URL field in database schema
+ * @param {Object} schema - Database schema
+ * @returns {string|null} URL field name or null
+ */
+export function findUrlField(schema) {
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (property.type === 'url') {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if field name suggests it holds the work model (remote, hybrid, on-site)
+ */
+export function isWorkModelField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('work model') ||
+         lowercaseName.includes('workplace') ||
+         lowercaseName.includes('work arrangement') ||
+         lowercaseName.includes('remote/hybrid') ||
+         lowercaseName === 'work type' ||
+         lowercaseName === 'arrangement';
+}
+
+/**
+ * Check if field name suggests it's a location field
+ */
+export function isLocationField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('location') ||
+         lowercaseName.includes('where') ||
+         lowercaseName.includes('city') ||
+         lowercaseName.includes('place');
+}
+
+/**
+ * Check if field name suggests it's a company field
+ */
+export function isCompanyField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName === 'company' ||
+         lowercaseName === 'company name' ||
+         lowercaseName.includes('company') ||
+         lowercaseName === 'organization' ||
+         lowercaseName === 'employer';
+}
+
+/**
+ * Check if a relation property links to a companies database
+ * @param {string} name - Relation property name
+ * @param {Object} relatedSchema - Schema of the related database
+ * @param {Object} bindings - Field bindings keyed by property name (a binding overrides the guess)
+ * @returns {boolean} Whether the relation holds the job's company
+ */
+export function isCompanyRelation(name, relatedSchema, bindings = {}) {
+  if (bindings?.[name]?.source) {
+    return bindings[name].source === 'company';
+  }
+  const relatedTitle = (relatedSchema?.title || []).map(t => t.plain_text).join('').toLowerCase();
+  return isCompanyField(name) || /compan|organi[sz]ation|employer/.test(relatedTitle);
+}
+
+/**
+ * Check if field name is specifically a company NAME field (not summary)
+ */
+export function isCompanyNameField(name) {
+  const lowercaseName = name.toLowerCase();
+  // Exclude summary fields - only match fields that are specifically for company name
+  if (lowercaseName.includes('summary') || lowercaseName.includes('description') || lowercaseName.includes('about')) {
+    return false;
+  }
+  return lowercaseName === 'company' ||
+         lowercaseName === 'company name' ||
+         lowercaseName === 'organization' ||
+         lowercaseName === 'employer';
+}
+
+/**
+ * Check if field name suggests it's a raw job description field
+ */
+export function isRawJdField(name) {
+  const lowercaseName = name.toLowerCase();
+  // Match variations of "raw jd", "raw job description", etc.
+  return lowercaseName === 'raw jd' ||
+         lowercaseName === 'raw_jd' ||
+         lowercaseName === 'rawjd' ||
+         lowercaseName === 'raw job description' ||
+         lowercaseName === 'raw_job_description' ||
+         lowercaseName.includes('raw jd') ||
+         lowercaseName.includes('raw_jd');
+}
+
+/**
+ * Check if field name suggests it's a role/job title field
+ */
+export function isRoleField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName === 'role' ||
+         lowercaseName === 'role name' ||
+         lowercaseName === 'job title' ||
+         lowercaseName === 'position' ||
+         lowercaseName === 'title' ||
+         lowercaseName.includes('job title') ||
+         lowercaseName.includes('position');
+}
+
+/**
+ * Check if field name suggests it holds the salary range
+ */
+export function isSalaryField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('salary') ||
+         lowercaseName.includes('compensation') ||
+         lowercaseName === 'pay' ||
+         lowercaseName.includes('pay range');
+}
+
+/**
+ * Check if field name suggests it holds the salary currency
+ */
+export function isCurrencyField(name) {
+  return name.toLowerCase().includes('currency');
+}
+
+/**
+ * Check if field name suggests it holds the pay period (hourly, yearly...)
+ */
+export function isPayPeriodField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('pay period') ||
+         lowercaseName.includes('salary period') ||
+         lowercaseName === 'pay frequency' ||
+         lowercaseName === 'rate type';
+}
+
+/**
+ * Check if field name suggests it's ticked when equity is offered
+ */
+export function isEquityField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName === 'equity' ||
+         lowercaseName === 'equity?' ||
+         lowercaseName.includes('stock options');
+}
+
+/**
+ * Check if field name suggests it's the date the job was posted
+ */
+export function isPostedDateField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('posted') ||
+         lowercaseName === 'listed' ||
+         lowercaseName === 'date listed';
+}
+
+/**
+ * Check if field name suggests it's the employment type (full-time, contract, ...)
+ */
+export function isEmploymentTypeField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('employment') ||
+         lowercaseName === 'job type' ||
+         lowercaseName === 'commitment' ||
+         lowercaseName === 'contract type';
+}
+
+/**
+ * Check if field name suggests it's the application deadline
+ */
+export function isDeadlineField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('deadline') ||
+         lowercaseName.includes('closing') ||
+         lowercaseName.includes('apply by') ||
+         lowercaseName.includes('valid through') ||
+         lowercaseName === 'expires';
+}
+
+/**
+ * Check if field name suggests it flags remote jobs
+ */
+export function isRemoteField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName === 'remote' ||
+         lowercaseName === 'is remote' ||
+         lowercaseName === 'remote?' ||
+         lowercaseName === 'remote ok';
+}
+
+/**
+ * Check if field name suggests it holds page snapshots
+ */
+export function isSnapshotField(name) {
+  return /snapshot|archive|mhtml|screenshot|capture/.test(name.toLowerCase());
+}
+
+/**
+ * Find the files property snapshots are attached to
+ * A property bound to "Page snapshot" wins; otherwise a visible files property named like one
+ * @param {Object} schema - Database schema
+ * @param {Object} bindings - Field bindings keyed by property name
+ * @param {Set} hiddenFields - Hidden field names
+ * @returns {string|null} Property name or null
+ */
+export function findSnapshotField(schema, bindings = {}, hiddenFields = new Set()) {
+  const filesFields = Object.entries(schema.properties)
+    .filter(([, property]) => property.type === 'files')
+    .map(([name]) => name);
+
+  const bound = filesFields.find(name => bindings?.[name]?.source === 'snapshot');
+  if (bound) {
+    return bound;
+  }
+  return filesFields.find(name => !bindings?.[name]?.source && !hiddenFields.has(name) && isSnapshotField(name)) || null;
+}
+
+/**
+ * Check if field name suggests it holds the application status
+ */
+export function isStatusField(name) {
+  const lowercaseName = name.toLowerCase();
+  return lowercaseName.includes('status') ||
+         lowercaseName === 'stage' ||
+         lowercaseName === 'application stage';
+}
+
+/**
+ * Find the property holding an entry's application status
+ * A status property wins; otherwise a select named like one
+ * @param {Object} schema - Database schema
+ * @returns {string|null} Property name or null
+ */
+export function findStatusField(schema) {
+  const entries = Object.entries(schema?.properties || {});
+  const status = entries.find(([, property]) => property.type === 'status');
+  if (status) {
+    return status[0];
+  }
+  const select = entries.find(([name, property]) => property.type === 'select' && isStatusField(name));
+  return select ? select[0] : null;
+}
+
+/**
+ * Find best matching option for location
+ * @param {string} extractedLocation - Location extracted from page
+ * @param {Array} options - Available select options
+ * @returns {string|null} Best matching option name or null
+ */
+export function findBestLocationMatch(extractedLocation, options) {
+  if (!extractedLocation || !options || options.length === 0) {
+    return null;
+  }
+
+  const location = extractedLocation.toLowerCase().trim();
+
+  // 1. Try exact match (case-insensitive)
+  for (const option of options) {
+    if (option.name.toLowerCase() === location) {
+      return option.name;
+    }
+  }
+
+  // 2. Try contains match (option contains extracted location)
+  for (const option of options) {
+    if (option.name.toLowerCase().includes(location)) {
+      return option.name;
+    }
+  }
+
+  // 3. Try reverse contains (extracted location contains option)
+  for (const option of options) {
+    if (location.includes(option.name.toLowerCase())) {
+      return option.name;
+    }
+  }
+
+  // 4. Check for "Remote" special case
+  if (location.includes('remote')) {
+    for (const option of options) {
+      if (option.name.toLowerCase().includes('remote')) {
+        return option.name;
+      }
+    }
+  }
+
+  // 5. Extract state abbreviation if present and match
+  const stateMatch = location.match(/,\s*([A-Z]{2})\b/);
+  if (stateMatch) {
+    const state = stateMatch[1].toLowerCase();
+    for (const option of options) {
+      if (option.name.toLowerCase().includes(state)) {
+        return option.name;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Match the tab's location to a single option
+ * Tries each place the posting lists, then its work model ("Remote", "Hybrid")
+ * @param {Object} tab - Tab info
+ * @param {Array} options - Available select options
+ * @returns {string|null} Option name or null
+ */
+function matchLocationOption(tab, options) {
+  if (tab.places?.length > 0) {
+    for (const place of tab.places) {
+      const matchedOption = matchPlaceOption(place, options);
+      if (matchedOption) {
+        console.log(`✅ Auto-matched location "${place.name}" to option "${matchedOption}"`);
+        return matchedOption;
+      }
+    }
+    const workModelOption = matchWorkModelOption(tab.workModel, options);
+    if (!workModelOption) {
+      console.log(`❌ Could not match location "${tab.places[0].name}" to any option`);
+    }
+    return workModelOption;
+  }
+  
+  // Tab info without parsed places - match the raw text
+  const candidates = [tab.location, ...(tab.locations || []), ...(tab.remote ? ['Remote'] : [])].filter(Boolean);
+  for (const location of candidates) {
+    const matchedOption = findBestLocationMatch(location, options);
+    if (matchedOption) {
+      console.log(`✅ Auto-matched location "${location}" to option "${matchedOption}"`);
+      return matchedOption;
+    }
+  }
+  if (candidates.length > 0) {
+    console.log(`❌ Could not match location "${candidates[0]}" to any option`);
+  }
+  return null;
+}
+
+/**
+ * Match every location the posting lists (plus Remote) to options
+ * @param {Object} tab - Tab info
+ * @param {Array} options - Available multi-select options
+ * @returns {Array<string>} Matched option names
+ */
+function matchLocationOptions(tab, options) {
+  if (tab.places?.length > 0 || tab.workModel) {
+    const matches = (tab.places || []).map(place => matchPlaceOption(place, options));
+    matches.push(matchWorkModelOption(tab.workModel, options));
+    return [...new Set(matches.filter(Boolean))];
+  }
+  
+  const wanted = tab.locations?.length > 0 ? [...tab.locations] : [tab.location].filter(Boolean);
+  if (tab.remote) {
+    wanted.push('Remote');
+  }
+  return [...new Set(wanted.map(location => findBestLocationMatch(location, options)).filter(Boolean))];
+}
+
+/**
+ * Match the tab's employment type to an option
+ * Option names vary ("Full Time", "FTE", "Full-time") - compare normalized labels
+ * @param {Object} tab - Tab info
+ * @param {Array} options - Available select options
+ * @returns {string|null} Option name or null
+ */
+function matchEmploymentTypeOption(tab, options) {
+  if (!tab.employmentType) return null;
+  const matchedOption = options.find(opt => normalizeEmploymentType(opt.name) === tab.employmentType);
+  return matchedOption ? matchedOption.name : null;
+}
+
+/**
+ * Match the salary currency to a select option ("USD", "$", "usd")
+ * @param {Object} tab - Tab info
+ * @param {Array} options - Select options
+ * @returns {string|null} Matched option name or null
+ */
+function matchCurrencyOption(tab, options) {
+  if (!tab.salary?.currency) return null;
+  const matchedOption = options.find(opt => normalizeCurrency(opt.name) === tab.salary.currency);
+  return matchedOption ? matchedOption.name : null;
+}
+
+/**
+ * Match the pay period to a select option ("Hourly", "Per year", "Annual")
+ * @param {Object} tab - Tab info
+ * @param {Array} options - Select options
+ * @returns {string|null} Matched option name or null
+ */
+function matchPayPeriodOption(tab, options) {
+  if (!tab.salary?.period) return null;
+  const matchedOption = options.find(opt => normalizePayPeriod(opt.name) === tab.salary.period);
+  return matchedOption ? matchedOption.name : null;
+}
+
+/**
+ * Get the options list for a select-like property
+ * @param {Object} property - Property configuration
+ * @returns {Array} Options ({ name, color }) or empty array
+ */
+export function getPropertyOptions(property) {
+  return property[property.type]?.options || [];
+}
+
+/**
+ * Read the value a binding source points at
+ * @param {Object} binding - Field binding ({ source, value })
+ * @param {Object|null} tab - Tab info
+ * @returns {*} Raw value, or '' when the tab doesn't have it
+ */
+function readBindingSource(binding, tab) {
+  switch (binding.source) {
+    case 'role': return tab?.roleName || '';
+    case 'company': return tab?.companyName || '';
+    case 'location': return tab?.location || '';
+    case 'workModel': return getWorkModelLabel(tab?.workModel);
+    case 'url': return tab?.url ? canonicalizeUrl(tab.url) : '';
+    case 'pageTitle': return tab?.title || '';
+    case 'selectedText': return tab?.selectedText || '';
+    case 'salary': return tab?.salary?.text || '';
+    case 'salaryMin': return tab?.salary?.annualMin ?? '';
+    case 'salaryMax': return tab?.salary?.annualMax ?? '';
+    case 'salaryCurrency': return tab?.salary?.currency || '';
+    case 'salaryPeriod': return getPayPeriodLabel(tab?.salary?.period);
+    case 'equity': return Boolean(tab?.salary?.equity);
+    case 'employmentType': return tab?.employmentType || '';
+    case 'postedDate': return tab?.postedDate || '';
+    case 'deadline': return tab?.validThrough || '';
+    case 'remote': return Boolean(tab?.remote);
+    case 'constant': return binding.value ?? '';
+    default: return '';
+  }
+}
+
+/**
+ * Work out the value of a field bound to an extracted source
+ * @param {Object} binding - Field binding ({ source, value })
+ * @param {Object} property - Property configuration
+ * @param {Object|null} tab - Tab info
+ * @returns {*} Value for the property, or '' when nothing applies
+ */
+export function getBoundValue(binding, property, tab) {
+  const value = readBindingSource(binding, tab);
+  if (value === '' || value === null || value === undefined) {
+    return '';
+  }
+  const options = getPropertyOptions(property);
+
+  switch (property.type) {
+    case 'select':
+    case 'status':
+      if (binding.source === 'location') {
+        return matchLocationOption(tab, options) || '';
+      }
+      if (binding.source === 'workModel') {
+        return matchWorkModelOption(tab.workModel, options) || '';
+      }
+      if (binding.source === 'employmentType') {
+        return matchEmploymentTypeOption(tab, options) || '';
+      }
+      if (binding.source === 'salaryCurrency') {
+        return matchCurrencyOption(tab, options) || '';
+      }
+      if (binding.source === 'salaryPeriod') {
+        return matchPayPeriodOption(tab, options) || '';
+      }
+      return coerceExtractedValue(property, value) ?? '';
+
+    case 'multi_select': {
+      if (binding.source === 'location') {
+        const matches = matchLocationOptions(tab, options);
+        return matches.length > 0 ? matches : '';
+      }
+      if (binding.source === 'workModel') {
+        const matchedOption = matchWorkModelOption(tab.workModel, options);
+        return matchedOption ? [matchedOption] : '';
+      }
+      if (binding.source === 'employmentType') {
+        const matchedOption = matchEmploymentTypeOption(tab, options);
+        return matchedOption ? [matchedOption] : '';
+      }
+      // Constants may list several tags separated by commas
+      const values = binding.source === 'constant' ? String(value).split(',').map(v => v.trim()) : value;
+      return coerceExtractedValue(property, values) ?? '';
+    }
+
+    case 'checkbox':
+      if (binding.source === 'constant') {
+        return /^(true|yes|y|1|x|✓)$/i.test(String(value).trim()) ? true : '';
+      }
+      return value ? true : '';
+
+    case 'date':
+      if (binding.source === 'constant' && String(value).trim().toLowerCase() === 'today') {
+        return formatLocalDate(new Date());
+      }
+      return coerceExtractedValue(property, value) ?? '';
+
+    case 'relation':
+      // Company relations are linked by the relation picker / headless save
+      return '';
+
+    default:
+      return coerceExtractedValue(property, value) ?? '';
+  }
+}
+
+/**
+ * Work out the value a field should be pre-filled with from the current tab
+ * A profile's field bindings are followed first; name heuristics are the fallback
+ * @param {string} name - Property name
+ * @param {Object} property - Property configuration
+ * @param {Object} tab - Tab info (url, title, roleName, companyName, location, locations, places,
+ *   workModel, remote, salary, employmentType, postedDate, validThrough, selectedText)
+ * @param {Object} bindings - Field bindings keyed by property name (from the profile)
+ * @returns {*} Default value, or '' when nothing applies
+ */
+export function getDefaultValue(name, property, tab, bindings = {}) {
+  const binding = bindings?.[name];
+  if (binding?.source) {
+    return getBoundValue(binding, property, tab);
+  }
+
+  if (!tab) {
+    return '';
+  }
+
+  switch (property.type) {
+    case 'title': {
+      // Intelligently choose between roleName, companyName, or full title
+      if (isRoleField(name) && tab.roleName) {
+        return tab.roleName;
+      }
+      if (isCompanyNameField(name) && tab.companyName) {
+        // Only fill company name fields, not company summary fields
+        return tab.companyName;
+      }
+      return tab.title || '';
+    }
+
+    case 'rich_text': {
+      if (isRoleField(name) && tab.roleName) {
+        return tab.roleName;
+      }
+      if (isCompanyNameField(name) && tab.companyName) {
+        // Only fill if it's specifically a company name field (not summary)
+        return tab.companyName;
+      }
+      if (isCurrencyField(name) && tab.salary?.currency) {
+        return tab.salary.currency;
+      }
+      if (isPayPeriodField(name) && tab.salary?.period) {
+        return getPayPeriodLabel(tab.salary.period);
+      }
+      if (isWorkModelField(name) && tab.workModel) {
+        return getWorkModelLabel(tab.workModel);
+      }
+      if (isSalaryField(name) && tab.salary?.text) {
+        return tab.salary.text;
+      }
+      if (isRawJdField(name) && tab.selectedText) {
+        // Fill raw jd field with selected text
+        console.log(`✅ Auto-filled raw jd field with selected text (${tab.selectedText.length} chars)`);
+        return tab.selectedText;
+      }
+      return '';
+    }
+
+    case 'url':
+      // Saved without tracking parameters so later visits match it
+      return tab.url ? canonicalizeUrl(tab.url) : '';
+
+    case 'date':
+      if (isPostedDateField(name) && tab.postedDate) {
+        return tab.postedDate;
+      }
+      if (isDeadlineField(name) && tab.validThrough) {
+        return tab.validThrough;
+      }
+      return '';
+
+    case 'number': {
+      if (!isSalaryField(name) || !tab.salary) {
+        return '';
+      }
+      // "Max Salary" gets the top of the range, any other salary number the bottom - both annualized
+      const value = /max|upper|high/i.test(name) ? tab.salary.annualMax : tab.salary.annualMin;
+      return value ?? '';
+    }
+
+    case 'checkbox':
+      if (isEquityField(name)) {
+        return tab.salary?.equity ? true : '';
+      }
+      return isRemoteField(name) && tab.remote ? true : '';
+
+    case 'multi_select': {
+      const options = getPropertyOptions(property);
+      if (options.length === 0) {
+        return '';
+      }
+
+      // "Workplace" is a work model, not a place
+      if (isWorkModelField(name)) {
+        const matchedOption = matchWorkModelOption(tab.workModel, options);
+        return matchedOption ? [matchedOption] : '';
+      }
+
+      if (isLocationField(name)) {
+        // Tag every place the posting lists, plus its work model when there's an option for it
+        const matches = matchLocationOptions(tab, options);
+        return matches.length > 0 ? matches : '';
+      }
+
+      if (isEmploymentTypeField(name)) {
+        const matchedOption = matchEmploymentTypeOption(tab, options);
+        return matchedOption ? [matchedOption] : '';
+      }
+      return '';
+    }
+
+    case 'select':
+    case 'status': {
+      const options = getPropertyOptions(property);
+      if (options.length === 0) {
+        return '';
+      }
+
+      if (isWorkModelField(name)) {
+        return matchWorkModelOption(tab.workModel, options) || '';
+      }
+
+      if (isLocationField(name) && (tab.location || tab.places?.length > 0 || tab.workModel)) {
+        // Try to match extracted location to available options
+        return matchLocationOption(tab, options) || '';
+      }
+
+      if (isEmploymentTypeField(name) && tab.employmentType) {
+        return matchEmploymentTypeOption(tab, options) || '';
+      }
+
+      if (isCurrencyField(name)) {
+        return matchCurrencyOption(tab, options) || '';
+      }
+
+      if (isPayPeriodField(name)) {
+        return matchPayPeriodOption(tab, options) || '';
+      }
+
+      if (isCompanyField(name) && tab.companyName) {
+        // Try to match extracted company to available options
+        const matchedOption = options.find(opt =>
+          opt.name.toLowerCase() === tab.companyName.toLowerCase()
+        );
+        if (matchedOption) {
+          console.log(`✅ Auto-matched company "${tab.companyName}" to option "${matchedOption.name}"`);
+          return matchedOption.name;
+        }
+      }
+      return '';
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build default values for every visible property in the schema
+ * @param {Object} schema - Database schema
+ * @param {Object} tab - Tab info
+ * @param {Set} hiddenFields - Set of hidden field names to skip
+ * @param {Object} bindings - Field bindings keyed by property name
+ * @returns {Object} Values keyed by property name (only non-empty defaults)
+ */
+export function buildDefaultValues(schema, tab, hiddenFields = new Set(), bindings = {}) {
+  const values = {};
+
+  for (const [name, property] of Object.entries(schema.properties)) {
+    if (hiddenFields.has(name)) continue;
+
+    const value = getDefaultValue(name, property, tab, bindings);
+    if (value !== '' && value !== null && value !== undefined) {
+      values[name] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Format a date as local "YYYY-MM-DD"
+ * @param {Date} date - Date
+ * @returns {string} Local date
+ */
+function formatLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Normalize an AI-extracted value to what the property accepts
+ * (mirrors the matching the popup does when filling form fields)
+ * @param {Object} property - Property configuration
+ * @param {*} value - Extracted value
+ * @returns {*} Normalized value, or undefined if it can't be used
+ */
+export function coerceExtractedValue(property, value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return String(value);
+
+    case 'number': {
+      const number = parseAmount(value);
+      return number === null ? undefined : number;
+    }
+
+    case 'checkbox':
+      return Boolean(value);
+
+    case 'date': {
+      // Ensure date format is YYYY-MM-DD - dates already written that way are kept as they are,
+      // since "2024-03-05" parses as UTC midnight and would move a day west of Greenwich
+      const text = String(value).trim();
+      if (/^\d{4}-\d{2}-\d{2}(?![\d])/.test(text)) {
+        return text.substring(0, 10);
+      }
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? undefined : formatLocalDate(date);
+    }
+
+    case 'select':
+    case 'status': {
+      // Find matching option (case-insensitive)
+      const match = getPropertyOptions(property).find(opt =>
+        opt.name.toLowerCase() === String(value).toLowerCase()
+      );
+      return match ? match.name : undefined;
+    }
+
+    case 'multi_select': {
+      const values = (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+      const matches = getPropertyOptions(property)
+        .filter(opt => values.includes(opt.name.toLowerCase()))
+        .map(opt => opt.name);
+      return matches.length > 0 ? matches : undefined;
+    }
+
+    default:
+      return undefined;
+  }
+}
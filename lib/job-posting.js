@@ -0,0 +1,302 @@
+/**
+ * Job Posting Structured Data
+ * Finds schema.org JobPosting objects in a page's JSON-LD blocks and
+ * normalizes them to the same shape the site extractors produce.
+ * Career sites emit several blocks, arrays and @graph wrappers, so every
+ * block is searched rather than only the first one.
+ */
+
+import { normalizeEmploymentType } from './extractors.js';
+import { withAnnualFigures, parseAmount, normalizeCurrency } from './compensation.js';
+
+// schema.org unitText values → salary periods
+const SALARY_PERIODS = {
+  HOUR: 'hour',
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year'
+};
+
+// Named HTML entities that show up in JSON-LD descriptions
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  bull: '•',
+  hellip: '…'
+};
+
+/**
+ * Parse the text of JSON-LD script tags, skipping blocks that aren't valid JSON
+ * @param {Array<string>} texts - textContent of each ld+json script
+ * @returns {Array} Parsed blocks
+ */
+export function parseJsonLdBlocks(texts) {
+  const blocks = [];
+
+  for (const text of texts || []) {
+    if (!text || !text.trim()) continue;
+
+    // Some CMSs wrap the JSON in CDATA or HTML comments, or add a trailing semicolon
+    const cleaned = text.trim()
+      .replace(/^\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>$/g, '')
+      .replace(/^<!--|-->$/g, '')
+      .trim()
+      .replace(/;$/, '');
+
+    try {
+      blocks.push(JSON.parse(cleaned));
+    } catch (e) {
+      console.log('Skipping invalid JSON-LD block:', e.message);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Check whether a JSON-LD node is a JobPosting
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean} Whether @type includes JobPosting
+ */
+function isJobPostingNode(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(type => typeof type === 'string' && /(^|[/:])JobPosting$/.test(type));
+}
+
+/**
+ * Find every JobPosting in parsed JSON-LD blocks
+ * Walks arrays, @graph wrappers and nested nodes (e.g. WebPage.mainEntity)
+ * @param {Array} blocks - Parsed JSON-LD blocks
+ * @returns {Array<Object>} JobPosting nodes, in document order
+ */
+export function findJobPostings(blocks) {
+  const postings = [];
+  const seen = new Set();
+
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object' || depth > 8 || seen.has(node)) {
+      return;
+    }
+    seen.add(node);
+
+    if (Array.isArray(node)) {
+      node.forEach(child => visit(child, depth + 1));
+      return;
+    }
+
+    if (isJobPostingNode(node)) {
+      postings.push(node);
+      return;
+    }
+
+    for (const value of Object.values(node)) {
+      visit(value, depth + 1);
+    }
+  };
+
+  visit(blocks, 0);
+  return postings;
+}
+
+/**
+ * Turn HTML (possibly entity-encoded) into plain text
+ * Runs in the service worker, so there's no DOMParser to lean on
+ * @param {string} html - HTML string
+ * @returns {string} Plain text with paragraph and list breaks kept
+ */
+export function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  const decode = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+  // Descriptions are often double-encoded ("&lt;p&gt;...")
+  let text = String(html);
+  if (/&lt;\/?[a-z]/i.test(text)) {
+    text = decode(text);
+  }
+
+  text = text
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|li|ul|ol|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decode(text)
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read a name from a value that may be a string or a Thing ({ name })
+ * @param {*} value - String or schema.org Thing
+ * @returns {string} Name or ''
+ */
+function readName(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return readName(value[0]);
+  return typeof value.name === 'string' ? value.name.trim() : '';
+}
+
+/**
+ * Format a schema.org Place as "City, Region"
+ * The country is only added when the city or region is missing
+ * @param {Object|string} place - Place, PostalAddress or plain string
+ * @returns {string} Location text or ''
+ */
+function formatPlace(place) {
+  if (!place) return '';
+  if (typeof place === 'string') return place.trim();
+
+  const address = place.address || place;
+  if (typeof address === 'string') return address.trim();
+
+  const city = readName(address.addressLocality);
+  const region = readName(address.addressRegion);
+  const country = readName(address.addressCountry);
+  const parts = [city, region].filter(Boolean);
+
+  if (parts.length < 2 && country && !parts.includes(country)) {
+    parts.push(country);
+  }
+  return parts.join(', ') || readName(place);
+}
+
+/**
+ * Convert a schema.org date or date-time to YYYY-MM-DD
+ * @param {string} value - ISO 8601 date
+ * @returns {string} Date or ''
+ */
+function toDateOnly(value) {
+  if (typeof value !== 'string') return '';
+  const match = value.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (match) return match[1];
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+}
+
+/**
+ * Normalize baseSalary / estimatedSalary (MonetaryAmount) to a salary range
+ * @param {Object|number|Array} amount - MonetaryAmount, QuantitativeValue or number
+ * @returns {Object|null} { min, max, currency, period, annualMin, annualMax, equity, text } or null
+ */
+export function parseMonetaryAmount(amount) {
+  if (Array.isArray(amount)) {
+    return parseMonetaryAmount(amount[0]);
+  }
+  if (amount === null || amount === undefined || amount === '') {
+    return null;
+  }
+
+  const value = typeof amount === 'object' ? amount.value ?? amount : amount;
+  let min = null;
+  let max = null;
+  let unitText = typeof amount === 'object' ? amount.unitText || '' : '';
+
+  if (value && typeof value === 'object') {
+    min = parseAmount(value.minValue ?? value.value);
+    max = parseAmount(value.maxValue ?? value.value);
+    unitText = value.unitText || unitText;
+  } else {
+    min = max = parseAmount(value);
+  }
+
+  if (min === null && max === null) {
+    return null;
+  }
+  min = min ?? max;
+  max = max ?? min;
+
+  // Without a currency the page text may still name one (see mergeCompensation)
+  const code = typeof amount === 'object' ? String(amount.currency || '').trim() : '';
+  const currency = normalizeCurrency(code) || (/^[a-z]{3}$/i.test(code) ? code.toUpperCase() : '');
+  const period = SALARY_PERIODS[String(unitText).toUpperCase()] || 'year';
+  const format = (number) => number.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const range = min === max ? format(min) : `${format(min)}–${format(max)}`;
+
+  return withAnnualFigures({
+    min,
+    max,
+    currency,
+    period,
+    equity: false,
+    text: `${currency ? `${currency} ` : ''}${range} per ${period}`
+  });
+}
+
+/**
+ * Normalize a schema.org JobPosting
+ * @param {Object} node - JobPosting node
+ * @returns {Object} { role, company, location, locations, remote, salary, employmentType, postedDate, validThrough, description }
+ */
+export function normalizeJobPosting(node) {
+  const listOf = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+  const locationTypes = listOf(node.jobLocationType).map(type => String(type).toUpperCase());
+  const remote = locationTypes.includes('TELECOMMUTE');
+
+  const locations = [...new Set(listOf(node.jobLocation).map(formatPlace).filter(Boolean))];
+  let location = locations.join(' / ');
+  if (remote && !location) {
+    // Fully remote postings describe where applicants may live instead
+    const regions = listOf(node.applicantLocationRequirements).map(readName).filter(Boolean);
+    location = regions.length > 0 ? `Remote (${regions.join(', ')})` : 'Remote';
+  }
+
+  const employmentTypes = listOf(node.employmentType)
+    .map(type => normalizeEmploymentType(String(type)))
+    .filter(Boolean);
+
+  return {
+    role: htmlToText(readName(node.title) || readName(node)),
+    company: readName(node.hiringOrganization),
+    location,
+    locations,
+    remote,
+    salary: parseMonetaryAmount(node.baseSalary) || parseMonetaryAmount(node.estimatedSalary),
+    employmentType: employmentTypes[0] || '',
+    postedDate: toDateOnly(node.datePosted),
+    validThrough: toDateOnly(node.validThrough),
+    description: htmlToText(node.description)
+  };
+}
+
+/**
+ * Read the page's job posting from raw JSON-LD script text
+ * @param {Array<string>} texts - textContent of each ld+json script
+ * @returns {{posting: Object|null, nodes: Array<Object>}} First normalized posting and every raw JobPosting node
+ */
+export function readJobPosting(texts) {
+  const nodes = findJobPostings(parseJsonLdBlocks(texts));
+  if (nodes.length > 1) {
+    console.log(`Found ${nodes.length} JobPosting blocks - using the first`);
+  }
+
+  return {
+    posting: nodes.length > 0 ? normalizeJobPosting(nodes[0]) : null,
+    nodes
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Job URLs
+ * Canonical forms of job posting links, so the same job opened from a search
+ * page, an email digest or an embedded careers page reads as one URL.
+ */
+
+// Query parameters that only say how the link was reached
+const TRACKING_PARAMS = /^(utm_.+|gclid|gclsrc|dclid|fbclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|igshid|ref|refid|ref_src|trk|trkinfo|trackingid|lipi|src|source|gh_src|lever-source|lever-origin|lever-via|ashby_src)$/i;
+
+// Sites whose job ID is known; each reads { id, scope?, url } from a parsed URL, or returns null
+const SITE_RULES = [
+  {
+    site: 'linkedin',
+    hosts: /(^|\.)linkedin\.com$/,
+    read(url) {
+      // "/jobs/view/3812345678/" or "/jobs/view/senior-engineer-at-acme-3812345678"
+      const id = url.pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d{6,})/)?.[1] ||
+        url.searchParams.get('currentJobId');
+      return id ? { id, url: `https://www.linkedin.com/jobs/view/${id}/` } : null;
+    }
+  },
+  {
+    site: 'greenhouse',
+    hosts: /(^|\.)greenhouse\.io$/,
+    read(url) {
+      const path = url.pathname.match(/^\/([^/]+)\/jobs\/(\d+)/);
+      const company = path?.[1] || url.searchParams.get('for');
+      const id = path?.[2] || url.searchParams.get('token') || url.searchParams.get('gh_jid');
+      if (!id) return null;
+      return {
+        id,
+        url: company ? `https://job-boards.greenhouse.io/${company.toLowerCase()}/jobs/${id}` : null
+      };
+    }
+  },
+  {
+    site: 'lever',
+    hosts: /(^|\.)lever\.co$/,
+    read(url) {
+      const path = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return path ? { id: path[2].toLowerCase(), url: `https://jobs.lever.co/${path[1]}/${path[2].toLowerCase()}` } : null;
+    }
+  },
+  {
+    site: 'ashby',
+    hosts: /(^|\.)ashbyhq\.com$/,
+    read(url) {
+      const path = url.pathname.match(/^\/([^/]+)\/([0-9a-f-]{36})/i);
+      return path ? { id: path[2].toLowerCase(), url: `https://jobs.ashbyhq.com/${path[1]}/${path[2].toLowerCase()}` } : null;
+    }
+  },
+  {
+    site: 'indeed',
+    hosts: /(^|\.)indeed\.[a-z.]+$/,
+    read(url) {
+      const id = url.searchParams.get('jk') || url.searchParams.get('vjk');
+      return id ? { id, url: `https://${url.hostname}/viewjob?jk=${id}` } : null;
+    }
+  },
+  {
+    site: 'workday',
+    hosts: /\.myworkdayjobs\.com$/,
+    read(url) {
+      // ".../job/Toronto-ON/Software-Engineer_R12345/apply" - the requisition ends the slug
+      const path = url.pathname.match(/^(.*\/job\/[^/]+\/[^/]+_([A-Za-z0-9-]+))(?:\/|$)/);
+      // Requisition IDs are only unique within a tenant
+      return path ? { id: path[2], scope: url.hostname.toLowerCase(), url: `https://${url.hostname}${path[1]}` } : null;
+    }
+  },
+  {
+    site: 'smartrecruiters',
+    hosts: /(^|\.)smartrecruiters\.com$/,
+    read(url) {
+      const path = url.pathname.match(/^\/([^/]+)\/(\d{6,})/);
+      return path ? { id: path[2], url: `https://jobs.smartrecruiters.com/${path[1]}/${path[2]}` } : null;
+    }
+  }
+];
+
+/**
+ * Parse a URL without throwing
+ * @param {string} url - URL
+ * @returns {URL|null} Parsed URL, or null if it isn't one
+ */
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the site rule that knows a URL's job ID
+ * Company career pages that embed Greenhouse carry the ID as gh_jid
+ * @param {URL} url - Parsed URL
+ * @returns {Object|null} { site, id, scope, url } (scope and url may be missing), or null for other sites
+ */
+function readJob(url) {
+  const host = url.hostname.toLowerCase();
+  for (const rule of SITE_RULES) {
+    if (!rule.hosts.test(host)) continue;
+    const job = rule.read(url);
+    if (job) return { site: rule.site, ...job };
+  }
+  const ghJobId = url.searchParams.get('gh_jid');
+  return ghJobId ? { site: 'greenhouse', id: ghJobId, url: null } : null;
+}
+
+/**
+ * Strip a URL down to what identifies the page
+ * Drops the fragment and tracking parameters, and sorts what's left
+ * @param {URL} url - Parsed URL
+ * @returns {string} Clean URL
+ */
+function stripUrl(url) {
+  const clean = new URL(url.href);
+  clean.hash = '';
+  clean.hostname = clean.hostname.toLowerCase();
+
+  const params = [...clean.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  clean.search = new URLSearchParams(params).toString();
+
+  if (clean.pathname.length > 1 && clean.pathname.endsWith('/')) {
+    clean.pathname = clean.pathname.slice(0, -1);
+  }
+  return clean.href;
+}
+
+/**
+ * Get the canonical form of a job URL
+ * Known job boards map to their plain posting link (LinkedIn's search page with
+ * currentJobId becomes /jobs/view/<id>/); other URLs lose tracking parameters
+ * @param {string} url - URL as opened
+ * @returns {string} Canonical URL, or the input if it can't be parsed
+ */
+export function canonicalizeUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+    return url || '';
+  }
+  return readJob(parsed)?.url || stripUrl(parsed);
+}
+
+/**
+ * Get a key that is the same for every URL of one job
+ * @param {string} url - URL
+ * @returns {string} "<site>:<id>" for known job boards (Workday adds the tenant), otherwise the canonical URL
+ */
+export function getJobKey(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return url || '';
+  }
+  const job = readJob(parsed);
+  if (!job) {
+    return canonicalizeUrl(url);
+  }
+  return job.scope ? `${job.site}:${job.scope}:${job.id}` : `${job.site}:${job.id}`;
+}
+
+/**
+ * Get the job ID in a URL, for "contains" searches over saved links
+ * @param {string} url - URL
+ * @returns {string} Job ID, or '' if the site isn't known
+ */
+export function getJobId(url) {
+  const parsed = parseUrl(url);
+  return (parsed && readJob(parsed)?.id) || '';
+}
@@ -0,0 +1,261 @@
+/**
+ * LLM Providers
+ * Settings and request formats for the models used by Add Details.
+ * OpenAI, Anthropic and any server speaking the OpenAI chat completions API
+ * (Ollama, llama.cpp, LM Studio, vLLM) are supported.
+ */
+
+const SETTINGS_KEY = 'llmSettings';
+const LEGACY_KEY = 'openaiApiKey'; // Key stored before providers existed
+
+/**
+ * Provider presets
+ * `format` decides how requests are built; the other values are defaults the settings can override
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    id: 'openai',
+    name: 'OpenAI',
+    format: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    requiresKey: true
+  },
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic',
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    requiresKey: true
+  },
+  local: {
+    id: 'local',
+    name: 'OpenAI-compatible (local)',
+    format: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    requiresKey: false
+  }
+};
+
+export const DEFAULT_TEMPERATURE = 0.3;
+
+// Anthropic requires an output limit; extractions are a single JSON object
+const ANTHROPIC_MAX_TOKENS = 4096;
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Name of the structured answer (OpenAI schema name / Anthropic tool name)
+const RESPONSE_NAME = 'database_fields';
+
+/**
+ * Fill in provider defaults for anything the settings leave empty
+ * @param {Object} settings - Stored settings ({ provider, baseUrl, model, apiKey, temperature })
+ * @returns {Object} Settings with provider, name, format, baseUrl, model, apiKey and temperature
+ */
+export function resolveLLMSettings(settings = {}) {
+  const provider = LLM_PROVIDERS[settings.provider] || LLM_PROVIDERS.openai;
+  const temperature = parseFloat(settings.temperature);
+  const maxTemperature = provider.format === 'anthropic' ? 1 : 2;
+
+  return {
+    provider: provider.id,
+    name: provider.name,
+    format: provider.format,
+    baseUrl: (settings.baseUrl || provider.baseUrl).trim().replace(/\/+$/, ''),
+    model: (settings.model || provider.model).trim(),
+    apiKey: (settings.apiKey || '').trim(),
+    temperature: isNaN(temperature) ? DEFAULT_TEMPERATURE : Math.min(Math.max(temperature, 0), maxTemperature),
+    requiresKey: provider.requiresKey
+  };
+}
+
+/**
+ * Check whether settings are complete enough to send requests
+ * @param {Object} settings - Resolved settings
+ * @returns {boolean} Whether a provider is usable
+ */
+export function isLLMConfigured(settings) {
+  return Boolean(settings) && (!settings.requiresKey || Boolean(settings.apiKey));
+}
+
+/**
+ * Load provider settings as entered, falling back to a key saved before providers existed
+ * @returns {Promise<Object|null>} Stored settings, or null if nothing is configured
+ */
+export async function getStoredLLMSettings() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([SETTINGS_KEY, LEGACY_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      if (result[SETTINGS_KEY]) {
+        resolve(result[SETTINGS_KEY]);
+      } else if (result[LEGACY_KEY]) {
+        resolve({ provider: 'openai', apiKey: result[LEGACY_KEY] });
+      } else {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/**
+ * Load provider settings with defaults filled in
+ * @returns {Promise<Object|null>} Resolved settings, or null if nothing is configured
+ */
+export async function loadLLMSettings() {
+  const stored = await getStoredLLMSettings();
+  return stored ? resolveLLMSettings(stored) : null;
+}
+
+/**
+ * Save provider settings (or clear them) and drop the legacy key
+ * @param {Object|null} settings - Settings as entered ({ provider, baseUrl, model, apiKey, temperature })
+ */
+export async function saveLLMSettings(settings) {
+  await new Promise((resolve) => {
+    chrome.storage.local.remove(settings ? [LEGACY_KEY] : [LEGACY_KEY, SETTINGS_KEY], resolve);
+  });
+  if (!settings) {
+    return;
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [SETTINGS_KEY]: settings }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Get the origin pattern a base URL needs host permission for
+ * @param {string} baseUrl - Provider base URL
+ * @returns {string|null} Match pattern (e.g. "http://localhost/*"), or null if the URL is invalid
+ */
+export function getOriginPattern(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the HTTP request for a chat completion
+ * With a response schema, OpenAI-style servers get a json_schema response format and
+ * Anthropic is made to call a tool whose input is the schema; otherwise plain JSON mode
+ * @param {Object} settings - Resolved settings
+ * @param {Array} messages - Chat messages ({ role, content }), system first
+ * @param {Object|null} responseSchema - JSON Schema to constrain the answer to
+ * @returns {{url: string, options: Object}} fetch() arguments
+ */
+export function buildChatRequest(settings, messages, responseSchema = null) {
+  if (settings.format === 'anthropic') {
+    // Anthropic takes the system prompt separately from the conversation
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const tools = responseSchema
+      ? {
+        tools: [{ name: RESPONSE_NAME, description: 'Fill the database fields', input_schema: responseSchema }],
+        tool_choice: { type: 'tool', name: RESPONSE_NAME }
+      }
+      : {};
+    return {
+      url: `${settings.baseUrl}/messages`,
+      options: {
+        method: 'POST',
+        headers: {
+          'x-api-key': settings.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: settings.model,
+          max_tokens: ANTHROPIC_MAX_TOKENS,
+          temperature: settings.temperature,
+          system,
+          messages: messages.filter(m => m.role !== 'system'),
+          ...tools
+        })
+      }
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers['Authorization'] = `Bearer ${settings.apiKey}`;
+  }
+
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    options: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: settings.model,
+        messages,
+        temperature: settings.temperature,
+        response_format: responseSchema
+          ? { type: 'json_schema', json_schema: { name: RESPONSE_NAME, schema: responseSchema, strict: false } }
+          : { type: 'json_object' }
+      })
+    }
+  };
+}
+
+/**
+ * Read the reply text from a provider response
+ * @param {string} format - Request format ('openai' or 'anthropic')
+ * @param {Object} data - Response body
+ * @returns {string} Reply text ('' when there is none)
+ */
+export function readChatResponse(format, data) {
+  if (format === 'anthropic') {
+    // A forced tool call carries the answer as already-parsed input
+    const toolUse = (data?.content || []).find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return JSON.stringify(toolUse.input || {});
+    }
+    return (data?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+  return data?.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Turn a failed provider response into a readable message
+ * @param {Object} settings - Resolved settings
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body (may be empty)
+ * @returns {string} Error message
+ */
+export function getProviderErrorMessage(settings, status, data) {
+  const detail = data?.error?.message || (typeof data?.error === 'string' ? data.error : '');
+
+  switch (status) {
+    case 401:
+      return `Invalid ${settings.name} API key. Please check your settings.`;
+    case 402:
+      return `${settings.name} billing issue. Please check your account.`;
+    case 403:
+      return settings.provider === 'local'
+        ? 'The server refused the request. For Ollama, set OLLAMA_ORIGINS=chrome-extension://* and restart it.'
+        : detail || `${settings.name} refused the request (403).`;
+    case 404:
+      return `Model "${settings.model}" or endpoint not found at ${settings.baseUrl}.`;
+    case 429:
+      return 'Rate limited. Please wait a moment and try again.';
+    default:
+      return detail || `API Error: ${status}`;
+  }
+}
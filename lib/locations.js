@@ -0,0 +1,391 @@
+/**
+ * Locations
+ * Splits posting location text ("San Francisco, CA / NYC / Remote (US)") into
+ * normalized places and a separate work model (remote, hybrid or on-site), and
+ * matches them to select options. Alternative names come from an alias table
+ * the user can edit in settings.
+ */
+
+const ALIASES_KEY = 'locationAliases';
+
+export const WORK_MODELS = ['remote', 'hybrid', 'onsite'];
+
+const WORK_MODEL_LABELS = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  onsite: 'On-site'
+};
+
+/**
+ * Alias table used until the user edits it
+ * Each entry is a canonical place ({ name, region, country }) and the other names it goes by
+ */
+export const DEFAULT_LOCATION_ALIASES = [
+  { name: 'San Francisco', region: 'CA', country: 'United States', aliases: ['SF', 'SF Bay Area', 'Bay Area', 'San Francisco Bay Area', 'SFBA'] },
+  { name: 'New York', region: 'NY', country: 'United States', aliases: ['NYC', 'New York City', 'Manhattan', 'Brooklyn', 'NY Metro'] },
+  { name: 'Los Angeles', region: 'CA', country: 'United States', aliases: ['LA', 'L.A.', 'Greater Los Angeles'] },
+  { name: 'Washington', region: 'DC', country: 'United States', aliases: ['Washington DC', 'Washington D.C.', 'DC', 'D.C.', 'DMV'] },
+  { name: 'Seattle', region: 'WA', country: 'United States', aliases: ['Greater Seattle Area', 'Seattle Metro'] },
+  { name: 'Boston', region: 'MA', country: 'United States', aliases: ['Greater Boston'] },
+  { name: 'Chicago', region: 'IL', country: 'United States', aliases: ['Chicagoland', 'Greater Chicago Area'] },
+  { name: 'Austin', region: 'TX', country: 'United States', aliases: ['Greater Austin'] },
+  { name: 'Denver', region: 'CO', country: 'United States', aliases: ['Denver Metro', 'Greater Denver'] },
+  { name: 'London', region: '', country: 'United Kingdom', aliases: ['Greater London', 'London Area'] },
+  { name: 'Toronto', region: 'ON', country: 'Canada', aliases: ['GTA', 'Greater Toronto Area'] }
+];
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const CANADIAN_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+  NS: 'Nova Scotia', ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan'
+};
+
+// Lowercase names and codes → country
+const COUNTRIES = {
+  'us': 'United States', 'usa': 'United States', 'u.s.': 'United States', 'u.s.a.': 'United States',
+  'united states': 'United States', 'united states of america': 'United States',
+  'uk': 'United Kingdom', 'u.k.': 'United Kingdom', 'gb': 'United Kingdom', 'great britain': 'United Kingdom',
+  'united kingdom': 'United Kingdom', 'england': 'United Kingdom', 'scotland': 'United Kingdom',
+  'canada': 'Canada', 'mexico': 'Mexico', 'brazil': 'Brazil', 'argentina': 'Argentina', 'colombia': 'Colombia',
+  'ireland': 'Ireland', 'germany': 'Germany', 'deutschland': 'Germany', 'france': 'France', 'spain': 'Spain',
+  'portugal': 'Portugal', 'italy': 'Italy', 'netherlands': 'Netherlands', 'the netherlands': 'Netherlands',
+  'belgium': 'Belgium', 'switzerland': 'Switzerland', 'austria': 'Austria', 'sweden': 'Sweden',
+  'norway': 'Norway', 'denmark': 'Denmark', 'finland': 'Finland', 'poland': 'Poland', 'czechia': 'Czechia',
+  'czech republic': 'Czechia', 'romania': 'Romania', 'greece': 'Greece', 'israel': 'Israel', 'uae': 'United Arab Emirates',
+  'united arab emirates': 'United Arab Emirates', 'india': 'India', 'singapore': 'Singapore', 'japan': 'Japan',
+  'south korea': 'South Korea', 'korea': 'South Korea', 'china': 'China', 'hong kong': 'Hong Kong', 'taiwan': 'Taiwan',
+  'australia': 'Australia', 'new zealand': 'New Zealand', 'south africa': 'South Africa', 'nigeria': 'Nigeria', 'kenya': 'Kenya'
+};
+
+// Regions remote postings are open to
+const MACRO_REGIONS = ['Worldwide', 'Anywhere', 'Global', 'Europe', 'EMEA', 'EU', 'APAC', 'LATAM', 'Americas', 'North America', 'South America', 'Asia', 'Africa'];
+
+// Work model wording, removed from location text before places are read
+const WORK_MODEL_PATTERN = /\b(?:fully\s+|100%\s+)?(?:remote|hybrid|on[-\s]?site|in[-\s]office|in[-\s]person|work\s+from\s+home|wfh|telecommute)(?:[-\s](?:first|friendly|ok|possible|eligible|only))?\b/gi;
+
+// Words left in front of a place once the work model is taken out ("Remote in Boston", "Hybrid near London")
+const LEADING_CONNECTOR_PATTERN = /^(?:(?:based|located)\s+)?(?:in|near|from|around|within)\s+/i;
+
+// Posting details that share the location line ("· 2 weeks ago · Over 100 applicants")
+const POSTING_DETAIL_PATTERN = /\bago\b|applicants?|reposted/i;
+
+// Separators between places; commas are handled separately since they also split city and state
+// ("or"/"and" are lowercase only - "OR" is Oregon)
+const PLACE_SEPARATORS = /\s*(?:\/|;|\||•|·|\n|\(|\)|\s-\s|\s–\s|\bor\b|\band\b|&|\+)\s*/;
+
+/**
+ * Detect the work model from location text, workplace labels and the like
+ * @param {Array<string>} texts - Texts to look at
+ * @returns {string} One of WORK_MODELS, or '' if none is mentioned
+ */
+export function detectWorkModel(texts) {
+  const text = (texts || []).filter(Boolean).join(' | ').toLowerCase();
+  if (/\bhybrid\b/.test(text)) return 'hybrid';
+  if (/\b(remote|work from home|wfh|telecommute)\b/.test(text) && !/\b(not|no|non)[-\s]remote\b/.test(text)) return 'remote';
+  if (/\bon[-\s]?site\b|\bin[-\s]office\b|\bin[-\s]person\b/.test(text)) return 'onsite';
+  return '';
+}
+
+/**
+ * Get the label written to properties for a work model
+ * @param {string} workModel - One of WORK_MODELS
+ * @returns {string} "Remote", "Hybrid", "On-site" or ''
+ */
+export function getWorkModelLabel(workModel) {
+  return WORK_MODEL_LABELS[workModel] || '';
+}
+
+/**
+ * Index an alias table by every lowercase name its places go by
+ * @param {Array} aliases - Alias table entries
+ * @returns {Map<string, Object>} Name → entry
+ */
+function indexAliases(aliases) {
+  const index = new Map();
+  for (const entry of aliases || []) {
+    for (const name of [entry.name, ...(entry.aliases || [])]) {
+      const key = name.toLowerCase().trim();
+      if (key && !index.has(key)) {
+        index.set(key, entry);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Read a state or province code or name
+ * @param {string} text - e.g. "CA", "California", "ON"
+ * @returns {{code: string, name: string, country: string}|null} Region, or null if it isn't one
+ */
+function readRegion(text) {
+  const value = text.trim();
+  const code = value.toUpperCase();
+  if (/^[A-Za-z]{2}$/.test(value)) {
+    if (US_STATES[code]) return { code, name: US_STATES[code], country: 'United States' };
+    if (CANADIAN_PROVINCES[code]) return { code, name: CANADIAN_PROVINCES[code], country: 'Canada' };
+    return null;
+  }
+  const lowered = value.toLowerCase();
+  for (const [regionCode, name] of Object.entries(US_STATES)) {
+    if (name.toLowerCase() === lowered) return { code: regionCode, name, country: 'United States' };
+  }
+  for (const [regionCode, name] of Object.entries(CANADIAN_PROVINCES)) {
+    if (name.toLowerCase() === lowered) return { code: regionCode, name, country: 'Canada' };
+  }
+  return null;
+}
+
+/**
+ * Build a place, with the name shown in text properties
+ * @param {Object} parts - { city, region, regionName, country, aliases }
+ * @returns {Object} Place ({ name, city, region, regionName, country, aliases })
+ */
+function createPlace({ city = '', region = '', regionName = '', country = '', aliases = [] }) {
+  let name = city;
+  if (city && (region || country)) name = `${city}, ${region || country}`;
+  if (!city) name = regionName || region || country;
+  return { name, city, region, regionName: regionName || region, country, aliases };
+}
+
+/**
+ * Read one place ("San Francisco, CA", "SF", "Berlin, Germany", "Ontario", "EMEA")
+ * @param {Array<string>} parts - Comma-separated parts of the place
+ * @param {Map} aliasIndex - Index from indexAliases()
+ * @returns {Object|null} Place, or null if the text isn't a place
+ */
+function readPlace(parts, aliasIndex) {
+  const [first, ...qualifiers] = parts;
+  const whole = parts.join(', ').toLowerCase();
+
+  // "London, ON" isn't the London the alias table means
+  const fitsQualifiers = (entry) => qualifiers.every(qualifier => {
+    const qualifierRegion = readRegion(qualifier);
+    return qualifierRegion
+      ? qualifierRegion.code === entry.region
+      : !COUNTRIES[qualifier.toLowerCase()] || COUNTRIES[qualifier.toLowerCase()] === entry.country;
+  });
+  const alias = aliasIndex.get(whole) || [aliasIndex.get(first.toLowerCase())].find(entry => entry && fitsQualifiers(entry));
+  if (alias) {
+    return createPlace({
+      city: alias.name,
+      region: alias.region || '',
+      regionName: US_STATES[alias.region] || CANADIAN_PROVINCES[alias.region] || alias.region || '',
+      country: alias.country || '',
+      aliases: alias.aliases || []
+    });
+  }
+
+  const macroRegion = MACRO_REGIONS.find(name => name.toLowerCase() === whole);
+  if (macroRegion) {
+    return createPlace({ regionName: macroRegion });
+  }
+
+  const country = COUNTRIES[first.toLowerCase()];
+  if (country && qualifiers.length === 0) {
+    return createPlace({ country });
+  }
+
+  const region = readRegion(first);
+  if (region && qualifiers.length === 0 && (first.length > 2 || first === first.toUpperCase())) {
+    return createPlace({ region: region.code, regionName: region.name, country: region.country });
+  }
+
+  // A city, then its state/province and/or country
+  if (!/[a-z]/i.test(first) || first.length > 40 || /\d{2,}/.test(first)) {
+    return null;
+  }
+  const place = { city: first, region: '', regionName: '', country: '' };
+  for (const qualifier of qualifiers) {
+    const qualifierRegion = readRegion(qualifier);
+    if (qualifierRegion && !place.region) {
+      place.region = qualifierRegion.code;
+      place.regionName = qualifierRegion.name;
+      place.country = place.country || qualifierRegion.country;
+    } else if (COUNTRIES[qualifier.toLowerCase()]) {
+      place.country = COUNTRIES[qualifier.toLowerCase()];
+    }
+  }
+  return createPlace(place);
+}
+
+/**
+ * Check whether a comma-separated part qualifies the place before it (a state, province or country)
+ * @param {string} part - Part of a comma-separated list
+ * @returns {boolean} Whether it belongs to the previous part
+ */
+function isQualifier(part) {
+  return Boolean(readRegion(part) || COUNTRIES[part.toLowerCase()]);
+}
+
+/**
+ * Split location text into places and a work model
+ * @param {Array<string>} texts - Location texts (the posting's location, every listed location, ...)
+ * @param {Object} options
+ * @param {Array} options.aliases - Alias table (see DEFAULT_LOCATION_ALIASES)
+ * @param {boolean} options.remote - The posting is marked remote (JSON-LD TELECOMMUTE)
+ * @param {Array<string>} options.hints - Workplace labels from the page ("Hybrid", "On-site")
+ * @returns {{places: Array<Object>, workModel: string}} Places (deduplicated) and the work model
+ */
+export function readLocations(texts, { aliases = DEFAULT_LOCATION_ALIASES, remote = false, hints = [] } = {}) {
+  const aliasIndex = indexAliases(aliases);
+  const places = [];
+
+  for (const text of (texts || []).filter(Boolean)) {
+    const segments = String(text).replace(WORK_MODEL_PATTERN, '|').split(PLACE_SEPARATORS);
+
+    for (const segment of segments) {
+      // "3 locations", "Multiple Locations", "2 days ago", applicant counts and zip codes aren't places
+      const cleaned = segment.replace(/\b\d{5}(?:-\d{4})?\b/g, '').replace(/^[\s,:-]+|[\s,:-]+$/g, '')
+        .replace(LEADING_CONNECTOR_PATTERN, '');
+      if (!cleaned || /\blocations?\b/i.test(cleaned) || POSTING_DETAIL_PATTERN.test(cleaned)) {
+        continue;
+      }
+
+      // Group "City, ST, Country" parts; any other comma starts the next place
+      const groups = [];
+      for (const part of cleaned.split(',').map(p => p.trim()).filter(Boolean)) {
+        if (groups.length > 0 && isQualifier(part)) {
+          groups[groups.length - 1].push(part);
+        } else {
+          groups.push([part]);
+        }
+      }
+
+      for (const group of groups) {
+        const place = readPlace(group, aliasIndex);
+        if (place && !places.some(existing => existing.name.toLowerCase() === place.name.toLowerCase())) {
+          places.push(place);
+        }
+      }
+    }
+  }
+
+  // The page's own labels are more specific than JSON-LD's remote flag ("Hybrid" postings are often marked TELECOMMUTE)
+  const workModel = detectWorkModel([...(texts || []), ...(hints || [])]) || (remote ? 'remote' : '');
+
+  return { places, workModel };
+}
+
+/**
+ * Match a place to a select option
+ * City names and aliases match first, then the state/province or country
+ * @param {Object} place - Place from readLocations()
+ * @param {Array} options - Select options ({ name })
+ * @returns {string|null} Option name, or null if none matches
+ */
+export function matchPlaceOption(place, options) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const cityTerms = [place.name, place.city, ...(place.aliases || [])].filter(Boolean).map(term => term.toLowerCase());
+  const areaTerms = [place.region, place.regionName, place.country].filter(Boolean).map(term => term.toLowerCase());
+
+  // 1. Exact name or alias
+  const exact = options.find(option => cityTerms.includes(option.name.toLowerCase().trim()));
+  if (exact) return exact.name;
+
+  // 2. Option mentions the city or an alias ("San Francisco Office", "SF / Bay Area")
+  const mentioned = options.find(option => cityTerms.some(term =>
+    new RegExp(`(^|[^a-z])${escape(term)}([^a-z]|$)`, 'i').test(option.name)
+  ));
+  if (mentioned) return mentioned.name;
+
+  // 3. The state, province or country itself ("California", "Canada")
+  const area = options.find(option => areaTerms.includes(option.name.toLowerCase().trim()));
+  return area ? area.name : null;
+}
+
+/**
+ * Match a work model to a select option ("Remote", "Hybrid", "Onsite", "In office")
+ * @param {string} workModel - One of WORK_MODELS
+ * @param {Array} options - Select options ({ name })
+ * @returns {string|null} Option name, or null if none matches
+ */
+export function matchWorkModelOption(workModel, options) {
+  if (!workModel) return null;
+  const option = options.find(opt => detectWorkModel([opt.name]) === workModel);
+  return option ? option.name : null;
+}
+
+/**
+ * Turn the alias table into the lines edited in settings
+ * @param {Array} aliases - Alias table
+ * @returns {string} One "City, Region, Country = Alias, Alias" line per place
+ */
+export function formatAliasTable(aliases) {
+  return (aliases || [])
+    .map(entry => `${[entry.name, entry.region, entry.country].filter(Boolean).join(', ')} = ${(entry.aliases || []).join(', ')}`)
+    .join('\n');
+}
+
+/**
+ * Read alias table lines as edited in settings
+ * The part before "=" is the place ("San Francisco, CA, United States"); after it, its aliases
+ * @param {string} text - Lines of "Place = Alias, Alias"
+ * @returns {Array} Alias table entries (lines without aliases are skipped)
+ */
+export function parseAliasTable(text) {
+  const entries = [];
+
+  for (const line of (text || '').split('\n')) {
+    const [placeText, aliasText = ''] = line.split('=');
+    const [name, ...qualifiers] = placeText.split(',').map(part => part.trim()).filter(Boolean);
+    const aliases = aliasText.split(',').map(alias => alias.trim()).filter(Boolean);
+    if (!name || aliases.length === 0) {
+      continue;
+    }
+
+    let region = '';
+    let country = '';
+    for (const qualifier of qualifiers) {
+      const qualifierRegion = readRegion(qualifier);
+      if (qualifierRegion && !region) {
+        region = qualifierRegion.code;
+        country = country || qualifierRegion.country;
+      } else {
+        country = COUNTRIES[qualifier.toLowerCase()] || qualifier;
+      }
+    }
+    entries.push({ name, region, country, aliases });
+  }
+
+  return entries;
+}
+
+/**
+ * Load the alias table (the defaults until the user edits it)
+ * @returns {Promise<Array>} Alias table entries
+ */
+export async function loadLocationAliases() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([ALIASES_KEY], (result) => {
+      resolve(Array.isArray(result[ALIASES_KEY]) ? result[ALIASES_KEY] : DEFAULT_LOCATION_ALIASES);
+    });
+  });
+}
+
+/**
+ * Save the alias table
+ * @param {Array} aliases - Alias table entries
+ */
+export async function saveLocationAliases(aliases) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [ALIASES_KEY]: aliases }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
@@ -3,36 +3,46 @@
  * Provides a clean interface for Notion operations
  */
 
+import { resolveProfile } from './profiles.js';
+import { loadLLMSettings, isLLMConfigured } from './llm-providers.js';
+import { buildExtractionSchema, validateExtraction } from './extraction-schema.js';
+import { MAX_BLOCKS_PER_REQUEST, richTextToPlainText, richTextToMarkdown, markdownToRichText } from './notion-blocks.js';
+import { parseAmount } from './compensation.js';
+import { canonicalizeUrl, getJobKey, getJobId } from './job-urls.js';
+
 export class NotionAPI {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.transport - Optional request handler used instead of
+   *   messaging the service worker (the service worker passes its own fetch proxy)
+   */
+  constructor(options = {}) {
     this.credentials = null;
+    this.profile = null;
+    this.transport = options.transport || null;
   }
 
   /**
-   * Load credentials from chrome storage
+   * Load credentials from a database profile
+   * @param {Object} profile - Profile to use (defaults to the manually chosen one)
    * @returns {Promise<Object>} Credentials object
    */
-  async loadCredentials() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get(['notionSecret', 'databaseId'], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        
-        if (!result.notionSecret || !result.databaseId) {
-          reject(new Error('CREDENTIALS_NOT_CONFIGURED'));
-          return;
-        }
+  async loadCredentials(profile = null) {
+    if (!profile) {
+      profile = await resolveProfile();
+    }
 
-        this.credentials = {
-          secret: result.notionSecret,
-          databaseId: result.databaseId
-        };
-        
-        resolve(this.credentials);
-      });
-    });
+    if (!profile || !profile.notionSecret || !profile.databaseId) {
+      throw new Error('CREDENTIALS_NOT_CONFIGURED');
+    }
+
+    this.profile = profile;
+    this.credentials = {
+      secret: profile.notionSecret,
+      databaseId: profile.databaseId
+    };
+    
+    return this.credentials;
   }
 
   /**
@@ -47,16 +57,23 @@ export class NotionAPI {
       await this.loadCredentials();
     }
 
+    const payload = {
+      endpoint,
+      method,
+      body,
+      secret: this.credentials.secret
+    };
+
+    if (this.transport) {
+      const response = await this.transport(payload);
+      return response.data;
+    }
+
     return new Promise((resolve, reject) => {
       chrome.runtime.sendMessage(
         {
           type: 'NOTION_API_REQUEST',
-          payload: {
-            endpoint,
-            method,
-            body,
-            secret: this.credentials.secret
-          }
+          payload
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -65,7 +82,10 @@ export class NotionAPI {
           }
           
           if (response.error) {
-            reject(new Error(response.error));
+            const error = new Error(response.error);
+            error.status = response.status;
+            error.retryAfter = response.retryAfter;
+            reject(error);
             return;
           }
           
@@ -77,64 +97,127 @@ export class NotionAPI {
 
   /**
    * Fetch database schema
+   * @param {string} databaseId - Database to fetch (defaults to the configured one)
    * @returns {Promise<Object>} Database schema with properties
    */
-  async getDatabase() {
-    return this.request(`/databases/${this.credentials.databaseId}`);
+  async getDatabase(databaseId = this.credentials.databaseId) {
+    return this.request(`/databases/${databaseId}`);
   }
 
   /**
    * Query database for existing pages
    * @param {Object} filter - Notion filter object
+   * @param {Object} options
+   * @param {number} options.pageSize - Maximum number of pages to return
+   * @param {Array} options.sorts - Notion sort objects
+   * @param {string} options.startCursor - Cursor from the previous page of results
    * @returns {Promise<Object>} Query results
    */
-  async queryDatabase(filter) {
+  async queryDatabase(filter, options = {}) {
     const payload = {
       filter
     };
 
+    if (options.pageSize) {
+      payload.page_size = options.pageSize;
+    }
+    if (options.sorts) {
+      payload.sorts = options.sorts;
+    }
+    if (options.startCursor) {
+      payload.start_cursor = options.startCursor;
+    }
+
     return this.request(`/databases/${this.credentials.databaseId}/query`, 'POST', payload);
   }
 
   /**
-   * Find page by URL
+   * Find every page saved for the same job as a URL
+   * Matches the URL as given, its canonical form, and - on job boards whose
+   * links carry a job ID - any saved link with that ID, so tracking parameters,
+   * LinkedIn's currentJobId search links and Greenhouse embeds all match
    * @param {string} url - URL to search for
    * @param {string} urlFieldName - Name of the URL field in database
-   * @returns {Promise<Object|null>} Page data or null if not found
+   * @returns {Promise<Array>} Matching pages, most recently edited first
    */
-  async findPageByUrl(url, urlFieldName) {
+  async findPagesByUrl(url, urlFieldName) {
     if (!url || !urlFieldName) {
-      return null;
+      return [];
+    }
+
+    const values = [...new Set([url, canonicalizeUrl(url)])];
+    const conditions = values.map(value => ({ property: urlFieldName, url: { equals: value } }));
+    const jobId = getJobId(url);
+    if (jobId) {
+      conditions.push({ property: urlFieldName, url: { contains: jobId } });
     }
 
     try {
-      const result = await this.queryDatabase({
-        property: urlFieldName,
-        url: {
-          equals: url
-        }
+      const result = await this.queryDatabase(conditions.length === 1 ? conditions[0] : { or: conditions }, {
+        sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }]
       });
 
-      if (result.results && result.results.length > 0) {
-        return result.results[0]; // Return first match
-      }
-
-      return null;
+      // "contains" can hit other jobs whose links share the digits
+      const jobKey = getJobKey(url);
+      return (result.results || []).filter(page => {
+        const savedUrl = page.properties?.[urlFieldName]?.url;
+        return savedUrl && getJobKey(savedUrl) === jobKey;
+      });
     } catch (error) {
       console.error('Error querying for existing page:', error);
-      return null;
+      return [];
     }
   }
 
+  /**
+   * Find page by URL
+   * @param {string} url - URL to search for
+   * @param {string} urlFieldName - Name of the URL field in database
+   * @returns {Promise<Object|null>} Most recently edited page for the same job, or null if not found
+   */
+  async findPageByUrl(url, urlFieldName) {
+    const pages = await this.findPagesByUrl(url, urlFieldName);
+    return pages[0] || null;
+  }
+
+  /**
+   * Search a database by page title
+   * Used by relation pickers to look up pages in the related database
+   * @param {string} databaseId - Database to search
+   * @param {string} titleProperty - Name of that database's title property
+   * @param {string} query - Text the title should contain (empty for recent pages)
+   * @returns {Promise<Array>} Matching pages
+   */
+  async searchDatabaseByTitle(databaseId, titleProperty, query = '') {
+    const payload = {
+      page_size: 10
+    };
+
+    if (query) {
+      payload.filter = {
+        property: titleProperty,
+        title: {
+          contains: query
+        }
+      };
+    } else {
+      payload.sorts = [{ timestamp: 'last_edited_time', direction: 'descending' }];
+    }
+
+    const result = await this.request(`/databases/${databaseId}/query`, 'POST', payload);
+    return result.results || [];
+  }
+
   /**
    * Create a new page in the database
    * @param {Object} properties - Page properties payload
+   * @param {string} databaseId - Parent database (defaults to the configured one)
    * @returns {Promise<Object>} Created page data
    */
-  async createPage(properties) {
+  async createPage(properties, databaseId = this.credentials.databaseId) {
     const payload = {
       parent: {
-        database_id: this.credentials.databaseId
+        database_id: databaseId
       },
       properties
     };
@@ -155,6 +238,160 @@ export class NotionAPI {
 
     return this.request(`/pages/${pageId}`, 'PATCH', payload);
   }
+
+  /**
+   * Retrieve a single page
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Object>} Page data
+   */
+  async getPage(pageId) {
+    return this.request(`/pages/${pageId}`);
+  }
+
+  /**
+   * Append blocks to a page body, in batches Notion accepts
+   * @param {string} pageId - Page (or block) ID
+   * @param {Array<Object>} blocks - Blocks to append
+   * @returns {Promise<void>}
+   */
+  async appendBlocks(pageId, blocks) {
+    for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+      // A block takes at most 100 children per request - the rest are appended once it exists
+      const overflow = new Map();
+      const batch = blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST).map((block, index) => {
+        const children = block[block.type]?.children;
+        if (!children || children.length <= MAX_BLOCKS_PER_REQUEST) {
+          return block;
+        }
+        overflow.set(index, children.slice(MAX_BLOCKS_PER_REQUEST));
+        return { ...block, [block.type]: { ...block[block.type], children: children.slice(0, MAX_BLOCKS_PER_REQUEST) } };
+      });
+
+      const result = await this.request(`/blocks/${pageId}/children`, 'PATCH', { children: batch });
+      for (const [index, children] of overflow) {
+        await this.appendBlocks(result.results[index].id, children);
+      }
+    }
+  }
+
+  /**
+   * Upload a file with Notion's file upload API (single part, up to 20 MB)
+   * Needs the service worker transport - files can't be sent as extension messages
+   * @param {Blob} blob - File contents
+   * @param {string} filename - File name shown in Notion
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string>} File upload ID, to attach to a files property
+   */
+  async uploadFile(blob, filename, contentType) {
+    if (!this.transport) {
+      throw new Error('Files can only be uploaded from the service worker');
+    }
+
+    const upload = await this.request('/file_uploads', 'POST', {
+      mode: 'single_part',
+      filename,
+      content_type: contentType
+    });
+
+    const form = new FormData();
+    form.append('file', blob, filename);
+    await this.request(`/file_uploads/${upload.id}/send`, 'POST', form);
+
+    return upload.id;
+  }
+
+  /**
+   * List the top-level blocks of a page body
+   * @param {string} pageId - Page (or block) ID
+   * @returns {Promise<Array>} Blocks, in page order
+   */
+  async listBlocks(pageId) {
+    const blocks = [];
+    let cursor = null;
+
+    do {
+      const query = cursor ? `&start_cursor=${cursor}` : '';
+      const result = await this.request(`/blocks/${pageId}/children?page_size=100${query}`);
+      blocks.push(...(result.results || []));
+      cursor = result.has_more ? result.next_cursor : null;
+    } while (cursor);
+
+    return blocks;
+  }
+
+  /**
+   * List users in the workspace (for people properties)
+   * @returns {Promise<Array>} User objects
+   */
+  async listUsers() {
+    const result = await this.request('/users?page_size=100');
+    return (result.results || []).filter(user => user.type === 'person');
+  }
+}
+
+/**
+ * Property types computed by Notion that can be displayed but not written
+ */
+export const READ_ONLY_TYPES = new Set([
+  'formula',
+  'rollup',
+  'created_time',
+  'created_by',
+  'last_edited_time',
+  'last_edited_by',
+  'unique_id'
+]);
+
+/**
+ * Normalize a date form value into a { start, end } range
+ * Form values are either a plain start string or a range object
+ * @param {string|Object} value - Date value
+ * @returns {Object|null} Date range or null if empty
+ */
+export function toDateRange(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return { start: value, end: null };
+  }
+  if (!value.start) {
+    return null;
+  }
+  return { start: value.start, end: value.end || null };
+}
+
+/**
+ * Check whether a date-time carries its own offset ("...T09:00:00Z", "...T09:00+02:00")
+ * @param {string|null} value - Date or date-time
+ * @returns {boolean} Whether the value ends in Z or an offset
+ */
+function hasUtcOffset(value) {
+  return /T.*(?:Z|[+-]\d{2}:?\d{2})$/i.test(value || '');
+}
+
+/**
+ * Convert a date-time with an offset to local time without one
+ * @param {string} value - Date or date-time
+ * @returns {string} "YYYY-MM-DDTHH:mm" in local time, or the value if it has no offset
+ */
+function toLocalDateTime(value) {
+  const date = new Date(value);
+  if (!hasUtcOffset(value) || isNaN(date.getTime())) {
+    return value;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Extract the page ID from a Notion page URL or raw ID
+ * @param {string} value - Page URL or ID
+ * @returns {string|null} Page ID or null if none found
+ */
+export function parsePageId(value) {
+  const match = String(value || '').replace(/-/g, '').match(/([a-f0-9]{32})(?![a-f0-9])/i);
+  return match ? match[1] : null;
 }
 
 /**
@@ -173,21 +410,13 @@ export const PropertyFormatters = {
   }),
 
   /**
-   * Notion limits each rich_text block to 2000 characters.
-   * Split content into multiple blocks to preserve full text.
+   * Form values are markdown, so bold, italic, code and links read from Notion
+   * are written back. Notion limits each item to 2000 characters, so longer
+   * text is split across items.
    */
   rich_text: (value) => {
-    const content = String(value || '');
-    const MAX_CHARS = 2000;
-    const blocks = [];
-    for (let i = 0; i < content.length; i += MAX_CHARS) {
-      blocks.push({
-        text: {
-          content: content.slice(i, i + MAX_CHARS)
-        }
-      });
-    }
-    return { rich_text: blocks.length ? blocks : [{ text: { content: '' } }] };
+    const items = markdownToRichText(value || '');
+    return { rich_text: items.length ? items : [{ text: { content: '' } }] };
   },
 
   url: (value) => ({
@@ -195,7 +424,8 @@ export const PropertyFormatters = {
   }),
 
   number: (value) => ({
-    number: value !== '' && value !== null ? parseFloat(value) : null
+    // Accepts pasted amounts like "$120k" or "1,500"
+    number: value !== '' && value !== null ? parseAmount(value) : null
   }),
 
   checkbox: (value) => ({
@@ -212,9 +442,30 @@ export const PropertyFormatters = {
       : []
   }),
 
-  date: (value) => ({
-    date: value ? { start: value } : null
-  }),
+  /**
+   * Accepts a start date string or a { start, end } range.
+   * Values with a time component are sent with the browser's time zone. Notion
+   * rejects a time zone next to an offset, which every time read back from Notion
+   * has, so offsets are dropped after converting to local time - unless both ends
+   * have one, which Notion takes as it is.
+   */
+  date: (value) => {
+    const range = toDateRange(value);
+    if (!range) {
+      return { date: null };
+    }
+
+    const date = { start: range.start };
+    if (range.end) {
+      date.end = range.end;
+    }
+    if (range.start.includes('T') && !(hasUtcOffset(range.start) && (!range.end || hasUtcOffset(range.end)))) {
+      date.start = toLocalDateTime(date.start);
+      if (date.end) date.end = toLocalDateTime(date.end);
+      date.time_zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+    return { date };
+  },
 
   email: (value) => ({
     email: value || null
@@ -226,6 +477,34 @@ export const PropertyFormatters = {
 
   status: (value) => ({
     status: value ? { name: value } : null
+  }),
+
+  people: (values) => ({
+    people: Array.isArray(values)
+      ? values.map(person => ({ id: typeof person === 'string' ? person : person.id }))
+      : []
+  }),
+
+  relation: (values) => ({
+    relation: Array.isArray(values)
+      ? values.map(page => ({ id: typeof page === 'string' ? page : page.id }))
+      : []
+  }),
+
+  /**
+   * Only external links can be written through the API; Notion-hosted files
+   * are left out (the popup doesn't send the property unless it was edited).
+   */
+  files: (values) => ({
+    files: Array.isArray(values)
+      ? values
+        .filter(file => file.type !== 'file' && file.url)
+        .map(file => ({
+          name: (file.name || file.url).slice(0, 100),
+          type: 'external',
+          external: { url: file.url }
+        }))
+      : []
   })
 };
 
@@ -235,11 +514,14 @@ export const PropertyFormatters = {
  */
 export const PropertyParsers = {
   title: (property) => {
-    return property.title?.[0]?.plain_text || '';
+    return richTextToPlainText(property.title);
   },
 
+  /**
+   * Every item is joined (long text is split across items), keeping formatting as markdown
+   */
   rich_text: (property) => {
-    return property.rich_text?.[0]?.plain_text || '';
+    return richTextToMarkdown(property.rich_text);
   },
 
   url: (property) => {
@@ -262,8 +544,17 @@ export const PropertyParsers = {
     return property.multi_select?.map(opt => opt.name) || [];
   },
 
+  /**
+   * Plain start string for simple dates, { start, end } for ranges
+   */
   date: (property) => {
-    return property.date?.start || '';
+    if (!property.date?.start) {
+      return '';
+    }
+    if (property.date.end) {
+      return { start: property.date.start, end: property.date.end };
+    }
+    return property.date.start;
   },
 
   email: (property) => {
@@ -276,9 +567,113 @@ export const PropertyParsers = {
 
   status: (property) => {
     return property.status?.name || '';
+  },
+
+  people: (property) => {
+    return property.people?.map(person => ({ id: person.id, name: person.name || '' })) || [];
+  },
+
+  relation: (property) => {
+    return property.relation?.map(page => ({ id: page.id })) || [];
+  },
+
+  files: (property) => {
+    return property.files?.map(file => ({
+      name: file.name || '',
+      type: file.type,
+      url: file.type === 'external' ? file.external?.url : file.file?.url
+    })) || [];
+  },
+
+  // Read-only properties are parsed to display strings
+
+  formula: (property) => {
+    return formatComputedValue(property.formula);
+  },
+
+  rollup: (property) => {
+    const rollup = property.rollup;
+    if (rollup?.type === 'array') {
+      return (rollup.array || [])
+        .map(item => {
+          const parser = PropertyParsers[item.type];
+          const value = parser && !READ_ONLY_TYPES.has(item.type) ? parser(item) : formatComputedValue(item);
+          return formatDisplayValue(value);
+        })
+        .filter(Boolean)
+        .join(', ');
+    }
+    return formatComputedValue(rollup);
+  },
+
+  created_time: (property) => {
+    return property.created_time || '';
+  },
+
+  last_edited_time: (property) => {
+    return property.last_edited_time || '';
+  },
+
+  created_by: (property) => {
+    return property.created_by?.name || '';
+  },
+
+  last_edited_by: (property) => {
+    return property.last_edited_by?.name || '';
+  },
+
+  unique_id: (property) => {
+    const id = property.unique_id;
+    if (!id || id.number === null || id.number === undefined) {
+      return '';
+    }
+    return id.prefix ? `${id.prefix}-${id.number}` : String(id.number);
   }
 };
 
+/**
+ * Format a typed computed value (formula result or rollup) as a string
+ * @param {Object} value - Object with a type key and matching value key
+ * @returns {string} Display string
+ */
+function formatComputedValue(value) {
+  if (!value || !value.type) {
+    return '';
+  }
+  const inner = value[value.type];
+  if (value.type === 'date') {
+    return formatDisplayValue(inner ? toDateRange(inner) : '');
+  }
+  if (inner === null || inner === undefined) {
+    return '';
+  }
+  return formatDisplayValue(inner);
+}
+
+/**
+ * Format any parsed property value as a display string
+ * @param {*} value - Parsed value
+ * @returns {string} Display string
+ */
+export function formatDisplayValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatDisplayValue).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'object') {
+    if ('start' in value) {
+      return value.end ? `${value.start} → ${value.end}` : (value.start || '');
+    }
+    return value.name || value.title || value.url || value.id || '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
 /**
  * Parse Notion page properties into form values
  * @param {Object} page - Notion page object
@@ -307,6 +702,62 @@ export function parseNotionPage(page, schema) {
   return values;
 }
 
+/**
+ * Find the name of a schema's title property
+ * @param {Object} schema - Database schema
+ * @returns {string|null} Title property name
+ */
+export function getTitlePropertyName(schema) {
+  for (const [name, property] of Object.entries(schema?.properties || {})) {
+    if (property.type === 'title') {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the plain-text title of a Notion page
+ * @param {Object} page - Notion page object
+ * @returns {string} Page title or 'Untitled'
+ */
+export function getPageTitle(page) {
+  for (const property of Object.values(page?.properties || {})) {
+    if (property.type === 'title') {
+      return PropertyParsers.title(property) || 'Untitled';
+    }
+  }
+  return 'Untitled';
+}
+
+/**
+ * Format simple form values into a Notion properties payload
+ * @param {Object} schema - Database schema
+ * @param {Object} values - Form values keyed by property name
+ * @param {Set} hiddenFields - Set of hidden field names to exclude
+ * @returns {Object} Properties payload for Notion API
+ */
+export function formatProperties(schema, values, hiddenFields = new Set()) {
+  const properties = {};
+
+  for (const [name, value] of Object.entries(values)) {
+    const schemaProperty = schema.properties?.[name];
+    if (!schemaProperty || hiddenFields.has(name)) continue;
+
+    const type = schemaProperty.type;
+    const formatter = PropertyFormatters[type];
+
+    if (formatter && (value !== '' && value !== null && value !== undefined)) {
+      properties[name] = formatter(value);
+    } else if (type === 'title') {
+      // Title is always required
+      properties[name] = PropertyFormatters.title(value || 'Untitled');
+    }
+  }
+
+  return properties;
+}
+
 /**
  * Get tab info from background script
  * @returns {Promise<Object>} Tab URL and title
@@ -330,34 +781,78 @@ export async function getTabInfo() {
 }
 
 /**
- * OpenAI Integration for AI-powered form filling
+ * How long a cached database schema is considered fresh
  */
-export class OpenAIHelper {
-  constructor() {
-    this.apiKey = null;
-  }
+export const SCHEMA_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-  /**
-   * Load API key from storage
-   * @returns {Promise<string>} API key
-   */
-  async loadApiKey() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get(['openaiApiKey'], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
+/**
+ * Load cached database schema from storage
+ * Schemas are cached per database so switching profiles doesn't invalidate them
+ * @param {string} databaseId - Database ID to look up
+ * @param {number} maxAge - Maximum cache age in milliseconds
+ * @returns {Promise<Object|null>} Cached schema or null
+ */
+export async function loadCachedSchema(databaseId, maxAge = SCHEMA_CACHE_DURATION) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['schemaCache'], (result) => {
+      const entry = result.schemaCache?.[databaseId];
+      if (entry?.schema && entry.timestamp) {
+        const cacheAge = Date.now() - entry.timestamp;
         
-        if (!result.openaiApiKey) {
-          reject(new Error('OPENAI_NOT_CONFIGURED'));
+        if (cacheAge < maxAge) {
+          console.log(`Using cached schema (age: ${Math.round(cacheAge / 1000)}s)`);
+          resolve(entry.schema);
           return;
         }
+      }
+      resolve(null);
+    });
+  });
+}
 
-        this.apiKey = result.openaiApiKey;
-        resolve(this.apiKey);
-      });
+/**
+ * Cache database schema to storage
+ * @param {Object} schema - Database schema to cache
+ * @param {string} databaseId - Database ID the schema belongs to
+ */
+export async function cacheSchema(schema, databaseId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['schemaCache'], (result) => {
+      const schemaCache = result.schemaCache || {};
+      schemaCache[databaseId] = { schema, timestamp: Date.now() };
+      chrome.storage.local.set({ schemaCache }, resolve);
     });
+  });
+}
+
+/**
+ * LLM Integration for AI-powered form filling
+ * Talks to whichever provider is configured (see lib/llm-providers.js)
+ */
+export class LLMHelper {
+  /**
+   * @param {Object} options
+   * @param {Function} options.transport - Optional request handler used instead of
+   *   messaging the service worker
+   * @param {Object} options.settings - Resolved provider settings to use instead of the saved ones
+   */
+  constructor(options = {}) {
+    this.settings = options.settings || null;
+    this.transport = options.transport || null;
+  }
+
+  /**
+   * Load provider settings from storage
+   * @returns {Promise<Object>} Resolved provider settings
+   */
+  async loadSettings() {
+    const settings = await loadLLMSettings();
+    if (!isLLMConfigured(settings)) {
+      throw new Error('AI_NOT_CONFIGURED');
+    }
+
+    this.settings = settings;
+    return settings;
   }
 
   /**
@@ -396,49 +891,21 @@ export class OpenAIHelper {
    * @param {Object} schema - Database schema
    * @param {Object} pageContent - Page content
    * @param {Set} hiddenFields - Set of hidden field names to exclude
-   * @returns {Array} Messages for OpenAI
+   * @param {Object} responseSchema - JSON Schema the answer must match
+   * @returns {Array} Chat messages (system first)
    */
-  buildPrompt(schema, pageContent, hiddenFields = new Set()) {
-    // Build field descriptions from schema, excluding hidden fields
-    const fields = [];
-    
-    for (const [name, prop] of Object.entries(schema.properties)) {
-      // Skip hidden fields
-      if (hiddenFields.has(name)) {
-        continue;
-      }
-      
-      const field = {
-        name,
-        type: prop.type,
-        required: prop.type === 'title'
-      };
-
-      // Add options for select/multi_select
-      if (prop.type === 'select' && prop.select?.options) {
-        field.options = prop.select.options.map(o => o.name);
-      }
-      if (prop.type === 'multi_select' && prop.multi_select?.options) {
-        field.options = prop.multi_select.options.map(o => o.name);
-      }
-      if (prop.type === 'status' && prop.status?.options) {
-        field.options = prop.status.options.map(o => o.name);
-      }
-
-      fields.push(field);
-    }
-
+  buildPrompt(schema, pageContent, hiddenFields = new Set(), responseSchema = buildExtractionSchema(schema, hiddenFields)) {
     const systemPrompt = `You are a data extraction assistant. Your job is to analyze content and extract relevant information to fill database fields.
 
 You will receive:
-1. A list of database fields with their types and any available options
+1. A JSON Schema describing the database fields, their types and any allowed options
 2. Text content to analyze
 
 Your task:
 - Analyze the content thoroughly and extract information for as many fields as possible
 - Make reasonable inferences based on context - you don't need to be 100% certain
-- For select/multi_select/status fields, ONLY use values from the provided options list
-- Return a JSON object with field names as keys and extracted values
+- For select/multi_select/status fields, ONLY use values from the schema's enum
+- Return a JSON object that validates against the schema, with field names as keys
 
 Field types to handle:
 - title: A short title/name (string) - extract from headings, job titles, product names, etc.
@@ -449,7 +916,7 @@ Field types to handle:
     - "Role Summary" or "Role" or "Job Summary": Extract what the person needs to do, own, and take care of in this specific role - be as specific as possible, include responsibilities and ownership areas
     - "What are they looking for" or "Requirements" or "Candidate Requirements": Extract key skills needed for the role, key skills that will help the candidate succeed, qualifications, and what makes a good fit
 - url: A URL (string, must be valid URL)
-- number: A numeric value (number) - extract salaries, quantities, years of experience, etc.
+- number: A numeric value (number) - extract salaries (as annual figures - use salary.annualMin / annualMax when given), quantities, years of experience, etc.
 - checkbox: True/false (boolean) - infer from context (e.g., "remote" = true, "full-time" = true)
 - select: Single choice from options (string, must match an option exactly) - pick the closest match
 - multi_select: Multiple choices from options (array of strings, must match options exactly) - select all that apply
@@ -473,11 +940,13 @@ Extraction guidelines:
 - When extracting role summaries and requirements, prioritize specificity - include concrete details rather than generic descriptions
 
 Important rules:
-- For select/multi_select/status, only use the exact option names provided (case-insensitive matching is okay)
-- Return a JSON object with all fields you can reasonably extract or infer`;
+- For select/multi_select/status, only use the exact option names in the enum (case-insensitive matching is okay)
+- Dates must be YYYY-MM-DD, URLs must be absolute http(s) URLs, numbers must be JSON numbers (no currency symbols)
+- Use null for fields you can't fill; never invent keys that aren't in the schema
+- Values that don't match the schema are rejected`;
 
-    const userPrompt = `## Database Fields:
-${JSON.stringify(fields, null, 2)}
+    const userPrompt = `## Response JSON Schema:
+${JSON.stringify(responseSchema, null, 2)}
 
 ## Page Information:
 Title: ${pageContent.title}
@@ -489,8 +958,12 @@ ${pageContent.content}
 
 ${pageContent.structuredData ? `## Structured Data:\n${JSON.stringify(pageContent.structuredData, null, 2)}` : ''}
 
+${pageContent.posting ? `## Posting Details (read from the ${pageContent.posting.source} page layout${pageContent.posting.structured ? ' and its JSON-LD' : ''}, reliable):\n${JSON.stringify(pageContent.posting, null, 2)}` : ''}
+
+${pageContent.compensation ? `## Compensation (parsed from the page text, reliable):\n${JSON.stringify(pageContent.compensation, null, 2)}` : ''}
+
 ---
-Extract the relevant information and return a JSON object with field names as keys. Fill as many fields as possible based on the content, making reasonable inferences where needed.`;
+Extract the relevant information and return a JSON object matching the schema. Fill as many fields as possible based on the content, making reasonable inferences where needed.`;
 
     return [
       { role: 'system', content: systemPrompt },
@@ -499,28 +972,59 @@ Extract the relevant information and return a JSON object with field names as ke
   }
 
   /**
-   * Extract fields using OpenAI
+   * Extract fields using the configured model
    * @param {Object} schema - Database schema
    * @param {Object} pageContent - Page content
    * @param {Set} hiddenFields - Set of hidden field names to exclude
-   * @returns {Promise<Object>} Extracted fields
+   * @returns {Promise<{values: Object, rejected: Array}>} Values that match the schema,
+   *   and the values rejected per field (see lib/extraction-schema.js)
    */
   async extractFields(schema, pageContent, hiddenFields = new Set()) {
-    if (!this.apiKey) {
-      await this.loadApiKey();
+    const responseSchema = buildExtractionSchema(schema, hiddenFields);
+    const messages = this.buildPrompt(schema, pageContent, hiddenFields, responseSchema);
+    const extracted = this.parseResponse(await this.complete(messages, responseSchema));
+    return validateExtraction(extracted, responseSchema);
+  }
+
+  /**
+   * Check that the provider answers with a JSON object
+   * @returns {Promise<Object>} Parsed test reply
+   */
+  async test() {
+    const response = await this.complete([
+      { role: 'system', content: 'You check that an API connection works. Reply only with a JSON object.' },
+      { role: 'user', content: 'Return {"ok": true}' }
+    ]);
+    return this.parseResponse(response);
+  }
+
+  /**
+   * Send chat messages to the provider through the service worker
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object|null} responseSchema - JSON Schema to constrain the answer to
+   * @returns {Promise<Object>} Service worker response ({ data: { content } })
+   */
+  async complete(messages, responseSchema = null) {
+    if (!this.settings) {
+      await this.loadSettings();
     }
 
-    const messages = this.buildPrompt(schema, pageContent, hiddenFields);
+    const payload = {
+      messages,
+      settings: this.settings,
+      responseSchema
+    };
+
+    if (this.transport) {
+      return this.transport(payload);
+    }
 
     return new Promise((resolve, reject) => {
       try {
         chrome.runtime.sendMessage(
           {
-            type: 'OPENAI_API_REQUEST',
-            payload: {
-              messages,
-              apiKey: this.apiKey
-            }
+            type: 'LLM_REQUEST',
+            payload
           },
           (response) => {
             if (chrome.runtime.lastError) {
@@ -538,30 +1042,7 @@ Extract the relevant information and return a JSON object with field names as ke
               return;
             }
 
-            try {
-              const data = response.data || response;
-              let content = data.choices?.[0]?.message?.content;
-              
-              if (!content || typeof content !== 'string') {
-                reject(new Error('Empty response from AI'));
-                return;
-              }
-              content = content.trim();
-              // Strip markdown code block if present (e.g. ```json ... ``` or ``` ... ```)
-              const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-              if (codeBlockMatch) {
-                content = codeBlockMatch[1].trim();
-              }
-              const extracted = JSON.parse(content);
-              if (typeof extracted !== 'object' || extracted === null) {
-                reject(new Error('AI response was not a JSON object'));
-                return;
-              }
-              resolve(extracted);
-            } catch (e) {
-              console.error('Parse error:', e);
-              reject(new Error('Failed to parse AI response: ' + (e.message || 'invalid JSON')));
-            }
+            resolve(response);
           }
         );
       } catch (e) {
@@ -569,5 +1050,43 @@ Extract the relevant information and return a JSON object with field names as ke
       }
     });
   }
-}
 
+  /**
+   * Parse the JSON object out of a model reply
+   * @param {Object} response - Service worker response
+   * @returns {Object} Extracted fields
+   */
+  parseResponse(response) {
+    const data = response.data || response;
+    let content = data.content;
+    
+    if (!content || typeof content !== 'string') {
+      throw new Error('Empty response from AI');
+    }
+
+    content = content.trim();
+    // Strip markdown code block if present (e.g. ```json ... ``` or ``` ... ```)
+    const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlockMatch) {
+      content = codeBlockMatch[1].trim();
+    }
+
+    // Models without a JSON mode sometimes wrap the object in prose
+    if (!content.startsWith('{') && content.includes('{')) {
+      content = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+    }
+
+    let extracted;
+    try {
+      extracted = JSON.parse(content);
+    } catch (e) {
+      console.error('Parse error:', e);
+      throw new Error('Failed to parse AI response: ' + (e.message || 'invalid JSON'));
+    }
+
+    if (typeof extracted !== 'object' || extracted === null) {
+      throw new Error('AI response was not a JSON object');
+    }
+    return extracted;
+  }
+}
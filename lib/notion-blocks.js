@@ -0,0 +1,382 @@
+/**
+ * Notion Rich Text & Blocks
+ * Converts between Notion rich text and the lightweight markdown shown in the
+ * form (so bold, italic, code and links survive an edit), turns job descriptions
+ * and posting snapshots into page body blocks (headings, lists, links), and
+ * writes them to saved pages.
+ */
+
+// Notion API limits
+export const MAX_TEXT_LENGTH = 2000; // Characters per rich text item
+export const MAX_RICH_TEXT_ITEMS = 100; // Rich text items per property or block
+export const MAX_BLOCKS_PER_REQUEST = 100; // Children per create / append request
+
+// Inline markdown: `code`, [text](url), **bold**, ~~strike~~, *italic*, and \* escapes
+// Markers must hug the text (like CommonMark), so "5 * 3" or "* item" stay literal,
+// and an escaped marker never opens or closes one
+const INLINE_PATTERN = /`([^`\n]+)`|\[((?:\\[\s\S]|[^\\\]\n])+)\]\((https?:\/\/[^\s)]+)\)|\*\*(?=\S)((?:\\[\s\S]|[^\\])+?)(?<=\S)\*\*(?!\*)|~~(?=\S)((?:\\[\s\S]|[^\\])+?)(?<=\S)~~|\*(?=[^\s*])((?:\\[\s\S]|[^\\])+?)(?<=[^\s*])\*|\\([\\*~`[\]])/g;
+
+// Characters escaped on read so text that only looks like markdown is saved back unchanged
+// (a backslash only when it comes before one of them, so "C:\path" stays as it is)
+const MARKDOWN_ESCAPE_PATTERN = /\\(?=[\\*~`[\]])|[*~`[\]]/g;
+
+/**
+ * Join the plain text of every rich text item
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} Plain text
+ */
+export function richTextToPlainText(richText) {
+  return (richText || []).map(item => item.plain_text ?? item.text?.content ?? '').join('');
+}
+
+/**
+ * Escape the characters markdownToRichText would read as markers
+ * @param {string} text - Plain text
+ * @returns {string} Text with markers escaped ("C\\*", "\\`grep\\`")
+ */
+function escapeMarkdown(text) {
+  return text.replace(MARKDOWN_ESCAPE_PATTERN, '\\$&');
+}
+
+/**
+ * Convert Notion rich text to markdown, keeping bold, italic, strikethrough, code and links
+ * Underline and colors have no markdown equivalent and are dropped
+ * @param {Array} richText - Notion rich text array
+ * @returns {string} Markdown text
+ */
+export function richTextToMarkdown(richText) {
+  return (richText || []).map(item => {
+    const text = item.plain_text ?? item.text?.content ?? '';
+    if (item.type && item.type !== 'text') {
+      // Mentions and equations are kept as their plain text
+      return escapeMarkdown(text);
+    }
+
+    // Markers go inside surrounding whitespace ("**bold** " not "**bold **")
+    const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) {
+      return text;
+    }
+
+    const annotations = item.annotations || {};
+    const url = item.text?.link?.url || item.href;
+    // Code spans are read literally, so only the text around them is escaped
+    let markdown = annotations.code ? core : escapeMarkdown(core);
+    if (annotations.code) markdown = `\`${markdown}\``;
+    if (url) markdown = `[${markdown}](${url})`;
+    if (annotations.strikethrough) markdown = `~~${markdown}~~`;
+    if (annotations.italic) markdown = `*${markdown}*`;
+    if (annotations.bold) markdown = `**${markdown}**`;
+
+    return lead + markdown + trail;
+  }).join('');
+}
+
+/**
+ * Split markdown into styled text runs
+ * @param {string} text - Markdown text
+ * @param {Object} annotations - Annotations inherited from enclosing markers
+ * @param {string|null} url - Link inherited from an enclosing link
+ * @param {Array} runs - Runs collected so far
+ * @returns {Array<{content: string, annotations: Object, url: string|null}>} Text runs
+ */
+function parseInline(text, annotations = {}, url = null, runs = []) {
+  const push = (content, runAnnotations = annotations) => {
+    if (!content) {
+      return;
+    }
+    // Escaped markers join the text around them
+    const previous = runs[runs.length - 1];
+    if (previous && previous.annotations === runAnnotations && previous.url === url) {
+      previous.content += content;
+    } else {
+      runs.push({ content, annotations: runAnnotations, url });
+    }
+  };
+
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    push(text.slice(last, match.index));
+
+    const [, code, linkText, href, bold, strike, italic, escaped] = match;
+    if (escaped !== undefined) {
+      push(escaped);
+    } else if (code !== undefined) {
+      push(code, { ...annotations, code: true });
+    } else if (linkText !== undefined) {
+      parseInline(linkText, annotations, href, runs);
+    } else if (bold !== undefined) {
+      parseInline(bold, { ...annotations, bold: true }, url, runs);
+    } else if (strike !== undefined) {
+      parseInline(strike, { ...annotations, strikethrough: true }, url, runs);
+    } else {
+      parseInline(italic, { ...annotations, italic: true }, url, runs);
+    }
+
+    last = match.index + match[0].length;
+  }
+  push(text.slice(last));
+
+  return runs;
+}
+
+/**
+ * Build a rich text item
+ * @param {string} content - Text (at most MAX_TEXT_LENGTH characters)
+ * @param {Object} annotations - Annotations to set
+ * @param {string|null} url - Link URL
+ * @returns {Object} Notion rich text item
+ */
+function createRichTextItem(content, annotations = {}, url = null) {
+  const item = {
+    type: 'text',
+    text: {
+      content,
+      link: url ? { url } : null
+    }
+  };
+  if (Object.keys(annotations).length > 0) {
+    item.annotations = annotations;
+  }
+  return item;
+}
+
+/**
+ * Split text into MAX_TEXT_LENGTH-sized pieces
+ * @param {string} text - Text
+ * @returns {Array<string>} Pieces
+ */
+function chunkText(text) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += MAX_TEXT_LENGTH) {
+    chunks.push(text.slice(i, i + MAX_TEXT_LENGTH));
+  }
+  return chunks;
+}
+
+/**
+ * Convert markdown to Notion rich text
+ * Long runs are split into 2000-character items. If the formatting needs more
+ * items than Notion allows, the text is sent unformatted; text that still doesn't
+ * fit is cut (long descriptions belong in the page body)
+ * @param {string} text - Markdown text
+ * @returns {Array} Notion rich text array (empty for empty text)
+ */
+export function markdownToRichText(text) {
+  const content = String(text ?? '');
+  if (!content) {
+    return [];
+  }
+
+  const items = parseInline(content).flatMap(run =>
+    chunkText(run.content).map(chunk => createRichTextItem(chunk, run.annotations, run.url))
+  );
+  if (items.length <= MAX_RICH_TEXT_ITEMS) {
+    return items;
+  }
+
+  console.warn(`Rich text needs ${items.length} items (Notion allows ${MAX_RICH_TEXT_ITEMS}) - dropping formatting`);
+  const plain = items.map(item => item.text.content).join('');
+  const chunks = chunkText(plain);
+  if (chunks.length > MAX_RICH_TEXT_ITEMS) {
+    console.warn(`Text is ${plain.length} characters - keeping the first ${MAX_RICH_TEXT_ITEMS * MAX_TEXT_LENGTH}`);
+  }
+  return chunks.slice(0, MAX_RICH_TEXT_ITEMS).map(chunk => createRichTextItem(chunk));
+}
+
+/**
+ * Build a text block
+ * @param {string} type - Block type (paragraph, heading_3, bulleted_list_item, ...)
+ * @param {string} text - Markdown text
+ * @returns {Object} Notion block
+ */
+function createBlock(type, text) {
+  return {
+    object: 'block',
+    type,
+    [type]: {
+      rich_text: markdownToRichText(text)
+    }
+  };
+}
+
+/**
+ * Check whether a line is a list item
+ * @param {string} line - Trimmed line
+ * @returns {boolean} Whether the line starts with a bullet or number
+ */
+function isListLine(line) {
+  return /^([-*•·▪◦–]|\d{1,2}[.)])\s+\S/.test(line);
+}
+
+/**
+ * Guess whether a line is a section heading ("Requirements:", "ABOUT THE ROLE",
+ * or a short line introducing a list)
+ * @param {string} line - Trimmed line
+ * @param {string} nextLine - Next non-empty line
+ * @returns {boolean} Whether to render the line as a heading
+ */
+function isHeadingLine(line, nextLine) {
+  if (line.length > 80 || !/\p{L}/u.test(line) || /[.!?,;]$/.test(line)) {
+    return false;
+  }
+  if (line.endsWith(':')) {
+    return true;
+  }
+  if (line.length > 3 && line === line.toUpperCase() && /\p{Lu}/u.test(line)) {
+    return true;
+  }
+  return line.split(/\s+/).length <= 6 && isListLine(nextLine || '');
+}
+
+/**
+ * Convert a job description to page body blocks
+ * Markdown headings and list markers are used when present; otherwise headings
+ * are guessed from short lines and lines between blank lines become paragraphs
+ * @param {string} text - Plain text or markdown
+ * @returns {Array<Object>} Notion blocks
+ */
+export function textToBlocks(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => line.trim());
+  const blocks = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(createBlock('paragraph', paragraph.join('\n')));
+      paragraph = [];
+    }
+  };
+
+  lines.forEach((line, index) => {
+    if (!line) {
+      flush();
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    const bullet = line.match(/^[-*•·▪◦–]\s+(.+)$/);
+    const numbered = line.match(/^\d{1,2}[.)]\s+(.+)$/);
+    const nextLine = lines.slice(index + 1).find(Boolean);
+
+    if (heading) {
+      flush();
+      // Page titles are already large, so # starts at heading 2
+      blocks.push(createBlock(`heading_${Math.min(heading[1].length + 1, 3)}`, heading[2]));
+    } else if (bullet) {
+      flush();
+      blocks.push(createBlock('bulleted_list_item', bullet[1]));
+    } else if (numbered) {
+      flush();
+      blocks.push(createBlock('numbered_list_item', numbered[1]));
+    } else if (paragraph.length === 0 && isHeadingLine(line, nextLine)) {
+      blocks.push(createBlock('heading_3', line.replace(/:$/, '')));
+    } else {
+      paragraph.push(line);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+// Label of the toggle holding a posting snapshot (also how an existing snapshot is found)
+const SNAPSHOT_TITLE = 'Job posting snapshot';
+
+/**
+ * Page body modes a profile can choose
+ * description: the posting description, written to new pages
+ * posting: a Markdown snapshot of the whole posting, written to new pages and
+ *   to existing pages that don't have one yet
+ */
+export const PAGE_BODY_MODES = ['none', 'description', 'posting'];
+
+/**
+ * Get a profile's page body mode
+ * @param {Object} profile - Profile
+ * @returns {string} One of PAGE_BODY_MODES
+ */
+export function getPageBodyMode(profile) {
+  return PAGE_BODY_MODES.includes(profile?.pageBody) ? profile.pageBody : 'none';
+}
+
+/**
+ * Build a toggle holding a snapshot of the posting
+ * @param {string} markdown - Posting content as Markdown
+ * @param {string} url - Posting URL
+ * @param {Date} capturedAt - Capture time
+ * @returns {Object} Toggle block with the posting as children
+ */
+export function buildPostingSnapshot(markdown, url, capturedAt = new Date()) {
+  const date = capturedAt.toISOString().split('T')[0];
+  const source = url ? [createBlock('paragraph', `Captured ${date} from [${url}](${url})`)] : [];
+
+  return {
+    object: 'block',
+    type: 'toggle',
+    toggle: {
+      rich_text: [createRichTextItem(`${SNAPSHOT_TITLE} (${date})`, { bold: true })],
+      children: [...source, ...textToBlocks(markdown)]
+    }
+  };
+}
+
+/**
+ * Check whether a block is a posting snapshot
+ * @param {Object} block - Block from the API or buildPostingSnapshot()
+ * @returns {boolean} Whether the block is a snapshot toggle
+ */
+export function isPostingSnapshot(block) {
+  return block?.type === 'toggle' && richTextToPlainText(block.toggle?.rich_text).startsWith(SNAPSHOT_TITLE);
+}
+
+/**
+ * Build the page body a profile asks for
+ * @param {Object} profile - Active profile
+ * @param {Object} tab - Tab info ({ description, selectedText, url })
+ * @param {string} markdown - Posting Markdown (only used for snapshots)
+ * @returns {Array<Object>} Blocks (empty when the profile has no page body or there's nothing to write)
+ */
+export function buildPageBody(profile, tab, markdown = '') {
+  switch (getPageBodyMode(profile)) {
+    case 'description':
+      return textToBlocks(tab?.description || tab?.selectedText || '');
+
+    case 'posting':
+      return markdown && markdown.trim() ? [buildPostingSnapshot(markdown, tab?.url || '')] : [];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Write a page body to a saved page
+ * Descriptions only go to new pages; a snapshot is added to an existing page
+ * unless it already has one (so a taken-down posting never replaces a good capture)
+ * @param {Object} notionApi - NotionAPI instance
+ * @param {string} pageId - Saved page ID
+ * @param {Array<Object>} blocks - Blocks from buildPageBody()
+ * @param {boolean} created - Whether the page was just created
+ * @returns {Promise<number>} Number of top-level blocks written
+ */
+export async function writePageBody(notionApi, pageId, blocks, created) {
+  if (!blocks || blocks.length === 0) {
+    return 0;
+  }
+
+  if (!created) {
+    if (!isPostingSnapshot(blocks[0])) {
+      return 0;
+    }
+    const existing = await notionApi.listBlocks(pageId);
+    if (existing.some(isPostingSnapshot)) {
+      console.log('Page already has a posting snapshot - keeping it');
+      return 0;
+    }
+  }
+
+  await notionApi.appendBlocks(pageId, blocks);
+  console.log(`Wrote ${blocks.length} blocks to the page body`);
+  return blocks.length;
+}
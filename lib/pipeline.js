@@ -0,0 +1,290 @@
+/**
+ * Pipeline
+ * Loads a database's entries for the dashboard and groups them by their status
+ * (or another select) property. Search, filters and sorts are turned into a
+ * Notion query, so the database does the filtering and paging.
+ */
+
+import { PropertyFormatters, parseNotionPage, getPageTitle } from './notion-api.js';
+import { getPropertyOptions } from './field-defaults.js';
+
+// Entries fetched per query page (the most Notion returns)
+export const PIPELINE_PAGE_SIZE = 100;
+
+// Property types entries can be grouped by
+const GROUP_TYPES = ['status', 'select'];
+
+// Property types that are Notion timestamps rather than stored values
+const TIMESTAMP_TYPES = ['created_time', 'last_edited_time'];
+
+// Operators per kind of property; `input` is the kind of value the operator needs
+const TEXT_OPERATORS = [
+  { id: 'contains', label: 'contains', input: 'text' },
+  { id: 'does_not_contain', label: 'does not contain', input: 'text' },
+  { id: 'equals', label: 'is', input: 'text' },
+  { id: 'is_empty', label: 'is empty', input: null },
+  { id: 'is_not_empty', label: 'is not empty', input: null }
+];
+
+const NUMBER_OPERATORS = [
+  { id: 'equals', label: '=', input: 'number' },
+  { id: 'greater_than', label: '>', input: 'number' },
+  { id: 'less_than', label: '<', input: 'number' },
+  { id: 'is_empty', label: 'is empty', input: null },
+  { id: 'is_not_empty', label: 'is not empty', input: null }
+];
+
+const OPTION_OPERATORS = [
+  { id: 'equals', label: 'is', input: 'option' },
+  { id: 'does_not_equal', label: 'is not', input: 'option' },
+  { id: 'is_empty', label: 'is empty', input: null },
+  { id: 'is_not_empty', label: 'is not empty', input: null }
+];
+
+const MULTI_OPTION_OPERATORS = [
+  { id: 'contains', label: 'has', input: 'option' },
+  { id: 'does_not_contain', label: 'does not have', input: 'option' },
+  { id: 'is_empty', label: 'is empty', input: null },
+  { id: 'is_not_empty', label: 'is not empty', input: null }
+];
+
+const DATE_OPERATORS = [
+  { id: 'on_or_after', label: 'on or after', input: 'date' },
+  { id: 'on_or_before', label: 'on or before', input: 'date' },
+  { id: 'past_week', label: 'in the past week', input: null },
+  { id: 'past_month', label: 'in the past month', input: null },
+  { id: 'is_empty', label: 'is empty', input: null },
+  { id: 'is_not_empty', label: 'is not empty', input: null }
+];
+
+const PRESENCE_OPERATORS = [
+  { id: 'is_not_empty', label: 'is set', input: null },
+  { id: 'is_empty', label: 'is empty', input: null }
+];
+
+const FILTER_OPERATORS = {
+  title: TEXT_OPERATORS,
+  rich_text: TEXT_OPERATORS,
+  url: TEXT_OPERATORS,
+  email: TEXT_OPERATORS,
+  phone_number: TEXT_OPERATORS,
+  number: NUMBER_OPERATORS,
+  select: OPTION_OPERATORS,
+  status: OPTION_OPERATORS,
+  multi_select: MULTI_OPTION_OPERATORS,
+  date: DATE_OPERATORS,
+  created_time: DATE_OPERATORS.filter(operator => !operator.id.startsWith('is_')),
+  last_edited_time: DATE_OPERATORS.filter(operator => !operator.id.startsWith('is_')),
+  checkbox: [
+    { id: 'checked', label: 'is checked', input: null },
+    { id: 'unchecked', label: 'is not checked', input: null }
+  ],
+  people: PRESENCE_OPERATORS,
+  relation: PRESENCE_OPERATORS,
+  files: PRESENCE_OPERATORS
+};
+
+/**
+ * Get the filter operators for a property type
+ * @param {string} type - Notion property type
+ * @returns {Array} Operators ({ id, label, input }), empty if the type can't be filtered
+ */
+export function getFilterOperators(type) {
+  return FILTER_OPERATORS[type] || [];
+}
+
+/**
+ * Get the properties entries can be grouped by
+ * @param {Object} schema - Database schema
+ * @returns {Array<string>} Status and select property names
+ */
+export function getGroupableFields(schema) {
+  return Object.entries(schema?.properties || {})
+    .filter(([, property]) => GROUP_TYPES.includes(property.type))
+    .map(([name]) => name);
+}
+
+/**
+ * Get the options of a group property in board order
+ * Status options follow Notion's To-do / In progress / Complete groups
+ * @param {Object} property - Status or select property schema
+ * @returns {Array} Options ({ name, color })
+ */
+export function getGroupOptions(property) {
+  const options = getPropertyOptions(property);
+  const groups = property.type === 'status' ? property.status?.groups || [] : [];
+  if (groups.length === 0) {
+    return options;
+  }
+
+  const position = new Map();
+  groups.forEach((group, groupIndex) => {
+    (group.option_ids || []).forEach((id, index) => position.set(id, groupIndex * 1000 + index));
+  });
+  return [...options].sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+}
+
+/**
+ * Build the Notion filter condition for one filter row
+ * @param {Object} schema - Database schema
+ * @param {Object} filter - { property, operator, value }
+ * @returns {Object|null} Filter condition, or null if the row is incomplete
+ */
+export function buildPropertyFilter(schema, { property: name, operator, value }) {
+  const property = schema?.properties?.[name];
+  const definition = getFilterOperators(property?.type).find(candidate => candidate.id === operator);
+  if (!definition) {
+    return null;
+  }
+
+  const type = property.type;
+  const needsValue = definition.input !== null;
+  if (needsValue && (value === '' || value === null || value === undefined)) {
+    return null;
+  }
+
+  let condition;
+  if (type === 'checkbox') {
+    condition = { equals: operator === 'checked' };
+  } else if (!needsValue) {
+    condition = { [operator]: operator.startsWith('past_') ? {} : true };
+  } else if (definition.input === 'number') {
+    const number = Number(value);
+    if (Number.isNaN(number)) return null;
+    condition = { [operator]: number };
+  } else {
+    condition = { [operator]: String(value) };
+  }
+
+  if (TIMESTAMP_TYPES.includes(type)) {
+    return { timestamp: type, [type]: condition };
+  }
+  return { property: name, [type]: condition };
+}
+
+/**
+ * Build the query for the dashboard's search, filters and sort
+ * @param {Object} schema - Database schema
+ * @param {Object} options
+ * @param {string} options.search - Text the title must contain
+ * @param {Array} options.filters - Filter rows ({ property, operator, value })
+ * @param {Object} options.sort - { key, direction } where key is a property name or a timestamp type
+ * @returns {Object} { filter, sorts } for NotionAPI.queryDatabase
+ */
+export function buildPipelineQuery(schema, { search = '', filters = [], sort = null } = {}) {
+  const conditions = filters
+    .map(filter => buildPropertyFilter(schema, filter))
+    .filter(Boolean);
+
+  const titleField = Object.entries(schema?.properties || {}).find(([, property]) => property.type === 'title')?.[0];
+  if (search.trim() && titleField) {
+    conditions.unshift({ property: titleField, title: { contains: search.trim() } });
+  }
+
+  let filter;
+  if (conditions.length === 1) {
+    filter = conditions[0];
+  } else if (conditions.length > 1) {
+    filter = { and: conditions };
+  }
+
+  const key = sort?.key || 'last_edited_time';
+  const direction = sort?.direction === 'ascending' ? 'ascending' : 'descending';
+  const sorts = TIMESTAMP_TYPES.includes(key) || !schema?.properties?.[key]
+    ? [{ timestamp: TIMESTAMP_TYPES.includes(key) ? key : 'last_edited_time', direction }]
+    : [{ property: key, direction }];
+
+  return { filter, sorts };
+}
+
+/**
+ * Turn a Notion page into a dashboard entry
+ * @param {Object} page - Notion page
+ * @param {Object} schema - Database schema
+ * @returns {Object} { id, url, title, values, lastEdited, page }
+ */
+export function toPipelineEntry(page, schema) {
+  return {
+    id: page.id,
+    url: page.url,
+    title: getPageTitle(page),
+    values: parseNotionPage(page, schema),
+    lastEdited: page.last_edited_time,
+    page
+  };
+}
+
+/**
+ * Load one page of dashboard entries
+ * @param {Object} notionApi - NotionAPI with loaded credentials
+ * @param {Object} schema - Database schema
+ * @param {Object} query - { filter, sorts } from buildPipelineQuery
+ * @param {string|null} startCursor - Cursor of the previous page, or null for the first
+ * @returns {Promise<Object>} { entries, nextCursor } - nextCursor is null on the last page
+ */
+export async function loadPipelinePage(notionApi, schema, query, startCursor = null) {
+  const result = await notionApi.queryDatabase(query.filter, {
+    pageSize: PIPELINE_PAGE_SIZE,
+    sorts: query.sorts,
+    startCursor
+  });
+
+  return {
+    entries: (result.results || []).map(page => toPipelineEntry(page, schema)),
+    nextCursor: result.has_more ? result.next_cursor : null
+  };
+}
+
+/**
+ * Group entries by a status or select property
+ * Groups follow the property's options, then values whose option was deleted,
+ * then entries without a value; empty option groups are kept so every stage shows
+ * @param {Array} entries - Dashboard entries
+ * @param {Object} schema - Database schema
+ * @param {string} field - Group property name
+ * @returns {Array} Groups ({ name, color, entries }) - name is '' for entries without a value
+ */
+export function groupPipelineEntries(entries, schema, field) {
+  const property = schema?.properties?.[field];
+  if (!property) {
+    return [{ name: '', color: 'default', entries: [...entries] }];
+  }
+
+  const groups = new Map(getGroupOptions(property).map(option => [
+    option.name,
+    { name: option.name, color: option.color || 'default', entries: [] }
+  ]));
+  const ungrouped = { name: '', color: 'default', entries: [] };
+
+  for (const entry of entries) {
+    const value = entry.values[field] || '';
+    if (!value) {
+      ungrouped.entries.push(entry);
+      continue;
+    }
+    if (!groups.has(value)) {
+      groups.set(value, { name: value, color: 'default', entries: [] });
+    }
+    groups.get(value).entries.push(entry);
+  }
+
+  return [...groups.values(), ungrouped].filter(group => group.name || group.entries.length > 0);
+}
+
+/**
+ * Build the properties payload that moves an entry to another group
+ * @param {Object} schema - Database schema
+ * @param {string} field - Group property name
+ * @param {string} value - Option name, or '' to clear a select
+ * @returns {Object} Properties payload for NotionAPI.updatePage
+ */
+export function buildGroupUpdate(schema, field, value) {
+  const property = schema?.properties?.[field];
+  if (!property || !GROUP_TYPES.includes(property.type)) {
+    throw new Error(`"${field}" is not a status or select property`);
+  }
+  if (!value && property.type === 'status') {
+    throw new Error('A status property cannot be cleared');
+  }
+  return { [field]: PropertyFormatters[property.type](value) };
+}
@@ -0,0 +1,183 @@
+/**
+ * Database Profiles
+ * Named Notion connections (secret, database, hidden fields, field order,
+ * field bindings, follow-up reminders, stale application and status history
+ * settings) and the URL patterns used to pick one for the current tab.
+ */
+
+// Keys used before profiles existed - migrated into a "Default" profile
+const LEGACY_KEYS = ['notionSecret', 'databaseId', 'hiddenFields', 'fieldOrder'];
+const LEGACY_SCHEMA_KEYS = ['databaseSchema', 'databaseSchemaTimestamp', 'cachedDatabaseId'];
+
+/**
+ * Create a new, empty profile
+ * @param {string} name - Profile name
+ * @returns {Object} Profile
+ */
+export function createProfile(name = 'New Profile') {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    notionSecret: '',
+    databaseId: '',
+    urlPatterns: [],
+    hiddenFields: [],
+    fieldOrder: [],
+    fieldBindings: {},
+    pageBody: 'none',
+    archive: 'none',
+    reminders: [],
+    stale: null,
+    history: null
+  };
+}
+
+/**
+ * Load all profiles, migrating single-database settings on first run
+ * @returns {Promise<{profiles: Array, activeProfileId: string|null}>} Profiles and the manually chosen profile
+ */
+export async function loadProfiles() {
+  const result = await new Promise((resolve, reject) => {
+    chrome.storage.local.get(['profiles', 'activeProfileId', ...LEGACY_KEYS], (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(result);
+    });
+  });
+
+  if (Array.isArray(result.profiles)) {
+    return {
+      profiles: result.profiles,
+      activeProfileId: result.activeProfileId || null
+    };
+  }
+
+  if (!result.notionSecret && !result.databaseId) {
+    return { profiles: [], activeProfileId: null };
+  }
+
+  console.log('Migrating saved credentials into a Default profile');
+  const profile = {
+    ...createProfile('Default'),
+    notionSecret: result.notionSecret || '',
+    databaseId: result.databaseId || '',
+    hiddenFields: Array.isArray(result.hiddenFields) ? result.hiddenFields : [],
+    fieldOrder: Array.isArray(result.fieldOrder) ? result.fieldOrder : []
+  };
+
+  await saveProfiles([profile], profile.id);
+  await new Promise((resolve) => {
+    chrome.storage.local.remove([...LEGACY_KEYS, ...LEGACY_SCHEMA_KEYS], resolve);
+  });
+
+  return { profiles: [profile], activeProfileId: profile.id };
+}
+
+/**
+ * Save all profiles
+ * @param {Array} profiles - Profiles to store
+ * @param {string|null} activeProfileId - Profile used when no URL pattern matches
+ */
+export async function saveProfiles(profiles, activeProfileId) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ profiles, activeProfileId }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Update fields of a single profile
+ * @param {string} profileId - Profile ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<Object|null>} Updated profile, or null if it no longer exists
+ */
+export async function updateProfile(profileId, changes) {
+  const { profiles, activeProfileId } = await loadProfiles();
+  const index = profiles.findIndex(profile => profile.id === profileId);
+  if (index === -1) {
+    return null;
+  }
+
+  profiles[index] = { ...profiles[index], ...changes };
+  await saveProfiles(profiles, activeProfileId);
+  return profiles[index];
+}
+
+/**
+ * Remember a manually chosen profile as the fallback for unmatched URLs
+ * @param {string} profileId - Profile ID
+ */
+export async function setActiveProfileId(profileId) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ activeProfileId: profileId }, resolve);
+  });
+}
+
+/**
+ * Check whether a URL matches a profile pattern
+ * Patterns are host + path prefixes ("linkedin.com/jobs"), may use "*" as a
+ * wildcard and also match subdomains ("greenhouse.io" matches "boards.greenhouse.io")
+ * @param {string} url - Page URL
+ * @param {string} pattern - URL pattern
+ * @returns {boolean} Whether the URL matches
+ */
+export function matchesUrlPattern(url, pattern) {
+  const stripScheme = (value) => value.trim().toLowerCase()
+    .replace(/^[a-z-]+:\/\//, '')
+    .replace(/^www\./, '');
+
+  const target = stripScheme(url || '');
+  const cleaned = stripScheme(pattern || '');
+  if (!target || !cleaned) {
+    return false;
+  }
+
+  const body = cleaned.split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^([^/]*\\.)?${body}`).test(target);
+}
+
+/**
+ * Pick the profile for a URL
+ * The longest matching pattern wins, then the manually chosen profile, then the first one
+ * @param {Array} profiles - All profiles
+ * @param {string} url - Page URL
+ * @param {string|null} fallbackId - Manually chosen profile ID
+ * @returns {Object|null} Profile, or null if there are none
+ */
+export function selectProfileForUrl(profiles, url, fallbackId = null) {
+  let bestProfile = null;
+  let bestLength = 0;
+
+  for (const profile of profiles) {
+    for (const pattern of profile.urlPatterns || []) {
+      if (pattern.length > bestLength && matchesUrlPattern(url, pattern)) {
+        bestProfile = profile;
+        bestLength = pattern.length;
+      }
+    }
+  }
+
+  return bestProfile ||
+    profiles.find(profile => profile.id === fallbackId) ||
+    profiles[0] ||
+    null;
+}
+
+/**
+ * Load profiles and pick the one for a URL
+ * @param {string} url - Page URL (empty to get the manually chosen profile)
+ * @returns {Promise<Object|null>} Profile, or null if none are configured
+ */
+export async function resolveProfile(url = '') {
+  const { profiles, activeProfileId } = await loadProfiles();
+  return selectProfileForUrl(profiles, url, activeProfileId);
+}
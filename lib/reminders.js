@@ -0,0 +1,160 @@
+/**
+ * Follow-up Reminders
+ * Per-profile rules such as "remind me 7 days after Applied Date if Status is
+ * still Applied". The service worker checks them against the database and logs
+ * each reminder it shows, so a reminder fires once per entry and date.
+ */
+
+const REMINDER_LOG_KEY = 'reminderLog';
+
+// How often the service worker re-checks every rule
+export const REMINDER_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Reminders for date-only properties are due at this local hour
+const REMINDER_HOUR = 9;
+
+// Reminders overdue by longer than this are left alone, and shown ones are forgotten
+const REMINDER_MAX_AGE = 180 * 24 * 60 * 60 * 1000; // 180 days
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a new reminder rule
+ * @param {Object} defaults - Initial { dateField, statusField, status }
+ * @returns {Object} Rule ({ id, days, dateField, statusField, status })
+ */
+export function createReminderRule({ dateField = '', statusField = '', status = '' } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    days: 7,
+    dateField,
+    statusField,
+    status
+  };
+}
+
+/**
+ * Check that a rule points at properties the database has
+ * @param {Object} rule - Reminder rule
+ * @param {Object} schema - Database schema
+ * @returns {string|null} Problem description, or null if the rule can be checked
+ */
+export function getReminderRuleProblem(rule, schema) {
+  if (!Number.isInteger(rule.days) || rule.days < 0) {
+    return 'Days must be a whole number';
+  }
+  if (schema?.properties?.[rule.dateField]?.type !== 'date') {
+    return `"${rule.dateField || 'No date'}" is not a date property`;
+  }
+  if (rule.status && !['status', 'select'].includes(schema.properties[rule.statusField]?.type)) {
+    return `"${rule.statusField || 'No status'}" is not a status or select property`;
+  }
+  return null;
+}
+
+/**
+ * Describe a rule in words
+ * @param {Object} rule - Reminder rule
+ * @returns {string} E.g. "7 days after Applied Date if Status is Applied"
+ */
+export function describeReminderRule(rule) {
+  const after = `${rule.days} day${rule.days === 1 ? '' : 's'} after ${rule.dateField}`;
+  return rule.status ? `${after} if ${rule.statusField} is ${rule.status}` : after;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function formatLocalDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Work out when a reminder is due
+ * Dates without a time are due in the morning, local time
+ * @param {string} date - Date property start ("2024-03-01" or an ISO date-time)
+ * @param {number} days - Days after the date
+ * @returns {number} Due time in milliseconds, or NaN for an invalid date
+ */
+export function getReminderDueAt(date, days) {
+  if (!/T/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day + days, REMINDER_HOUR).getTime();
+  }
+  return new Date(date).getTime() + days * DAY;
+}
+
+/**
+ * Build the query filter for entries a rule may remind about
+ * Entries whose reminder is more than REMINDER_MAX_AGE overdue are left out
+ * @param {Object} rule - Reminder rule
+ * @param {Object} schema - Database schema
+ * @param {number} until - Latest due time to include (milliseconds)
+ * @returns {Object} Notion filter
+ */
+export function buildReminderFilter(rule, schema, until) {
+  const latest = until - rule.days * DAY;
+  const conditions = [
+    { property: rule.dateField, date: { on_or_before: formatLocalDate(new Date(latest)) } },
+    { property: rule.dateField, date: { on_or_after: formatLocalDate(new Date(latest - REMINDER_MAX_AGE)) } }
+  ];
+  if (rule.status) {
+    const type = schema.properties[rule.statusField].type;
+    conditions.push({ property: rule.statusField, [type]: { equals: rule.status } });
+  }
+  return { and: conditions };
+}
+
+/**
+ * Get the key a shown reminder is logged under
+ * A changed date makes a new reminder
+ * @param {Object} rule - Reminder rule
+ * @param {string} pageId - Notion page ID
+ * @param {string} date - Date property start
+ * @returns {string} Log key
+ */
+export function getReminderKey(rule, pageId, date) {
+  return `${rule.id}:${pageId}:${date}`;
+}
+
+/**
+ * Load the log of shown reminders
+ * @returns {Promise<Object>} Time each reminder was shown, keyed by getReminderKey
+ */
+export async function loadReminderLog() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([REMINDER_LOG_KEY], (result) => {
+      resolve(result[REMINDER_LOG_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Log reminders as shown, dropping ones too old to be shown again
+ * @param {Array<string>} keys - Reminder keys
+ */
+export async function logReminders(keys) {
+  const log = await loadReminderLog();
+  const now = Date.now();
+  for (const [key, shownAt] of Object.entries(log)) {
+    if (now - shownAt > REMINDER_MAX_AGE + DAY) {
+      delete log[key];
+    }
+  }
+  keys.forEach(key => {
+    log[key] = now;
+  });
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [REMINDER_LOG_KEY]: log }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Save Queue
+ * Creates and updates that failed because Notion was unreachable or rate limited.
+ * The service worker owns all writes to the queue and retries it with backoff;
+ * other pages read it and send messages to change it.
+ */
+
+const QUEUE_KEY = 'saveQueue';
+
+// Backoff bounds for retries
+const BASE_RETRY_DELAY = 30 * 1000; // 30 seconds
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+
+/**
+ * HTTP statuses worth retrying (0 means the request never reached Notion)
+ */
+const RETRYABLE_STATUSES = new Set([0, 408, 409, 429, 500, 502, 503, 504]);
+
+/**
+ * Check whether a failed Notion request should be queued for retry
+ * @param {Error} error - Error from a Notion request (carries `status` when known)
+ * @returns {boolean} Whether the save can be retried later
+ */
+export function isRetryableError(error) {
+  return typeof error?.status === 'number' && RETRYABLE_STATUSES.has(error.status);
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * Doubles with every attempt and never retries sooner than Notion's Retry-After
+ * @param {number} attempts - Attempts made so far
+ * @param {number|null} retryAfter - Retry-After from Notion, in seconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts, retryAfter = null) {
+  const backoff = Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+  const requested = retryAfter ? retryAfter * 1000 : 0;
+  return Math.max(backoff, requested);
+}
+
+/**
+ * Build a queue item for a failed save
+ * @param {Object} save
+ * @param {string} save.profileId - Profile whose credentials to use
+ * @param {string|null} save.pageId - Page to update, or null to create one
+ * @param {Object} save.properties - Formatted Notion properties
+ * @param {Array} save.blocks - Page body blocks (see writePageBody)
+ * @param {string} save.title - Label shown in the queue
+ * @param {string} save.url - Page URL, used to avoid duplicate creates on retry
+ * @param {string|null} save.urlField - URL property name in the schema
+ * @param {Object|null} save.transition - Status change to record once the save goes through (see status-history)
+ * @param {Error} error - Error that caused the save to be queued
+ * @returns {Object} Queue item
+ */
+export function createQueuedSave({ profileId, pageId = null, properties, blocks = [], title = '', url = '', urlField = null, transition = null }, error) {
+  return {
+    id: crypto.randomUUID(),
+    profileId,
+    pageId,
+    properties,
+    blocks,
+    title: title || url || 'Untitled',
+    url,
+    urlField,
+    transition,
+    attempts: 1,
+    lastError: error?.message || '',
+    nextAttemptAt: Date.now() + getRetryDelay(1, error?.retryAfter),
+    failed: false,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Load the save queue
+ * @returns {Promise<Array>} Queued saves, oldest first
+ */
+export async function loadSaveQueue() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([QUEUE_KEY], (result) => {
+      resolve(Array.isArray(result[QUEUE_KEY]) ? result[QUEUE_KEY] : []);
+    });
+  });
+}
+
+/**
+ * Replace the save queue (service worker only)
+ * @param {Array} queue - Queued saves
+ */
+export async function storeSaveQueue(queue) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [QUEUE_KEY]: queue }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Subscribe to queue changes
+ * @param {Function} callback - Called with the new queue
+ */
+export function onSaveQueueChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[QUEUE_KEY]) {
+      callback(Array.isArray(changes[QUEUE_KEY].newValue) ? changes[QUEUE_KEY].newValue : []);
+    }
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * Saved Index
+ * A local copy of the job URLs and statuses saved in each database, so the
+ * service worker can badge tabs that are already tracked without asking
+ * Notion on every navigation. Refreshed incrementally by last edit time.
+ */
+
+import { getTitlePropertyName } from './notion-api.js';
+import { findUrlField, findStatusField } from './field-defaults.js';
+import { getJobKey } from './job-urls.js';
+
+const INDEX_KEY = 'savedIndex';
+
+// How often edits are fetched, and how often the whole index is rebuilt to drop deleted pages
+export const INDEX_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const INDEX_REBUILD_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+// Notion rounds last_edited_time to the minute, so incremental queries look back a little further
+const EDIT_TIME_MARGIN = 2 * 60 * 1000;
+
+// Upper bound on query pages per refresh (100 entries each)
+const MAX_QUERY_PAGES = 50;
+
+// Badge text for common statuses; anything else uses its first three letters
+const STATUS_BADGES = [
+  [/to apply|not applied|not started|wishlist|saved|bookmark|interested|backlog/i, 'SVD'],
+  [/withdr/i, 'WDR'],
+  [/reject|declin|not selected/i, 'REJ'],
+  [/ghost|no response/i, 'GHO'],
+  [/accept|hired/i, 'ACC'],
+  [/offer/i, 'OFR'],
+  [/interview|screen|onsite|assessment/i, 'INT'],
+  [/appl/i, 'APL']
+];
+
+// Notion option colors as badge backgrounds
+const NOTION_COLORS = {
+  default: '#787774',
+  gray: '#787774',
+  brown: '#9f6b53',
+  orange: '#d9730d',
+  yellow: '#cb912f',
+  green: '#448361',
+  blue: '#337ea9',
+  purple: '#9065b0',
+  pink: '#c14c8a',
+  red: '#d44c47'
+};
+
+let indexLock = Promise.resolve();
+
+/**
+ * Run a read-modify-write of the indexes after any in-flight one finishes
+ * (pages other than the service worker have their own lock, so a sync also merges, see syncSavedIndex)
+ * @param {Function} task - Async function that updates the indexes
+ * @returns {Promise<*>} Task result
+ */
+function withIndexLock(task) {
+  const run = indexLock.then(task);
+  indexLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Load the saved index of every database
+ * @returns {Promise<Object>} Indexes keyed by database ID
+ */
+async function loadSavedIndexes() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([INDEX_KEY], (result) => {
+      resolve(result[INDEX_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Store the saved index of one database
+ * Call inside withIndexLock, since the other databases' indexes are written back too
+ * @param {string} databaseId - Database ID
+ * @param {Object|null} index - Index, or null to drop it
+ */
+async function storeSavedIndex(databaseId, index) {
+  const indexes = await loadSavedIndexes();
+  if (index) {
+    indexes[databaseId] = index;
+  } else {
+    delete indexes[databaseId];
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [INDEX_KEY]: indexes }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Load the saved index of one database
+ * @param {string} databaseId - Database ID
+ * @returns {Promise<Object|null>} { urlField, statusField, syncedAt, rebuiltAt, entries }, or null if never synced
+ */
+export async function loadSavedIndex(databaseId) {
+  const indexes = await loadSavedIndexes();
+  return indexes[databaseId] || null;
+}
+
+/**
+ * Turn a saved page into an index entry
+ * @param {Object} page - Notion page
+ * @param {Object} fields - { urlField, statusField, titleField } property names
+ * @returns {Object|null} { key, url, title, status, color }, or null if the page has no URL
+ */
+function toIndexEntry(page, { urlField, statusField, titleField }) {
+  const url = page.properties?.[urlField]?.url;
+  if (!url || page.archived || page.in_trash) {
+    return null;
+  }
+
+  const statusProperty = statusField ? page.properties[statusField] : null;
+  const option = statusProperty?.status || statusProperty?.select || null;
+  const title = titleField ? (page.properties[titleField]?.title || []).map(part => part.plain_text).join('') : '';
+
+  return {
+    key: getJobKey(url),
+    url,
+    title: title || 'Untitled',
+    status: option?.name || '',
+    color: option?.color || ''
+  };
+}
+
+/**
+ * Bring the saved index of the client's database up to date
+ * Fetches pages edited since the last sync, or every page when the index is
+ * new, a day old, or the URL or status property changed
+ * @param {Object} notionApi - NotionAPI with loaded credentials
+ * @param {Object} schema - Database schema
+ * @param {Object} options
+ * @param {boolean} options.rebuild - Fetch every page even if the index is recent
+ * @returns {Promise<Object|null>} Updated index, or null if the database has no URL property
+ */
+export async function syncSavedIndex(notionApi, schema, { rebuild = false } = {}) {
+  const databaseId = notionApi.credentials.databaseId;
+  const fields = {
+    urlField: findUrlField(schema),
+    statusField: findStatusField(schema),
+    titleField: getTitlePropertyName(schema)
+  };
+
+  if (!fields.urlField) {
+    await withIndexLock(() => storeSavedIndex(databaseId, null));
+    return null;
+  }
+
+  const current = await loadSavedIndex(databaseId);
+  const startedAt = Date.now();
+  const full = rebuild ||
+    !current ||
+    current.urlField !== fields.urlField ||
+    current.statusField !== fields.statusField ||
+    startedAt - current.rebuiltAt > INDEX_REBUILD_INTERVAL;
+
+  const filter = full ? undefined : {
+    timestamp: 'last_edited_time',
+    last_edited_time: { on_or_after: new Date(current.syncedAt - EDIT_TIME_MARGIN).toISOString() }
+  };
+
+  const entries = full ? {} : { ...current.entries };
+  let startCursor;
+  for (let page = 0; page < MAX_QUERY_PAGES; page++) {
+    const result = await notionApi.queryDatabase(filter, { pageSize: 100, startCursor });
+    for (const notionPage of result.results || []) {
+      const entry = toIndexEntry(notionPage, fields);
+      if (entry) {
+        entries[notionPage.id] = entry;
+      } else {
+        delete entries[notionPage.id];
+      }
+    }
+    if (!result.has_more) break;
+    startCursor = result.next_cursor;
+  }
+
+  const index = {
+    ...fields,
+    syncedAt: startedAt,
+    rebuiltAt: full ? startedAt : current.rebuiltAt,
+    entries
+  };
+  await withIndexLock(async () => {
+    // Pages saved while the queries ran are newer than what they returned
+    const latest = await loadSavedIndex(databaseId);
+    for (const [pageId, entry] of Object.entries(latest?.entries || {})) {
+      if (entry.recordedAt >= startedAt) {
+        entries[pageId] = entry;
+      }
+    }
+    await storeSavedIndex(databaseId, index);
+  });
+  console.log(`📇 Saved index ${full ? 'rebuilt' : 'refreshed'}: ${Object.keys(entries).length} entries`);
+  return index;
+}
+
+/**
+ * Add or replace one page in its database's saved index
+ * Used right after a save so the badge doesn't wait for the next refresh; the entry
+ * is stamped with recordedAt so a sync that is running keeps it
+ * @param {Object} page - Notion page returned by a create or update
+ * @returns {Promise<boolean>} Whether the page was recorded (false if its database was never synced)
+ */
+export async function recordSavedPage(page) {
+  const databaseId = page?.parent?.database_id;
+  if (!databaseId) {
+    return false;
+  }
+
+  return withIndexLock(async () => {
+    const index = await loadSavedIndex(databaseId);
+    if (!index) {
+      return false;
+    }
+
+    const entry = toIndexEntry(page, index);
+    if (entry) {
+      index.entries[page.id] = { ...entry, recordedAt: Date.now() };
+    } else {
+      delete index.entries[page.id];
+    }
+    await storeSavedIndex(databaseId, index);
+    return true;
+  });
+}
+
+/**
+ * Find the saved entry for a URL
+ * @param {Object|null} index - Saved index (see loadSavedIndex)
+ * @param {string} url - Tab URL
+ * @returns {Object|null} { pageId, url, title, status, color }, or null if the job isn't saved
+ */
+export function lookupSavedUrl(index, url) {
+  if (!index || !url) {
+    return null;
+  }
+  const key = getJobKey(url);
+  for (const [pageId, entry] of Object.entries(index.entries)) {
+    if (entry.key === key) {
+      return { pageId, ...entry };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the badge text for a status
+ * @param {string} status - Status option name (e.g. "Interviewing")
+ * @returns {string} Up to three letters (e.g. "INT"), or "✓" for entries without a status
+ */
+export function getStatusBadge(status) {
+  const value = (status || '').trim();
+  if (!value) {
+    return '✓';
+  }
+  const known = STATUS_BADGES.find(([pattern]) => pattern.test(value));
+  if (known) {
+    return known[1];
+  }
+  return value.replace(/[^\p{L}\p{N}]/gu, '').substring(0, 3).toUpperCase() || '✓';
+}
+
+/**
+ * Get the badge color for a status option
+ * @param {string} color - Notion option color (e.g. "blue")
+ * @returns {string} Hex color
+ */
+export function getStatusBadgeColor(color) {
+  return NOTION_COLORS[color] || NOTION_COLORS.green;
+}
@@ -0,0 +1,191 @@
+/**
+ * Snapshot Archive
+ * Keeps a frozen copy of a posting (an MHTML or HTML page, plus an optional
+ * screenshot) attached to its entry through Notion's file upload API, or in a
+ * local IndexedDB archive when the upload isn't possible.
+ */
+
+/**
+ * Archive modes a profile can choose
+ * page: MHTML (or self-contained HTML) of the tab
+ * page-screenshot: the page plus a screenshot of the visible area
+ */
+export const ARCHIVE_MODES = ['none', 'page', 'page-screenshot'];
+
+// Notion's single-part upload limit (free workspaces allow 5 MB per file)
+export const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+const DB_NAME = 'job-organizer-archive';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+/**
+ * Get a profile's archive mode
+ * @param {Object} profile - Profile
+ * @returns {string} One of ARCHIVE_MODES
+ */
+export function getArchiveMode(profile) {
+  return ARCHIVE_MODES.includes(profile?.archive) ? profile.archive : 'none';
+}
+
+/**
+ * Build a file name for a snapshot ("Senior Engineer at Acme - 2024-05-01.mhtml")
+ * @param {string} title - Entry title
+ * @param {string} extension - File extension without the dot
+ * @param {Date} capturedAt - Capture time
+ * @returns {string} File name (Notion allows 100 characters)
+ */
+export function buildSnapshotFileName(title, extension, capturedAt = new Date()) {
+  const date = capturedAt.toISOString().split('T')[0];
+  const base = String(title || 'Job posting')
+    .replace(/[\\/:*?"<>|\n\r\t]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return `${base || 'Job posting'} - ${date}.${extension}`;
+}
+
+/**
+ * Attach snapshot files to an entry, keeping any that can't be uploaded in the local archive
+ * @param {Object} notionApi - NotionAPI instance with the service worker transport
+ * @param {Object} options
+ * @param {string} options.pageId - Entry to attach the files to
+ * @param {string|null} options.field - Files property (null keeps everything locally)
+ * @param {Array<{name: string, type: string, blob: Blob}>} options.files - Captured files
+ * @param {Object} options.entry - { url, title } stored with a local snapshot
+ * @returns {Promise<{uploaded: number, local: number, reason: string}>} What went where, and why anything stayed local
+ */
+export async function archiveSnapshot(notionApi, { pageId, field, files, entry }) {
+  const uploaded = [];
+  const local = [];
+  let reason = field ? '' : 'No files property for snapshots';
+
+  for (const file of files) {
+    if (!field) {
+      local.push(file);
+    } else if (file.blob.size > MAX_UPLOAD_BYTES) {
+      local.push(file);
+      reason = `${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`;
+    } else {
+      try {
+        const id = await notionApi.uploadFile(file.blob, file.name, file.type);
+        uploaded.push({ id, file });
+        console.log(`Uploaded ${file.name} (${Math.round(file.blob.size / 1024)} KB)`);
+      } catch (error) {
+        console.error(`Could not upload ${file.name}:`, error);
+        local.push(file);
+        reason = error.message;
+      }
+    }
+  }
+
+  if (uploaded.length > 0) {
+    try {
+      await notionApi.updatePage(pageId, {
+        [field]: {
+          files: uploaded.map(({ id, file }) => ({ type: 'file_upload', file_upload: { id }, name: file.name }))
+        }
+      });
+    } catch (error) {
+      console.error('Could not attach the snapshot:', error);
+      local.push(...uploaded.map(({ file }) => file));
+      uploaded.length = 0;
+      reason = error.message;
+    }
+  }
+
+  if (local.length > 0) {
+    await saveLocalSnapshot({ pageId, ...entry, files: local, reason });
+  }
+
+  return { uploaded: uploaded.length, local: local.length, reason };
+}
+
+/**
+ * Open the local archive database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openArchiveDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('pageId', 'pageId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(new Error(request.error?.message || 'Could not open the snapshot archive'));
+  });
+}
+
+/**
+ * Run one request against the snapshots store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, once the transaction completes
+ */
+async function withSnapshotStore(mode, operation) {
+  const db = await openArchiveDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(new Error(transaction.error?.message || 'Snapshot archive error'));
+    };
+  });
+}
+
+/**
+ * Keep a snapshot in the local archive
+ * @param {Object} snapshot - { pageId, url, title, files, reason }
+ * @returns {Promise<Object>} Stored snapshot
+ */
+export async function saveLocalSnapshot({ pageId = null, url = '', title = '', files, reason = '' }) {
+  const snapshot = {
+    id: crypto.randomUUID(),
+    pageId,
+    url,
+    title: title || url || 'Untitled',
+    files: files.map(({ name, type, blob }) => ({ name, type, blob })),
+    reason,
+    capturedAt: Date.now()
+  };
+
+  await withSnapshotStore('readwrite', store => store.put(snapshot));
+  console.log(`Kept ${files.length} snapshot file(s) locally: ${reason}`);
+  return snapshot;
+}
+
+/**
+ * List local snapshots
+ * @returns {Promise<Array>} Snapshots, newest first
+ */
+export async function listLocalSnapshots() {
+  const snapshots = await withSnapshotStore('readonly', store => store.getAll());
+  return snapshots.sort((a, b) => b.capturedAt - a.capturedAt);
+}
+
+/**
+ * Check whether an entry already has a local snapshot
+ * @param {string} pageId - Entry page ID
+ * @returns {Promise<boolean>} Whether one is stored
+ */
+export async function hasLocalSnapshot(pageId) {
+  const count = await withSnapshotStore('readonly', store => store.index('pageId').count(pageId));
+  return count > 0;
+}
+
+/**
+ * Delete a local snapshot
+ * @param {string} id - Snapshot ID
+ */
+export async function deleteLocalSnapshot(id) {
+  await withSnapshotStore('readwrite', store => store.delete(id));
+}
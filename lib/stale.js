@@ -0,0 +1,183 @@
+/**
+ * Stale Applications
+ * Per-profile settings for flagging applications that have waited in a status
+ * such as Applied without being edited for a number of days. The service worker
+ * checks them periodically and stores what it found here, for the badge and the
+ * dashboard, which can move them to a "Ghosted" option.
+ */
+
+import { getPageTitle } from './notion-api.js';
+import { getPropertyOptions } from './field-defaults.js';
+
+const STALE_KEY = 'staleApplications';
+
+// How often the service worker re-checks every profile
+export const STALE_CHECK_INTERVAL = 3 * 60 * 60 * 1000; // 3 hours
+
+// Days without an edit before an application is stale, for new settings
+const DEFAULT_STALE_DAYS = 21;
+
+// Select options that usually mean "waiting to hear back" (status properties use their In progress group)
+const WAITING_OPTION_PATTERN = /appl|interview|screen|assess|submit/i;
+
+const GHOSTED_OPTION_PATTERN = /ghost/i;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create stale application settings for a database
+ * Starts with the options that look like waiting stages and a "Ghosted" option if there is one
+ * @param {string} statusField - Status or select property name
+ * @param {Object} schema - Database schema
+ * @returns {Object} Settings ({ days, statusField, statuses, ghostedStatus })
+ */
+export function createStaleSettings(statusField, schema) {
+  const property = schema?.properties?.[statusField];
+  const options = property ? getPropertyOptions(property) : [];
+  const ghostedStatus = options.find(option => GHOSTED_OPTION_PATTERN.test(option.name))?.name || '';
+
+  let waiting;
+  const inProgress = property?.type === 'status'
+    ? property.status?.groups?.find(group => /progress/i.test(group.name))
+    : null;
+  if (inProgress) {
+    waiting = options.filter(option => (inProgress.option_ids || []).includes(option.id));
+  } else {
+    waiting = options.filter(option => WAITING_OPTION_PATTERN.test(option.name));
+  }
+
+  return {
+    days: DEFAULT_STALE_DAYS,
+    statusField,
+    statuses: waiting.map(option => option.name).filter(name => name !== ghostedStatus),
+    ghostedStatus
+  };
+}
+
+/**
+ * Check that settings point at options the database has
+ * @param {Object} settings - Stale application settings
+ * @param {Object} schema - Database schema
+ * @returns {string|null} Problem description, or null if they can be checked
+ */
+export function getStaleSettingsProblem(settings, schema) {
+  if (!Number.isInteger(settings.days) || settings.days < 1) {
+    return 'Days must be a whole number of at least 1';
+  }
+  if (!['status', 'select'].includes(schema?.properties?.[settings.statusField]?.type)) {
+    return `"${settings.statusField || 'No status'}" is not a status or select property`;
+  }
+  if (!Array.isArray(settings.statuses) || settings.statuses.length === 0) {
+    return 'No waiting statuses are chosen';
+  }
+  if (settings.ghostedStatus && settings.statuses.includes(settings.ghostedStatus)) {
+    return `"${settings.ghostedStatus}" can't be both a waiting status and the ghosted one`;
+  }
+  return null;
+}
+
+/**
+ * Build the query filter for stale applications
+ * Notion has no "status changed" time, so the last edit stands in for it
+ * @param {Object} settings - Stale application settings
+ * @param {Object} schema - Database schema
+ * @param {number} now - Current time (milliseconds)
+ * @returns {Object} Notion filter
+ */
+export function buildStaleFilter(settings, schema, now) {
+  const type = schema.properties[settings.statusField].type;
+  const statuses = settings.statuses.map(status => ({ property: settings.statusField, [type]: { equals: status } }));
+  return {
+    and: [
+      { timestamp: 'last_edited_time', last_edited_time: { on_or_before: new Date(now - settings.days * DAY).toISOString() } },
+      statuses.length === 1 ? statuses[0] : { or: statuses }
+    ]
+  };
+}
+
+/**
+ * Keep what the badge and dashboard need of a stale page
+ * @param {Object} page - Notion page
+ * @param {Object} settings - Stale application settings
+ * @returns {Object} { id, url, title, status, lastEdited }
+ */
+export function toStaleEntry(page, settings) {
+  const value = page.properties?.[settings.statusField];
+  return {
+    id: page.id,
+    url: page.url,
+    title: getPageTitle(page),
+    status: value?.[value.type]?.name || '',
+    lastEdited: page.last_edited_time
+  };
+}
+
+/**
+ * Count the stale applications of every profile
+ * @param {Object} stale - Check results keyed by profile ID
+ * @returns {Object} { count, hasMore } - hasMore is true if a check found more than it kept
+ */
+export function summarizeStaleApplications(stale) {
+  const results = Object.values(stale || {});
+  return {
+    count: results.reduce((sum, result) => sum + result.entries.length, 0),
+    hasMore: results.some(result => result.hasMore)
+  };
+}
+
+/**
+ * Load the latest check results
+ * @returns {Promise<Object>} Results keyed by profile ID ({ checkedAt, days, statusField, ghostedStatus, entries, hasMore })
+ */
+export async function loadStaleApplications() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STALE_KEY], (result) => {
+      resolve(result[STALE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Replace the check results (service worker only)
+ * @param {Object} stale - Results keyed by profile ID
+ */
+export async function storeStaleApplications(stale) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STALE_KEY]: stale }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Forget pages that were just edited - the edit makes them fresh again
+ * @param {Array<string>} pageIds - Notion page IDs
+ */
+export async function dropStaleApplications(pageIds) {
+  const stale = await loadStaleApplications();
+  let changed = false;
+  for (const result of Object.values(stale)) {
+    const entries = result.entries.filter(entry => !pageIds.includes(entry.id));
+    changed = changed || entries.length !== result.entries.length;
+    result.entries = entries;
+  }
+  if (changed) {
+    await storeStaleApplications(stale);
+  }
+}
+
+/**
+ * Subscribe to check result changes
+ * @param {Function} callback - Called with the new results
+ */
+export function onStaleApplicationsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[STALE_KEY]) {
+      callback(changes[STALE_KEY].newValue || {});
+    }
+  });
+}
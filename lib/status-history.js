@@ -0,0 +1,222 @@
+/**
+ * Status History
+ * Records each status change made from the extension - from, to and when - so
+ * the funnel survives Notion keeping only the latest status. A profile can
+ * write changes to a date property per stage, to a log appended to the page
+ * body, and to an "Events" database with one page per change.
+ */
+
+import { PropertyFormatters, getPageTitle, loadCachedSchema, cacheSchema } from './notion-api.js';
+import { markdownToRichText } from './notion-blocks.js';
+import { getPropertyOptions } from './field-defaults.js';
+
+// Event properties are found by name; the title, a date and a relation back are enough
+const FROM_FIELD_PATTERN = /^(from|previous)\b/i;
+const TO_FIELD_PATTERN = /^(to|new)\b/i;
+const EVENT_VALUE_TYPES = ['select', 'status', 'rich_text'];
+
+/**
+ * Create status history settings
+ * @param {string} statusField - Status or select property to watch
+ * @returns {Object} Settings ({ statusField, stageDates, pageLog, eventsDatabaseId })
+ */
+export function createHistorySettings(statusField = '') {
+  return {
+    statusField,
+    stageDates: {},
+    pageLog: false,
+    eventsDatabaseId: ''
+  };
+}
+
+/**
+ * Check whether settings record changes anywhere
+ * @param {Object|null} settings - Status history settings
+ * @returns {boolean} Whether at least one destination is set
+ */
+export function isHistoryEnabled(settings) {
+  return Boolean(settings?.statusField) && (
+    Object.values(settings.stageDates || {}).some(Boolean) ||
+    Boolean(settings.pageLog) ||
+    Boolean(settings.eventsDatabaseId)
+  );
+}
+
+/**
+ * Guess a date property for each stage from the names
+ * "Interviewing" matches "Interview Date", "Applied" matches "Date Applied"
+ * @param {Object} statusProperty - Status or select property schema
+ * @param {Object} schema - Database schema
+ * @returns {Object} Date property name keyed by option name
+ */
+export function guessStageDates(statusProperty, schema) {
+  const dateFields = Object.entries(schema?.properties || {})
+    .filter(([, property]) => property.type === 'date')
+    .map(([name]) => name);
+
+  const stageDates = {};
+  for (const option of getPropertyOptions(statusProperty)) {
+    const stems = option.name.toLowerCase().split(/[^a-z]+/)
+      .filter(word => word.length >= 4)
+      .map(word => word.slice(0, 5));
+    const match = dateFields.find(name => stems.some(stem => name.toLowerCase().includes(stem)));
+    if (match) {
+      stageDates[option.name] = match;
+    }
+  }
+  return stageDates;
+}
+
+/**
+ * Read the status a properties payload sets
+ * @param {Object} settings - Status history settings
+ * @param {Object} properties - Properties payload
+ * @returns {string|null} Option name ('' when cleared), or null if the payload leaves the status alone
+ */
+export function getPayloadStatus(settings, properties) {
+  const value = properties?.[settings.statusField];
+  if (!value) {
+    return null;
+  }
+  return (value.status || value.select)?.name || '';
+}
+
+/**
+ * Describe a status change
+ * @param {Object|null} settings - Status history settings
+ * @param {string} from - Status before the save ('' for a new entry)
+ * @param {string|null} to - Status after the save (null if it isn't saved)
+ * @param {Date} at - Time of the change
+ * @returns {Object|null} Transition ({ from, to, at }), or null if nothing is recorded
+ */
+export function getStatusTransition(settings, from, to, at = new Date()) {
+  if (!isHistoryEnabled(settings) || !to || to === from) {
+    return null;
+  }
+  return { from: from || '', to, at: at.toISOString() };
+}
+
+/**
+ * Format a time as local "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm"
+ * @param {Date} date - Time
+ * @param {boolean} withTime - Include hours and minutes
+ * @returns {string} Local date (and time)
+ */
+function formatLocalTime(date, withTime) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+}
+
+/**
+ * Fill the date property mapped to the new stage
+ * Only an empty date is filled, so re-entering a stage keeps the first date and
+ * a date typed in the form wins
+ * @param {Object} settings - Status history settings
+ * @param {Object} schema - Database schema
+ * @param {Object} properties - Properties payload about to be saved
+ * @param {Object} transition - Transition from getStatusTransition
+ * @param {Object} saved - Values the entry already has, keyed by property name
+ * @returns {Object} Properties payload, with the stage date added when it applies
+ */
+export function addStageDate(settings, schema, properties, transition, saved = {}) {
+  const field = settings.stageDates?.[transition.to];
+  if (!field || schema?.properties?.[field]?.type !== 'date' || properties[field]?.date || saved[field]) {
+    return properties;
+  }
+  return { ...properties, [field]: PropertyFormatters.date(formatLocalTime(new Date(transition.at), false)) };
+}
+
+/**
+ * Build the page body line for a status change
+ * @param {Object} transition - Transition from getStatusTransition
+ * @returns {Object} Bulleted list item block
+ */
+export function buildHistoryLogBlock(transition) {
+  const time = formatLocalTime(new Date(transition.at), true).replace('T', ' ');
+  return {
+    object: 'block',
+    type: 'bulleted_list_item',
+    bulleted_list_item: {
+      rich_text: markdownToRichText(`${time} · ${transition.from || 'New'} → **${transition.to}**`)
+    }
+  };
+}
+
+/**
+ * Find the properties of an Events database
+ * @param {Object} eventsSchema - Events database schema
+ * @param {string} databaseId - Application database the events belong to
+ * @returns {Object} Property names ({ title, date, from, to, relation }), null where there is none
+ */
+export function findEventFields(eventsSchema, databaseId) {
+  const entries = Object.entries(eventsSchema?.properties || {});
+  const find = (test) => entries.find(([name, property]) => test(name, property))?.[0] || null;
+  const sameDatabase = (id) => (id || '').replace(/-/g, '') === (databaseId || '').replace(/-/g, '');
+
+  return {
+    title: find((name, property) => property.type === 'title'),
+    date: find((name, property) => property.type === 'date'),
+    from: find((name, property) => EVENT_VALUE_TYPES.includes(property.type) && FROM_FIELD_PATTERN.test(name)),
+    to: find((name, property) => EVENT_VALUE_TYPES.includes(property.type) && TO_FIELD_PATTERN.test(name)),
+    relation: find((name, property) => property.type === 'relation' && sameDatabase(property.relation?.database_id))
+  };
+}
+
+/**
+ * Build the properties of an event page
+ * @param {Object} eventsSchema - Events database schema
+ * @param {Object} fields - Property names from findEventFields
+ * @param {Object} transition - Transition from getStatusTransition
+ * @param {Object} page - Application page the change was made to
+ * @returns {Object} Properties payload
+ */
+export function buildEventProperties(eventsSchema, fields, transition, page) {
+  const properties = {
+    [fields.title]: PropertyFormatters.title(`${getPageTitle(page)}: ${transition.from || 'New'} → ${transition.to}`)
+  };
+  if (fields.date) {
+    properties[fields.date] = PropertyFormatters.date(formatLocalTime(new Date(transition.at), true));
+  }
+  if (fields.from && transition.from) {
+    properties[fields.from] = PropertyFormatters[eventsSchema.properties[fields.from].type](transition.from);
+  }
+  if (fields.to) {
+    properties[fields.to] = PropertyFormatters[eventsSchema.properties[fields.to].type](transition.to);
+  }
+  if (fields.relation) {
+    properties[fields.relation] = PropertyFormatters.relation([page.id]);
+  }
+  return properties;
+}
+
+/**
+ * Write a status change to the page body log and the Events database
+ * Stage dates go into the save itself (see addStageDate)
+ * @param {Object} notionApi - NotionAPI with loaded credentials
+ * @param {Object} settings - Status history settings
+ * @param {Object} page - Application page returned by the save
+ * @param {Object} transition - Transition from getStatusTransition
+ * @returns {Promise<void>}
+ */
+export async function recordStatusTransition(notionApi, settings, page, transition) {
+  if (settings.pageLog) {
+    await notionApi.appendBlocks(page.id, [buildHistoryLogBlock(transition)]);
+  }
+
+  if (settings.eventsDatabaseId) {
+    let eventsSchema = await loadCachedSchema(settings.eventsDatabaseId);
+    if (!eventsSchema) {
+      eventsSchema = await notionApi.getDatabase(settings.eventsDatabaseId);
+      await cacheSchema(eventsSchema, settings.eventsDatabaseId);
+    }
+
+    const fields = findEventFields(eventsSchema, notionApi.credentials.databaseId);
+    if (!fields.title) {
+      throw new Error('The Events database has no title property');
+    }
+    await notionApi.createPage(buildEventProperties(eventsSchema, fields, transition, page), settings.eventsDatabaseId);
+  }
+
+  console.log(`🕓 Recorded ${transition.from || 'New'} → ${transition.to} for ${getPageTitle(page)}`);
+}
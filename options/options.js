@@ -1,8 +1,19 @@
 /**
  * Options Page Script
- * Handles credential configuration and connection testing
+ * Handles profile, credential, field binding, follow-up reminder, stale application, status history, AI provider and location alias configuration and connection testing
  */
 
+import { loadProfiles, saveProfiles, createProfile } from '../lib/profiles.js';
+import { getBindingSources, findStatusField, getPropertyOptions } from '../lib/field-defaults.js';
+import { LLMHelper, parsePageId } from '../lib/notion-api.js';
+import { LLM_PROVIDERS, DEFAULT_TEMPERATURE, getStoredLLMSettings, saveLLMSettings, resolveLLMSettings, isLLMConfigured, getOriginPattern } from '../lib/llm-providers.js';
+import { getPageBodyMode } from '../lib/notion-blocks.js';
+import { getArchiveMode, listLocalSnapshots, deleteLocalSnapshot } from '../lib/snapshot-archive.js';
+import { createReminderRule } from '../lib/reminders.js';
+import { createStaleSettings } from '../lib/stale.js';
+import { createHistorySettings, guessStageDates } from '../lib/status-history.js';
+import { DEFAULT_LOCATION_ALIASES, loadLocationAliases, saveLocationAliases, formatAliasTable, parseAliasTable } from '../lib/locations.js';
+
 // DOM Elements
 const settingsForm = document.getElementById('settingsForm');
 const notionSecretInput = document.getElementById('notionSecret');
@@ -11,11 +22,60 @@ const toggleSecretBtn = document.getElementById('toggleSecret');
 const testBtn = document.getElementById('testBtn');
 const saveBtn = document.getElementById('saveBtn');
 
-// OpenAI Elements
-const openaiApiKeyInput = document.getElementById('openaiApiKey');
-const toggleOpenAIBtn = document.getElementById('toggleOpenAI');
-const openaiDot = document.getElementById('openaiDot');
-const openaiStatusText = document.getElementById('openaiStatusText');
+// Profile Elements
+const profileSelect = document.getElementById('profileSelect');
+const addProfileBtn = document.getElementById('addProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const profileNameInput = document.getElementById('profileName');
+const urlPatternsInput = document.getElementById('urlPatterns');
+const pageBodySelect = document.getElementById('pageBody');
+const archiveSelect = document.getElementById('archive');
+
+// Local Snapshot Elements
+const snapshotsList = document.getElementById('snapshotsList');
+const snapshotsHint = document.getElementById('snapshotsHint');
+
+// Field Binding Elements
+const bindingsList = document.getElementById('bindingsList');
+const bindingsHint = document.getElementById('bindingsHint');
+
+// Follow-up Reminder Elements
+const remindersList = document.getElementById('remindersList');
+const remindersHint = document.getElementById('remindersHint');
+const addReminderBtn = document.getElementById('addReminderBtn');
+
+// Stale Application Elements
+const staleEnabledInput = document.getElementById('staleEnabled');
+const staleSettings = document.getElementById('staleSettings');
+const staleDaysInput = document.getElementById('staleDays');
+const staleStatusLabel = document.getElementById('staleStatusLabel');
+const staleStatuses = document.getElementById('staleStatuses');
+const staleGhostedSelect = document.getElementById('staleGhosted');
+const staleHint = document.getElementById('staleHint');
+
+// Status History Elements
+const historyEnabledInput = document.getElementById('historyEnabled');
+const historySettings = document.getElementById('historySettings');
+const stageDatesList = document.getElementById('stageDatesList');
+const historyPageLogInput = document.getElementById('historyPageLog');
+const eventsDatabaseInput = document.getElementById('eventsDatabase');
+const historyHint = document.getElementById('historyHint');
+
+// AI Provider Elements
+const llmProviderSelect = document.getElementById('llmProvider');
+const llmApiKeyInput = document.getElementById('llmApiKey');
+const llmApiKeyHint = document.getElementById('llmApiKeyHint');
+const toggleLlmKeyBtn = document.getElementById('toggleLlmKey');
+const llmBaseUrlInput = document.getElementById('llmBaseUrl');
+const llmModelInput = document.getElementById('llmModel');
+const llmTemperatureInput = document.getElementById('llmTemperature');
+const llmDot = document.getElementById('llmDot');
+const llmStatusText = document.getElementById('llmStatusText');
+const testLlmBtn = document.getElementById('testLlmBtn');
+
+// Location Alias Elements
+const locationAliasesInput = document.getElementById('locationAliases');
+const resetAliasesBtn = document.getElementById('resetAliasesBtn');
 
 // Status elements
 const statusCard = document.getElementById('statusCard');
@@ -27,45 +87,610 @@ const propertyCount = document.getElementById('propertyCount');
 // Toast
 const toast = document.getElementById('toast');
 
+// State
+let profiles = []; // Working copy, written on save
+let selectedProfileId = null; // Profile shown in the form
+let activeProfileId = null; // Profile used when no URL pattern matches
+const databaseSchemas = new Map(); // Profile ID → database from its last connection test
+
 /**
  * Initialize the options page
  */
 async function init() {
   await loadSavedSettings();
   setupEventListeners();
+  renderLocalSnapshots();
 }
 
 /**
  * Load saved settings from chrome storage
  */
 async function loadSavedSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get([
-      'notionSecret', 
-      'databaseId', 
-      'openaiApiKey'
-    ], (result) => {
-      if (result.notionSecret) {
-        notionSecretInput.value = result.notionSecret;
-      }
-      if (result.databaseId) {
-        databaseIdInput.value = result.databaseId;
-      }
-      if (result.openaiApiKey) {
-        openaiApiKeyInput.value = result.openaiApiKey;
-        updateOpenAIStatus('configured');
-      }
-      
-      // If we have saved credentials, test the connection
-      if (result.notionSecret && result.databaseId) {
-        testConnection(true); // Silent mode
-      }
-      
-      resolve();
+  const profileData = await loadProfiles();
+  profiles = profileData.profiles;
+  activeProfileId = profileData.activeProfileId;
+  
+  if (profiles.length === 0) {
+    profiles.push(createProfile('Default'));
+  }
+  
+  showProfile(profiles.find(profile => profile.id === activeProfileId)?.id || profiles[0].id);
+  
+  const llmSettings = await getStoredLLMSettings();
+  llmProviderSelect.value = llmSettings?.provider || '';
+  llmApiKeyInput.value = llmSettings?.apiKey || '';
+  llmBaseUrlInput.value = llmSettings?.baseUrl || '';
+  llmModelInput.value = llmSettings?.model || '';
+  llmTemperatureInput.value = llmSettings?.temperature ?? '';
+  showProviderFields();
+  updateLLMStatus(llmSettings ? 'configured' : 'empty');
+  
+  locationAliasesInput.value = formatAliasTable(await loadLocationAliases());
+}
+
+/**
+ * Get the profile currently shown in the form
+ * @returns {Object} Selected profile
+ */
+function getSelectedProfile() {
+  return profiles.find(profile => profile.id === selectedProfileId);
+}
+
+/**
+ * Copy the form inputs into the selected profile
+ */
+function readProfileInputs() {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+  
+  profile.name = profileNameInput.value.trim();
+  profile.notionSecret = notionSecretInput.value.trim();
+  profile.databaseId = databaseIdInput.value.trim();
+  profile.urlPatterns = urlPatternsInput.value
+    .split(/[\n,]/)
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+  profile.pageBody = pageBodySelect.value;
+  profile.archive = archiveSelect.value;
+}
+
+/**
+ * Show a profile in the form
+ * @param {string} profileId - Profile ID
+ */
+function showProfile(profileId) {
+  selectedProfileId = profileId;
+  const profile = getSelectedProfile();
+  
+  renderProfileSelect();
+  profileNameInput.value = profile.name || '';
+  notionSecretInput.value = profile.notionSecret || '';
+  databaseIdInput.value = profile.databaseId || '';
+  urlPatternsInput.value = (profile.urlPatterns || []).join('\n');
+  pageBodySelect.value = getPageBodyMode(profile);
+  archiveSelect.value = getArchiveMode(profile);
+  deleteProfileBtn.disabled = profiles.length < 2;
+  
+  updateStatus('disconnected', 'Not connected');
+  renderBindings();
+  renderReminders();
+  renderStaleSettings();
+  renderHistorySettings();
+  
+  // If we have saved credentials, test the connection
+  if (profile.notionSecret && profile.databaseId) {
+    testConnection(true); // Silent mode
+  }
+}
+
+/**
+ * Render the profile dropdown
+ */
+function renderProfileSelect() {
+  profileSelect.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name || 'Untitled Profile';
+    option.selected = profile.id === selectedProfileId;
+    profileSelect.appendChild(option);
+  });
+}
+
+/**
+ * Add a new profile and show it
+ */
+function addProfile() {
+  readProfileInputs();
+  const profile = createProfile(`Profile ${profiles.length + 1}`);
+  profiles.push(profile);
+  showProfile(profile.id);
+  profileNameInput.focus();
+  profileNameInput.select();
+}
+
+/**
+ * Remove the selected profile (applied on save)
+ */
+function deleteProfile() {
+  const profile = getSelectedProfile();
+  if (!profile || profiles.length < 2) return;
+  
+  if (!confirm(`Delete the "${profile.name || 'Untitled'}" profile? This takes effect when you save.`)) {
+    return;
+  }
+  
+  profiles = profiles.filter(p => p.id !== profile.id);
+  showProfile(profiles[0].id);
+}
+
+/**
+ * Render the binding editor for the selected profile's database
+ */
+function renderBindings() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  bindingsList.innerHTML = '';
+  bindingsHint.classList.toggle('hidden', Boolean(database));
+  
+  if (!profile || !database) {
+    return;
+  }
+  
+  // Only properties something can be bound to (skips formulas, people, ...)
+  const properties = Object.entries(database.properties || {})
+    .filter(([, property]) => getBindingSources(property.type).length > 1)
+    .sort(([a], [b]) => a.localeCompare(b));
+  
+  for (const [name, property] of properties) {
+    const binding = profile.fieldBindings?.[name] || null;
+    
+    const row = document.createElement('div');
+    row.className = 'binding-row';
+    
+    const label = document.createElement('span');
+    label.className = 'binding-name';
+    label.title = name;
+    label.textContent = name;
+    const type = document.createElement('span');
+    type.className = 'binding-type';
+    type.textContent = property.type.replace(/_/g, ' ');
+    label.appendChild(type);
+    
+    const select = document.createElement('select');
+    select.className = 'form-input';
+    select.appendChild(new Option('Guess from name', ''));
+    getBindingSources(property.type).forEach(source => {
+      select.appendChild(new Option(source.label, source.id));
+    });
+    select.value = binding?.source || '';
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'form-input binding-value';
+    valueInput.placeholder = getConstantPlaceholder(property);
+    valueInput.value = binding?.value ?? '';
+    valueInput.classList.toggle('hidden', select.value !== 'constant');
+    
+    const update = () => {
+      valueInput.classList.toggle('hidden', select.value !== 'constant');
+      updateBinding(name, select.value, valueInput.value.trim());
+    };
+    select.addEventListener('change', update);
+    valueInput.addEventListener('input', update);
+    
+    row.appendChild(label);
+    row.appendChild(select);
+    row.appendChild(valueInput);
+    bindingsList.appendChild(row);
+  }
+}
+
+/**
+ * Render the reminder rules of the selected profile
+ */
+function renderReminders() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  const dateFields = getDateFields(database);
+  remindersList.innerHTML = '';
+  
+  if (!database) {
+    remindersHint.textContent = 'Test the connection to load this database\'s properties.';
+  } else if (dateFields.length === 0) {
+    remindersHint.textContent = 'This database has no date properties to count from.';
+  } else {
+    remindersHint.textContent = '';
+  }
+  remindersHint.classList.toggle('hidden', !remindersHint.textContent);
+  addReminderBtn.disabled = dateFields.length === 0;
+  
+  if (!profile || dateFields.length === 0) {
+    return;
+  }
+  
+  for (const rule of profile.reminders || []) {
+    const row = document.createElement('div');
+    row.className = 'reminder-row';
+    
+    const daysInput = document.createElement('input');
+    daysInput.type = 'number';
+    daysInput.min = '0';
+    daysInput.className = 'form-input reminder-days';
+    daysInput.value = rule.days;
+    daysInput.addEventListener('input', () => {
+      updateReminder(rule.id, { days: Math.max(0, Number.parseInt(daysInput.value, 10) || 0) });
+    });
+    
+    const dateSelect = document.createElement('select');
+    dateSelect.className = 'form-input';
+    dateFields.forEach(name => dateSelect.appendChild(new Option(name, name)));
+    if (!dateFields.includes(rule.dateField)) {
+      // Kept so a renamed property shows up instead of silently changing the rule
+      dateSelect.appendChild(new Option(`${rule.dateField} (missing)`, rule.dateField));
+    }
+    dateSelect.value = rule.dateField;
+    dateSelect.addEventListener('change', () => updateReminder(rule.id, { dateField: dateSelect.value }));
+    
+    row.appendChild(daysInput);
+    row.appendChild(document.createTextNode('days after'));
+    row.appendChild(dateSelect);
+    
+    const statusField = rule.statusField || findStatusField(database);
+    const statusProperty = database.properties[statusField];
+    if (statusProperty) {
+      const statusSelect = document.createElement('select');
+      statusSelect.className = 'form-input';
+      statusSelect.appendChild(new Option('in any status', ''));
+      getPropertyOptions(statusProperty).forEach(option => {
+        statusSelect.appendChild(new Option(`if ${statusField} is ${option.name}`, option.name));
+      });
+      statusSelect.value = rule.status || '';
+      statusSelect.addEventListener('change', () => {
+        updateReminder(rule.id, { statusField, status: statusSelect.value });
+      });
+      row.appendChild(statusSelect);
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-secondary btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      profile.reminders = profile.reminders.filter(candidate => candidate.id !== rule.id);
+      renderReminders();
+    });
+    row.appendChild(removeBtn);
+    
+    remindersList.appendChild(row);
+  }
+}
+
+/**
+ * Get the date properties of a database
+ * @param {Object|undefined} database - Database from a connection test
+ * @returns {Array<string>} Property names
+ */
+function getDateFields(database) {
+  return Object.entries(database?.properties || {})
+    .filter(([, property]) => property.type === 'date')
+    .map(([name]) => name);
+}
+
+/**
+ * Add a reminder rule to the selected profile (applied on save)
+ * Starts from an "Applied" date and the status property when the database has them
+ */
+function addReminder() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  const dateFields = getDateFields(database);
+  if (!profile || dateFields.length === 0) return;
+  
+  profile.reminders = [
+    ...(profile.reminders || []),
+    createReminderRule({
+      dateField: dateFields.find(name => /appl/i.test(name)) || dateFields[0],
+      statusField: findStatusField(database) || ''
+    })
+  ];
+  renderReminders();
+}
+
+/**
+ * Change a reminder rule of the selected profile (applied on save)
+ * @param {string} id - Rule ID
+ * @param {Object} changes - Rule fields to change
+ */
+function updateReminder(id, changes) {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+  
+  profile.reminders = (profile.reminders || []).map(rule => rule.id === id ? { ...rule, ...changes } : rule);
+}
+
+/**
+ * Render the stale application settings of the selected profile
+ */
+function renderStaleSettings() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  const settings = profile?.stale || null;
+  const statusField = settings?.statusField || findStatusField(database);
+  const statusProperty = database?.properties?.[statusField];
+  
+  if (!database) {
+    staleHint.textContent = 'Test the connection to load this database\'s properties.';
+  } else if (!statusProperty) {
+    staleHint.textContent = settings
+      ? `"${statusField}" is no longer a status or select property of this database.`
+      : 'This database has no status or select property to watch.';
+  } else if (settings && settings.statuses.length === 0) {
+    staleHint.textContent = 'Pick at least one status to watch.';
+  } else {
+    staleHint.textContent = '';
+  }
+  staleHint.classList.toggle('hidden', !staleHint.textContent);
+  
+  staleEnabledInput.checked = Boolean(settings);
+  staleEnabledInput.disabled = !database || (!statusProperty && !settings);
+  staleSettings.classList.toggle('hidden', !settings || !statusProperty);
+  if (!settings || !statusProperty) {
+    return;
+  }
+  
+  const options = getPropertyOptions(statusProperty);
+  staleDaysInput.value = settings.days;
+  staleStatusLabel.textContent = `days while ${statusField} is`;
+  
+  staleStatuses.innerHTML = '';
+  options.forEach(option => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = settings.statuses.includes(option.name);
+    checkbox.disabled = option.name === settings.ghostedStatus;
+    checkbox.addEventListener('change', () => {
+      const statuses = settings.statuses.filter(name => name !== option.name);
+      updateStaleSettings({ statuses: checkbox.checked ? [...statuses, option.name] : statuses });
+      renderStaleSettings();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(option.name));
+    staleStatuses.appendChild(label);
+  });
+  
+  staleGhostedSelect.innerHTML = '';
+  staleGhostedSelect.appendChild(new Option('Nothing (just flag them)', ''));
+  options.forEach(option => staleGhostedSelect.appendChild(new Option(option.name, option.name)));
+  staleGhostedSelect.value = settings.ghostedStatus || '';
+}
+
+/**
+ * Turn stale application flagging on or off for the selected profile (applied on save)
+ */
+function toggleStaleSettings() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  if (!profile) return;
+  
+  profile.stale = staleEnabledInput.checked && database
+    ? createStaleSettings(findStatusField(database), database)
+    : null;
+  renderStaleSettings();
+}
+
+/**
+ * Change the stale application settings of the selected profile (applied on save)
+ * A status can't be watched and be the ghosted one at once
+ * @param {Object} changes - Setting fields to change
+ */
+function updateStaleSettings(changes) {
+  const profile = getSelectedProfile();
+  if (!profile?.stale) return;
+  
+  profile.stale = { ...profile.stale, ...changes };
+  if ('ghostedStatus' in changes) {
+    profile.stale.statuses = profile.stale.statuses.filter(name => name !== changes.ghostedStatus);
+    renderStaleSettings();
+  }
+}
+
+/**
+ * Render the status history settings of the selected profile
+ */
+function renderHistorySettings() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  const settings = profile?.history || null;
+  const statusField = settings?.statusField || findStatusField(database);
+  const statusProperty = database?.properties?.[statusField];
+  
+  historyEnabledInput.checked = Boolean(settings);
+  historyEnabledInput.disabled = !database || (!statusProperty && !settings);
+  historySettings.classList.toggle('hidden', !settings || !statusProperty);
+  historyPageLogInput.checked = Boolean(settings?.pageLog);
+  eventsDatabaseInput.value = settings?.eventsDatabaseId || '';
+  renderHistoryHint();
+  if (!settings || !statusProperty) {
+    return;
+  }
+  
+  const dateFields = getDateFields(database);
+  stageDatesList.innerHTML = '';
+  getPropertyOptions(statusProperty).forEach(option => {
+    const row = document.createElement('label');
+    row.className = 'stage-date-row';
+    row.appendChild(document.createTextNode(`${statusField} → ${option.name}`));
+    
+    const select = document.createElement('select');
+    select.className = 'form-input';
+    select.appendChild(new Option('No date', ''));
+    dateFields.forEach(name => select.appendChild(new Option(name, name)));
+    const current = settings.stageDates?.[option.name] || '';
+    if (current && !dateFields.includes(current)) {
+      select.appendChild(new Option(`${current} (missing)`, current));
+    }
+    select.value = current;
+    select.addEventListener('change', () => {
+      updateHistorySettings({ stageDates: { ...profile.history.stageDates, [option.name]: select.value } });
+      renderHistoryHint();
     });
+    row.appendChild(select);
+    stageDatesList.appendChild(row);
   });
 }
 
+/**
+ * Explain why the selected profile's status history can't be set up or won't record anything
+ */
+function renderHistoryHint() {
+  const database = databaseSchemas.get(selectedProfileId);
+  const settings = getSelectedProfile()?.history || null;
+  const statusField = settings?.statusField || findStatusField(database);
+  
+  if (!database) {
+    historyHint.textContent = 'Test the connection to load this database\'s properties.';
+  } else if (!database.properties?.[statusField]) {
+    historyHint.textContent = settings
+      ? `"${statusField}" is no longer a status or select property of this database.`
+      : 'This database has no status or select property to watch.';
+  } else if (settings && eventsDatabaseInput.value.trim() && !settings.eventsDatabaseId) {
+    historyHint.textContent = 'The Events database should be a database ID or a link to the database.';
+  } else if (settings && !settings.pageLog && !settings.eventsDatabaseId && !Object.values(settings.stageDates).some(Boolean)) {
+    historyHint.textContent = 'Choose at least one place to record changes.';
+  } else {
+    historyHint.textContent = '';
+  }
+  historyHint.classList.toggle('hidden', !historyHint.textContent);
+}
+
+/**
+ * Turn status history on or off for the selected profile (applied on save)
+ * Starts with the date properties whose names match a stage
+ */
+function toggleHistorySettings() {
+  const profile = getSelectedProfile();
+  const database = databaseSchemas.get(selectedProfileId);
+  if (!profile) return;
+  
+  if (historyEnabledInput.checked && database) {
+    const statusField = findStatusField(database);
+    profile.history = {
+      ...createHistorySettings(statusField),
+      stageDates: guessStageDates(database.properties[statusField], database)
+    };
+  } else {
+    profile.history = null;
+  }
+  renderHistorySettings();
+}
+
+/**
+ * Change the status history settings of the selected profile (applied on save)
+ * @param {Object} changes - Setting fields to change
+ */
+function updateHistorySettings(changes) {
+  const profile = getSelectedProfile();
+  if (!profile?.history) return;
+  
+  profile.history = { ...profile.history, ...changes };
+}
+
+/**
+ * List snapshots kept in the local archive, with download and delete links
+ */
+async function renderLocalSnapshots() {
+  let snapshots = [];
+  try {
+    snapshots = await listLocalSnapshots();
+  } catch (error) {
+    console.error('Could not read local snapshots:', error);
+  }
+  
+  snapshotsList.querySelectorAll('a').forEach(link => URL.revokeObjectURL(link.href));
+  snapshotsList.innerHTML = '';
+  snapshotsHint.classList.toggle('hidden', snapshots.length > 0);
+  
+  for (const snapshot of snapshots) {
+    const row = document.createElement('div');
+    row.className = 'snapshot-row';
+    
+    const info = document.createElement('div');
+    info.className = 'snapshot-info';
+    const title = document.createElement('span');
+    title.textContent = snapshot.title;
+    title.title = snapshot.url;
+    const meta = document.createElement('span');
+    meta.className = 'snapshot-meta';
+    meta.textContent = [new Date(snapshot.capturedAt).toLocaleString(), snapshot.reason].filter(Boolean).join(' · ');
+    info.appendChild(title);
+    info.appendChild(meta);
+    
+    const files = document.createElement('div');
+    files.className = 'snapshot-files';
+    snapshot.files.forEach(file => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(file.blob);
+      link.download = file.name;
+      link.textContent = file.name.split('.').pop().toUpperCase();
+      link.title = `Download ${file.name}`;
+      files.appendChild(link);
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn btn-secondary btn-small';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async () => {
+      await deleteLocalSnapshot(snapshot.id);
+      renderLocalSnapshots();
+    });
+    
+    row.appendChild(info);
+    row.appendChild(files);
+    row.appendChild(deleteBtn);
+    snapshotsList.appendChild(row);
+  }
+}
+
+/**
+ * Get a placeholder hinting at what a constant for this property looks like
+ * @param {Object} property - Property configuration
+ * @returns {string} Placeholder text
+ */
+function getConstantPlaceholder(property) {
+  const options = property[property.type]?.options;
+  switch (property.type) {
+    case 'checkbox': return 'yes / no';
+    case 'date': return 'today or YYYY-MM-DD';
+    case 'number': return '0';
+    case 'multi_select': return options?.length ? options.slice(0, 2).map(o => o.name).join(', ') : 'tag, tag';
+    case 'select':
+    case 'status': return options?.[0]?.name || 'Option';
+    default: return 'Value';
+  }
+}
+
+/**
+ * Bind a property of the selected profile to a source (applied on save)
+ * @param {string} name - Property name
+ * @param {string} source - Binding source ID, or '' to go back to name guessing
+ * @param {string} value - Constant value (only kept for the constant source)
+ */
+function updateBinding(name, source, value) {
+  const profile = getSelectedProfile();
+  if (!profile) return;
+  
+  const bindings = { ...(profile.fieldBindings || {}) };
+  if (source) {
+    bindings[name] = source === 'constant' ? { source, value } : { source };
+  } else {
+    delete bindings[name];
+  }
+  profile.fieldBindings = bindings;
+}
+
 /**
  * Set up event listeners
  */
@@ -81,26 +706,55 @@ function setupEventListeners() {
     eyeClosed.classList.toggle('hidden');
   });
 
-  // Toggle OpenAI key visibility
-  toggleOpenAIBtn.addEventListener('click', () => {
-    const isPassword = openaiApiKeyInput.type === 'password';
-    openaiApiKeyInput.type = isPassword ? 'text' : 'password';
+  // Toggle AI provider key visibility
+  toggleLlmKeyBtn.addEventListener('click', () => {
+    const isPassword = llmApiKeyInput.type === 'password';
+    llmApiKeyInput.type = isPassword ? 'text' : 'password';
     
-    const eyeOpen = toggleOpenAIBtn.querySelector('.eye-open');
-    const eyeClosed = toggleOpenAIBtn.querySelector('.eye-closed');
+    const eyeOpen = toggleLlmKeyBtn.querySelector('.eye-open');
+    const eyeClosed = toggleLlmKeyBtn.querySelector('.eye-closed');
     eyeOpen.classList.toggle('hidden');
     eyeClosed.classList.toggle('hidden');
   });
 
-  // Update OpenAI status on input
-  openaiApiKeyInput.addEventListener('input', () => {
-    const value = openaiApiKeyInput.value.trim();
-    if (value && value.startsWith('sk-')) {
-      updateOpenAIStatus('ready');
-    } else if (value) {
-      updateOpenAIStatus('invalid');
-    } else {
-      updateOpenAIStatus('empty');
+  // Restore the built-in alias table (saved with the other settings)
+  resetAliasesBtn.addEventListener('click', () => {
+    locationAliasesInput.value = formatAliasTable(DEFAULT_LOCATION_ALIASES);
+  });
+
+  // Update AI provider status on input
+  llmProviderSelect.addEventListener('change', () => {
+    showProviderFields();
+    checkLLMInputs();
+  });
+  [llmApiKeyInput, llmBaseUrlInput, llmModelInput, llmTemperatureInput].forEach(input => {
+    input.addEventListener('input', checkLLMInputs);
+  });
+  testLlmBtn.addEventListener('click', testProvider);
+
+  // Profiles
+  profileSelect.addEventListener('change', () => {
+    readProfileInputs();
+    showProfile(profileSelect.value);
+  });
+  addProfileBtn.addEventListener('click', addProfile);
+  addReminderBtn.addEventListener('click', addReminder);
+  staleEnabledInput.addEventListener('change', toggleStaleSettings);
+  staleDaysInput.addEventListener('input', () => {
+    updateStaleSettings({ days: Math.max(1, Number.parseInt(staleDaysInput.value, 10) || 1) });
+  });
+  staleGhostedSelect.addEventListener('change', () => updateStaleSettings({ ghostedStatus: staleGhostedSelect.value }));
+  historyEnabledInput.addEventListener('change', toggleHistorySettings);
+  historyPageLogInput.addEventListener('change', () => updateHistorySettings({ pageLog: historyPageLogInput.checked }));
+  eventsDatabaseInput.addEventListener('input', () => {
+    updateHistorySettings({ eventsDatabaseId: parsePageId(eventsDatabaseInput.value) || '' });
+    renderHistoryHint();
+  });
+  deleteProfileBtn.addEventListener('click', deleteProfile);
+  profileNameInput.addEventListener('input', () => {
+    const option = profileSelect.querySelector(`option[value="${selectedProfileId}"]`);
+    if (option) {
+      option.textContent = profileNameInput.value.trim() || 'Untitled Profile';
     }
   });
 
@@ -128,28 +782,143 @@ function setupEventListeners() {
 }
 
 /**
- * Update OpenAI status indicator
- * @param {string} state - 'configured', 'ready', 'invalid', 'empty'
+ * Read the AI provider inputs
+ * @returns {Object|null} Settings as entered, or null when no provider is chosen
  */
-function updateOpenAIStatus(state) {
-  openaiDot.classList.remove('connected', 'error', 'loading');
+function readLLMInputs() {
+  if (!llmProviderSelect.value) {
+    return null;
+  }
+  
+  const temperature = parseFloat(llmTemperatureInput.value);
+  return {
+    provider: llmProviderSelect.value,
+    apiKey: llmApiKeyInput.value.trim(),
+    baseUrl: llmBaseUrlInput.value.trim(),
+    model: llmModelInput.value.trim(),
+    temperature: isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature
+  };
+}
+
+/**
+ * Show the inputs and defaults for the chosen provider
+ */
+function showProviderFields() {
+  const provider = LLM_PROVIDERS[llmProviderSelect.value];
+  document.querySelectorAll('.llm-field').forEach(field => {
+    field.classList.toggle('hidden', !provider);
+  });
+  if (!provider) {
+    return;
+  }
+  
+  llmBaseUrlInput.placeholder = provider.baseUrl;
+  llmModelInput.placeholder = provider.model;
+  llmTemperatureInput.placeholder = String(DEFAULT_TEMPERATURE);
+  llmApiKeyInput.placeholder = provider.requiresKey ? 'sk-xxxxxxxxxxxxxxxxxxxx' : 'Optional';
+  llmApiKeyHint.textContent = provider.requiresKey
+    ? `Your ${provider.name} API key for AI-powered auto-fill.`
+    : 'Only needed if your server expects a bearer token.';
+}
+
+/**
+ * Check the AI provider inputs and show whether they can be saved
+ * @returns {string|null} Problem with the inputs, or null if they are fine
+ */
+function checkLLMInputs() {
+  const entered = readLLMInputs();
+  if (!entered) {
+    updateLLMStatus('empty');
+    return null;
+  }
+  
+  const settings = resolveLLMSettings(entered);
+  let problem = null;
+  if (!isLLMConfigured(settings)) {
+    problem = `${settings.name} needs an API key`;
+  } else if (settings.provider === 'openai' && !settings.apiKey.startsWith('sk-')) {
+    problem = 'Key should start with "sk-"';
+  } else if (!getOriginPattern(settings.baseUrl)) {
+    problem = 'Base URL is not a valid URL';
+  }
+  
+  updateLLMStatus(problem ? 'error' : 'ready', problem);
+  return problem;
+}
+
+/**
+ * Ask for access to the provider's host (needed for custom and local base URLs)
+ * Must run inside the click or submit that triggered it
+ * @param {Object} settings - Resolved settings
+ * @returns {Promise<boolean>} Whether the extension may call the base URL
+ */
+function requestProviderAccess(settings) {
+  const origin = getOriginPattern(settings.baseUrl);
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+      resolve(Boolean(granted) && !chrome.runtime.lastError);
+    });
+  });
+}
+
+/**
+ * Send a small test request to the provider as entered
+ */
+async function testProvider() {
+  const entered = readLLMInputs();
+  const problem = checkLLMInputs();
+  if (!entered || problem) {
+    showToast(problem || 'Choose a provider first', 'error');
+    return;
+  }
+  
+  const settings = resolveLLMSettings(entered);
+  if (!await requestProviderAccess(settings)) {
+    updateLLMStatus('error', `Access to ${settings.baseUrl} was not granted`);
+    return;
+  }
+  
+  testLlmBtn.disabled = true;
+  updateLLMStatus('loading', `Testing ${settings.model}...`);
+  
+  try {
+    await new LLMHelper({ settings }).test();
+    updateLLMStatus('connected', `${settings.name} responded (${settings.model})`);
+    showToast('Provider test successful!', 'success');
+  } catch (error) {
+    updateLLMStatus('error', error.message);
+    showToast(error.message, 'error');
+  } finally {
+    testLlmBtn.disabled = false;
+  }
+}
+
+/**
+ * Update AI provider status indicator
+ * @param {string} state - 'configured', 'ready', 'loading', 'connected', 'error', 'empty'
+ * @param {string|null} message - Status message (defaults per state)
+ */
+function updateLLMStatus(state, message = null) {
+  llmDot.classList.remove('connected', 'error', 'loading');
   
   switch (state) {
     case 'configured':
-      openaiDot.classList.add('connected');
-      openaiStatusText.textContent = 'API key configured';
+    case 'connected':
+      llmDot.classList.add('connected');
+      llmStatusText.textContent = message || 'Provider configured';
       break;
     case 'ready':
-      openaiDot.classList.add('loading');
-      openaiStatusText.textContent = 'Ready to save';
+    case 'loading':
+      llmDot.classList.add('loading');
+      llmStatusText.textContent = message || 'Ready to save';
       break;
-    case 'invalid':
-      openaiDot.classList.add('error');
-      openaiStatusText.textContent = 'Key should start with "sk-"';
+    case 'error':
+      llmDot.classList.add('error');
+      llmStatusText.textContent = message || 'Provider error';
       break;
     case 'empty':
     default:
-      openaiStatusText.textContent = 'Not configured';
+      llmStatusText.textContent = 'Not configured';
       break;
   }
 }
@@ -170,6 +939,7 @@ async function testConnection(silent = false) {
   }
 
   // Update status to loading
+  const profileId = selectedProfileId;
   updateStatus('loading', 'Testing connection...');
 
   try {
@@ -207,6 +977,14 @@ async function testConnection(silent = false) {
       name: dbTitle,
       properties: propCount
     });
+    
+    databaseSchemas.set(profileId, response);
+    if (profileId === selectedProfileId) {
+      renderBindings();
+      renderReminders();
+      renderStaleSettings();
+      renderHistorySettings();
+    }
 
     if (!silent) {
       showToast('Connection successful!', 'success');
@@ -258,24 +1036,38 @@ function updateStatus(state, message, details = null) {
 async function handleSave(e) {
   e.preventDefault();
 
-  const secret = notionSecretInput.value.trim();
-  const databaseId = databaseIdInput.value.trim();
-  const openaiKey = openaiApiKeyInput.value.trim();
+  readProfileInputs();
+  const llmSettings = readLLMInputs();
 
-  if (!secret || !databaseId) {
-    showToast('Please fill in all required fields', 'error');
-    return;
+  // Validate every profile, showing the first one with a problem
+  for (const profile of profiles) {
+    let problem = null;
+    if (!profile.name || !profile.notionSecret || !profile.databaseId) {
+      problem = 'Please fill in all required fields';
+    } else if (!profile.notionSecret.startsWith('secret_') && !profile.notionSecret.startsWith('ntn_')) {
+      // Validate Notion secret format
+      problem = 'Integration secret should start with "secret_" or "ntn_"';
+    }
+    
+    if (problem) {
+      if (profile.id !== selectedProfileId) {
+        showProfile(profile.id);
+      }
+      showToast(profiles.length > 1 ? `${profile.name || 'Untitled profile'}: ${problem}` : problem, 'error');
+      return;
+    }
   }
 
-  // Validate Notion secret format
-  if (!secret.startsWith('secret_') && !secret.startsWith('ntn_')) {
-    showToast('Integration secret should start with "secret_" or "ntn_"', 'error');
+  // Validate the AI provider if one is chosen
+  const llmProblem = checkLLMInputs();
+  if (llmProblem) {
+    showToast(llmProblem, 'error');
     return;
   }
-
-  // Validate OpenAI key format if provided
-  if (openaiKey && !openaiKey.startsWith('sk-')) {
-    showToast('OpenAI API key should start with "sk-"', 'error');
+  
+  // Ask for host access while the submit still counts as a user gesture
+  if (llmSettings && !await requestProviderAccess(resolveLLMSettings(llmSettings))) {
+    showToast('The extension needs access to the AI provider\'s URL', 'error');
     return;
   }
 
@@ -283,41 +1075,34 @@ async function handleSave(e) {
   saveBtn.disabled = true;
 
   try {
-    // Build storage object
-    const storageData = {
-      notionSecret: secret,
-      databaseId: databaseId
-    };
+    // The popup edits hidden fields and field order, so keep its latest values
+    const stored = await loadProfiles();
+    const profilesToSave = profiles.map(profile => {
+      const current = stored.profiles.find(p => p.id === profile.id);
+      return current
+        ? { ...profile, hiddenFields: current.hiddenFields || [], fieldOrder: current.fieldOrder || [] }
+        : profile;
+    });
     
-    // Include OpenAI key if provided
-    if (openaiKey) {
-      storageData.openaiApiKey = openaiKey;
-    } else {
-      // Remove existing key if cleared
-      await new Promise((resolve) => {
-        chrome.storage.local.remove('openaiApiKey', resolve);
-      });
+    if (!profilesToSave.some(profile => profile.id === activeProfileId)) {
+      activeProfileId = profilesToSave[0].id;
     }
-
-    // Save to chrome storage
-    await new Promise((resolve, reject) => {
-      chrome.storage.local.set(storageData, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        resolve();
-      });
-    });
+    
+    await saveProfiles(profilesToSave, activeProfileId);
+    profiles = profilesToSave;
+    
+    // Save AI provider settings (clears them when no provider is chosen)
+    await saveLLMSettings(llmSettings);
+    
+    // Lines without aliases are dropped, so show what was kept
+    const aliases = parseAliasTable(locationAliasesInput.value);
+    await saveLocationAliases(aliases);
+    locationAliasesInput.value = formatAliasTable(aliases);
 
     showToast('Settings saved successfully!', 'success');
     
-    // Update OpenAI status
-    if (openaiKey) {
-      updateOpenAIStatus('configured');
-    } else {
-      updateOpenAIStatus('empty');
-    }
+    // Update AI provider status
+    updateLLMStatus(llmSettings ? 'configured' : 'empty');
     
     // Test the connection after saving
     await testConnection(true);
@@ -3,7 +3,16 @@
  * Handles schema fetching, form generation, and page creation
  */
 
-import { NotionAPI, PropertyFormatters, PropertyParsers, parseNotionPage, getTabInfo, OpenAIHelper } from '../lib/notion-api.js';
+import { NotionAPI, PropertyFormatters, PropertyParsers, READ_ONLY_TYPES, parseNotionPage, formatProperties, formatDisplayValue, toDateRange, parsePageId, getPageTitle, getTitlePropertyName, getTabInfo, LLMHelper, loadCachedSchema, cacheSchema } from '../lib/notion-api.js';
+import { findUrlField, isCompanyNameField, isCompanyRelation, getDefaultValue } from '../lib/field-defaults.js';
+import { loadProfiles, updateProfile, selectProfileForUrl, setActiveProfileId } from '../lib/profiles.js';
+import { isRetryableError, loadSaveQueue, onSaveQueueChanged } from '../lib/save-queue.js';
+import { describeRejections } from '../lib/extraction-schema.js';
+import { getPageBodyMode, buildPageBody, writePageBody } from '../lib/notion-blocks.js';
+import { getArchiveMode } from '../lib/snapshot-archive.js';
+import { findDuplicateCandidates } from '../lib/dedupe.js';
+import { BULK_CAPTURE_ORIGINS, loadBulkCapture, onBulkCaptureChanged, summarizeBulkCapture, getBulkStateLabel } from '../lib/bulk-capture.js';
+import { isHistoryEnabled, getPayloadStatus, getStatusTransition, addStageDate, recordStatusTransition } from '../lib/status-history.js';
 
 // DOM Elements
 const loadingState = document.getElementById('loadingState');
@@ -14,9 +23,11 @@ const formFields = document.getElementById('formFields');
 const footer = document.getElementById('footer');
 const dbName = document.getElementById('dbName');
 const aiLoadingOverlay = document.getElementById('aiLoadingOverlay');
+const profileSelect = document.getElementById('profileSelect');
 
 // Buttons
 const settingsBtn = document.getElementById('settingsBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
 const refreshBtn = document.getElementById('refreshBtn');
 const configureBtn = document.getElementById('configureBtn');
 const submitBtn = document.getElementById('submitBtn');
@@ -51,114 +62,174 @@ const aiInputTextarea = document.getElementById('aiInputTextarea');
 const cancelAiInput = document.getElementById('cancelAiInput');
 const submitAiInput = document.getElementById('submitAiInput');
 const charCount = document.getElementById('charCount');
+const queueBanner = document.getElementById('queueBanner');
+const queueBannerText = document.getElementById('queueBannerText');
+const queueModal = document.getElementById('queueModal');
+const queueModalOverlay = document.getElementById('queueModalOverlay');
+const queueModalClose = document.getElementById('queueModalClose');
+const closeQueueBtn = document.getElementById('closeQueueBtn');
+const retryAllQueuedBtn = document.getElementById('retryAllQueuedBtn');
+const queueList = document.getElementById('queueList');
+const bulkSaveBtn = document.getElementById('bulkSaveBtn');
+const bulkBanner = document.getElementById('bulkBanner');
+const bulkBannerText = document.getElementById('bulkBannerText');
+const bulkModal = document.getElementById('bulkModal');
+const bulkModalOverlay = document.getElementById('bulkModalOverlay');
+const bulkModalClose = document.getElementById('bulkModalClose');
+const bulkSummary = document.getElementById('bulkSummary');
+const bulkList = document.getElementById('bulkList');
+const retryBulkBtn = document.getElementById('retryBulkBtn');
+const clearBulkBtn = document.getElementById('clearBulkBtn');
+const closeBulkBtn = document.getElementById('closeBulkBtn');
+const aiReport = document.getElementById('aiReport');
+const aiReportTitle = document.getElementById('aiReportTitle');
+const aiReportClose = document.getElementById('aiReportClose');
+const aiReportList = document.getElementById('aiReportList');
+const duplicatePicker = document.getElementById('duplicatePicker');
+const duplicatePickerTitle = document.getElementById('duplicatePickerTitle');
+const duplicateList = document.getElementById('duplicateList');
+const saveAsNewBtn = document.getElementById('saveAsNewBtn');
+const reviewModal = document.getElementById('reviewModal');
+const reviewModalOverlay = document.getElementById('reviewModalOverlay');
+const reviewModalClose = document.getElementById('reviewModalClose');
+const reviewList = document.getElementById('reviewList');
+const cancelReviewBtn = document.getElementById('cancelReviewBtn');
+const saveReviewBtn = document.getElementById('saveReviewBtn');
 
 // State
 let notionApi = null;
-let openaiHelper = null;
+let llmHelper = null;
 let databaseSchema = null;
 let tabInfo = null;
-let hasOpenAI = false;
+let hasAI = false;
 let hiddenFields = new Set(); // Track which fields are hidden
 let fieldOrder = []; // Track custom field order
 let existingPageId = null; // Track if we're editing an existing page
 let existingPageData = null; // Store existing page data
+let savedStatus = null; // Status this popup last saved to the entry, for status history
+let duplicateCandidates = []; // Saved pages that may be this posting ({ page, reason, score })
+let workspaceUsersPromise = null; // Lazily loaded users for people fields
+let profiles = []; // All database profiles
+let activeProfile = null; // Profile used for this tab
+let saveQueue = []; // Saves waiting to be retried by the service worker
+let bulkCapture = null; // Last "Save all job tabs" run
+let pendingReview = []; // AI changes to an existing entry awaiting review
+const relatedDatabases = new Map(); // Related database schemas for relation pickers
 
 /**
- * Find URL field in database schema
- * @param {Object} schema - Database schema
- * @returns {string|null} URL field name or null
- */
-function findUrlField(schema) {
-  for (const [name, property] of Object.entries(schema.properties)) {
-    if (property.type === 'url') {
-      return name;
-    }
-  }
-  return null;
-}
-
-/**
- * Load cached database schema from storage
- * @param {string} currentDatabaseId - Current database ID to validate cache
- * @returns {Promise<Object|null>} Cached schema or null
- */
-async function loadCachedSchema(currentDatabaseId) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['databaseSchema', 'databaseSchemaTimestamp', 'cachedDatabaseId'], (result) => {
-      if (result.databaseSchema && result.databaseSchemaTimestamp) {
-        // Check if database ID matches
-        if (result.cachedDatabaseId !== currentDatabaseId) {
-          console.log('Database ID changed, invalidating cache');
-          resolve(null);
-          return;
-        }
-        
-        const cacheAge = Date.now() - result.databaseSchemaTimestamp;
-        const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-        
-        if (cacheAge < CACHE_DURATION) {
-          console.log(`Using cached schema (age: ${Math.round(cacheAge / 1000)}s)`);
-          resolve(result.databaseSchema);
-          return;
-        }
-      }
-      resolve(null);
-    });
-  });
-}
-
-/**
- * Cache database schema to storage
- * @param {Object} schema - Database schema to cache
- * @param {string} databaseId - Database ID for cache validation
- */
-async function cacheSchema(schema, databaseId) {
-  return new Promise((resolve) => {
-    chrome.storage.local.set({
-      databaseSchema: schema,
-      databaseSchemaTimestamp: Date.now(),
-      cachedDatabaseId: databaseId
-    }, resolve);
-  });
-}
-
-/**
- * Check for existing entry with same URL
+ * Check for existing entries for this posting
+ * A page saved under the same job URL is selected for updating; pages that only
+ * match on company and role are offered in the duplicate picker
  */
 async function checkForExistingEntry() {
+  duplicateCandidates = [];
+  existingPageId = null;
+  existingPageData = null;
+  savedStatus = null;
+  
   if (!tabInfo.url || !databaseSchema) {
+    renderDuplicatePicker();
     return;
   }
 
   try {
-    // Find URL field in schema
-    const urlField = findUrlField(databaseSchema);
-    if (!urlField) {
-      console.log('No URL field found in database schema');
-      return;
-    }
-
     console.log(`Checking for existing entry with URL: ${tabInfo.url}`);
     
-    // Query for existing page with this URL
-    const existingPage = await notionApi.findPageByUrl(tabInfo.url, urlField);
+    duplicateCandidates = await findDuplicateCandidates(notionApi, databaseSchema, tabInfo);
     
-    if (existingPage) {
-      console.log('Found existing entry:', existingPage.id);
-      existingPageId = existingPage.id;
-      existingPageData = parseNotionPage(existingPage, databaseSchema);
+    const urlMatch = duplicateCandidates.find(candidate => candidate.reason === 'url');
+    if (urlMatch) {
+      console.log('Found existing entry:', urlMatch.page.id);
+      selectExistingPage(urlMatch.page);
       console.log('Parsed existing data:', existingPageData);
     } else {
       console.log('No existing entry found');
-      existingPageId = null;
-      existingPageData = null;
+    }
+    
+    if (duplicateCandidates.length > (urlMatch ? 1 : 0)) {
+      console.log(`🔍 ${duplicateCandidates.length} possible existing entries`);
     }
   } catch (error) {
     console.error('Error checking for existing entry:', error);
     // Don't throw - just continue with new entry
-    existingPageId = null;
-    existingPageData = null;
+    duplicateCandidates = [];
+  }
+  
+  renderDuplicatePicker();
+}
+
+/**
+ * Make a saved page the one the form updates
+ * @param {Object|null} page - Notion page, or null to save as a new entry
+ */
+function selectExistingPage(page) {
+  existingPageId = page ? page.id : null;
+  existingPageData = page ? parseNotionPage(page, databaseSchema) : null;
+  savedStatus = null;
+}
+
+/**
+ * Show the saved pages that may be this posting so one can be picked for updating
+ * Hidden when there are none, or when the only one is saved under the same job URL
+ */
+function renderDuplicatePicker() {
+  const onlyUrlMatch = duplicateCandidates.length === 1 && duplicateCandidates[0].reason === 'url';
+  duplicatePicker.classList.toggle('hidden', duplicateCandidates.length === 0 || onlyUrlMatch);
+  duplicateList.innerHTML = '';
+  if (duplicateCandidates.length === 0 || onlyUrlMatch) {
+    return;
   }
+  
+  const count = duplicateCandidates.length;
+  duplicatePickerTitle.textContent = `${count} possible existing entr${count === 1 ? 'y' : 'ies'}`;
+  
+  duplicateCandidates.forEach(({ page, reason, score }) => {
+    const item = document.createElement('li');
+    item.className = 'duplicate-item';
+    
+    const info = document.createElement('div');
+    info.className = 'duplicate-info';
+    
+    const title = document.createElement('span');
+    title.className = 'duplicate-title';
+    title.textContent = getPageTitle(page);
+    title.title = getPageTitle(page);
+    
+    const detail = document.createElement('span');
+    detail.className = 'duplicate-detail';
+    const edited = page.last_edited_time ? ` · edited ${new Date(page.last_edited_time).toLocaleDateString()}` : '';
+    detail.textContent = reason === 'url'
+      ? `Same job link${edited}`
+      : `Same company, similar role (${Math.round(score * 100)}%)${edited}`;
+    
+    info.append(title, detail);
+    
+    const selected = page.id === existingPageId;
+    const selectBtn = document.createElement('button');
+    selectBtn.type = 'button';
+    selectBtn.className = 'duplicate-select';
+    selectBtn.textContent = selected ? 'Updating' : 'Update this';
+    selectBtn.disabled = selected;
+    selectBtn.addEventListener('click', () => chooseDuplicate(page));
+    
+    item.append(info, selectBtn);
+    duplicateList.appendChild(item);
+  });
+  
+  saveAsNewBtn.disabled = !existingPageId;
+}
+
+/**
+ * Switch the form between updating a saved page and creating a new one
+ * @param {Object|null} page - Notion page to update, or null to save as new
+ */
+function chooseDuplicate(page) {
+  selectExistingPage(page);
+  console.log(page ? `Updating existing entry: ${page.id}` : 'Saving as a new entry');
+  
+  renderForm(databaseSchema, tabInfo);
+  updateSubmitButton();
+  renderDuplicatePicker();
 }
 
 /**
@@ -167,13 +238,39 @@ async function checkForExistingEntry() {
 async function init() {
   setupEventListeners();
   
+  loadSaveQueue().then(renderSaveQueue);
+  onSaveQueueChanged(renderSaveQueue);
+  
+  loadBulkCapture().then(renderBulkCapture);
+  onBulkCaptureChanged(renderBulkCapture);
+  
+  await loadForm();
+}
+
+/**
+ * Load the profile for the current tab (or the given one) and render its form
+ * @param {string|null} profileId - Profile chosen manually, or null to route by URL
+ */
+async function loadForm(profileId = null) {
   try {
     // Concurrent data fetching
     notionApi = new NotionAPI();
-    openaiHelper = new OpenAIHelper();
+    llmHelper = new LLMHelper();
+    
+    // Tab info decides which profile (and database) to use
+    const [tabData, profileData] = await Promise.all([
+      getTabInfo().catch(e => ({ error: e.message })),
+      loadProfiles()
+    ]);
+    
+    tabInfo = tabData.error ? { url: '', title: '' } : tabData;
+    profiles = profileData.profiles;
+    activeProfile = profiles.find(profile => profile.id === profileId) ||
+      selectProfileForUrl(profiles, tabInfo.url, profileData.activeProfileId);
+    updateProfileSelect();
     
     // Load credentials first to get database ID for cache validation
-    const credentials = await notionApi.loadCredentials().catch(e => ({ error: e.message }));
+    const credentials = await notionApi.loadCredentials(activeProfile).catch(e => ({ error: e.message }));
     
     if (credentials.error === 'CREDENTIALS_NOT_CONFIGURED') {
       showError('Please configure your Notion credentials to get started.');
@@ -186,16 +283,15 @@ async function init() {
     }
 
     // Now load other data and cached schema in parallel
-    const [tabData, openaiKey, cachedSchema] = await Promise.all([
-      getTabInfo().catch(e => ({ error: e.message })),
-      openaiHelper.loadApiKey().catch(e => ({ error: e.message })),
+    const [llmSettings, cachedSchema] = await Promise.all([
+      llmHelper.loadSettings().catch(e => ({ error: e.message })),
       loadCachedSchema(notionApi.credentials.databaseId)
     ]);
 
-    // Check if OpenAI is configured
-    hasOpenAI = !openaiKey.error;
-
-    tabInfo = tabData.error ? { url: '', title: '' } : tabData;
+    // Check if an AI provider is configured
+    hasAI = !llmSettings.error;
+    
+    console.log(`Using profile "${activeProfile.name}"`);
     
     // Debug: Log extracted information
     console.log('=== TAB INFO LOADED ===');
@@ -231,7 +327,7 @@ async function init() {
       showForm();
       
       // Show AI button if configured
-      if (hasOpenAI) {
+      if (hasAI) {
         aiBtn.classList.remove('hidden');
         debugBtn.classList.remove('hidden');
       }
@@ -298,7 +394,7 @@ async function init() {
       showForm();
       
       // Show AI button if configured
-      if (hasOpenAI) {
+      if (hasAI) {
         aiBtn.classList.remove('hidden');
         debugBtn.classList.remove('hidden');
       }
@@ -314,6 +410,49 @@ async function init() {
   }
 }
 
+/**
+ * Fill the footer profile switcher (only shown with more than one profile)
+ */
+function updateProfileSelect() {
+  profileSelect.innerHTML = '';
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name || 'Untitled Profile';
+    option.selected = profile.id === activeProfile?.id;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.classList.toggle('hidden', profiles.length < 2);
+  
+  // Keep the switcher reachable even if this profile fails to load
+  if (profiles.length > 1) {
+    footer.classList.remove('hidden');
+  }
+}
+
+/**
+ * Switch to another profile and reload the form for its database
+ * @param {string} profileId - Profile ID
+ */
+async function switchProfile(profileId) {
+  if (profileId === activeProfile?.id) return;
+  
+  // The manual choice becomes the default for pages no pattern matches
+  await setActiveProfileId(profileId);
+  
+  databaseSchema = null;
+  existingPageId = null;
+  existingPageData = null;
+  savedStatus = null;
+  duplicateCandidates = [];
+  workspaceUsersPromise = null;
+  relatedDatabases.clear();
+  
+  dbName.textContent = '';
+  showLoading();
+  await loadForm(profileId);
+}
+
 /**
  * Refresh database schema manually
  */
@@ -367,6 +506,11 @@ async function refreshSchema() {
  * Set up event listeners
  */
 function setupEventListeners() {
+  dashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+    window.close();
+  });
+  
   settingsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
   });
@@ -379,6 +523,8 @@ function setupEventListeners() {
     refreshBtn.addEventListener('click', refreshSchema);
   }
 
+  profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+
   addAnotherBtn.addEventListener('click', () => {
     resetForm();
     showForm();
@@ -482,6 +628,32 @@ function setupEventListeners() {
     });
   }
   
+  // Save queue
+  queueBanner.addEventListener('click', openQueueModal);
+  queueModalOverlay.addEventListener('click', closeQueueModal);
+  queueModalClose.addEventListener('click', closeQueueModal);
+  closeQueueBtn.addEventListener('click', closeQueueModal);
+  retryAllQueuedBtn.addEventListener('click', () => retryQueuedSave(null, retryAllQueuedBtn));
+  
+  // Bulk save of the window's job tabs
+  bulkSaveBtn.addEventListener('click', startBulkCapture);
+  bulkBanner.addEventListener('click', openBulkModal);
+  bulkModalOverlay.addEventListener('click', closeBulkModal);
+  bulkModalClose.addEventListener('click', closeBulkModal);
+  closeBulkBtn.addEventListener('click', closeBulkModal);
+  retryBulkBtn.addEventListener('click', () => retryBulkCapture(null, retryBulkBtn));
+  clearBulkBtn.addEventListener('click', clearBulkCapture);
+  
+  // Rejected AI values report
+  aiReportClose.addEventListener('click', () => renderAiReport([]));
+  saveAsNewBtn.addEventListener('click', () => chooseDuplicate(null));
+  
+  // AI review modal
+  reviewModalOverlay.addEventListener('click', closeReviewModal);
+  reviewModalClose.addEventListener('click', closeReviewModal);
+  cancelReviewBtn.addEventListener('click', closeReviewModal);
+  saveReviewBtn.addEventListener('click', handleReviewSave);
+  
   // AI Input modal
   if (aiInputModalOverlay) {
     aiInputModalOverlay.addEventListener('click', closeAiInputModal);
@@ -583,6 +755,9 @@ function resetForm() {
   // Clear existing page data
   existingPageId = null;
   existingPageData = null;
+  savedStatus = null;
+  duplicateCandidates = [];
+  renderDuplicatePicker();
   
   // Re-render form with fresh tab data
   if (databaseSchema && tabInfo) {
@@ -605,55 +780,47 @@ const TYPE_PRIORITY = {
   'date': 8,
   'checkbox': 9,
   'email': 10,
-  'phone_number': 11
+  'phone_number': 11,
+  'people': 12,
+  'relation': 13,
+  'files': 14,
+  'formula': 15,
+  'rollup': 16,
+  'unique_id': 17,
+  'created_time': 18,
+  'created_by': 19,
+  'last_edited_time': 20,
+  'last_edited_by': 21
 };
 
 /**
- * Load hidden fields from storage
+ * Load hidden fields from the active profile
  */
 async function loadHiddenFields() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['hiddenFields'], (result) => {
-      if (result.hiddenFields && Array.isArray(result.hiddenFields)) {
-        hiddenFields = new Set(result.hiddenFields);
-      }
-      resolve();
-    });
-  });
+  hiddenFields = new Set(Array.isArray(activeProfile?.hiddenFields) ? activeProfile.hiddenFields : []);
 }
 
 /**
- * Save hidden fields to storage
+ * Save hidden fields to the active profile
  */
 async function saveHiddenFields() {
-  return new Promise((resolve) => {
-    chrome.storage.local.set({ hiddenFields: Array.from(hiddenFields) }, resolve);
-  });
+  activeProfile.hiddenFields = Array.from(hiddenFields);
+  await updateProfile(activeProfile.id, { hiddenFields: activeProfile.hiddenFields });
 }
 
 /**
- * Load field order from storage
+ * Load field order from the active profile
  */
 async function loadFieldOrder() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['fieldOrder'], (result) => {
-      if (result.fieldOrder && Array.isArray(result.fieldOrder)) {
-        fieldOrder = result.fieldOrder;
-      } else {
-        fieldOrder = [];
-      }
-      resolve();
-    });
-  });
+  fieldOrder = Array.isArray(activeProfile?.fieldOrder) ? [...activeProfile.fieldOrder] : [];
 }
 
 /**
- * Save field order to storage
+ * Save field order to the active profile
  */
 async function saveFieldOrder() {
-  return new Promise((resolve) => {
-    chrome.storage.local.set({ fieldOrder: fieldOrder }, resolve);
-  });
+  activeProfile.fieldOrder = fieldOrder;
+  await updateProfile(activeProfile.id, { fieldOrder });
 }
 
 /**
@@ -839,10 +1006,15 @@ function renderProperty(name, property, tab, existingData = null) {
     'date': () => renderDateField(group, name, property, labelContainer, existingData),
     'email': () => renderEmailField(group, name, property, labelContainer, existingData),
     'phone_number': () => renderPhoneField(group, name, property, labelContainer, existingData),
-    'status': () => renderStatusField(group, name, property, labelContainer, existingData)
+    'status': () => renderStatusField(group, name, property, labelContainer, existingData),
+    'people': () => renderPeopleField(group, name, property, labelContainer, existingData),
+    'relation': () => renderRelationField(group, name, property, labelContainer, existingData),
+    'files': () => renderFilesField(group, name, property, labelContainer, existingData)
   };
 
-  const renderer = renderers[property.type];
+  const renderer = READ_ONLY_TYPES.has(property.type)
+    ? () => renderReadOnlyField(group, name, property, labelContainer, existingData)
+    : renderers[property.type];
   if (renderer) {
     renderer();
     // Add hide button to label container
@@ -908,170 +1080,12 @@ function renderTitleField(group, name, property, tab, labelContainer, existingDa
   input.placeholder = 'Enter title...';
   
   // Use existing data if available, otherwise intelligently choose between roleName, companyName, or full title
-  let defaultValue = tab.title || '';
-  if (!existingData || !existingData[name]) {
-    if (isRoleField(name) && tab.roleName) {
-      defaultValue = tab.roleName;
-    } else if (isCompanyNameField(name) && tab.companyName) {
-      // Only fill company name fields, not company summary fields
-      defaultValue = tab.companyName;
-    }
-  }
-  
-  input.value = (existingData && existingData[name]) || defaultValue;
+  input.value = (existingData && existingData[name]) || getDefaultValue(name, property, tab, activeProfile?.fieldBindings);
   input.required = true;
   
   group.appendChild(input);
 }
 
-/**
- * Check if field name suggests it's a location field
- */
-function isLocationField(name) {
-  const lowercaseName = name.toLowerCase();
-  return lowercaseName.includes('location') || 
-         lowercaseName.includes('where') || 
-         lowercaseName.includes('city') ||
-         lowercaseName.includes('place');
-}
-
-/**
- * Check if field name suggests it's a company field
- */
-function isCompanyField(name) {
-  const lowercaseName = name.toLowerCase();
-  return lowercaseName === 'company' || 
-         lowercaseName === 'company name' ||
-         lowercaseName.includes('company') ||
-         lowercaseName === 'organization' ||
-         lowercaseName === 'employer';
-}
-
-/**
- * Check if field name is specifically a company NAME field (not summary)
- */
-function isCompanyNameField(name) {
-  const lowercaseName = name.toLowerCase();
-  // Exclude summary fields - only match fields that are specifically for company name
-  if (lowercaseName.includes('summary') || lowercaseName.includes('description') || lowercaseName.includes('about')) {
-    return false;
-  }
-  return lowercaseName === 'company' || 
-         lowercaseName === 'company name' ||
-         lowercaseName === 'organization' ||
-         lowercaseName === 'employer';
-}
-
-/**
- * Check if field name suggests it's a raw job description field
- */
-function isRawJdField(name) {
-  const lowercaseName = name.toLowerCase();
-  // Match variations of "raw jd", "raw job description", etc.
-  return lowercaseName === 'raw jd' ||
-         lowercaseName === 'raw_jd' ||
-         lowercaseName === 'rawjd' ||
-         lowercaseName === 'raw job description' ||
-         lowercaseName === 'raw_job_description' ||
-         lowercaseName.includes('raw jd') ||
-         lowercaseName.includes('raw_jd');
-}
-
-/**
- * Check if field name suggests it's a role/job title field
- */
-function isRoleField(name) {
-  const lowercaseName = name.toLowerCase();
-  return lowercaseName === 'role' ||
-         lowercaseName === 'role name' ||
-         lowercaseName === 'job title' ||
-         lowercaseName === 'position' ||
-         lowercaseName === 'title' ||
-         lowercaseName.includes('job title') ||
-         lowercaseName.includes('position');
-}
-
-/**
- * Find best matching option for location
- * @param {string} extractedLocation - Location extracted from page
- * @param {Array} options - Available select options
- * @returns {string|null} Best matching option name or null
- */
-function findBestLocationMatch(extractedLocation, options) {
-  if (!extractedLocation || !options || options.length === 0) {
-    return null;
-  }
-  
-  const location = extractedLocation.toLowerCase().trim();
-  
-  // 1. Try exact match (case-insensitive)
-  for (const option of options) {
-    if (option.name.toLowerCase() === location) {
-      return option.name;
-    }
-  }
-  
-  // 2. Try contains match (option contains extracted location)
-  for (const option of options) {
-    if (option.name.toLowerCase().includes(location)) {
-      return option.name;
-    }
-  }
-  
-  // 3. Try reverse contains (extracted location contains option)
-  for (const option of options) {
-    if (location.includes(option.name.toLowerCase())) {
-      return option.name;
-    }
-  }
-  
-  // 4. Check for "Remote" special case
-  if (location.includes('remote')) {
-    for (const option of options) {
-      if (option.name.toLowerCase().includes('remote')) {
-        return option.name;
-      }
-    }
-  }
-  
-  // 5. Check for common city/state patterns and abbreviations
-  const cityStatePatterns = [
-    { pattern: /san francisco|sf|bay area/i, keywords: ['san francisco', 'sf', 'bay area'] },
-    { pattern: /new york|nyc|ny(?!\w)/i, keywords: ['new york', 'nyc', 'ny'] },
-    { pattern: /los angeles|la(?!\w)/i, keywords: ['los angeles', 'la'] },
-    { pattern: /washington.*dc|dc(?!\w)/i, keywords: ['washington', 'dc'] },
-    { pattern: /boston|ma(?!\w)/i, keywords: ['boston', 'ma'] },
-    { pattern: /chicago|il(?!\w)/i, keywords: ['chicago', 'il'] },
-    { pattern: /seattle|wa(?!\w)/i, keywords: ['seattle', 'wa'] },
-    { pattern: /austin|tx(?!\w)/i, keywords: ['austin', 'tx'] },
-    { pattern: /denver|co(?!\w)/i, keywords: ['denver', 'co'] },
-  ];
-  
-  for (const { pattern, keywords } of cityStatePatterns) {
-    if (pattern.test(location)) {
-      for (const option of options) {
-        const optionLower = option.name.toLowerCase();
-        if (keywords.some(keyword => optionLower.includes(keyword))) {
-          return option.name;
-        }
-      }
-    }
-  }
-  
-  // 6. Extract state abbreviation if present and match
-  const stateMatch = location.match(/,\s*([A-Z]{2})\b/);
-  if (stateMatch) {
-    const state = stateMatch[1].toLowerCase();
-    for (const option of options) {
-      if (option.name.toLowerCase().includes(state)) {
-        return option.name;
-      }
-    }
-  }
-  
-  return null;
-}
-
 /**
  * Render rich text field
  */
@@ -1080,8 +1094,8 @@ function renderRichTextField(group, name, property, labelContainer, existingData
   group.appendChild(labelContainer);
   
   // Check if this is a company name field - render as input instead of textarea
-  const isCompanyName = isCompanyNameField(name);
-  const isRawJd = isRawJdField(name);
+  const bindingSource = activeProfile?.fieldBindings?.[name]?.source;
+  const isCompanyName = isCompanyNameField(name) || bindingSource === 'company' || bindingSource === 'role';
   
   let inputElement;
   if (isCompanyName) {
@@ -1099,21 +1113,7 @@ function renderRichTextField(group, name, property, labelContainer, existingData
   inputElement.placeholder = `Enter ${name.toLowerCase()}...`;
   
   // Use existing data if available, otherwise intelligently pre-populate
-  let defaultValue = '';
-  if (!existingData || !existingData[name]) {
-    if (isRoleField(name) && tabInfo && tabInfo.roleName) {
-      defaultValue = tabInfo.roleName;
-    } else if (isCompanyName && tabInfo && tabInfo.companyName) {
-      // Only fill if it's specifically a company name field (not summary)
-      defaultValue = tabInfo.companyName;
-    } else if (isRawJd && tabInfo && tabInfo.selectedText) {
-      // Fill raw jd field with selected text
-      defaultValue = tabInfo.selectedText;
-      console.log(`✅ Auto-filled raw jd field with selected text (${tabInfo.selectedText.length} chars)`);
-    }
-  }
-  
-  inputElement.value = (existingData && existingData[name]) || defaultValue;
+  inputElement.value = (existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
   
   group.appendChild(inputElement);
 }
@@ -1130,8 +1130,8 @@ function renderUrlField(group, name, property, tab, labelContainer, existingData
   input.className = 'form-input';
   input.name = name;
   input.placeholder = 'https://...';
-  // Use existing data if available, otherwise use tab URL
-  input.value = (existingData && existingData[name]) || tab.url || '';
+  // Use existing data if available, otherwise use tab URL (or the field's binding)
+  input.value = (existingData && existingData[name]) || getDefaultValue(name, property, tab, activeProfile?.fieldBindings);
   
   group.appendChild(input);
 }
@@ -1151,6 +1151,8 @@ function renderNumberField(group, name, property, labelContainer, existingData)
   input.step = 'any';
   if (existingData && existingData[name] !== undefined && existingData[name] !== '') {
     input.value = existingData[name];
+  } else {
+    input.value = getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
   }
   
   group.appendChild(input);
@@ -1173,6 +1175,8 @@ function renderCheckboxField(group, name, property, labelContainer, existingData
   checkbox.id = `checkbox-${name}`;
   if (existingData && existingData[name] !== undefined) {
     checkbox.checked = existingData[name];
+  } else if (!existingData) {
+    checkbox.checked = getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings) === true;
   }
   
   const label = document.createElement('label');
@@ -1213,41 +1217,7 @@ function renderSelectField(group, name, property, labelContainer, existingData)
   }
   
   // Set value from existing data or auto-detect location/company
-  let valueToSet = null;
-  if (existingData && existingData[name]) {
-    valueToSet = existingData[name];
-  } else if (isLocationField(name) && tabInfo && tabInfo.location && property.select?.options) {
-    // Try to match extracted location to available options
-    console.log(`🔍 Field "${name}" detected as location field`);
-    console.log(`🌍 Extracted location: "${tabInfo.location}"`);
-    console.log(`📋 Available options:`, property.select.options.map(o => o.name).join(', '));
-    
-    const matchedOption = findBestLocationMatch(tabInfo.location, property.select.options);
-    if (matchedOption) {
-      valueToSet = matchedOption;
-      console.log(`✅ Auto-matched location "${tabInfo.location}" to option "${matchedOption}"`);
-    } else {
-      console.log(`❌ Could not match location "${tabInfo.location}" to any option`);
-    }
-  } else if (isCompanyField(name) && tabInfo && tabInfo.companyName && property.select?.options) {
-    // Try to match extracted company to available options
-    const matchedOption = property.select.options.find(opt => 
-      opt.name.toLowerCase() === tabInfo.companyName.toLowerCase()
-    );
-    if (matchedOption) {
-      valueToSet = matchedOption.name;
-      console.log(`✅ Auto-matched company "${tabInfo.companyName}" to option "${matchedOption.name}"`);
-    }
-  } else if (isLocationField(name)) {
-    const debugInfo = {
-      hasTabInfo: !!tabInfo,
-      tabInfoLocation: tabInfo?.location || 'null',
-      hasOptions: !!(property.select?.options),
-      optionsCount: property.select?.options?.length || 0,
-      options: property.select?.options?.map(o => o.name) || []
-    };
-    console.log(`⚠️ Field "${name}" is location field but conditions not met:`, debugInfo);
-  }
+  const valueToSet = (existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
   
   if (valueToSet) {
     select.value = valueToSet;
@@ -1284,26 +1254,7 @@ function renderStatusField(group, name, property, labelContainer, existingData)
   }
   
   // Set value from existing data or auto-detect location/company
-  let valueToSet = null;
-  if (existingData && existingData[name]) {
-    valueToSet = existingData[name];
-  } else if (isLocationField(name) && tabInfo && tabInfo.location && property.status?.options) {
-    // Try to match extracted location to available options
-    const matchedOption = findBestLocationMatch(tabInfo.location, property.status.options);
-    if (matchedOption) {
-      valueToSet = matchedOption;
-      console.log(`Auto-matched location "${tabInfo.location}" to status option "${matchedOption}"`);
-    }
-  } else if (isCompanyField(name) && tabInfo && tabInfo.companyName && property.status?.options) {
-    // Try to match extracted company to available options
-    const matchedOption = property.status.options.find(opt => 
-      opt.name.toLowerCase() === tabInfo.companyName.toLowerCase()
-    );
-    if (matchedOption) {
-      valueToSet = matchedOption.name;
-      console.log(`Auto-matched company "${tabInfo.companyName}" to status option "${matchedOption.name}"`);
-    }
-  }
+  const valueToSet = (existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
   
   if (valueToSet) {
     select.value = valueToSet;
@@ -1331,8 +1282,8 @@ function renderMultiSelectField(group, name, property, labelContainer, existingD
   hiddenInput.type = 'hidden';
   hiddenInput.name = name;
   
-  // Get existing values
-  const existingValues = (existingData && existingData[name]) || [];
+  // Get existing values (or posting defaults for a new entry)
+  const existingValues = (existingData && existingData[name]) || (!existingData && getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings)) || [];
   const existingValuesSet = new Set(existingValues);
   
   // Add tag options
@@ -1376,88 +1327,715 @@ function updateMultiSelectValue(container, input) {
 }
 
 /**
- * Render date field
+ * Render date field with optional end date and time
  */
 function renderDateField(group, name, property, labelContainer, existingData) {
   createLabel(name, 'date', labelContainer);
   group.appendChild(labelContainer);
   
-  const input = document.createElement('input');
-  input.type = 'date';
-  input.className = 'form-input';
-  input.name = name;
-  if (existingData && existingData[name]) {
+  const range = toDateRange((existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings));
+  const hasTime = Boolean(range && range.start.includes('T'));
+  
+  const inputs = document.createElement('div');
+  inputs.className = 'date-inputs';
+  
+  const startInput = document.createElement('input');
+  startInput.className = 'form-input';
+  startInput.name = name;
+  startInput.dataset.role = 'start';
+  
+  const separator = document.createElement('span');
+  separator.className = 'date-separator';
+  separator.textContent = '→';
+  
+  const endInput = document.createElement('input');
+  endInput.className = 'form-input';
+  endInput.dataset.role = 'end';
+  
+  inputs.appendChild(startInput);
+  inputs.appendChild(separator);
+  inputs.appendChild(endInput);
+  
+  const options = document.createElement('div');
+  options.className = 'date-options';
+  const endToggle = createDateOption(`date-end-${name}`, 'End date', Boolean(range && range.end));
+  const timeToggle = createDateOption(`date-time-${name}`, 'Include time', hasTime);
+  options.appendChild(endToggle.wrapper);
+  options.appendChild(timeToggle.wrapper);
+  
+  const applyOptions = () => {
+    const type = timeToggle.checkbox.checked ? 'datetime-local' : 'date';
+    [startInput, endInput].forEach(input => {
+      const value = input.value;
+      input.type = type;
+      input.value = toDateInputValue(value, type === 'datetime-local');
+    });
+    separator.classList.toggle('hidden', !endToggle.checkbox.checked);
+    endInput.classList.toggle('hidden', !endToggle.checkbox.checked);
+  };
+  
+  startInput.type = hasTime ? 'datetime-local' : 'date';
+  endInput.type = startInput.type;
+  if (range) {
+    startInput.value = toDateInputValue(range.start, hasTime);
+    endInput.value = toDateInputValue(range.end, hasTime);
+  }
+  applyOptions();
+  
+  endToggle.checkbox.addEventListener('change', applyOptions);
+  timeToggle.checkbox.addEventListener('change', applyOptions);
+  
+  group.appendChild(inputs);
+  group.appendChild(options);
+}
+
+/**
+ * Create a small labelled checkbox for date field options
+ * @param {string} id - Checkbox ID
+ * @param {string} text - Label text
+ * @param {boolean} checked - Initial state
+ * @returns {Object} { wrapper, checkbox }
+ */
+function createDateOption(id, text, checked) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'date-option';
+  wrapper.htmlFor = id;
+  
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = id;
+  checkbox.checked = checked;
+  checkbox.dataset.role = id.startsWith('date-end') ? 'end-toggle' : 'time-toggle';
+  
+  wrapper.appendChild(checkbox);
+  wrapper.appendChild(document.createTextNode(text));
+  return { wrapper, checkbox };
+}
+
+/**
+ * Convert a date or date-time string into a value for a date/datetime-local input
+ * @param {string} value - ISO date or date-time
+ * @param {boolean} withTime - Whether the input includes time
+ * @returns {string} Input value
+ */
+function toDateInputValue(value, withTime) {
+  if (!value) return '';
+  
+  if (!withTime) {
     // Ensure date format is YYYY-MM-DD
-    const dateValue = existingData[name];
-    if (dateValue) {
-      const date = new Date(dateValue);
-      if (!isNaN(date.getTime())) {
-        input.value = date.toISOString().split('T')[0];
-      } else {
-        input.value = dateValue;
-      }
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return value.slice(0, 10);
     }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
   }
   
-  group.appendChild(input);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T00:00`;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  // datetime-local expects local time without an offset
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
 }
 
 /**
- * Render email field
+ * Set a date field's value (used when AI fills the form)
+ * @param {HTMLElement} group - Form group element
+ * @param {string|Object} value - Date string or { start, end } range (a range without an end clears the end date)
+ * @returns {boolean} Whether a valid date was set
  */
-function renderEmailField(group, name, property, labelContainer, existingData) {
-  createLabel(name, 'email', labelContainer);
-  group.appendChild(labelContainer);
+function setDateFieldValue(group, value) {
+  const range = toDateRange(value);
+  if (!range || isNaN(new Date(range.start).getTime())) {
+    return false;
+  }
   
-  const input = document.createElement('input');
-  input.type = 'email';
-  input.className = 'form-input';
-  input.name = name;
-  input.placeholder = 'email@example.com';
-  input.value = (existingData && existingData[name]) || '';
+  const startInput = group.querySelector('input[data-role="start"]');
+  const endInput = group.querySelector('input[data-role="end"]');
+  const endToggle = group.querySelector('input[data-role="end-toggle"]');
+  const withTime = startInput.type === 'datetime-local';
   
-  group.appendChild(input);
+  startInput.value = toDateInputValue(range.start, withTime);
+  if (range.end && !isNaN(new Date(range.end).getTime())) {
+    endInput.value = toDateInputValue(range.end, withTime);
+    if (!endToggle.checked) {
+      endToggle.checked = true;
+      endToggle.dispatchEvent(new Event('change'));
+    }
+  } else if (typeof value === 'object' && endToggle.checked) {
+    // A range without an end removes the end date
+    endInput.value = '';
+    endToggle.checked = false;
+    endToggle.dispatchEvent(new Event('change'));
+  }
+  return Boolean(startInput.value);
 }
 
 /**
- * Render phone field
+ * Render a list of removable chips for reference values (people, relations, files)
+ * @param {HTMLElement} container - Chip container
+ * @param {Array} items - Items to render
+ * @param {Function} getLabel - Returns the chip text for an item
+ * @param {Function} onRemove - Called with the item index to remove
  */
-function renderPhoneField(group, name, property, labelContainer, existingData) {
-  createLabel(name, 'phone', labelContainer);
-  group.appendChild(labelContainer);
+function renderReferenceChips(container, items, getLabel, onRemove) {
+  container.innerHTML = '';
   
-  const input = document.createElement('input');
-  input.type = 'tel';
-  input.className = 'form-input';
-  input.name = name;
-  input.placeholder = '+1 (555) 000-0000';
-  input.value = (existingData && existingData[name]) || '';
+  if (items.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'reference-empty';
+    empty.textContent = 'None';
+    container.appendChild(empty);
+    return;
+  }
   
-  group.appendChild(input);
+  items.forEach((item, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'tag reference-chip';
+    chip.dataset.color = 'default';
+    
+    const label = document.createElement('span');
+    label.textContent = getLabel(item);
+    chip.appendChild(label);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'chip-remove';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => onRemove(index));
+    chip.appendChild(removeBtn);
+    
+    container.appendChild(chip);
+  });
 }
 
 /**
- * Handle form submission
- * @param {Event} e - Submit event
+ * Load workspace users once per popup session
+ * @returns {Promise<Array>} User objects
  */
-async function handleSubmit(e) {
-  e.preventDefault();
+function loadWorkspaceUsers() {
+  if (!workspaceUsersPromise) {
+    workspaceUsersPromise = notionApi.listUsers().catch(error => {
+      console.error('Error loading workspace users:', error);
+      workspaceUsersPromise = null;
+      throw error;
+    });
+  }
+  return workspaceUsersPromise;
+}
+
+/**
+ * Render people field with a user picker
+ */
+function renderPeopleField(group, name, property, labelContainer, existingData) {
+  createLabel(name, 'people', labelContainer);
+  group.appendChild(labelContainer);
   
-  const btnText = submitBtn.querySelector('.btn-text');
-  const btnLoading = submitBtn.querySelector('.btn-loading');
-  const quickBtnText = quickSaveBtn.querySelector('.btn-text');
-  const quickBtnLoading = quickSaveBtn.querySelector('.btn-loading');
+  const container = document.createElement('div');
+  container.className = 'reference-container';
+  
+  const chips = document.createElement('div');
+  chips.className = 'multiselect-tags reference-chips';
+  
+  // Hidden input stores the selected people as JSON
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'hidden';
+  hiddenInput.name = name;
+  
+  const picker = document.createElement('select');
+  picker.className = 'form-select';
+  
+  let selected = [...((existingData && existingData[name]) || [])];
+  let users = [];
+  
+  const update = () => {
+    hiddenInput.value = JSON.stringify(selected);
+    renderReferenceChips(chips, selected, person => person.name || 'Unknown user', index => {
+      selected.splice(index, 1);
+      update();
+    });
+    
+    picker.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = users.length ? 'Add a person...' : 'Loading people...';
+    picker.appendChild(placeholder);
+    
+    const selectedIds = new Set(selected.map(person => person.id));
+    users.filter(user => !selectedIds.has(user.id)).forEach(user => {
+      const opt = document.createElement('option');
+      opt.value = user.id;
+      opt.textContent = user.name || user.person?.email || user.id;
+      picker.appendChild(opt);
+    });
+  };
+  
+  picker.addEventListener('change', () => {
+    const user = users.find(u => u.id === picker.value);
+    if (user) {
+      selected.push({ id: user.id, name: user.name || '' });
+      update();
+    }
+  });
+  
+  update();
+  loadWorkspaceUsers()
+    .then(result => {
+      users = result;
+      update();
+    })
+    .catch(() => {
+      picker.disabled = true;
+      picker.options[0].textContent = 'People list unavailable';
+    });
+  
+  container.appendChild(chips);
+  container.appendChild(picker);
+  container.appendChild(hiddenInput);
+  group.appendChild(container);
+}
+
+/**
+ * Load a related database's schema once per popup session
+ * @param {string} databaseId - Related database ID
+ * @returns {Promise<Object>} Related database schema
+ */
+function loadRelatedDatabase(databaseId) {
+  if (!relatedDatabases.has(databaseId)) {
+    const promise = notionApi.getDatabase(databaseId).catch(error => {
+      relatedDatabases.delete(databaseId);
+      throw error;
+    });
+    relatedDatabases.set(databaseId, promise);
+  }
+  return relatedDatabases.get(databaseId);
+}
+
+/**
+ * Render relation field with a searchable picker over the related database
+ */
+function renderRelationField(group, name, property, labelContainer, existingData) {
+  createLabel(name, 'relation', labelContainer);
+  group.appendChild(labelContainer);
+  
+  const relatedDatabaseId = property.relation?.database_id;
+  
+  const container = document.createElement('div');
+  container.className = 'reference-container relation-picker';
+  
+  const chips = document.createElement('div');
+  chips.className = 'multiselect-tags reference-chips';
+  
+  // Hidden input stores the linked pages as JSON
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'hidden';
+  hiddenInput.name = name;
+  
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.className = 'form-input';
+  searchInput.placeholder = 'Search or paste a Notion link...';
+  searchInput.autocomplete = 'off';
+  
+  const results = document.createElement('div');
+  results.className = 'relation-results hidden';
+  
+  const suggestion = document.createElement('div');
+  suggestion.className = 'relation-suggestion hidden';
+  
+  const selected = [...((existingData && existingData[name]) || [])];
+  let relatedSchema = null;
+  let searchTimeout = null;
+  let searchToken = 0;
+  
+  const update = () => {
+    hiddenInput.value = JSON.stringify(selected.map(page => ({ id: page.id })));
+    renderReferenceChips(chips, selected, page => page.title || 'Loading...', index => {
+      selected.splice(index, 1);
+      update();
+    });
+  };
+  
+  const isLinked = (pageId) => selected.some(page =>
+    page.id.replace(/-/g, '') === pageId.replace(/-/g, '')
+  );
+  
+  const linkPage = (page) => {
+    if (!isLinked(page.id)) {
+      selected.push(page);
+      if (!page.title) resolveTitle(page);
+    }
+    searchInput.value = '';
+    results.classList.add('hidden');
+    suggestion.classList.add('hidden');
+    update();
+  };
+  
+  // Resolve titles for pages linked by ID only
+  const resolveTitle = (page) => {
+    notionApi.getPage(page.id)
+      .then(result => {
+        page.title = getPageTitle(result);
+      })
+      .catch(() => {
+        page.title = page.id;
+      })
+      .finally(update);
+  };
+  
+  const createAndLink = async (title, button) => {
+    const titleProperty = getTitlePropertyName(relatedSchema);
+    if (!titleProperty) {
+      showToast('Related database has no title property', 'error');
+      return;
+    }
+    
+    if (button) button.disabled = true;
+    try {
+      const page = await notionApi.createPage({
+        [titleProperty]: PropertyFormatters.title(title)
+      }, relatedDatabaseId);
+      linkPage({ id: page.id, title });
+      showToast(`Created "${title}" in ${getDatabaseTitle(relatedSchema)}`, 'success');
+    } catch (error) {
+      console.error('Error creating related page:', error);
+      showToast(`Could not create page: ${error.message}`, 'error');
+      if (button) button.disabled = false;
+    }
+  };
+  
+  const renderResults = (pages, query) => {
+    results.innerHTML = '';
+    
+    pages.filter(page => !isLinked(page.id)).forEach(page => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'relation-result';
+      item.textContent = getPageTitle(page);
+      item.addEventListener('click', () => linkPage({ id: page.id, title: getPageTitle(page) }));
+      results.appendChild(item);
+    });
+    
+    const pastedId = parsePageId(query);
+    if (pastedId) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'relation-result';
+      item.textContent = 'Link pasted page';
+      item.addEventListener('click', () => linkPage({ id: pastedId }));
+      results.appendChild(item);
+    } else if (query && !pages.some(page => getPageTitle(page).toLowerCase() === query.toLowerCase())) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'relation-result relation-create';
+      item.textContent = `+ Create "${query}"`;
+      item.addEventListener('click', () => createAndLink(query, item));
+      results.appendChild(item);
+    }
+    
+    if (!results.children.length) {
+      const empty = document.createElement('div');
+      empty.className = 'relation-result-empty';
+      empty.textContent = 'No pages found';
+      results.appendChild(empty);
+    }
+    results.classList.remove('hidden');
+  };
+  
+  const runSearch = async () => {
+    const query = searchInput.value.trim();
+    const token = ++searchToken;
+    
+    // Pasted links don't need a search, or the related database's schema
+    if (parsePageId(query)) {
+      renderResults([], query);
+      return;
+    }
+    if (!relatedSchema) return;
+    
+    try {
+      const pages = await notionApi.searchDatabaseByTitle(
+        relatedDatabaseId,
+        getTitlePropertyName(relatedSchema),
+        query
+      );
+      if (token === searchToken) {
+        renderResults(pages, query);
+      }
+    } catch (error) {
+      console.error('Relation search error:', error);
+      if (token === searchToken) {
+        results.innerHTML = '<div class="relation-result-empty">Search failed</div>';
+        results.classList.remove('hidden');
+      }
+    }
+  };
+  
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(runSearch, 250);
+  });
+  searchInput.addEventListener('focus', runSearch);
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const first = results.querySelector('.relation-result');
+      if (first) first.click();
+    } else if (e.key === 'Escape') {
+      results.classList.add('hidden');
+    }
+  });
+  searchInput.addEventListener('blur', () => {
+    // Delay so clicks on results still register
+    setTimeout(() => results.classList.add('hidden'), 200);
+  });
+  
+  /**
+   * Link the current page's company automatically, or offer to create it
+   */
+  const suggestCompany = async () => {
+    const companyName = tabInfo?.companyName;
+    if (!companyName || selected.length > 0 || !isCompanyRelation(name, relatedSchema, activeProfile?.fieldBindings)) {
+      return;
+    }
+    
+    try {
+      const pages = await notionApi.searchDatabaseByTitle(
+        relatedDatabaseId,
+        getTitlePropertyName(relatedSchema),
+        companyName
+      );
+      const match = pages.find(page => getPageTitle(page).toLowerCase() === companyName.toLowerCase());
+      
+      if (match) {
+        console.log(`✅ Auto-linked company "${companyName}" in relation "${name}"`);
+        linkPage({ id: match.id, title: getPageTitle(match) });
+        return;
+      }
+      
+      suggestion.innerHTML = '';
+      const text = document.createElement('span');
+      text.textContent = `"${companyName}" isn't in ${getDatabaseTitle(relatedSchema)} yet.`;
+      const createBtn = document.createElement('button');
+      createBtn.type = 'button';
+      createBtn.className = 'btn btn-secondary reference-add-btn';
+      createBtn.textContent = 'Create & link';
+      createBtn.addEventListener('click', () => createAndLink(companyName, createBtn));
+      suggestion.appendChild(text);
+      suggestion.appendChild(createBtn);
+      suggestion.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error looking up company:', error);
+    }
+  };
+  
+  update();
+  selected.forEach(page => {
+    if (!page.title) resolveTitle(page);
+  });
+  
+  if (relatedDatabaseId) {
+    loadRelatedDatabase(relatedDatabaseId)
+      .then(schema => {
+        relatedSchema = schema;
+        searchInput.placeholder = `Search ${getDatabaseTitle(schema)} or paste a link...`;
+        if (!existingData || !existingData[name]?.length) {
+          suggestCompany();
+        }
+      })
+      .catch(error => {
+        console.error('Error loading related database:', error);
+        searchInput.placeholder = 'Paste a Notion page link...';
+      });
+  }
+  
+  container.appendChild(chips);
+  container.appendChild(searchInput);
+  container.appendChild(results);
+  container.appendChild(suggestion);
+  container.appendChild(hiddenInput);
+  group.appendChild(container);
+}
+
+/**
+ * Get a database's display title
+ * @param {Object} schema - Database schema
+ * @returns {string} Database title
+ */
+function getDatabaseTitle(schema) {
+  return schema?.title?.[0]?.plain_text || 'Untitled Database';
+}
+
+/**
+ * Render files field - external file links
+ */
+function renderFilesField(group, name, property, labelContainer, existingData) {
+  createLabel(name, 'files', labelContainer);
+  group.appendChild(labelContainer);
+  
+  const container = document.createElement('div');
+  container.className = 'reference-container';
+  
+  const chips = document.createElement('div');
+  chips.className = 'multiselect-tags reference-chips';
+  
+  // Hidden input stores the files as JSON; only sent to Notion once edited
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'hidden';
+  hiddenInput.name = name;
+  
+  const addRow = document.createElement('div');
+  addRow.className = 'reference-add-row';
+  const input = document.createElement('input');
+  input.type = 'url';
+  input.className = 'form-input';
+  input.placeholder = 'https://... (link to a file)';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'btn btn-secondary reference-add-btn';
+  addBtn.textContent = 'Add';
+  addRow.appendChild(input);
+  addRow.appendChild(addBtn);
+  
+  const files = [...((existingData && existingData[name]) || [])];
+  
+  const update = () => {
+    hiddenInput.value = JSON.stringify(files);
+    renderReferenceChips(chips, files, file => file.name || file.url, index => {
+      files.splice(index, 1);
+      hiddenInput.dataset.dirty = 'true';
+      update();
+    });
+  };
+  
+  const addFile = () => {
+    const url = input.value.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      showToast('Enter a link starting with http:// or https://', 'error');
+      return;
+    }
+    const fileName = decodeURIComponent(url.split('?')[0].split('/').pop() || '') || url;
+    files.push({ name: fileName, type: 'external', url });
+    hiddenInput.dataset.dirty = 'true';
+    input.value = '';
+    update();
+  };
+  
+  addBtn.addEventListener('click', addFile);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addFile();
+    }
+  });
+  
+  update();
+  
+  container.appendChild(chips);
+  container.appendChild(addRow);
+  if (files.some(file => file.type === 'file')) {
+    const note = document.createElement('p');
+    note.className = 'field-note';
+    note.textContent = 'Files uploaded in Notion are kept unless you edit this field.';
+    container.appendChild(note);
+  }
+  container.appendChild(hiddenInput);
+  group.appendChild(container);
+}
+
+/**
+ * Render read-only field for properties computed by Notion
+ */
+function renderReadOnlyField(group, name, property, labelContainer, existingData) {
+  createLabel(name, property.type.replace(/_/g, ' '), labelContainer);
+  group.appendChild(labelContainer);
+  group.dataset.readonly = 'true';
+  
+  const display = document.createElement('div');
+  display.className = 'form-readonly';
+  
+  let value = existingData ? existingData[name] : '';
+  if ((property.type === 'created_time' || property.type === 'last_edited_time') && value) {
+    value = new Date(value).toLocaleString();
+  }
+  
+  const text = formatDisplayValue(value);
+  if (text) {
+    display.textContent = text;
+  } else {
+    display.textContent = existingPageId ? 'Empty' : 'Calculated by Notion after saving';
+    display.classList.add('empty');
+  }
+  
+  group.appendChild(display);
+}
+
+/**
+ * Render email field
+ */
+function renderEmailField(group, name, property, labelContainer, existingData) {
+  createLabel(name, 'email', labelContainer);
+  group.appendChild(labelContainer);
+  
+  const input = document.createElement('input');
+  input.type = 'email';
+  input.className = 'form-input';
+  input.name = name;
+  input.placeholder = 'email@example.com';
+  input.value = (existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
+  
+  group.appendChild(input);
+}
+
+/**
+ * Render phone field
+ */
+function renderPhoneField(group, name, property, labelContainer, existingData) {
+  createLabel(name, 'phone', labelContainer);
+  group.appendChild(labelContainer);
+  
+  const input = document.createElement('input');
+  input.type = 'tel';
+  input.className = 'form-input';
+  input.name = name;
+  input.placeholder = '+1 (555) 000-0000';
+  input.value = (existingData && existingData[name]) || getDefaultValue(name, property, tabInfo, activeProfile?.fieldBindings);
+  
+  group.appendChild(input);
+}
+
+/**
+ * Handle form submission
+ * @param {Event} e - Submit event
+ */
+async function handleSubmit(e) {
+  e.preventDefault();
+  
+  const btnText = submitBtn.querySelector('.btn-text');
+  const btnLoading = submitBtn.querySelector('.btn-loading');
+  const quickBtnText = quickSaveBtn.querySelector('.btn-text');
+  const quickBtnLoading = quickSaveBtn.querySelector('.btn-loading');
+  
+  // Show loading state on both buttons
+  submitBtn.disabled = true;
+  quickSaveBtn.disabled = true;
+  btnText.classList.add('hidden');
+  btnLoading.classList.remove('hidden');
+  quickBtnText.classList.add('hidden');
+  quickBtnLoading.classList.remove('hidden');
+
+  let properties = null;
+  let transition = null;
   
-  // Show loading state on both buttons
-  submitBtn.disabled = true;
-  quickSaveBtn.disabled = true;
-  btnText.classList.add('hidden');
-  btnLoading.classList.remove('hidden');
-  quickBtnText.classList.add('hidden');
-  quickBtnLoading.classList.remove('hidden');
-
   try {
-    const properties = buildPayload();
+    properties = buildPayload();
+    transition = getSaveTransition(properties);
+    if (transition) {
+      properties = addStageDate(activeProfile.history, databaseSchema, properties, transition, existingPageData || {});
+    }
     let result;
     let pageUrl;
     
@@ -1466,6 +2044,10 @@ async function handleSubmit(e) {
       // Update existing page
       console.log('Updating existing page:', existingPageId);
       result = await notionApi.updatePage(existingPageId, properties);
+      await savePageBody(existingPageId, false);
+      requestSnapshotArchive(existingPageId, false, properties);
+      recordSavedPage(result);
+      if (transition) await recordTransition(result, transition);
       
       // Build Notion page URL
       const pageId = existingPageId.replace(/-/g, '');
@@ -1474,6 +2056,10 @@ async function handleSubmit(e) {
       // Create new page
       console.log('Creating new page');
       result = await notionApi.createPage(properties);
+      await savePageBody(result.id, true);
+      requestSnapshotArchive(result.id, true, properties);
+      recordSavedPage(result);
+      if (transition) await recordTransition(result, transition);
       
       // Build Notion page URL
       const pageId = result.id.replace(/-/g, '');
@@ -1484,7 +2070,12 @@ async function handleSubmit(e) {
     
   } catch (error) {
     console.error('Submission error:', error);
-    alert(`Error: ${error.message}`);
+    
+    if (properties && isRetryableError(error) && await queueFailedSave(properties, error, transition)) {
+      showToast('Notion is unreachable. Queued to retry automatically.', 'info');
+    } else {
+      alert(`Error: ${error.message}`);
+    }
     
   } finally {
     submitBtn.disabled = false;
@@ -1498,34 +2089,23 @@ async function handleSubmit(e) {
 
 /**
  * Build the Notion API payload from form data
+ * @param {Array<string>|null} fieldNames - Only include these fields (all fields when null)
  * @returns {Object} Properties payload for Notion API
  */
-function buildPayload() {
-  const properties = {};
+function buildPayload(fieldNames = null) {
+  const values = {};
   const formGroups = formFields.querySelectorAll('.form-group');
   
   formGroups.forEach(group => {
     const name = group.dataset.propertyName;
-    
-    // Skip hidden fields
-    if (hiddenFields.has(name)) {
+    if (fieldNames && !fieldNames.includes(name)) {
       return;
     }
-    
-    const type = group.dataset.propertyType;
-    
-    const value = getFieldValue(group, type);
-    const formatter = PropertyFormatters[type];
-    
-    if (formatter && (value !== '' && value !== null && value !== undefined)) {
-      properties[name] = formatter(value);
-    } else if (type === 'title') {
-      // Title is always required
-      properties[name] = PropertyFormatters.title(value || 'Untitled');
-    }
+    values[name] = getFieldValue(group, group.dataset.propertyType);
   });
   
-  return properties;
+  // Hidden fields are skipped by the formatter
+  return formatProperties(databaseSchema, values, hiddenFields);
 }
 
 /**
@@ -1556,7 +2136,34 @@ function getFieldValue(group, type) {
       return val !== '' ? parseFloat(val) : null;
     }
     
+    case 'date': {
+      const start = group.querySelector('input[data-role="start"]')?.value;
+      if (!start) return '';
+      const endToggle = group.querySelector('input[data-role="end-toggle"]');
+      const end = endToggle?.checked ? group.querySelector('input[data-role="end"]')?.value : '';
+      return end ? { start, end } : start;
+    }
+    
+    case 'people':
+    case 'relation':
+    case 'files': {
+      const hidden = group.querySelector('input[type="hidden"]');
+      // Files are only sent once edited so Notion-hosted uploads aren't dropped
+      if (type === 'files' && hidden?.dataset.dirty !== 'true') {
+        return undefined;
+      }
+      try {
+        return JSON.parse(hidden?.value || '[]');
+      } catch {
+        return [];
+      }
+    }
+    
     default: {
+      if (READ_ONLY_TYPES.has(type)) {
+        return undefined;
+      }
+
       const input = group.querySelector('input, textarea, select');
       return input?.value || '';
     }
@@ -1691,7 +2298,8 @@ async function handleAiInputSubmit() {
     
     // Extract fields using AI (excluding hidden fields)
     showToast('Analyzing content...', 'info');
-    const extractedFields = await openaiHelper.extractFields(databaseSchema, pageContent, hiddenFields);
+    renderAiReport([]);
+    const { values: extractedFields, rejected } = await llmHelper.extractFields(databaseSchema, pageContent, hiddenFields);
     
     console.log('=== AI EXTRACTION RESULTS ===');
     console.log('Extracted Fields:', extractedFields);
@@ -1703,6 +2311,12 @@ async function handleAiInputSubmit() {
       throw new Error('AI returned invalid response');
     }
     
+    // Curated entries are reviewed field by field instead of overwritten
+    if (existingPageId && existingPageData) {
+      openReviewModal(extractedFields, rejected);
+      return;
+    }
+    
     // Fill form fields
     let filledCount = 0;
     for (const [fieldName, value] of Object.entries(extractedFields)) {
@@ -1710,16 +2324,22 @@ async function handleAiInputSubmit() {
       if (value !== null && value !== undefined && value !== '') {
         const filled = fillFormField(fieldName, value);
         console.log(`  → Field "${fieldName}" filled: ${filled}`);
-        if (filled) filledCount++;
+        if (filled) {
+          filledCount++;
+        } else {
+          rejected.push({ field: fieldName, value, reason: 'could not be filled in the form' });
+        }
       } else {
         console.log(`  → Skipping "${fieldName}" (empty value)`);
       }
     }
     
-    console.log(`=== FILL SUMMARY: ${filledCount} fields filled ===`);
+    console.log(`=== FILL SUMMARY: ${filledCount} fields filled, ${rejected.length} rejected ===`);
+    renderAiReport(rejected);
     
     if (filledCount > 0) {
-      showToast(`✨ Filled ${filledCount} field${filledCount > 1 ? 's' : ''} - Saving...`, 'info');
+      const rejectedNote = rejected.length > 0 ? ` (${rejected.length} rejected)` : '';
+      showToast(`✨ Filled ${filledCount} field${filledCount > 1 ? 's' : ''}${rejectedNote} - Saving...`, 'info');
       
       // Immediately auto-save in background
       console.log('Auto-saving now...');
@@ -1733,12 +2353,12 @@ async function handleAiInputSubmit() {
     
     const errorMsg = error.message || 'Unknown error occurred';
     
-    if (errorMsg === 'OPENAI_NOT_CONFIGURED') {
-      showToast('Please configure your OpenAI API key in settings', 'error');
+    if (errorMsg === 'AI_NOT_CONFIGURED') {
+      showToast('Please configure an AI provider in settings', 'error');
     } else if (errorMsg.includes('port closed')) {
       showToast('Connection error. Please try again.', 'error');
-    } else if (errorMsg.includes('Invalid API key') || errorMsg.includes('401')) {
-      showToast('Invalid OpenAI API key. Check settings.', 'error');
+    } else if (/Invalid .*API key/.test(errorMsg) || errorMsg.includes('401')) {
+      showToast('Invalid AI provider API key. Check settings.', 'error');
     } else {
       showToast(errorMsg.length > 50 ? errorMsg.substring(0, 50) + '...' : errorMsg, 'error');
     }
@@ -1755,20 +2375,231 @@ async function handleAiInputSubmit() {
   }
 }
 
+/**
+ * Show the AI values that failed validation, one line per field
+ * @param {Array} rejected - Rejections ({ field, value, reason }); empty hides the report
+ */
+function renderAiReport(rejected) {
+  aiReport.classList.toggle('hidden', rejected.length === 0);
+  aiReportList.innerHTML = '';
+  if (rejected.length === 0) {
+    return;
+  }
+  
+  aiReportTitle.textContent = `${rejected.length} AI value${rejected.length === 1 ? ' was' : 's were'} not used`;
+  describeRejections(rejected).forEach(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    aiReportList.appendChild(item);
+  });
+}
+
+/**
+ * Work out what an AI value would change a saved field to
+ * Mirrors fillFormField: multi-select options are added to the saved ones
+ * and a date keeps its saved end date when the range stays valid
+ * @param {string} type - Property type
+ * @param {*} oldValue - Value saved in Notion (from parseNotionPage)
+ * @param {*} value - Validated AI value
+ * @returns {*} New value, or undefined if the field wouldn't change
+ */
+function getReviewedValue(type, oldValue, value) {
+  switch (type) {
+    case 'multi_select': {
+      const saved = Array.isArray(oldValue) ? oldValue : [];
+      const added = (Array.isArray(value) ? value : [value])
+        .filter(option => !saved.some(existing => existing.toLowerCase() === String(option).toLowerCase()));
+      return added.length > 0 ? [...saved, ...added] : undefined;
+    }
+    
+    case 'date': {
+      const saved = toDateRange(oldValue);
+      if (saved && saved.start.split('T')[0] === value) {
+        return undefined;
+      }
+      if (!saved?.end) {
+        return value;
+      }
+      // Notion rejects an end with a time after a start without one, and an end before the start
+      const sameGranularity = saved.end.includes('T') === String(value).includes('T');
+      const keepsEnd = sameGranularity && new Date(saved.end) >= new Date(value);
+      return { start: value, end: keepsEnd ? saved.end : null };
+    }
+    
+    case 'checkbox':
+      return Boolean(oldValue) === Boolean(value) ? undefined : Boolean(value);
+    
+    case 'number':
+      return oldValue !== null && oldValue !== undefined && Number(oldValue) === value ? undefined : value;
+    
+    default:
+      return String(oldValue ?? '').trim() === String(value).trim() ? undefined : value;
+  }
+}
+
+/**
+ * Compare AI values with the saved entry and open the review modal
+ * @param {Object} extracted - Validated AI values keyed by field
+ * @param {Array} rejected - Rejected values (fields missing from the form are added)
+ */
+function openReviewModal(extracted, rejected) {
+  const formGroups = Array.from(formFields.querySelectorAll('.form-group'));
+  pendingReview = [];
+  
+  for (const [fieldName, value] of Object.entries(extracted)) {
+    const group = formGroups.find(g => g.dataset.propertyName === fieldName);
+    if (!group || group.dataset.readonly === 'true') {
+      rejected.push({ field: fieldName, value, reason: 'could not be filled in the form' });
+      continue;
+    }
+    
+    const type = group.dataset.propertyType;
+    const oldValue = existingPageData[fieldName];
+    const next = getReviewedValue(type, oldValue, value);
+    if (next === undefined) {
+      console.log(`  → "${fieldName}" unchanged`);
+      continue;
+    }
+    
+    pendingReview.push({
+      field: fieldName,
+      type,
+      value,
+      next,
+      oldValue,
+      // Empty fields are accepted by default; curated values must be opted into
+      accepted: formatDisplayValue(oldValue) === '' || oldValue === false
+    });
+  }
+  
+  console.log('=== AI REVIEW ===', pendingReview);
+  renderAiReport(rejected);
+  
+  if (pendingReview.length === 0) {
+    showToast('AI found nothing new for this entry', 'info');
+    return;
+  }
+  
+  reviewList.innerHTML = '';
+  pendingReview.forEach(change => {
+    const row = document.createElement('label');
+    row.className = 'review-item';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = change.accepted;
+    checkbox.addEventListener('change', () => {
+      change.accepted = checkbox.checked;
+      updateReviewSaveButton();
+    });
+    
+    const info = document.createElement('div');
+    info.className = 'review-item-info';
+    
+    const name = document.createElement('div');
+    name.className = 'review-item-name';
+    name.textContent = change.field;
+    
+    const oldText = document.createElement('div');
+    oldText.className = 'review-item-old';
+    oldText.textContent = formatDisplayValue(change.oldValue) || 'Empty';
+    oldText.classList.toggle('empty', oldText.textContent === 'Empty');
+    
+    const newText = document.createElement('div');
+    newText.className = 'review-item-new';
+    newText.textContent = formatDisplayValue(change.next);
+    if (change.type === 'date' && toDateRange(change.oldValue)?.end && !change.next.end) {
+      newText.textContent += ' (end date removed)';
+    }
+    
+    info.appendChild(name);
+    info.appendChild(oldText);
+    info.appendChild(newText);
+    row.appendChild(checkbox);
+    row.appendChild(info);
+    reviewList.appendChild(row);
+  });
+  
+  updateReviewSaveButton();
+  reviewModal.classList.remove('hidden');
+  showToast(`Review ${pendingReview.length} AI change${pendingReview.length === 1 ? '' : 's'}`, 'info');
+}
+
+/**
+ * Show how many changes will be saved
+ */
+function updateReviewSaveButton() {
+  const count = pendingReview.filter(change => change.accepted).length;
+  saveReviewBtn.disabled = count === 0;
+  saveReviewBtn.textContent = count > 0 ? `Save ${count} Change${count === 1 ? '' : 's'}` : 'Save Changes';
+}
+
+/**
+ * Close the review modal, discarding the AI changes
+ */
+function closeReviewModal() {
+  reviewModal.classList.add('hidden');
+  pendingReview = [];
+}
+
+/**
+ * Fill the accepted changes into the form and write only those fields to Notion
+ */
+async function handleReviewSave() {
+  const accepted = pendingReview.filter(change => change.accepted);
+  if (accepted.length === 0) {
+    return;
+  }
+  
+  saveReviewBtn.disabled = true;
+  
+  const fieldNames = [];
+  for (const change of accepted) {
+    // A date is filled with its whole range so a dropped end date is cleared
+    if (fillFormField(change.field, change.type === 'date' ? change.next : change.value)) {
+      fieldNames.push(change.field);
+    }
+  }
+  console.log('Saving reviewed fields:', fieldNames.join(', '));
+  
+  reviewModal.classList.add('hidden');
+  const saved = await handleBackgroundSave(fieldNames);
+  if (saved) {
+    // Later AI runs compare against what was just written
+    accepted.forEach(change => {
+      existingPageData[change.field] = change.next;
+    });
+  }
+  pendingReview = [];
+}
+
 /**
  * Save form data to Notion in background without changing UI state
  * Allows the form to remain visible while save happens
+ * @param {Array<string>|null} fieldNames - Only save these fields (all fields when null)
+ * @returns {Promise<boolean>} Whether the save reached Notion
  */
-async function handleBackgroundSave() {
+async function handleBackgroundSave(fieldNames = null) {
+  let properties = null;
+  let transition = null;
+  
   try {
-    const properties = buildPayload();
+    properties = buildPayload(fieldNames);
+    transition = getSaveTransition(properties);
+    if (transition) {
+      properties = addStageDate(activeProfile.history, databaseSchema, properties, transition, existingPageData || {});
+    }
     let pageUrl;
     
     // Save to Notion
     if (existingPageId) {
       // Update existing page
       console.log('Background updating existing page:', existingPageId);
-      await notionApi.updatePage(existingPageId, properties);
+      const result = await notionApi.updatePage(existingPageId, properties);
+      await savePageBody(existingPageId, false);
+      requestSnapshotArchive(existingPageId, false, properties);
+      recordSavedPage(result);
+      if (transition) await recordTransition(result, transition);
       
       // Build Notion page URL
       const pageId = existingPageId.replace(/-/g, '');
@@ -1777,6 +2608,10 @@ async function handleBackgroundSave() {
       // Create new page
       console.log('Background creating new page');
       const result = await notionApi.createPage(properties);
+      await savePageBody(result.id, true);
+      requestSnapshotArchive(result.id, true, properties);
+      recordSavedPage(result);
+      if (transition) await recordTransition(result, transition);
       
       // Build Notion page URL
       const pageId = result.id.replace(/-/g, '');
@@ -1792,10 +2627,494 @@ async function handleBackgroundSave() {
     
     // Update button text to show it's been saved
     updateSubmitButton();
+    return true;
     
   } catch (error) {
     console.error('Background save error:', error);
-    showToast(`❌ Save failed: ${error.message}`, 'error');
+    
+    if (properties && isRetryableError(error) && await queueFailedSave(properties, error, transition)) {
+      showToast('Notion is unreachable. Queued to retry automatically.', 'info');
+    } else {
+      showToast(`❌ Save failed: ${error.message}`, 'error');
+    }
+    return false;
+  }
+}
+
+/**
+ * Build the page body the profile asks for
+ * @returns {Promise<Array>} Blocks (the posting is captured from the tab for snapshots)
+ */
+async function getPageBodyBlocks() {
+  const markdown = getPageBodyMode(activeProfile) === 'posting' ? await requestPostingMarkdown() : '';
+  return buildPageBody(activeProfile, tabInfo, markdown);
+}
+
+/**
+ * Ask the service worker to capture the tab's posting as Markdown
+ * @returns {Promise<string>} Markdown, or '' if the page couldn't be read
+ */
+function requestPostingMarkdown() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'GET_POSTING_MARKDOWN' }, (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        console.log('Could not capture the posting:', chrome.runtime.lastError?.message || response.error);
+        resolve('');
+        return;
+      }
+      resolve(response.markdown || '');
+    });
+  });
+}
+
+/**
+ * Write the profile's page body to a saved page
+ * A failure only warns - the page itself was saved
+ * @param {string} pageId - Saved page ID
+ * @param {boolean} created - Whether the page was just created
+ */
+async function savePageBody(pageId, created) {
+  try {
+    await writePageBody(notionApi, pageId, await getPageBodyBlocks(), created);
+  } catch (error) {
+    console.error('Could not write the page body:', error);
+    showToast(`Saved, but the page body wasn't written: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Get the entry title from a save payload
+ * @param {Object} properties - Formatted Notion properties
+ * @returns {string} Title (the tab title when the payload has none)
+ */
+function getPayloadTitle(properties) {
+  const titleProperty = getTitlePropertyName(databaseSchema);
+  return properties[titleProperty]?.title?.map(t => t.text?.content || '').join('') || tabInfo.title;
+}
+
+/**
+ * Ask the service worker to archive the tab on a saved entry, if the profile wants snapshots
+ * Runs in the background; the result only shows as a toast while the popup is open
+ * @param {string|null} pageId - Saved page ID (null keeps the snapshot locally)
+ * @param {boolean} created - Whether the page was just created
+ * @param {Object} properties - Formatted Notion properties (for the file names)
+ */
+function requestSnapshotArchive(pageId, created, properties) {
+  if (getArchiveMode(activeProfile) === 'none') {
+    return;
+  }
+  
+  chrome.runtime.sendMessage(
+    {
+      type: 'ARCHIVE_SNAPSHOT',
+      payload: { profileId: activeProfile.id, pageId, created, title: getPayloadTitle(properties) }
+    },
+    (response) => {
+      if (chrome.runtime.lastError || response?.error) {
+        console.error('Could not archive the page:', chrome.runtime.lastError?.message || response.error);
+        showToast('Saved, but the page snapshot could not be captured', 'error');
+        return;
+      }
+      if (response.result?.local > 0) {
+        showToast(`Snapshot kept locally: ${response.result.reason}`, 'info');
+      }
+    }
+  );
+}
+
+/**
+ * Work out the status change a save makes, for the profile's status history
+ * @param {Object} properties - Properties payload about to be saved
+ * @returns {Object|null} Transition ({ from, to, at }), or null if nothing is recorded
+ */
+function getSaveTransition(properties) {
+  const settings = activeProfile?.history;
+  if (!isHistoryEnabled(settings)) {
+    return null;
+  }
+  
+  const from = savedStatus ?? (existingPageId ? existingPageData?.[settings.statusField] || '' : '');
+  return getStatusTransition(settings, from, getPayloadStatus(settings, properties));
+}
+
+/**
+ * Write a saved status change to the page body log and Events database
+ * A failure is shown but doesn't undo the save
+ * @param {Object} page - Page returned by the save
+ * @param {Object} transition - Transition from getSaveTransition
+ */
+async function recordTransition(page, transition) {
+  savedStatus = transition.to;
+  try {
+    await recordStatusTransition(notionApi, activeProfile.history, page, transition);
+  } catch (error) {
+    console.error('Could not record the status change:', error);
+    showToast(`Saved, but the status change wasn't recorded: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Tell the service worker about a saved page so the tab's badge shows its status right away
+ * @param {Object} page - Page returned by the create or update
+ */
+function recordSavedPage(page) {
+  chrome.runtime.sendMessage({ type: 'RECORD_SAVED_PAGE', payload: { page } }, (response) => {
+    if (chrome.runtime.lastError || response?.error) {
+      console.log('Could not update the saved badge:', chrome.runtime.lastError?.message || response.error);
+    }
+  });
+}
+
+/**
+ * Hand a failed save to the service worker's retry queue
+ * @param {Object} properties - Formatted Notion properties
+ * @param {Error} error - Error from the failed save
+ * @param {Object|null} transition - Status change the save makes, recorded once the queue saves it
+ * @returns {Promise<boolean>} Whether the save was queued
+ */
+async function queueFailedSave(properties, error, transition = null) {
+  const title = getPayloadTitle(properties);
+  const blocks = await getPageBodyBlocks();
+  
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      {
+        type: 'QUEUE_SAVE',
+        payload: {
+          save: {
+            profileId: activeProfile.id,
+            pageId: existingPageId,
+            properties,
+            blocks,
+            title,
+            url: tabInfo.url,
+            urlField: findUrlField(databaseSchema),
+            transition
+          },
+          error: {
+            message: error.message,
+            status: error.status,
+            retryAfter: error.retryAfter
+          }
+        }
+      },
+      (response) => {
+        if (chrome.runtime.lastError || response?.error) {
+          console.error('Could not queue save:', chrome.runtime.lastError?.message || response.error);
+          resolve(false);
+          return;
+        }
+        // A new entry's snapshot can't wait in the queue, so it's kept locally
+        if (!existingPageId) {
+          requestSnapshotArchive(null, true, properties);
+        }
+        // The queue records the change, so saving again doesn't record it twice
+        if (transition) {
+          savedStatus = transition.to;
+        }
+        resolve(true);
+      }
+    );
+  });
+}
+
+/**
+ * Show the queued save count and refresh the queue modal
+ * @param {Array} queue - Current save queue
+ */
+function renderSaveQueue(queue) {
+  saveQueue = queue;
+  
+  const failedCount = queue.filter(item => item.failed).length;
+  queueBanner.classList.toggle('hidden', queue.length === 0);
+  queueBanner.classList.toggle('has-failures', failedCount > 0);
+  queueBannerText.textContent = failedCount > 0
+    ? `${queue.length} pending save${queue.length === 1 ? '' : 's'} (${failedCount} failed) - review`
+    : `${queue.length} save${queue.length === 1 ? '' : 's'} waiting to retry - view`;
+  
+  if (queueModal.classList.contains('hidden')) {
+    return;
+  }
+  if (queue.length === 0) {
+    closeQueueModal();
+    return;
+  }
+  
+  queueList.innerHTML = '';
+  queue.forEach(item => {
+    const row = document.createElement('div');
+    row.className = `queue-item${item.failed ? ' failed' : ''}`;
+    
+    const info = document.createElement('div');
+    info.className = 'queue-item-info';
+    
+    const title = document.createElement('div');
+    title.className = 'queue-item-title';
+    title.textContent = `${item.pageId ? 'Update' : 'Create'}: ${item.title}`;
+    title.title = item.url || item.title;
+    
+    const status = document.createElement('div');
+    status.className = 'queue-item-status';
+    status.textContent = item.failed
+      ? `Failed: ${item.lastError}`
+      : `Attempt ${item.attempts} failed (${item.lastError}). Next retry ${formatRetryTime(item.nextAttemptAt)}.`;
+    
+    info.appendChild(title);
+    info.appendChild(status);
+    
+    const retryBtn = document.createElement('button');
+    retryBtn.type = 'button';
+    retryBtn.className = 'btn btn-secondary';
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', () => retryQueuedSave(item.id, retryBtn));
+    
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.className = 'btn btn-secondary';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', () => discardQueuedSave(item.id));
+    
+    row.appendChild(info);
+    row.appendChild(retryBtn);
+    row.appendChild(discardBtn);
+    queueList.appendChild(row);
+  });
+}
+
+/**
+ * Describe when a queued save will next be retried
+ * @param {number} timestamp - Next attempt time
+ * @returns {string} Relative time
+ */
+function formatRetryTime(timestamp) {
+  const minutes = Math.round((timestamp - Date.now()) / 60000);
+  if (minutes <= 0) return 'soon';
+  if (minutes < 60) return `in ${minutes} min`;
+  return `in ${Math.round(minutes / 60)} h`;
+}
+
+/**
+ * Open the save queue modal
+ */
+function openQueueModal() {
+  queueModal.classList.remove('hidden');
+  renderSaveQueue(saveQueue);
+}
+
+/**
+ * Close the save queue modal
+ */
+function closeQueueModal() {
+  queueModal.classList.add('hidden');
+}
+
+/**
+ * Ask the service worker to retry queued saves now
+ * @param {string|null} id - Queue item ID, or null for all
+ * @param {HTMLButtonElement} button - Button to disable while retrying
+ */
+async function retryQueuedSave(id, button) {
+  button.disabled = true;
+  try {
+    await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: 'RETRY_QUEUED_SAVE', payload: { id } }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (response?.error) {
+          reject(new Error(response.error));
+          return;
+        }
+        resolve();
+      });
+    });
+  } catch (error) {
+    console.error('Retry error:', error);
+    showToast(`Retry failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Remove a queued save without retrying it
+ * @param {string} id - Queue item ID
+ */
+function discardQueuedSave(id) {
+  chrome.runtime.sendMessage({ type: 'DISCARD_QUEUED_SAVE', payload: { id } }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Discard error:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Send a bulk save message to the service worker
+ * @param {string} type - Message type
+ * @param {Object} payload - Message payload
+ * @returns {Promise<Object>} Response
+ */
+function sendBulkMessage(type, payload = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ type, payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response?.error) {
+        reject(new Error(response.error));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Ask for access to every site, so the service worker can read tabs other than the active one
+ * Must run inside the click that triggered it
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+function requestBulkCaptureAccess() {
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins: BULK_CAPTURE_ORIGINS }, (granted) => {
+      resolve(Boolean(granted) && !chrome.runtime.lastError);
+    });
+  });
+}
+
+/**
+ * Save every job tab in this window
+ */
+async function startBulkCapture() {
+  if (!await requestBulkCaptureAccess()) {
+    showToast('Saving all tabs needs access to the sites they show', 'error');
+    return;
+  }
+  
+  bulkSaveBtn.disabled = true;
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const { run } = await sendBulkMessage('START_BULK_CAPTURE', { windowId: currentWindow.id });
+    renderBulkCapture(run);
+    openBulkModal();
+  } catch (error) {
+    console.error('Bulk save error:', error);
+    showToast(error.message, 'error');
+  } finally {
+    bulkSaveBtn.disabled = false;
+  }
+}
+
+/**
+ * Show the progress of the last bulk save and refresh its modal
+ * @param {Object|null} run - Run state (see lib/bulk-capture.js)
+ */
+function renderBulkCapture(run) {
+  bulkCapture = run;
+  
+  const summary = summarizeBulkCapture(run);
+  bulkBanner.classList.toggle('hidden', !run);
+  bulkBanner.classList.toggle('has-failures', !run?.running && summary.failed > 0);
+  bulkSaveBtn.disabled = Boolean(run?.running);
+  if (!run) {
+    closeBulkModal();
+    return;
+  }
+  
+  bulkBannerText.textContent = run.running
+    ? `Saving job tabs: ${summary.done} of ${summary.total}…`
+    : `Saved ${summary.saved} of ${summary.total} job tab${summary.total === 1 ? '' : 's'}${summary.failed ? ` (${summary.failed} failed)` : ''} - view`;
+  bulkSummary.textContent = `${summary.saved} saved, ${summary.skipped} skipped, ${summary.failed} failed` +
+    (run.running ? `, ${summary.total - summary.done} to go` : '');
+  retryBulkBtn.disabled = run.running || summary.failed === 0;
+  clearBulkBtn.disabled = run.running;
+  
+  if (bulkModal.classList.contains('hidden')) {
+    return;
+  }
+  
+  bulkList.innerHTML = '';
+  run.items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = `queue-item ${item.state}`;
+    
+    const info = document.createElement('div');
+    info.className = 'queue-item-info';
+    
+    const title = document.createElement('div');
+    title.className = 'queue-item-title';
+    title.textContent = item.title;
+    title.title = item.url;
+    
+    const status = document.createElement('div');
+    status.className = 'queue-item-status';
+    status.textContent = item.message
+      ? `${getBulkStateLabel(item.state)}: ${item.message}`
+      : getBulkStateLabel(item.state);
+    
+    info.appendChild(title);
+    info.appendChild(status);
+    row.appendChild(info);
+    
+    if (item.state === 'failed' && !run.running) {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'btn btn-secondary';
+      retryBtn.textContent = 'Retry';
+      retryBtn.addEventListener('click', () => retryBulkCapture(item.tabId, retryBtn));
+      row.appendChild(retryBtn);
+    }
+    bulkList.appendChild(row);
+  });
+}
+
+/**
+ * Open the bulk save modal
+ */
+function openBulkModal() {
+  bulkModal.classList.remove('hidden');
+  renderBulkCapture(bulkCapture);
+}
+
+/**
+ * Close the bulk save modal
+ */
+function closeBulkModal() {
+  bulkModal.classList.add('hidden');
+}
+
+/**
+ * Ask the service worker to save failed tabs of the last run again
+ * @param {number|null} tabId - Tab to retry, or null for every failed tab
+ * @param {HTMLButtonElement} button - Button to disable while starting
+ */
+async function retryBulkCapture(tabId, button) {
+  if (!await requestBulkCaptureAccess()) {
+    showToast('Retrying needs access to the sites the tabs show', 'error');
+    return;
+  }
+  
+  button.disabled = true;
+  try {
+    await sendBulkMessage('RETRY_BULK_CAPTURE', { tabId });
+  } catch (error) {
+    console.error('Bulk retry error:', error);
+    showToast(`Retry failed: ${error.message}`, 'error');
+    button.disabled = false;
+  }
+}
+
+/**
+ * Forget the last bulk save
+ */
+async function clearBulkCapture() {
+  try {
+    await sendBulkMessage('CLEAR_BULK_CAPTURE');
+  } catch (error) {
+    console.error('Bulk clear error:', error);
+    showToast(error.message, 'error');
   }
 }
 
@@ -1854,15 +3173,7 @@ function fillFormField(fieldName, value) {
     }
     
     case 'date': {
-      const input = group.querySelector('input');
-      if (input && value) {
-        // Ensure date format is YYYY-MM-DD
-        const date = new Date(value);
-        if (!isNaN(date.getTime())) {
-          input.value = date.toISOString().split('T')[0];
-          filled = true;
-        }
-      }
+      filled = setDateFieldValue(group, value);
       break;
     }
     
@@ -1999,6 +3310,7 @@ async function openShortcutsModal() {
     const shortcutOpenEl = document.getElementById('shortcut-open');
     const shortcutAddDetailsEl = document.getElementById('shortcut-add-details');
     const shortcutQuickSaveEl = document.getElementById('shortcut-quick-save');
+    const shortcutSaveAllTabsEl = document.getElementById('shortcut-save-all-tabs');
     
     // Helper function to format shortcut or show default
     const formatShortcut = (shortcut, defaultWin, defaultMac) => {
@@ -2029,6 +3341,9 @@ async function openShortcutsModal() {
         'Cmd+Shift+G'
       );
     }
+    if (shortcutSaveAllTabsEl) {
+      shortcutSaveAllTabsEl.textContent = shortcutsMap['save-all-tabs'] || 'Not set';
+    }
   } catch (error) {
     console.error('Error loading keyboard shortcuts:', error);
     // Keep default values if we can't load them